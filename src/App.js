@@ -1,389 +1,335 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
-import * as Tone from 'tone'; // For sound effects
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
+import { getProcedure, prepareProcedure, procedureLoadErrors, DEFAULT_PROCEDURE_ID } from './procedures';
+import { requirementsMet, applyEffects, getTool, getTarget, screenForStep, findStepIndex, completionPoints } from './procedures/steps';
+import { itemStates, itemKind, isWaste, disposalOutcome, disposalTargetFor, overdueWaste } from './procedures/items';
+import { consequenceForAction, delayedConsequence, dryingConsequence, filmDefects, applyFilmDefects, triggeredConsequences, currentFilm } from './procedures/consequences';
+import SmearGesture from './smear/SmearGesture';
+import { evaluateSmear } from './smear/technique';
+import Workspace from './workspace/Workspace';
+import MicroscopePanel from './microscope/MicroscopePanel';
+import { DifferentialResults } from './microscope/DifferentialCounter';
+import AttemptPicker from './session/AttemptPicker';
+import ReplayViewer from './replay/ReplayViewer';
+import ProcedureEditor from './authoring/ProcedureEditor';
+import Dashboard from './dashboard/Dashboard';
+import { listAttempts, createAttempt, saveAttempt, deleteAttempt, takeSnapshot, nextAttemptName, isGuided, timeRemaining, attemptOptionsFromUrl, loadStudentName, saveStudentName } from './session/attempts';
+import { createEvent, scoreFromLog, latestResult, buildAttemptRecord, downloadAttemptRecord } from './session/actionLog';
+import { penaltyFor, criticalErrorFor, evaluateRubric } from './scoring/rubric';
+import RubricBreakdown from './scoring/RubricBreakdown';
+import { HANDLING_ERRORS } from './microscope/instrument';
+import KnowledgeCheck from './questions/KnowledgeCheck';
+import QuizReview from './questions/QuizReview';
+import { quizzesForAttempt, describeResponse } from './questions/bank';
+import FindingsCheck, { FindingsReview } from './cases/FindingsCheck';
+import { caseForAttempt, findingOptions, scoreFindings } from './cases/cases';
+import ReportPanel from './report/ReportPanel';
+import { useI18n } from './i18n/I18nProvider';
+import LanguageSwitcher from './i18n/LanguageSwitcher';
+import { useAudio } from './audio/AudioProvider';
+import AudioControls from './audio/AudioControls';
+import { instructionNarration } from './audio/narration';
+import { translateIssue, translateCase } from './i18n/content';
+import Dialog from './accessibility/Dialog';
+import VideoPlayer from './video/VideoPlayer';
+import LabClock from './clock/LabClock';
+import { clockSpeed, labTime, filmDryness, wallTimeUntil } from './clock/labTime';
+
+// Shown instead of the simulation when the procedure definition failed validation
+function ProcedureLoadError({ loadErrors }) {
+  const { t } = useI18n();
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-red-50 p-6 font-inter">
+      <div className="bg-white p-8 rounded-xl shadow-2xl max-w-3xl w-full border-4 border-red-500">
+        <h1 className="text-2xl md:text-3xl font-extrabold text-red-700 mb-4">{t('app.loadError.title')}</h1>
+        {loadErrors.length === 0 && (
+          <p className="text-gray-700">{t('app.loadError.none')}</p>
+        )}
+        {loadErrors.map(({ source, errors }) => (
+          <div key={source} className="mb-4">
+            <h2 className="font-bold text-gray-800 mb-2">{source}</h2>
+            <ul className="list-disc list-inside text-sm text-gray-700 space-y-1">
+              {errors.map((error) => <li key={error}>{error}</li>)}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Time left on a timed exam, as m:ss
+const formatCountdown = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
 
 // Main App Component for the Medical Lab Simulation
 function App() {
-  // State for simulation logic
-  const [currentStep, setCurrentStep] = useState(0);
-  const [score, setScore] = useState(0);
-  const [feedbackMessage, setFeedbackMessage] = useState('');
-  const [isCorrectAction, setIsCorrectAction] = useState(null); // true, false, or null
-  const [activeTool, setActiveTool] = useState(null); // Tool currently "held" for drag-and-drop
-  const [bloodDropVisible, setBloodDropVisible] = useState(false);
-  const [slideHasBlood, setSlideHasBlood] = useState(false);
-  const [smearQuality, setSmearQuality] = useState(null); // null, 'good', 'too_thick', 'too_thin'
-  const [showMicroscopeView, setShowMicroscopeView] = useState(false);
-
-  // Refs for interactive areas/elements
-  const fingerRef = useRef(null);
-  const slideRef = useRef(null);
-  const spreaderSlideRef = useRef(null);
-  const smearCanvasRef = useRef(null);
-  const microscopeViewCanvasRef = useRef(null);
-
-  // Sound effects setup
-  const clickSynth = useRef(null);
-  const successSynth = useRef(null);
-  const errorSynth = useRef(null);
-  const dropSound = useRef(null);
-  const swabSound = useRef(null);
+  const { t, locale } = useI18n();
+  const procedure = getProcedure(DEFAULT_PROCEDURE_ID, locale); // In the interface language where it has a translation
+  const [route, setRoute] = useState(() => window.location.hash); // '#replay', '#author' and '#dashboard' open the instructor tools
+  const [playThrough, setPlayThrough] = useState(null); // { procedure, attempt } while a draft from the editor is being tried out
+  const [savedAttempts, setSavedAttempts] = useState(() => (procedure ? listAttempts(procedure) : []));
+  const [urlOptions] = useState(() => attemptOptionsFromUrl()); // Mode and time limit preset by an exam link
+  // With nothing saved yet there's nothing to choose, so a first attempt starts straight away
+  const [attempt, setAttempt] = useState(() => (procedure && savedAttempts.length === 0 ? createAttempt(nextAttemptName([]), procedure, Date.now(), urlOptions) : null));
 
   useEffect(() => {
-    // Initialize Tone.js synths with cooler sounds
-    clickSynth.current = new Tone.PolySynth(Tone.Synth, {
-      oscillator: { type: 'triangle' },
-      envelope: { attack: 0.005, decay: 0.1, sustain: 0.05, release: 0.1 },
-      volume: -10
-    }).toDestination(); // Soft, quick click
-
-    successSynth.current = new Tone.PolySynth(Tone.Synth, {
-      oscillator: { type: 'sine' },
-      envelope: { attack: 0.01, decay: 0.2, sustain: 0.1, release: 0.5 },
-      volume: -8
-    }).toDestination(); // Gentle chime
-
-    errorSynth.current = new Tone.Synth({
-      oscillator: { type: 'square' },
-      envelope: { attack: 0.01, decay: 0.1, sustain: 0.01, release: 0.2 },
-      volume: -15
-    }).toDestination(); // Subtle, low buzz
-
-    dropSound.current = new Tone.PolySynth(Tone.Synth, {
-      oscillator: { type: 'sine' },
-      envelope: { attack: 0.01, decay: 0.3, sustain: 0.01, release: 0.2 },
-      volume: -12
-    }).toDestination(); // Liquid plink
-
-    swabSound.current = new Tone.NoiseSynth({
-      noise: { type: 'white' },
-      envelope: { attack: 0.005, decay: 0.1, sustain: 0, release: 0.1 },
-      volume: -25
-    }).toDestination(); // Very subtle swab sound
-
-    // Cleanup on unmount
-    return () => {
-      clickSynth.current?.dispose();
-      successSynth.current?.dispose();
-      errorSynth.current?.dispose();
-      dropSound.current?.dispose();
-      swabSound.current?.dispose();
+    const handleHashChange = () => {
+      setRoute(window.location.hash);
+      setPlayThrough(null);
+      // Coming back from another view, pick the attempt up from its latest save
+      setAttempt(prev => (prev && listAttempts(procedure).find(saved => saved.id === prev.id)) || prev);
     };
-  }, []);
-
-  const playClickSound = useCallback(() => {
-    if (clickSynth.current) {
-      clickSynth.current.triggerAttackRelease('C5', '8n');
-    }
-  }, []);
-
-  const playSuccessSound = useCallback(() => {
-    if (successSynth.current) {
-      successSynth.current.triggerAttackRelease(['G4', 'C5', 'E5'], '8n'); // Ascending chime
-    }
-  }, []);
-
-  const playErrorSound = useCallback(() => {
-    if (errorSynth.current) {
-      errorSynth.current.triggerAttackRelease('C2', '8n'); // Low thud
-    }
-  }, []);
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [procedure]);
+
+  if (!procedure) return <ProcedureLoadError loadErrors={procedureLoadErrors} />;
+  if (route === '#replay') return <ReplayViewer />;
+  if (route === '#dashboard') return <Dashboard />;
+  if (route === '#author' && playThrough) {
+    return (
+      <>
+        <div className="w-full bg-amber-100 border-b-2 border-amber-400 text-amber-900 text-sm text-center py-2">
+          {t('instructor.playingDraft', { title: playThrough.procedure.title })}{' '}
+          <button onClick={() => setPlayThrough(null)} className="font-semibold underline">{t('instructor.backToEditor')}</button>
+        </div>
+        <LabSimulation key={playThrough.attempt.id} procedure={playThrough.procedure} attempt={playThrough.attempt} persist={false} />
+      </>
+    );
+  }
+  if (route === '#author') {
+    return (
+      <ProcedureEditor
+        onPlayThrough={(doc) => {
+          const draft = prepareProcedure(doc, 'draft');
+          setPlayThrough({ procedure: draft, attempt: createAttempt('Draft play-through', draft) });
+        }}
+      />
+    );
+  }
+  if (!attempt) {
+    return (
+      <AttemptPicker
+        procedure={procedure}
+        attempts={savedAttempts}
+        defaultName={nextAttemptName(savedAttempts)}
+        defaultOptions={urlOptions}
+        onResume={setAttempt}
+        onStartOver={(selected) => setAttempt({ ...selected, snapshot: null, completed: false })}
+        onDelete={(selected) => {
+          deleteAttempt(selected.id);
+          setSavedAttempts(listAttempts(procedure));
+        }}
+        onNew={(name, options) => setAttempt(createAttempt(name, procedure, Date.now(), options))}
+      />
+    );
+  }
+  return <LabSimulation key={attempt.id} procedure={procedure} attempt={attempt} />;
+}
 
-  const playDropSound = useCallback(() => {
-    if (dropSound.current) {
-      dropSound.current.triggerAttackRelease('G3', '8n');
-    }
-  }, []);
+// Runs a loaded procedure definition (see ./procedures), starting from the attempt's saved snapshot if it has one.
+// With persist off (a draft played through from the editor) the attempt is never saved.
+function LabSimulation({ procedure, attempt, persist = true }) {
+  const { t } = useI18n();
+  const labProcedureSteps = procedure.steps;
+  const saved = attempt.snapshot;
+  const guided = isGuided(attempt); // false for exam attempts: no highlighting, instructions, feedback or running score
 
-  const playSwabSound = useCallback(() => {
-    if (swabSound.current) {
-      swabSound.current.triggerAttackRelease('16n');
-    }
-  }, []);
-
-  // Define the lab procedure steps for Blood Smear Preparation
-  const labProcedureSteps = [
-    {
-      id: 'intro',
-      instruction: 'Welcome to the Virtual Lab! Today, we will learn how to prepare a blood smear. Click "Start Simulation" to begin.',
-      action: null,
-      target: null,
-      nextStep: 'gather_equipment',
-    },
-    {
-      id: 'gather_equipment',
-      instruction: 'Step 1: Gather necessary equipment. Click on the Alcohol Swab to pick it up.',
-      action: 'pick_up_tool',
-      target: 'alcohol_swab',
-      nextStep: 'clean_finger',
-    },
-    {
-      id: 'clean_finger',
-      instruction: 'Step 2: Clean the patient\'s finger. Drag the Alcohol Swab to the finger icon.',
-      action: 'use_tool_on_target',
-      tool: 'alcohol_swab',
-      target: 'finger',
-      nextStep: 'prick_finger',
-    },
-    {
-      id: 'prick_finger',
-      instruction: 'Step 3: Prick the finger. Click on the Lancet to pick it up.',
-      action: 'pick_up_tool',
-      target: 'lancet',
-      nextStep: 'apply_lancet',
-    },
-    {
-      id: 'apply_lancet',
-      instruction: 'Step 4: Apply the lancet to the finger. Drag the Lancet to the finger icon to simulate pricking.',
-      action: 'use_tool_on_target',
-      tool: 'lancet',
-      target: 'finger',
-      nextStep: 'wipe_first_drop',
-    },
-    {
-      id: 'wipe_first_drop',
-      instruction: 'Step 5: Wipe away the first drop of blood. Click on the Alcohol Swab to pick it up.',
-      action: 'pick_up_tool',
-      target: 'alcohol_swab',
-      nextStep: 'wipe_blood',
-    },
-    {
-      id: 'wipe_blood',
-      instruction: 'Step 6: Drag the Alcohol Swab to the blood drop icon to wipe it away.',
-      action: 'use_tool_on_target',
-      tool: 'alcohol_swab',
-      target: 'blood_drop',
-      nextStep: 'wait_for_second_drop', // NEW STEP ADDED HERE
-    },
-    {
-      id: 'wait_for_second_drop',
-      instruction: 'Step 7: A second blood drop is forming. Please wait...',
-      action: 'auto_advance_blood_drop', // Custom action for auto-progression and state change
-      target: null,
-      nextStep: 'collect_second_drop',
-    },
-    {
-      id: 'collect_second_drop',
-      instruction: 'Step 8: Collect the second drop of blood onto a clean glass slide. Click on the Clean Slide to pick it up.',
-      action: 'pick_up_tool',
-      target: 'clean_slide',
-      nextStep: 'collect_blood_on_slide',
-    },
-    {
-      id: 'collect_blood_on_slide',
-      instruction: 'Step 9: Drag the Clean Slide to the blood drop icon to collect the sample.',
-      action: 'use_tool_on_target',
-      tool: 'clean_slide',
-      target: 'blood_drop',
-      nextStep: 'prepare_smear',
-    },
-    {
-      id: 'prepare_smear',
-      instruction: 'Step 10: Prepare the blood smear. Click on the Spreader Slide to pick it up.',
-      action: 'pick_up_tool',
-      target: 'spreader_slide',
-      nextStep: 'perform_smear',
-    },
-    {
-      id: 'perform_smear',
-      instruction: 'Step 11: With the Spreader Slide active, click the "Create Smear" button to prepare the blood smear.',
-      action: 'click_create_smear', // Action is now a simple click
-      target: 'create_smear_button', // Target is the button itself
-      nextStep: 'air_dry',
-    },
-    {
-      id: 'air_dry',
-      instruction: 'Step 12: Allow the blood smear to air dry completely. (Click "Next" when ready).',
-      action: 'next_step_button',
-      target: 'next_button',
-      nextStep: 'microscope_observation',
-    },
-    {
-      id: 'microscope_observation',
-      instruction: 'Step 13: Observe the prepared smear under the microscope. Evaluate its quality.',
-      action: 'view_microscope',
-      target: 'microscope_icon',
-      nextStep: 'procedure_complete',
-    },
-    {
-      id: 'procedure_complete',
-      instruction: 'Procedure Complete! You have successfully completed the Blood Smear Preparation simulation. Now, watch a real-life demonstration.',
-      action: 'next_step_button',
-      target: 'next_button',
-      nextStep: 'video_demonstration', // Transition to video
-    },
-    {
-      id: 'video_demonstration',
-      instruction: 'Watch this video demonstrating the blood smear preparation process. Click "Next" when done.',
-      action: 'next_step_button',
-      target: 'next_button',
-      nextStep: 'mcq_challenge', // Transition to MCQ
-    },
-    {
-      id: 'mcq_challenge',
-      instruction: 'Test your knowledge! Answer the question below based on what you\'ve learned and observed.',
-      action: 'mcq_handled_internally', // This action is handled by MCQChallenge component directly
-      target: null, // No specific target for main App to handle
-      nextStep: 'final_completion', // Transition to final completion
-    },
-    {
-      id: 'final_completion',
-      instruction: 'Congratulations! You have completed the entire module.',
-      action: null,
-      target: null,
-      nextStep: null,
-    }
-  ];
-
-  // --- Utility Functions for Drawing on Canvas (for Smear and Microscope View) ---
-  const drawSmear = useCallback((quality) => {
-    const canvas = smearCanvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext('2d');
-    ctx.clearRect(0, 0, canvas.width, canvas.height); // Clear previous smear
-
-    const width = canvas.width;
-    const height = canvas.height;
-
-    // Draw the base slide
-    ctx.fillStyle = '#f0f0f0';
-    ctx.fillRect(0, 0, width, height);
-    ctx.strokeStyle = '#ccc';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(0, 0, width, height);
-
-    // Draw the blood smear based on quality
-    ctx.fillStyle = 'rgba(139, 0, 0, 0.7)'; // Dark red for blood
-
-    if (quality === 'good') {
-      // Good smear: feathered edge, even thickness
-      ctx.beginPath();
-      ctx.moveTo(width * 0.1, height * 0.9);
-      ctx.bezierCurveTo(width * 0.3, height * 0.7, width * 0.7, height * 0.3, width * 0.9, height * 0.1);
-      ctx.lineTo(width * 0.9, height * 0.9);
-      ctx.closePath();
-      ctx.fill();
-
-      // Simulate even spread
-      for (let i = 0; i < 50; i++) {
-        const x = Math.random() * (width * 0.8) + width * 0.1;
-        const y = Math.random() * (height * 0.8) + height * 0.1;
-        const radius = Math.random() * 2 + 1;
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        ctx.fill();
-      }
-    } else if (quality === 'too_thick') {
-      // Too thick smear: blobby, uneven
-      ctx.beginPath();
-      ctx.arc(width / 2, height / 2, width * 0.4, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.font = '20px Arial';
-      ctx.fillStyle = 'white';
-      ctx.textAlign = 'center';
-      ctx.fillText('Too Thick!', width / 2, height / 2);
-    } else if (quality === 'too_thin') {
-      // Too thin smear: sparse, streaky
-      for (let i = 0; i < 5; i++) {
-        ctx.beginPath();
-        ctx.moveTo(width * 0.1 + i * 10, height * 0.9);
-        ctx.lineTo(width * 0.9 + i * 10, height * 0.1);
-        ctx.lineWidth = 3;
-        ctx.stroke();
-      }
-      ctx.font = '20px Arial';
-      ctx.fillStyle = 'black';
-      ctx.textAlign = 'center';
-      ctx.fillText('Too Thin!', width / 2, height / 2);
-    }
-  }, []);
-
-  const drawMicroscopeView = useCallback((quality) => {
-    const canvas = microscopeViewCanvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext('2d');
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    const width = canvas.width;
-    const height = canvas.height;
-
-    // Draw circular field of view
-    ctx.beginPath();
-    ctx.arc(width / 2, height / 2, width / 2 - 10, 0, Math.PI * 2);
-    ctx.fillStyle = 'black';
-    ctx.fill();
-    ctx.strokeStyle = 'white';
-    ctx.lineWidth = 5;
-    ctx.stroke();
-
-    // Draw cells based on smear quality
-    const drawCell = (x, y, radius, color) => {
-      ctx.beginPath();
-      ctx.arc(x, y, radius, 0, Math.PI * 2);
-      ctx.fillStyle = color;
-      ctx.fill();
-      ctx.strokeStyle = 'rgba(255,255,255,0.5)';
-      ctx.lineWidth = 1;
-      ctx.stroke();
-      // Nucleus
-      ctx.beginPath();
-      ctx.arc(x, y, radius * 0.3, 0, Math.PI * 2);
-      ctx.fillStyle = 'rgba(200,0,0,0.8)';
-      ctx.fill();
-    };
+  // State for simulation logic
+  const [currentStep, setCurrentStep] = useState(saved?.currentStep ?? 0);
+  const [events, setEvents] = useState(saved?.events ?? []); // Action log, the record the score and results are read from
+  const [feedbackMessage, setFeedbackMessage] = useState('');
+  const [isCorrectAction, setIsCorrectAction] = useState(null); // true, false, or null
+  const [activeTool, setActiveTool] = useState(saved?.activeTool ?? null); // Tool currently "held" for drag-and-drop
+  const [labState, setLabState] = useState(saved?.labState ?? procedure.state); // Procedure-declared flags, e.g. bloodDropVisible
+  const [showMicroscopeView, setShowMicroscopeView] = useState(false);
+  const [attemptSeed, setAttemptSeed] = useState(() => saved?.attemptSeed ?? Math.floor(Math.random() * 2 ** 32)); // Seeds generated microscope fields
+  const [announcement, setAnnouncement] = useState({ text: '', id: 0 }); // Read out by screen readers through the live region
+  const [studentName, setStudentName] = useState(() => loadStudentName()); // Written into the report and the attempt file
+
+  // Score and results come from the action log (see ./session/actionLog)
+  const score = useMemo(() => scoreFromLog(events), [events]);
+  const smearResult = useMemo(() => currentFilm(procedure, events), [procedure, events]); // Outcome of the spreading gesture (see ./smear/technique) and anything that spoilt the film since
+  const differentialResult = useMemo(() => latestResult(events, 'differential'), [events]); // Scored WBC differential, see ./microscope/differential
+  const quizzes = useMemo(() => quizzesForAttempt(labProcedureSteps, attemptSeed), [labProcedureSteps, attemptSeed]); // Questions each quiz step draws
+  const consequences = useMemo(() => triggeredConsequences(procedure, events), [procedure, events]); // Mistakes the sample still carries
+  const timeExpired = useMemo(() => events.some(event => event.type === 'time_expired'), [events]); // A timed exam ends where it stood
+  const items = useMemo(() => itemStates(procedure, events), [procedure, events]); // Used, contaminated and disposed items, see ./procedures/items
+  const patientCase = useMemo(() => caseForAttempt(procedure, attemptSeed), [procedure, attemptSeed]); // The patient whose blood is on the slide, see ./cases
+  const reportedFindings = useMemo(() => events.filter(event => event.type === 'findings').pop() ?? null, [events]); // The findings the student reported, marked against the case
+  const speed = useMemo(() => clockSpeed(events), [events]); // How fast lab time runs, see ./clock/labTime
+  const answeredCheckpoints = useMemo(() => new Set(events.filter(event => event.type === 'video_checkpoint').map(event => event.questionId)), [events]); // Not asked again on resume
+
+  // Sound effects, played through the audio service (see ./audio)
+  const { play, settings: audioSettings, narrate, speechSupported } = useAudio();
+  const narrationOn = audioSettings.narration.enabled;
+
+  // Success and error sounds are feedback, so exam attempts don't play them
+  const playSound = useCallback((name) => {
+    if (!guided && (name === 'success' || name === 'error')) return;
+    play(name);
+  }, [guided, play]);
+
+  const playClickSound = useCallback(() => playSound('click'), [playSound]);
+  const playSuccessSound = useCallback(() => playSound('success'), [playSound]);
+  const playErrorSound = useCallback(() => playSound('error'), [playSound]);
+
+  // --- Session Persistence ---
+  // Every change is written to the attempt, so a refresh resumes exactly here.
+  // Nothing is saved while the intro is showing, since no work has been done yet.
+  useEffect(() => {
+    if (currentStep === 0 || !persist) return;
+    saveAttempt({
+      ...attempt,
+      updatedAt: Date.now(),
+      completed: timeExpired || screenForStep(labProcedureSteps[currentStep]) === 'completion',
+      snapshot: takeSnapshot({ currentStep, events, labState, activeTool, attemptSeed }),
+    });
+  }, [attempt, persist, labProcedureSteps, currentStep, events, labState, activeTool, attemptSeed, timeExpired]);
+
+  // --- Action Log ---
+  // Appends an event for the current step; points on an event are what changes the score
+  const logEvent = useCallback((type, details = {}) => {
+    setEvents(prev => [...prev, createEvent(type, { stepId: labProcedureSteps[currentStep]?.id ?? null, ...details })]);
+  }, [currentStep, labProcedureSteps]);
+
+  // Logs a mistake with the penalty the rubric gives it and returns the feedback to show for it.
+  // Earlier mistakes are read through a ref so the handlers don't change on every logged event.
+  const latestEvents = useRef(events);
+  latestEvents.current = events;
+  const recordMistake = useCallback((error, details, message) => {
+    const step = labProcedureSteps[currentStep];
+    const penalty = penaltyFor(procedure, step, error, latestEvents.current);
+    const critical = criticalErrorFor(procedure, step, details.tool, details.target);
+    logEvent('wrong_action', { ...details, error, critical: critical?.id ?? null, outcome: 'incorrect', points: -penalty });
+    const text = critical ? `${critical.description} ${message}` : message;
+    return penalty > 0 ? t('feedback.withPenalty', { message: text, count: penalty }) : text;
+  }, [procedure, labProcedureSteps, currentStep, logEvent, t]);
+
+  // A mistake the procedure lets through (see ./procedures/consequences): the step it
+  // stands in for takes effect along with the rule's own flags, and the simulation
+  // carries on from after that step
+  const applyConsequence = useCallback((rule, details) => {
+    const step = labProcedureSteps[currentStep];
+    const completedIndex = findStepIndex(procedure, rule.completes);
+    const completed = labProcedureSteps[completedIndex];
+    const penalty = penaltyFor(procedure, step, 'skipped_step', latestEvents.current);
+    logEvent('consequence', {
+      ...details,
+      consequence: rule.id,
+      completes: rule.completes,
+      error: 'skipped_step',
+      critical: rule.critical ?? null,
+      outcome: 'incorrect',
+      points: -penalty,
+    });
+    setLabState(prev => applyEffects(applyEffects(prev, completed?.effects), rule.effects));
+    setActiveTool(null);
+    playSound(completed?.sound || 'click');
+    setFeedbackMessage(t('feedback.withPenalty', { message: t('feedback.consequence', { message: rule.message, label: rule.label }), count: penalty }));
+    setIsCorrectAction(false);
+    setTimeout(() => {
+      setCurrentStep(completedIndex + 1);
+      setFeedbackMessage('');
+      setIsCorrectAction(null);
+    }, 3000);
+  }, [procedure, labProcedureSteps, currentStep, logEvent, playSound, t]);
+
+  // Taking up a used sharp again (see ./procedures/items) is a safety violation, whatever the step
+  const recordReuse = useCallback((toolId, details) => {
+    const message = t('feedback.reusedSharp', { tool: getTool(procedure, toolId).label, bin: disposalTargetFor(procedure, toolId)?.label });
+    setFeedbackMessage(recordMistake(itemKind(procedure, toolId).reused, { ...details, tool: toolId }, message));
+    setIsCorrectAction(false);
+    playErrorSound();
+    setTimeout(() => { setFeedbackMessage(''); setIsCorrectAction(null); }, 3000);
+  }, [procedure, recordMistake, playErrorSound, t]);
+
+  // Step transitions are logged wherever they were triggered from
+  const loggedStep = useRef(currentStep);
+  useEffect(() => {
+    if (loggedStep.current === currentStep) return;
+    const from = labProcedureSteps[loggedStep.current]?.id ?? null;
+    loggedStep.current = currentStep;
+    logEvent('step_transition', { from, to: labProcedureSteps[currentStep]?.id ?? null });
+  }, [currentStep, labProcedureSteps, logEvent]);
+
+  // Waste left on the bench past its deadline is marked down once, against the step it should have
+  // been gone by; overdueWaste leaves out what the log already has, so a restart marks it down afresh
+  useEffect(() => {
+    overdueWaste(procedure, items, events, currentStep)
+      .forEach(({ tool, error, deadline }) => {
+        const penalty = penaltyFor(procedure, deadline, error, events);
+        logEvent('wrong_action', { stepId: deadline.id, tool, error, critical: null, outcome: 'incorrect', points: -penalty });
+        const message = t('feedback.leftOut', { tool: getTool(procedure, tool).label, bin: disposalTargetFor(procedure, tool)?.label });
+        setFeedbackMessage(penalty > 0 ? t('feedback.withPenalty', { message, count: penalty }) : message);
+        setIsCorrectAction(false);
+        playErrorSound();
+        setTimeout(() => { setFeedbackMessage(''); setIsCorrectAction(null); }, 3000);
+      });
+  }, [procedure, items, events, currentStep, logEvent, playErrorSound, t]);
 
-    if (quality === 'good') {
-      ctx.filter = 'none'; // Clear any blur/filter
-      for (let i = 0; i < 30; i++) {
-        const x = Math.random() * width * 0.8 + width * 0.1;
-        const y = Math.random() * height * 0.8 + height * 0.1;
-        const radius = Math.random() * 5 + 8; // Varied cell sizes
-        drawCell(x, y, radius, 'rgba(255, 100, 100, 0.8)'); // Red blood cells
-      }
-      ctx.font = '24px Inter';
-      ctx.fillStyle = 'white';
-      ctx.textAlign = 'center';
-      ctx.fillText('Good Smear!', width / 2, height - 30);
-    } else if (quality === 'too_thick') {
-      ctx.filter = 'blur(3px)';
-      for (let i = 0; i < 100; i++) { // Many overlapping cells
-        const x = Math.random() * width * 0.8 + width * 0.1;
-        const y = Math.random() * height * 0.8 + height * 0.1;
-        const radius = Math.random() * 8 + 10;
-        drawCell(x, y, radius, 'rgba(255, 50, 50, 0.5)');
-      }
-      ctx.font = '24px Inter';
-      ctx.fillStyle = 'white';
-      ctx.textAlign = 'center';
-      ctx.fillText('Too Thick Smear!', width / 2, height - 30);
-    } else if (quality === 'too_thin') {
-      ctx.filter = 'blur(1px)';
-      for (let i = 0; i < 5; i++) { // Few cells
-        const x = Math.random() * width * 0.8 + width * 0.1;
-        const y = Math.random() * height * 0.8 + height * 0.1;
-        const radius = Math.random() * 3 + 5;
-        drawCell(x, y, radius, 'rgba(255, 150, 150, 0.8)');
-      }
-      ctx.font = '24px Inter';
-      ctx.fillStyle = 'white';
-      ctx.textAlign = 'center';
-      ctx.fillText('Too Thin Smear!', width / 2, height - 30);
-    } else {
-      ctx.font = '24px Inter';
-      ctx.fillStyle = 'white';
-      ctx.textAlign = 'center';
-      ctx.fillText('No Smear Prepared Yet', width / 2, height / 2);
-    }
-  }, []);
+  // Every feedback message shown to the student, once per message (exam attempts show none)
+  const loggedFeedback = useRef('');
+  useEffect(() => {
+    if (feedbackMessage === loggedFeedback.current) return;
+    loggedFeedback.current = feedbackMessage;
+    if (!feedbackMessage || !guided) return;
+    logEvent('feedback', { message: feedbackMessage, outcome: isCorrectAction === null ? 'info' : isCorrectAction ? 'correct' : 'incorrect' });
+  }, [feedbackMessage, isCorrectAction, guided, logEvent]);
+
+  // --- Screen Reader Announcements ---
+  // A new id re-announces a message even when its text repeats
+  const announce = useCallback((text) => setAnnouncement(prev => ({ text, id: prev.id + 1 })), []);
+
+  // Practice attempts read out each feedback message and each new step's instruction,
+  // to screen readers and, with narration on, aloud (see ./audio/narration)
+  useEffect(() => {
+    if (!guided || !feedbackMessage) return;
+    announce(feedbackMessage);
+    if (narrationOn) narrate({ text: feedbackMessage });
+  }, [feedbackMessage, guided, announce, narrationOn, narrate]);
 
   useEffect(() => {
-    if (showMicroscopeView) {
-      drawMicroscopeView(smearQuality);
-    }
-  }, [showMicroscopeView, smearQuality, drawMicroscopeView]);
+    const current = labProcedureSteps[currentStep];
+    if (!guided || !['workspace', 'video'].includes(screenForStep(current))) return;
+    announce(current.instruction);
+    if (narrationOn) narrate(instructionNarration(current));
+  }, [currentStep, guided, labProcedureSteps, announce, narrationOn, narrate]);
+
+  // --- Exam Time Limit ---
+  // The clock ticks once a second while a timed attempt is running; when it runs
+  // out the attempt ends where it stood and goes straight to the locked summary.
+  // It also ticks while the bench is showing, for the lab clock and the drying film.
+  const [now, setNow] = useState(() => Date.now());
+  const remainingMs = timeRemaining(attempt, events, now);
+  const isFinished = timeExpired || screenForStep(labProcedureSteps[currentStep]) === 'completion';
+  const atBench = screenForStep(labProcedureSteps[currentStep]) === 'workspace';
+  const dryness = filmDryness(events, now); // null until a film has been spread
+  useEffect(() => {
+    if ((!attempt.timeLimitMinutes && !atBench) || isFinished) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [attempt.timeLimitMinutes, atBench, isFinished]);
+
+  // Speeding the lab clock up or slowing it down is logged, so lab time can be worked out from the log
+  const handleSpeedChange = useCallback((newSpeed) => {
+    if (newSpeed === speed) return;
+    logEvent('clock', { speed: newSpeed, outcome: 'info' });
+    setNow(Date.now());
+  }, [speed, logEvent]);
 
+  useEffect(() => {
+    if (remainingMs !== 0 || isFinished) return;
+    logEvent('time_expired', { outcome: 'incorrect', timeLimitMinutes: attempt.timeLimitMinutes });
+    setShowMicroscopeView(false);
+    setActiveTool(null);
+  }, [remainingMs, isFinished, attempt.timeLimitMinutes, logEvent]);
 
   // --- Drag and Drop Logic ---
-  const handleDragStart = useCallback((toolId) => (e) => {
+  // Taking a tool to use it, by starting to drag it or by choosing it with a click or the keyboard; returns whether it was allowed
+  const beginToolUse = useCallback((toolId) => {
     // Clear previous feedback immediately
     setFeedbackMessage('');
     setIsCorrectAction(null);
@@ -391,35 +337,71 @@ function App() {
     console.log(`Drag Start: toolId=${toolId}, currentStep=${currentStep}, activeTool=${activeTool}`);
     // Only allow drag if it's the correct tool for the current step's action
     const currentProcedure = labProcedureSteps[currentStep];
-    if (currentProcedure?.tool === toolId && currentProcedure?.action === 'use_tool_on_target') {
+    // Tools that can be misused with consequences, and waste on its way to a bin, are let through and judged on the drop
+    const allowed = (currentProcedure?.tool === toolId && currentProcedure?.action === 'use_tool_on_target')
+      || consequenceForAction(procedure, currentProcedure, { tool: toolId })
+      || isWaste(procedure, items, toolId);
+    if (allowed) {
         setActiveTool(toolId);
+        logEvent('drag_start', { tool: toolId, outcome: 'correct' });
         playClickSound();
-        e.dataTransfer.setData("toolId", toolId); // For actual drag-and-drop API
+        announce(t('workspace.holding', { tool: getTool(procedure, toolId).label }));
     } else {
-        e.preventDefault(); // Prevent dragging if it's not the correct tool/step
-        setFeedbackMessage(`Please pick up the correct tool for this step.`);
+        const error = currentProcedure?.action === 'use_tool_on_target' ? 'wrong_tool' : 'not_ready';
+        setFeedbackMessage(recordMistake(error, { action: 'drag_start', tool: toolId }, t('feedback.pickCorrectTool')));
         setIsCorrectAction(false);
         playErrorSound();
         setTimeout(() => { setFeedbackMessage(''); setIsCorrectAction(null); }, 3000);
     }
-  }, [playClickSound, currentStep, activeTool, labProcedureSteps, playErrorSound]);
+    return Boolean(allowed);
+  }, [playClickSound, currentStep, activeTool, labProcedureSteps, procedure, items, playErrorSound, logEvent, recordMistake, announce, t]);
 
-  const handleDragOver = useCallback((e) => {
-    e.preventDefault(); // Necessary to allow dropping
-  }, []);
+  // Escape puts a tool chosen from the keyboard back down
+  const releaseTool = useCallback(() => {
+    if (!activeTool) return;
+    setActiveTool(null);
+    announce(t('workspace.released', { tool: getTool(procedure, activeTool).label }));
+  }, [activeTool, procedure, announce, t]);
 
-  const handleDrop = useCallback((targetId) => (e) => {
+  // Using the held tool on a target, by dropping it there or by activating the target with a click or the keyboard
+  const applyToolTo = useCallback((targetId) => {
     // Clear previous feedback immediately
     setFeedbackMessage('');
     setIsCorrectAction(null);
 
-    e.preventDefault();
-    const toolId = activeTool; // Get the active tool from state, not e.dataTransfer
-    console.log(`handleDrop: toolId=${toolId}, targetId=${targetId}, currentStep=${currentStep}, bloodDropVisible=${bloodDropVisible}, slideHasBlood=${slideHasBlood}`);
+    const toolId = activeTool; // The tool in hand, whichever way it was taken
+    console.log(`handleDrop: toolId=${toolId}, targetId=${targetId}, currentStep=${currentStep}, labState=${JSON.stringify(labState)}`);
 
     if (!toolId) {
       console.log('No active tool to drop.');
-      setFeedbackMessage('Please pick up a tool first.');
+      setFeedbackMessage(recordMistake('no_tool', { action: 'drop', target: targetId }, t('feedback.pickToolFirst')));
+      setIsCorrectAction(false);
+      playErrorSound();
+      setTimeout(() => { setFeedbackMessage(''); setIsCorrectAction(null); }, 3000);
+      return;
+    }
+
+    // Disposal targets take waste at any step; a used sharp taken anywhere else is being reused
+    const disposal = disposalOutcome(procedure, items, toolId, targetId);
+    if (disposal || (isWaste(procedure, items, toolId) && itemKind(procedure, toolId).reused)) {
+      const details = { action: 'drop', tool: toolId, target: targetId };
+      const labels = { tool: getTool(procedure, toolId).label, bin: getTarget(procedure, targetId).label };
+      setActiveTool(null);
+      if (disposal === 'dispose') {
+        logEvent('dispose', { ...details, outcome: 'correct' });
+        playSound('drop');
+        setFeedbackMessage(t('feedback.disposed', labels));
+        setIsCorrectAction(true);
+        setTimeout(() => { setFeedbackMessage(''); setIsCorrectAction(null); }, 1500);
+        return;
+      }
+      if (!disposal) {
+        recordReuse(toolId, details);
+        return;
+      }
+      setFeedbackMessage(disposal === 'wrong_disposal'
+        ? recordMistake('wrong_disposal', details, t('feedback.wrongDisposal', { ...labels, correctBin: disposalTargetFor(procedure, toolId)?.label }))
+        : recordMistake('wrong_target', details, t('feedback.notWaste', labels)));
       setIsCorrectAction(false);
       playErrorSound();
       setTimeout(() => { setFeedbackMessage(''); setIsCorrectAction(null); }, 3000);
@@ -427,68 +409,47 @@ function App() {
     }
 
     const currentProcedure = labProcedureSteps[currentStep];
-    let newScore = score;
+    const consequence = consequenceForAction(procedure, currentProcedure, { tool: toolId, target: targetId });
+    if (consequence) {
+      applyConsequence(consequence, { action: 'drop', tool: toolId, target: targetId });
+      return;
+    }
+
     let message = '';
+    let error = null; // Rubric error type when the drop is wrong
     let isCorrect = false;
     let proceedToNextStep = false;
 
     // Validate drop based on current step, active tool, and target
     if (currentProcedure.action === 'use_tool_on_target' && currentProcedure.tool === toolId && currentProcedure.target === targetId) {
-        switch (currentProcedure.id) {
-            case 'clean_finger':
-                message = 'Finger cleaned successfully!';
-                playSwabSound();
-                isCorrect = true;
-                newScore += 10;
-                proceedToNextStep = true;
-                break;
-            case 'apply_lancet':
-                message = 'Finger pricked! A blood drop appeared.';
-                playDropSound();
-                setBloodDropVisible(true);
-                isCorrect = true;
-                newScore += 20;
-                proceedToNextStep = true;
-                break;
-            case 'wipe_blood':
-                if (bloodDropVisible) { // Ensure there's a blood drop to wipe
-                    message = 'First blood drop wiped away. Good!';
-                    playSwabSound();
-                    setBloodDropVisible(false); // Hide the blood drop (temporarily)
-                    isCorrect = true;
-                    newScore += 10;
-                    proceedToNextStep = true;
-                } else {
-                    message = 'There is no blood drop to wipe yet.';
-                    isCorrect = false;
-                }
-                break;
-            case 'collect_blood_on_slide':
-                if (bloodDropVisible) { // Ensure there's a blood drop to collect
-                    message = 'Blood collected on the slide!';
-                    playDropSound();
-                    setBloodDropVisible(false); // Blood is now on the slide, not finger
-                    setSlideHasBlood(true); // Mark slide as having blood
-                    isCorrect = true;
-                    newScore += 20;
-                    proceedToNextStep = true;
-                } else {
-                    message = 'There is no blood drop to collect on the slide yet.';
-                    isCorrect = false;
-                }
-                break;
-            default:
-                message = 'Invalid action for this specific step.';
-                isCorrect = false;
-                break;
+        if (requirementsMet(currentProcedure, labState)) {
+            // A drop left waiting too long has started to clot by the time it is collected
+            const delayed = delayedConsequence(procedure, currentProcedure, latestEvents.current);
+            if (delayed) logEvent('consequence', { consequence: delayed.id, outcome: 'incorrect' });
+            message = currentProcedure.feedback.success || t('feedback.done');
+            if (delayed) message = `${message} ${t('feedback.consequence', { message: delayed.message, label: delayed.label })}`;
+            playSound(currentProcedure.sound || 'success');
+            setLabState(prev => applyEffects(applyEffects(prev, delayed?.effects), currentProcedure.effects));
+            isCorrect = true;
+            proceedToNextStep = true;
+        } else {
+            message = currentProcedure.feedback.unmet || t('feedback.notReady');
+            error = 'not_ready';
         }
+    } else if (currentProcedure.action !== 'use_tool_on_target') {
+        message = t('feedback.wrongAction');
+        error = 'not_ready'; // Only possible without guidance, where tools can be used at any step
     } else {
-        message = `Incorrect action or target for this step.`;
-        isCorrect = false;
+        message = t('feedback.wrongAction');
+        error = currentProcedure.tool === toolId ? 'wrong_target' : 'wrong_tool';
     }
 
     setActiveTool(null); // Reset active tool after drop
-    setScore(newScore);
+    if (isCorrect) {
+      logEvent('drop', { tool: toolId, target: targetId, outcome: 'correct', points: currentProcedure.points });
+    } else {
+      message = recordMistake(error, { action: 'drop', tool: toolId, target: targetId }, message);
+    }
     setFeedbackMessage(message);
     setIsCorrectAction(isCorrect);
     if (!isCorrect) playErrorSound();
@@ -508,32 +469,45 @@ function App() {
         setIsCorrectAction(null);
       }, 3000);
     }
-  }, [currentStep, score, activeTool, bloodDropVisible, slideHasBlood, playClickSound, playSuccessSound, playErrorSound, playDropSound, playSwabSound]);
+  }, [currentStep, activeTool, labState, labProcedureSteps, procedure, items, playSound, playErrorSound, logEvent, recordMistake, recordReuse, applyConsequence, t]);
 
-  // --- Smear Creation Logic (now a click-based action) ---
-  const handleCreateSmear = useCallback(() => {
+  // --- Smear Creation Logic (driven by the SmearGesture spreading technique) ---
+  const handleCreateSmear = useCallback((technique) => {
     // Clear previous feedback immediately
     setFeedbackMessage('');
     setIsCorrectAction(null);
 
-    console.log(`handleCreateSmear: activeTool=${activeTool}, slideHasBlood=${slideHasBlood}, currentStep=${currentStep}`);
+    console.log(`handleCreateSmear: activeTool=${activeTool}, labState=${JSON.stringify(labState)}, currentStep=${currentStep}, technique=${JSON.stringify(technique)}`);
     const currentProcedure = labProcedureSteps[currentStep];
-
-    // Only allow smear creation if spreader slide is active, blood is on slide, and it's the correct step
-    if (activeTool === 'spreader_slide' && slideHasBlood && currentProcedure?.id === 'perform_smear') {
-      const quality = 'good'; // For now, always create a "good" smear to ensure progression
-      const message = 'Excellent! Good quality blood smear created.';
-      const isCorrect = true;
-      const newScore = score + 30; // Award points for correct action
-
-      setSmearQuality(quality);
-      drawSmear(quality); // Draw the smear result on canvas
-      setScore(newScore);
+    const isSmearStep = currentProcedure?.action === 'create_smear';
+
+    // Only allow smear creation if the spreader is active, the slide is ready, and it's the correct step
+    if (isSmearStep && activeTool === currentProcedure.tool && requirementsMet(currentProcedure, labState)) {
+      // Waiting too long before spreading lets the drop clot; that and any earlier faults in the sample show in the film
+      const delayed = delayedConsequence(procedure, currentProcedure, latestEvents.current);
+      if (delayed) logEvent('consequence', { consequence: delayed.id, outcome: 'incorrect' });
+      const sampleState = applyEffects(labState, delayed?.effects);
+      const result = applyFilmDefects(evaluateSmear(technique), filmDefects(procedure, sampleState));
+      const isCorrect = result.quality === 'good';
+      // A poor smear still goes forward (it shows up under the microscope) but earns no points
+      const message = isCorrect
+        ? currentProcedure.feedback.success || t('feedback.smearCreated')
+        : [currentProcedure.feedback.failure || t('feedback.smearUnusable'), ...result.issues.map(issue => translateIssue(t, issue))].join(' ');
+
+      // The slide canvas redraws from the logged result
+      logEvent('smear', {
+        tool: currentProcedure.tool,
+        outcome: isCorrect ? 'correct' : 'incorrect',
+        points: isCorrect ? currentProcedure.points : 0,
+        result,
+      });
+      setLabState(prev => applyEffects(applyEffects(prev, delayed?.effects), currentProcedure.effects));
       setFeedbackMessage(message);
       setIsCorrectAction(isCorrect);
       setActiveTool(null); // Release spreader slide
 
-      playSuccessSound();
+      if (isCorrect) playSuccessSound();
+      else playErrorSound();
 
       setTimeout(() => {
         setCurrentStep(prev => {
@@ -542,22 +516,37 @@ function App() {
         });
         setFeedbackMessage('');
         setIsCorrectAction(null);
-      }, 1500);
+      }, isCorrect ? 1500 : 4000); // Leave time to read what went wrong
     } else {
       // Provide specific feedback if conditions aren't met
-      if (currentProcedure?.id !== 'perform_smear') {
-          setFeedbackMessage('It\'s not time to create the smear yet. Follow the steps.');
-      } else if (activeTool !== 'spreader_slide') {
-          setFeedbackMessage('First, pick up the Spreader Slide.');
-      } else if (!slideHasBlood) {
-          setFeedbackMessage('You need to collect blood on the slide first.');
+      const mistake = { action: 'create_smear', tool: activeTool };
+      if (!isSmearStep) {
+          setFeedbackMessage(recordMistake('not_ready', mistake, t('feedback.notTimeForSmear')));
+      } else if (activeTool !== currentProcedure.tool) {
+          setFeedbackMessage(recordMistake(activeTool ? 'wrong_tool' : 'no_tool', mistake, t('feedback.pickUpFirst', { tool: getTool(procedure, currentProcedure.tool).label })));
+      } else {
+          setFeedbackMessage(recordMistake('not_ready', mistake, currentProcedure.feedback.unmet || t('feedback.notReadyForSmear')));
       }
       setIsCorrectAction(false);
       playErrorSound();
       setTimeout(() => { setFeedbackMessage(''); setIsCorrectAction(null); }, 3000);
     }
-  }, [activeTool, slideHasBlood, currentStep, score, drawSmear, playSuccessSound, playErrorSound, labProcedureSteps]);
-
+  }, [activeTool, labState, currentStep, playSuccessSound, playErrorSound, labProcedureSteps, procedure, logEvent, recordMistake, t]);
+
+
+  // Moving the film on or looking at it before it has dried spoils it (see ./procedures/consequences);
+  // like a clotted drop, the mistake goes through and shows up on the film. Returns the rule, if any.
+  const spoilWetFilm = useCallback((step) => {
+    const rule = dryingConsequence(procedure, step, latestEvents.current);
+    if (!rule) return null;
+    logEvent('consequence', { consequence: rule.id, outcome: 'incorrect' });
+    setLabState(prev => applyEffects(prev, rule.effects));
+    setFeedbackMessage(t('feedback.consequence', { message: rule.message, label: rule.label }));
+    setIsCorrectAction(false);
+    playErrorSound();
+    setTimeout(() => { setFeedbackMessage(''); setIsCorrectAction(null); }, 3000);
+    return rule;
+  }, [procedure, logEvent, playErrorSound, t]);
 
   // --- General Action Handler (for clicks on tools/buttons) ---
   const handleAction = useCallback((objectId) => {
@@ -566,75 +555,89 @@ function App() {
     setIsCorrectAction(null);
 
     const currentProcedure = labProcedureSteps[currentStep];
-    let newScore = score;
+    if (isWaste(procedure, items, objectId) && itemKind(procedure, objectId).reused) {
+      recordReuse(objectId, { action: currentProcedure.action });
+      return;
+    }
     let message = '';
     let isCorrect = false;
     let proceedToNextStep = false;
+    let spoilt = null; // Drying rule broken by going on with a wet film
 
     switch (currentProcedure.action) {
       case 'pick_up_tool':
-        if (objectId === currentProcedure.target) {
+        if (objectId === currentProcedure.tool) {
           setActiveTool(objectId);
-          message = `${objectId.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())} picked up.`;
+          message = currentProcedure.feedback.success || t('feedback.pickedUp', { tool: getTool(procedure, objectId).label });
           isCorrect = true;
           proceedToNextStep = true;
           playSuccessSound();
         } else {
-          message = `Incorrect. Please pick up the ${currentProcedure.target.replace(/_/g, ' ')}.`;
+          message = currentProcedure.feedback.failure || t('feedback.pickUpInstead', { tool: getTool(procedure, currentProcedure.tool).label });
           isCorrect = false;
         }
         break;
       case 'next_step_button':
         if (objectId === 'next_button') {
-          message = 'Proceeding to the next step.';
+          spoilt = spoilWetFilm(currentProcedure);
+          message = currentProcedure.feedback.success || t('feedback.proceeding');
           isCorrect = true;
           proceedToNextStep = true;
-          playSuccessSound();
+          if (!spoilt) playSuccessSound();
         } else {
-          message = 'Please click the "Next" button.';
+          message = t('feedback.clickNext');
           isCorrect = false;
         }
         break;
-      case 'auto_advance_blood_drop': // Handle the new auto-advance step
-        if (currentProcedure.id === 'wait_for_second_drop') {
-            setBloodDropVisible(true); // Make the second drop appear
-            message = 'Second blood drop formed. Now collect it!';
-            isCorrect = true;
-            proceedToNextStep = true;
-            playDropSound(); // Play a sound for the new drop
+      case 'watch_video':
+        if (objectId === 'next_button') {
+          isCorrect = true;
+          proceedToNextStep = true;
+          playSuccessSound();
         }
         break;
-      case 'click_create_smear': // Handle the new click-to-create-smear action
-        if (objectId === 'create_smear_button') {
-            handleCreateSmear(); // Delegate to the smear creation function
-            return; // handleCreateSmear will manage feedback and step progression
-        }
+      case 'auto_advance': // Timed steps, e.g. waiting for the second blood drop to form
+        setLabState(prev => applyEffects(prev, currentProcedure.effects));
+        message = currentProcedure.feedback.success || '';
+        isCorrect = true;
+        proceedToNextStep = true;
+        playSound(currentProcedure.sound || 'success');
         break;
+      case 'create_smear':
+        // The smear is made with the SmearGesture, which calls handleCreateSmear directly
+        return;
       case 'view_microscope':
         if (objectId === 'microscope_icon') {
+          spoilt = spoilWetFilm(currentProcedure);
           setShowMicroscopeView(true);
-          message = 'Observing smear under microscope.';
+          logEvent('microscope', { control: 'open', outcome: 'correct' });
+          message = currentProcedure.feedback.success || t('feedback.observing');
           isCorrect = true; // This action itself is correct
           // DO NOT set proceedToNextStep = true here, as closing the view advances the step
-          playSuccessSound();
+          if (!spoilt) playSuccessSound();
         } else {
-          message = 'Incorrect. Click the microscope icon to view the smear.';
+          message = t('feedback.clickMicroscope');
           isCorrect = false;
         }
         break;
-      case 'mcq_handled_internally': // This case now signifies MCQ completion handled by MCQChallenge
-        // The MCQChallenge component will directly call setScore and setCurrentStep
-        // This 'action' is just a placeholder to prevent default feedback handling here.
+      case 'mcq': // The KnowledgeCheck screen logs each answer and advances the step itself
+      case 'identify_findings': // So does the FindingsCheck screen
         return;
       default:
-        message = 'Invalid action for this step.';
+        message = t('feedback.invalidAction');
         isCorrect = false;
         break;
     }
 
-    // Only set feedback and advance if not handled by a delegated function (like handleCreateSmear or MCQ)
+    // Only set feedback and advance if not handled elsewhere (like handleCreateSmear or MCQ)
     // And only if proceedToNextStep is explicitly true (for non-microscope view actions)
     if (proceedToNextStep) {
+        logEvent(currentProcedure.action === 'pick_up_tool' ? 'pick_up' : 'step_completed', {
+          action: currentProcedure.action,
+          tool: currentProcedure.action === 'pick_up_tool' ? objectId : null,
+          outcome: 'correct',
+          points: completionPoints(currentProcedure),
+        });
         setTimeout(() => {
           setCurrentStep(prev => {
               console.log(`Transitioning step from ${prev} to ${prev + 1}`);
@@ -642,10 +645,13 @@ function App() {
           });
           setFeedbackMessage('');
           setIsCorrectAction(null);
-        }, 1500);
-    } else if (currentProcedure.action !== 'click_create_smear' && currentProcedure.action !== 'mcq_handled_internally' && currentProcedure.action !== 'view_microscope') {
+        }, spoilt ? 3000 : 1500); // Leave time to read what a wet film led to
+    } else if (currentProcedure.action !== 'create_smear' && currentProcedure.action !== 'view_microscope') {
         // For incorrect actions or actions that don't immediately advance, just show feedback
-        setScore(newScore); // Update score even for incorrect actions if points are deducted
+        if (!isCorrect) {
+          const error = currentProcedure.action === 'pick_up_tool' ? 'wrong_tool' : 'not_ready';
+          message = recordMistake(error, { action: currentProcedure.action, tool: objectId }, message);
+        }
         setFeedbackMessage(message);
         setIsCorrectAction(isCorrect);
         if (!isCorrect && currentProcedure.action !== 'use_tool_on_target') playErrorSound(); // Avoid double error sound
@@ -655,467 +661,440 @@ function App() {
         }, 3000);
     }
     // For 'view_microscope' action, feedback is set, but no auto-advance here.
-    // For 'click_create_smear' and 'mcq_handled_internally', their respective handlers manage feedback and advance.
-
-  }, [currentStep, score, activeTool, playSuccessSound, playErrorSound, playDropSound, handleCreateSmear]);
-
-  // Effect to handle auto-advancing steps
-  useEffect(() => {
+    // For 'create_smear' and 'mcq', their respective handlers manage feedback and advance.
+
+  }, [currentStep, labProcedureSteps, procedure, items, playSound, playSuccessSound, playErrorSound, logEvent, recordMistake, recordReuse, spoilWetFilm, t]);
+
+  // --- Microscope Handling ---
+  const handleMicroscopeError = useCallback((errorId) => {
+    const error = HANDLING_ERRORS[errorId];
+    logEvent('microscope', { error: errorId, outcome: 'incorrect', points: -error.penalty });
+    setFeedbackMessage(t('feedback.withPenalty', { message: t(`handling.${errorId}`, { defaultValue: error.message }), count: error.penalty }));
+    setIsCorrectAction(false);
+    playErrorSound();
+    setTimeout(() => { setFeedbackMessage(''); setIsCorrectAction(null); }, 3000);
+  }, [playErrorSound, logEvent, t]);
+
+  // Focus, objective, light and stage changes, and each cell counted in the differential
+  const handleMicroscopeControl = useCallback(({ type, ...settings }) => {
+    logEvent('microscope', { control: type, ...settings });
+  }, [logEvent]);
+
+  const handleDifferentialCount = useCallback((classification) => {
+    logEvent('differential', {
+      cell: classification.key,
+      classifiedAs: classification.classifiedAs,
+      trueType: classification.trueType,
+      outcome: classification.classifiedAs === classification.trueType ? 'correct' : 'incorrect',
+    });
+  }, [logEvent]);
+
+  const handleDifferentialUncount = useCallback((classification) => {
+    logEvent('differential', { cell: classification.key, undone: true });
+  }, [logEvent]);
+
+  // Closing the microscope finishes the observation step; points for a sharp oil-immersion view
+  // and, on steps with a differential, for each cell type counted correctly
+  const handleMicroscopeClose = useCallback((scope, differential) => {
     const currentProcedure = labProcedureSteps[currentStep];
-    if (currentProcedure && currentProcedure.action === 'auto_advance_blood_drop') {
-      // Simulate a brief delay before the second drop appears and auto-advances
-      const timer = setTimeout(() => {
-        handleAction(currentProcedure.target); // Trigger the action for this step
-      }, 2000); // 2-second delay for the drop to "form"
-      return () => clearTimeout(timer);
+    const focused = scope.focusedUnderOil;
+    const countComplete = !differential || differential.complete;
+    const isCorrect = focused && countComplete;
+    let message = focused
+      ? currentProcedure.feedback.focused || t('feedback.focused')
+      : currentProcedure.feedback.unfocused || t('feedback.unfocused');
+    if (differential && countComplete) {
+      message += ` ${t('feedback.differentialScored', { percent: Math.round(differential.accuracy * 100), points: differential.points })}`;
+    } else if (differential) {
+      message += ` ${t('feedback.differentialStopped', { count: differential.classifications.length })}`;
     }
-  }, [currentStep, handleAction, labProcedureSteps]);
-
 
-  // --- UI Elements ---
-  const ToolButton = ({ id, label, icon, onClick, isDraggable = false }) => {
-    const currentProcedure = labProcedureSteps[currentStep];
-    const isPickUpTarget = currentProcedure?.action === 'pick_up_tool' && currentProcedure?.target === id;
-    const isToolForDragTarget = currentProcedure?.action === 'use_tool_on_target' && currentProcedure?.tool === id;
-
-    // A tool is clickable if it's the target to be picked up
-    const isClickable = isPickUpTarget;
-
-    // A tool is draggable from the panel if it's meant to be dragged to a target area
-    const canBeDraggedFromPanel = isDraggable && isToolForDragTarget;
-
-    // Visual active state: if it's the currently held tool
-    const isActive = activeTool === id;
-
-    // Visual highlighting: if it's the tool to be picked up OR the tool to be dragged from panel
-    const isHighlighted = isPickUpTarget || canBeDraggedFromPanel;
-
-    return (
-      <button
-        id={id}
-        className={`flex flex-col items-center justify-center p-3 md:p-4 rounded-xl shadow-md transition-all duration-200 ease-in-out
-          ${isActive ? 'bg-indigo-400 text-white transform scale-105' : 'bg-white text-gray-800 hover:bg-gray-100'}
-          ${isHighlighted && !isActive ? 'border-2 border-dashed border-purple-500 animate-pulse' : 'border-2 border-transparent'}
-          ${activeTool === id ? 'ring-4 ring-blue-500 ring-opacity-75' : ''}
-          ${(isClickable || canBeDraggedFromPanel) ? 'cursor-pointer' : 'opacity-70 cursor-not-allowed'}
-        `}
-        onClick={isClickable ? () => onClick(id) : null}
-        draggable={canBeDraggedFromPanel} // Only draggable if relevant for current step and meant for dragging from panel
-        onDragStart={canBeDraggedFromPanel ? handleDragStart(id) : null}
-      >
-        <span className="text-2xl md:text-4xl mb-1">{icon}</span>
-        <span className="text-xs md:text-sm font-semibold text-center">{label}</span>
-      </button>
-    );
-  };
-
-  const TargetArea = ({ id, label, icon, onDrop, children }) => {
+    setShowMicroscopeView(false);
+    logEvent('microscope', { control: 'close', outcome: focused ? 'correct' : 'incorrect', points: focused ? currentProcedure.points : 0, focusedUnderOil: focused });
+    if (differential) {
+      const { classifications, ...result } = differential;
+      logEvent('differential', {
+        outcome: countComplete ? 'correct' : 'incorrect',
+        points: countComplete ? differential.points : 0,
+        result: { ...result, cellCount: classifications.length },
+      });
+    }
+    setFeedbackMessage(message);
+    setIsCorrectAction(isCorrect);
+    if (isCorrect) playSuccessSound();
+    else playErrorSound();
+    setTimeout(() => {
+      setCurrentStep(prev => {
+          console.log(`Transitioning step from ${prev} to ${prev + 1}`);
+          return prev + 1;
+      });
+      setFeedbackMessage('');
+      setIsCorrectAction(null);
+    }, differential ? 4000 : 2000);
+  }, [currentStep, labProcedureSteps, playSuccessSound, playErrorSound, logEvent, t]);
+
+  // Effect to handle auto-advancing steps: they take delayMs of lab time (e.g. for the second drop to "form"),
+  // counted from when the step began, so changing the clock speed part way through shortens or stretches the wait
+  const autoAdvanced = useRef(null); // The step already advanced, so a re-run of the effect doesn't advance it twice
+  useEffect(() => {
     const currentProcedure = labProcedureSteps[currentStep];
-    const isTarget = currentProcedure?.target === id || (Array.isArray(currentProcedure?.target) && currentProcedure?.target.includes(id));
-    const isCurrentlyActiveTarget = isTarget && activeTool === currentProcedure?.tool; // Highlight only if the correct tool is active
+    if (currentProcedure?.action !== 'auto_advance' || autoAdvanced.current === currentStep) return undefined;
+    const began = latestEvents.current.filter(event => event.type === 'step_transition' && event.to === currentProcedure.id).pop();
+    const timer = setTimeout(() => {
+      autoAdvanced.current = currentStep;
+      handleAction(null); // Trigger the action for this step
+    }, wallTimeUntil(latestEvents.current, currentProcedure.delayMs, began?.t ?? Date.now()));
+    return () => clearTimeout(timer);
+  }, [currentStep, handleAction, labProcedureSteps, speed]);
 
-    return (
-      <div
-        id={id}
-        className={`relative flex flex-col items-center justify-center p-4 md:p-6 rounded-xl border-2 transition-all duration-200 ease-in-out w-full max-w-sm
-          ${isCurrentlyActiveTarget ? 'border-purple-600 bg-purple-50 animate-pulse' : 'border-gray-300 bg-gray-50'}
-          ${activeTool && isTarget ? 'cursor-copy' : 'cursor-default'}
-        `}
-        onDragOver={handleDragOver}
-        onDrop={isCurrentlyActiveTarget ? onDrop : null} // Only allow drop if it's the current target with the correct active tool
-      >
-        <span className="text-3xl md:text-5xl mb-2">{icon}</span>
-        <span className="text-sm md:text-base font-semibold text-gray-700 text-center">{label}</span>
-        {children}
-      </div>
-    );
-  };
 
   // --- Reset Simulation ---
   const resetSimulation = useCallback(() => {
     setCurrentStep(0);
-    setScore(0);
+    setEvents([]); // A restart begins a fresh log
+    loggedStep.current = 0;
+    autoAdvanced.current = null;
     setFeedbackMessage('');
     setIsCorrectAction(null);
     setActiveTool(null);
-    setBloodDropVisible(false);
-    setSlideHasBlood(false);
-    setSmearQuality(null);
+    setLabState(procedure.state);
     setShowMicroscopeView(false);
-
-    // Clear smear canvas
-    const smearCtx = smearCanvasRef.current?.getContext('2d');
-    if (smearCtx) smearCtx.clearRect(0, 0, smearCanvasRef.current.width, smearCanvasRef.current.height);
-    // Clear microscope view canvas
-    const microCtx = microscopeViewCanvasRef.current?.getContext('2d');
-    if (microCtx) microCtx.clearRect(0, 0, microscopeViewCanvasRef.current.width, microscopeViewCanvasRef.current.height);
+    setAttemptSeed(Math.floor(Math.random() * 2 ** 32));
 
     playClickSound();
-  }, [playClickSound]);
+  }, [playClickSound, procedure]);
 
+  const downloadActionLog = useCallback(() => {
+    if (studentName.trim()) saveStudentName(studentName);
+    downloadAttemptRecord(buildAttemptRecord({ procedure, attempt, attemptSeed, events, studentName }));
+  }, [procedure, attempt, attemptSeed, events, studentName]);
 
-  // --- Video Player Component ---
-  const VideoPlayer = ({ videoId, onVideoComplete }) => {
-    return (
-      <div className="flex flex-col items-center justify-center min-h-screen bg-gradient-to-br from-blue-100 to-indigo-200 p-6 font-inter">
-        <div className="bg-white p-8 rounded-xl shadow-2xl max-w-4xl w-full text-center border-4 border-indigo-500 animate-fade-in">
-          <h2 className="text-3xl md:text-4xl font-extrabold text-indigo-700 mb-6">
-            Real-Life Demonstration
-          </h2>
-          <p className="text-lg text-gray-700 mb-6">
-            Watch this video to see the blood smear preparation process in action.
-          </p>
-          <div className="relative w-full h-0 pb-[56.25%] mb-8 rounded-lg overflow-hidden shadow-lg">
-            <iframe
-              className="absolute top-0 left-0 w-full h-full"
-              src={`https://www.youtube.com/embed/${videoId}?rel=0`}
-              title="YouTube video player"
-              frameBorder="0"
-              allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share"
-              referrerPolicy="strict-origin-when-cross-origin"
-              allowFullScreen
-            ></iframe>
-          </div>
-          <button
-            onClick={onVideoComplete}
-            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-transform transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-indigo-300 text-lg md:text-xl"
-          >
-            Next
-          </button>
-        </div>
-      </div>
-    );
-  };
-
-  // --- MCQ Challenge Component ---
-  const MCQChallenge = ({ question, options, correctAnswer, onQuizComplete }) => {
-    const [selectedOption, setSelectedOption] = useState(null);
-    const [localFeedback, setLocalFeedback] = useState('');
-    const [localIsCorrect, setLocalIsCorrect] = useState(null);
-
-    const handleSubmit = () => {
-      if (selectedOption === null) {
-        setLocalFeedback('Please select an answer.');
-        setLocalIsCorrect(null);
-        return;
-      }
-
-      const isCorrectAnswer = (selectedOption === correctAnswer);
-
-      if (isCorrectAnswer) {
-        setLocalFeedback('Correct! Well done.');
-        setLocalIsCorrect(true);
-      } else {
-        setLocalFeedback(`Incorrect. The correct answer was: ${correctAnswer}`);
-        setLocalIsCorrect(false);
-      }
-
-      // After a short delay, signal completion to the parent component
-      setTimeout(() => {
-        onQuizComplete(isCorrectAnswer); // Pass correctness back to parent
-      }, 2000); // Show feedback for 2 seconds
-    };
-
-    return (
-      <div className="flex flex-col items-center justify-center min-h-screen bg-gradient-to-br from-green-100 to-teal-200 p-6 font-inter">
-        <div className="bg-white p-8 rounded-xl shadow-2xl max-w-3xl w-full text-center border-4 border-teal-500 animate-fade-in">
-          <h2 className="text-3xl md:text-4xl font-extrabold text-teal-700 mb-6">
-            Knowledge Check!
-          </h2>
-          <p className="text-lg text-gray-700 mb-6 leading-relaxed">
-            {question}
-          </p>
-          <div className="flex flex-col space-y-4 mb-8">
-            {options.map((option, index) => (
-              <button
-                key={index}
-                onClick={() => setSelectedOption(option)}
-                className={`w-full p-4 rounded-lg border-2 text-left font-semibold transition-all duration-200
-                  ${selectedOption === option ? 'bg-teal-400 text-white border-teal-600 shadow-md' : 'bg-white text-gray-800 border-gray-300 hover:bg-teal-50 hover:border-teal-300'}
-                  ${localIsCorrect === true && selectedOption === option ? 'bg-green-500 border-green-700 text-white' : ''}
-                  ${localIsCorrect === false && selectedOption === option ? 'bg-red-500 border-red-700 text-white' : ''}
-                `}
-                disabled={localIsCorrect !== null} // Disable buttons after answer
-              >
-                {option}
-              </button>
-            ))}
-          </div>
-          <button
-            onClick={handleSubmit}
-            className="bg-teal-600 hover:bg-teal-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-transform transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-teal-300 text-lg md:text-xl disabled:opacity-50 disabled:cursor-not-allowed"
-            disabled={localIsCorrect !== null} // Disable submit after answer
-          >
-            Submit Answer
-          </button>
-          {localFeedback && (
-            <div className={`mt-6 p-4 rounded-lg text-white font-bold text-xl ${localIsCorrect ? 'bg-green-500' : 'bg-red-500'}`}>
-              {localFeedback}
-            </div>
-          )}
-        </div>
-      </div>
-    );
-  };
 
   // Log current state for debugging
   console.log('--- App Render ---');
   console.log('Current Step:', currentStep, '(', labProcedureSteps[currentStep]?.id, ')');
   console.log('Active Tool:', activeTool);
-  console.log('Slide Has Blood:', slideHasBlood);
+  console.log('Lab State:', labState);
   console.log('Feedback Message:', feedbackMessage);
   console.log('Is Correct Action:', isCorrectAction);
   console.log('------------------');
 
+  const step = labProcedureSteps[currentStep];
+  const screen = timeExpired ? 'completion' : screenForStep(step);
 
   return (
     <div className="relative w-full min-h-screen bg-gradient-to-br from-sky-100 to-indigo-200 flex flex-col items-center justify-start font-inter overflow-hidden pb-8">
       {/* Header */}
-      <header className="w-full shadow-lg bg-indigo-800 py-4 md:py-6 mb-4 md:mb-8">
+      <header className="relative w-full shadow-lg bg-indigo-800 py-4 md:py-6 mb-4 md:mb-8">
         <h1 className="text-2xl md:text-4xl text-white font-extrabold text-center tracking-wide">
-          Kings Polytechnic Online
+          {t('app.title')}
         </h1>
         <p className="text-center text-indigo-200 font-medium mt-1 md:mt-2 text-sm md:text-base">
-          Virtual Medical Lab Practical
+          {t('app.subtitle')}
         </p>
+        <div className="absolute top-2 end-2 flex items-center gap-2">
+          <AudioControls />
+          <LanguageSwitcher />
+        </div>
       </header>
 
       {/* Main Content Area */}
       <main className="flex flex-col items-center w-full max-w-6xl px-4">
+        {/* Live region: instructions and feedback for screen readers */}
+        <p className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+          <span key={announcement.id}>{announcement.text}</span>
+        </p>
 
         {/* Top Instruction & Score Bar */}
-        {currentStep < labProcedureSteps.length - 1 && currentStep !== 0 && labProcedureSteps[currentStep]?.id !== 'mcq_challenge' && ( // Hide for intro, final completion, and MCQ
+        {guided && (screen === 'workspace' || screen === 'video') && ( // Hide for intro, final completion, and MCQ
           <div className="bg-white bg-opacity-95 rounded-xl shadow-xl p-4 md:p-6 w-full mb-6 border-b-4 border-purple-500 animate-fade-in">
-            <h2 className="text-lg md:text-xl font-bold text-gray-800 mb-2">Current Task:</h2>
-            <p className="text-base md:text-lg text-gray-700">{labProcedureSteps[currentStep]?.instruction}</p>
+            <div className="flex justify-between items-start gap-2 mb-2">
+              <h2 className="text-lg md:text-xl font-bold text-gray-800">{t('task.current')}</h2>
+              {(speechSupported || step?.narration) && (
+                <button
+                  onClick={() => narrate(instructionNarration(step))}
+                  className="shrink-0 px-3 py-1 rounded-full bg-purple-100 text-purple-800 text-sm font-semibold hover:bg-purple-200 focus:outline-none focus:ring-2 focus:ring-purple-400"
+                >
+                  <span aria-hidden="true">🔈 </span>{t('narration.replay')}
+                </button>
+              )}
+            </div>
+            <p className="text-base md:text-lg text-gray-700">{step?.instruction}</p>
             <div className="flex justify-between items-center mt-4 pt-4 border-t border-gray-200">
-              <span className="text-xl md:text-2xl font-semibold text-purple-700">Score: {score}</span>
-              <span className="text-md md:text-lg font-semibold text-gray-600">Step {currentStep} / {labProcedureSteps.length - 1}</span>
+              <span className="text-xl md:text-2xl font-semibold text-purple-700">{t('task.score', { score })}</span>
+              <span className="text-md md:text-lg font-semibold text-gray-600">{t('task.step', { step: currentStep, total: labProcedureSteps.length - 1 })}</span>
             </div>
           </div>
         )}
 
+        {/* Consequences carried forward from earlier mistakes */}
+        {guided && screen === 'workspace' && consequences.length > 0 && (
+          <div className="w-full mb-6 p-3 rounded-xl bg-amber-50 border-2 border-amber-400 text-amber-900 text-sm md:text-base animate-fade-in" role="status">
+            <span className="font-bold">{t('task.carriedForward')} </span>
+            {consequences.map(rule => rule.label).join(' · ')}
+          </div>
+        )}
 
-        {/* Feedback Message */}
-        {feedbackMessage && (
-          <div className={`fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 p-4 md:p-6 rounded-lg shadow-2xl text-white text-center font-bold text-xl md:text-2xl z-50 animate-fade-in transition-all duration-300 ease-in-out
+        {/* Exam Bar: the procedure name and the time left, nothing that gives the steps away */}
+        {!guided && (screen === 'workspace' || screen === 'video') && (
+          <div className="bg-white bg-opacity-95 rounded-xl shadow-xl p-4 md:p-6 w-full mb-6 border-b-4 border-red-500 animate-fade-in flex justify-between items-center">
+            <div>
+              <h2 className="text-lg md:text-xl font-bold text-gray-800">{procedure.title}</h2>
+              <p className="text-sm text-red-700 font-semibold uppercase">{t('modes.exam')}</p>
+            </div>
+            {remainingMs !== null && (
+              <span className={`font-mono text-xl md:text-2xl font-semibold ${remainingMs < 60000 ? 'text-red-700' : 'text-gray-700'}`} aria-label={t('task.timeRemaining')}>
+                {formatCountdown(remainingMs)}
+              </span>
+            )}
+          </div>
+        )}
+
+        {/* Lab clock: lab time, its speed and, in practice attempts, how far the film has dried */}
+        {screen === 'workspace' && (
+          <LabClock labMs={labTime(events, now)} speed={speed} dryness={dryness} showProgress={guided} onSpeedChange={handleSpeedChange} />
+        )}
+
+
+        {/* Feedback Message (practice attempts only) */}
+        {guided && feedbackMessage && (
+          <div aria-hidden="true" className={`fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 p-4 md:p-6 rounded-lg shadow-2xl text-white text-center font-bold text-xl md:text-2xl z-50 animate-fade-in transition-all duration-300 ease-in-out
             ${isCorrectAction === true ? 'bg-green-600' : 'bg-red-600'}`}>
             {feedbackMessage}
           </div>
         )}
 
-        {/* Render different screens based on currentStep */}
-        {currentStep === 0 && (
+        {/* Render different screens based on the current step's action */}
+        {screen === 'intro' && (
           <div className="absolute inset-0 flex items-center justify-center z-20 bg-black bg-opacity-70 pointer-events-auto">
-            <div className="bg-white p-8 md:p-12 rounded-xl shadow-2xl text-center border-4 border-purple-500 animate-scale-in transform transition-all duration-300 ease-in-out scale-95 md:scale-100">
-              <h1 className="text-3xl md:text-5xl font-extrabold text-purple-700 mb-4">Kings Polytechnic Online</h1>
+            <Dialog labelledBy="intro-title" className="bg-white p-8 md:p-12 rounded-xl shadow-2xl text-center border-4 border-purple-500 animate-scale-in transform transition-all duration-300 ease-in-out scale-95 md:scale-100">
+              <h1 id="intro-title" className="text-3xl md:text-5xl font-extrabold text-purple-700 mb-4">{t('app.title')}</h1>
               <p className="text-base md:text-lg text-gray-700 mb-6">
-                Learn the step-by-step procedure for preparing a blood smear, from patient preparation to microscopic observation.
+                {procedure.description}
               </p>
+              {patientCase && (
+                <p className="text-base text-gray-700 mb-6 max-w-2xl mx-auto p-3 rounded-lg bg-indigo-50 border border-indigo-200 text-start">
+                  <span className="font-bold">{t('cases.patient')} </span>
+                  {translateCase(t, patientCase).history}
+                </p>
+              )}
+              {!guided && (
+                <p className="text-base text-red-700 font-semibold mb-6">
+                  {t('intro.examNotice')}
+                  {attempt.timeLimitMinutes && ` ${t('intro.timeLimit', { count: attempt.timeLimitMinutes })}`}
+                </p>
+              )}
               <button
-                onClick={() => { setCurrentStep(1); playClickSound(); }}
+                onClick={() => {
+                  logEvent('attempt_started', { outcome: 'info', procedureId: procedure.id, procedureVersion: procedure.version, attemptSeed, caseId: patientCase?.id ?? null });
+                  setCurrentStep(1);
+                  playClickSound();
+                }}
+                data-autofocus
                 className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-transform transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-purple-300 text-lg md:text-xl"
               >
-                Start Simulation
+                {t('intro.start')}
               </button>
-            </div>
+            </Dialog>
           </div>
         )}
 
         {/* Lab Workspace (visible for core simulation steps) */}
-        {currentStep > 0 && currentStep < labProcedureSteps.findIndex(step => step.id === 'video_demonstration') && !showMicroscopeView && (
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 w-full">
-            {/* Tools Column */}
-            <div className="md:col-span-1 bg-white rounded-xl shadow-lg p-4 md:p-6 flex flex-col items-center space-y-4 border-2 border-gray-200">
-              <h3 className="text-xl font-bold text-gray-800 mb-2">Tools</h3>
-              <ToolButton id="alcohol_swab" label="Alcohol Swab" icon="🩹" onClick={handleAction} isDraggable={true} />
-              <ToolButton id="lancet" label="Lancet" icon="💉" onClick={handleAction} isDraggable={true} />
-              <ToolButton id="clean_slide" label="Clean Slide" icon="🔬" onClick={handleAction} isDraggable={true} />
-              <ToolButton id="spreader_slide" label="Spreader Slide" icon="📏" onClick={handleAction} isDraggable={true} />
-            </div>
+        {screen === 'workspace' && !showMicroscopeView && (
+          <Workspace
+            procedure={procedure}
+            step={step}
+            labState={labState}
+            items={items}
+            activeTool={activeTool}
+            smearResult={smearResult}
+            filmDryness={dryness ?? 1}
+            guidance={guided}
+            onToolClick={handleAction}
+            onSelectTool={beginToolUse}
+            onUseOnTarget={applyToolTo}
+            onReleaseTool={releaseTool}
+          >
+            {/* Spreading gesture (for create_smear steps) */}
+            {step?.action === 'create_smear' && activeTool === step.tool && requirementsMet(step, labState) && (
+              <SmearGesture onComplete={handleCreateSmear} />
+            )}
 
-            {/* Workspace Column */}
-            <div className="md:col-span-2 bg-white rounded-xl shadow-lg p-4 md:p-6 flex flex-col items-center justify-around space-y-6 border-2 border-gray-200">
-              <h3 className="text-xl font-bold text-gray-800 mb-2">Workspace</h3>
-
-              {/* Patient Finger Area */}
-              <TargetArea
-                id="finger"
-                label="Patient Finger"
-                icon="👆"
-                onDrop={handleDrop('finger')}
-                ref={fingerRef}
-              >
-                {/* Blood drop icon appears only when bloodDropVisible is true */}
-                {bloodDropVisible && (
-                  <span className="absolute text-3xl md:text-5xl top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 text-red-600 animate-pulse">🩸</span>
-                )}
-              </TargetArea>
-
-              {/* Blood Drop Target (always present in DOM, visibility controlled by state) */}
-              <TargetArea
-                id="blood_drop"
-                label="Blood Drop"
-                icon="💧"
-                onDrop={handleDrop('blood_drop')}
-              >
-                {bloodDropVisible && (
-                  <span className="absolute text-3xl md:text-5xl top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 text-red-600 animate-pulse">🩸</span>
-                )}
-              </TargetArea>
-
-              {/* Clean Slide & Smear Area */}
-              <TargetArea
-                id="clean_slide_area"
-                label="Glass Slide"
-                icon="⬜"
-                onDrop={handleDrop('clean_slide_area')} // For dropping the blood onto the slide
-                ref={slideRef}
+            {/* Next Step Button (for next_step_button steps) AND View Smear Button (for view_microscope steps) */}
+            {(step?.action === 'next_step_button' || step?.action === 'view_microscope') && (
+              <button
+                onClick={() => {
+                  if (step.action === 'view_microscope') {
+                    handleAction('microscope_icon'); // Correctly trigger microscope view
+                  } else {
+                    handleAction('next_button');
+                  }
+                }}
+                className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-transform transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-blue-300 text-lg md:text-xl pointer-events-auto mt-6"
               >
-                {slideHasBlood && (
-                  <canvas
-                    ref={smearCanvasRef}
-                    width="200"
-                    height="100"
-                    className={`absolute rounded-md transition-opacity duration-500
-                      ${smearQuality ? 'border-2' : ''}
-                      ${smearQuality === 'good' ? 'border-green-500' : smearQuality ? 'border-red-500' : ''}
-                    `}
-                  ></canvas>
-                )}
-              </TargetArea>
-
-              {/* Create Smear Button (for perform_smear step) */}
-              {labProcedureSteps[currentStep]?.id === 'perform_smear' && activeTool === 'spreader_slide' && slideHasBlood && (
-                 <button
-                   onClick={() => handleAction('create_smear_button')}
-                   className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-transform transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-blue-300 text-lg md:text-xl pointer-events-auto mt-6"
-                 >
-                   Create Smear
-                 </button>
-              )}
-
-              {/* Next Step Button (for air_dry and procedure_complete) AND View Smear Button (for microscope_observation) */}
-              {(labProcedureSteps[currentStep]?.id === 'air_dry' || labProcedureSteps[currentStep]?.id === 'microscope_observation' || labProcedureSteps[currentStep]?.id === 'procedure_complete') && (
-                <button
-                  onClick={() => {
-                    if (labProcedureSteps[currentStep]?.id === 'microscope_observation') {
-                      handleAction('microscope_icon'); // Correctly trigger microscope view
-                    } else {
-                      handleAction('next_button'); // For 'air_dry' and 'procedure_complete'
-                    }
-                  }}
-                  className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-transform transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-blue-300 text-lg md:text-xl pointer-events-auto mt-6"
-                >
-                  {labProcedureSteps[currentStep]?.id === 'air_dry' ? 'Next Step' :
-                   labProcedureSteps[currentStep]?.id === 'microscope_observation' ? 'View Smear under Microscope' :
-                   'Continue'}
-                </button>
-              )}
-
-            </div>
-          </div>
+                {step.buttonLabel || (step.action === 'view_microscope' ? t('workspace.viewMicroscope') : t('workspace.nextStep'))}
+              </button>
+            )}
+          </Workspace>
         )}
 
         {/* Microscope Observation View */}
         {showMicroscopeView && (
           <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center z-40 animate-fade-in">
-            <div className="bg-white rounded-xl shadow-2xl p-6 md:p-8 text-center border-4 border-indigo-500 flex flex-col items-center">
-              <h2 className="text-2xl md:text-3xl font-extrabold text-indigo-700 mb-4">Microscopic View</h2>
-              <canvas
-                ref={microscopeViewCanvasRef}
-                width="400"
-                height="400"
-                className="bg-black rounded-full border-4 border-gray-700 mb-6"
-              ></canvas>
-              {smearQuality && (
-                <p className={`text-xl md:text-2xl font-bold mb-4 ${smearQuality === 'good' ? 'text-green-700' : 'text-red-700'}`}>
-                  Smear Quality: {smearQuality.replace('_', ' ').toUpperCase()}
-                </p>
-              )}
-              <button
-                onClick={() => { setShowMicroscopeView(false); setCurrentStep(prev => {
-                    console.log(`Transitioning step from ${prev} to ${prev + 1}`);
-                    return prev + 1;
-                }); playClickSound(); }}
-                className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-transform transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-blue-300 text-lg md:text-xl"
-              >
-                Close View & Finish
-              </button>
-            </div>
+            <Dialog labelledBy="microscope-title" className="bg-white rounded-xl shadow-2xl p-6 md:p-8 text-center border-4 border-indigo-500 flex flex-col items-center max-h-screen overflow-y-auto">
+              <MicroscopePanel
+                smear={smearResult}
+                seed={attemptSeed}
+                patientCase={patientCase}
+                differential={step.differential}
+                showFeedback={guided}
+                onHandlingError={handleMicroscopeError}
+                onControl={handleMicroscopeControl}
+                onCount={handleDifferentialCount}
+                onUncount={handleDifferentialUncount}
+                onClose={handleMicroscopeClose}
+              />
+            </Dialog>
           </div>
         )}
 
         {/* Video Demonstration Screen */}
-        {labProcedureSteps[currentStep]?.id === 'video_demonstration' && (
+        {screen === 'video' && (
           <VideoPlayer
-            videoId="KSs0SMfERuA" // YouTube video ID for "Blood Smear Preparation and Staining Practical Lab"
-            onVideoComplete={() => handleAction('next_button')} // Use handleAction to advance step
+            video={step.video}
+            steps={labProcedureSteps}
+            answeredIds={answeredCheckpoints}
+            showFeedback={guided}
+            onCheckpointAnswer={(checkpoint, response, correct) => {
+              logEvent('video_checkpoint', {
+                questionId: checkpoint.id,
+                response,
+                answer: checkpoint.options[response],
+                outcome: correct ? 'correct' : 'incorrect',
+                points: correct ? checkpoint.points || 0 : 0,
+              });
+              playClickSound();
+            }}
+            onVideoComplete={(watch) => {
+              logEvent('video_watched', watch);
+              handleAction('next_button'); // Use handleAction to advance step
+            }}
           />
         )}
 
-        {/* MCQ Challenge Screen */}
-        {labProcedureSteps[currentStep]?.id === 'mcq_challenge' && (
-          <MCQChallenge
-            question="Which of the following is the primary purpose of wiping away the first drop of blood during a finger prick for a blood smear?"
-            options={[
-              "To reduce pain for the patient.",
-              "To remove tissue fluid contamination.",
-              "To ensure the blood drop is larger.",
-              "To sterilize the finger further."
-            ]}
-            correctAnswer="To remove tissue fluid contamination."
-            onQuizComplete={(isAnswerCorrect) => {
-              // This callback is triggered by MCQChallenge when an answer is submitted
-              if (isAnswerCorrect) {
-                setScore(prev => prev + 50); // Award points for correct MCQ answer
-                setFeedbackMessage('Correct! Well done.');
-                setIsCorrectAction(true);
-              } else {
-                setFeedbackMessage('Incorrect. Try to review the video demonstration.');
-                setIsCorrectAction(false);
-              }
+        {/* Knowledge Check Screen */}
+        {screen === 'mcq' && (
+          <KnowledgeCheck
+            questions={quizzes[step.id]}
+            answered={events.filter(event => event.type === 'mcq_answer' && event.stepId === step.id).map(event => event.questionId)}
+            showFeedback={guided}
+            onAnswer={(question, response, correct) => {
+              logEvent('mcq_answer', {
+                questionId: question.id,
+                response,
+                answer: describeResponse(question, response),
+                outcome: correct ? 'correct' : 'incorrect',
+                points: correct ? step.quiz.pointsPerQuestion : 0,
+              });
               playClickSound(); // Play a click sound on answer submission
+            }}
+            onFinish={() => {
+              setCurrentStep(prev => {
+                console.log(`Transitioning step from ${prev} to ${prev + 1}`);
+                return prev + 1;
+              });
+            }}
+          />
+        )}
 
-              // Advance to the next step after showing feedback
-              setTimeout(() => {
-                setCurrentStep(prev => {
-                  console.log(`Transitioning step from ${prev} to ${prev + 1}`);
-                  return prev + 1;
-                });
-                setFeedbackMessage('');
-                setIsCorrectAction(null);
-              }, 2000); // Show feedback for 2 seconds before advancing
+
+        {/* Findings Screen: the key findings of the patient's film */}
+        {screen === 'findings' && (
+          <FindingsCheck
+            patientCase={patientCase}
+            options={findingOptions(procedure)}
+            points={step.points}
+            showFeedback={guided}
+            recorded={reportedFindings?.stepId === step.id ? reportedFindings : null}
+            onSubmit={(selected, result) => {
+              const { correct, wrong, missed, outcome, points } = result;
+              logEvent('findings', { caseId: patientCase.id, selected, correct, wrong, missed, outcome, points });
+              if (outcome === 'correct') playSuccessSound();
+              else playErrorSound();
             }}
+            onFinish={() => setCurrentStep(prev => prev + 1)}
           />
         )}
 
 
         {/* Final Completion Message */}
-        {labProcedureSteps[currentStep]?.id === 'final_completion' && (
+        {screen === 'completion' && (
           <div className="absolute inset-0 flex items-center justify-center z-20 bg-black bg-opacity-70 pointer-events-auto">
-            <div className="bg-white p-8 md:p-12 rounded-xl shadow-2xl text-center border-4 border-green-500 animate-scale-in transform transition-all duration-300 ease-in-out scale-95 md:scale-100">
-              <h1 className="text-3xl md:text-5xl font-extrabold text-green-700 mb-4">Kings Polytechnic Online</h1>
+            <Dialog labelledBy="completion-title" className="bg-white p-8 md:p-12 rounded-xl shadow-2xl text-center border-4 border-green-500 animate-scale-in transform transition-all duration-300 ease-in-out scale-95 md:scale-100">
+              <h1 id="completion-title" tabIndex={-1} data-autofocus className="text-3xl md:text-5xl font-extrabold text-green-700 mb-4 focus:outline-none">{t('app.title')}</h1>
               <p className="text-base md:text-lg text-gray-700 mb-6">
-                You have successfully completed the Blood Smear Preparation module, including the simulation, video demonstration, and knowledge check!
-              </p>
-              <p className="text-2xl md:text-3xl font-bold text-green-800 mb-8">
-                Final Score: {score} points!
+                {timeExpired ? t('completion.timeUp', { count: attempt.timeLimitMinutes }) : procedure.completionMessage || step.instruction}
               </p>
+              <div className="mb-4 max-h-[40vh] overflow-y-auto">
+                <RubricBreakdown evaluation={evaluateRubric(procedure, events)} />
+              </div>
+              {differentialResult?.complete && (
+                <div className="mb-8 flex flex-col items-center">
+                  <h2 className="text-lg font-bold text-gray-800 mb-2">{t('completion.differential')}</h2>
+                  <DifferentialResults result={differentialResult} />
+                </div>
+              )}
+              {patientCase && reportedFindings && (
+                <div className="mb-8 flex flex-col items-center">
+                  <h2 className="text-lg font-bold text-gray-800 mb-2">{t('completion.findings')}</h2>
+                  <FindingsReview patientCase={patientCase} options={findingOptions(procedure)} result={scoreFindings(patientCase, reportedFindings.selected)} />
+                </div>
+              )}
+              {Object.entries(quizzes).map(([stepId, questions]) => (
+                <div key={stepId} className="mb-8 flex flex-col items-center max-h-[40vh] overflow-y-auto">
+                  <h2 className="text-lg font-bold text-gray-800 mb-2">{t('completion.quizReview')}</h2>
+                  <QuizReview questions={questions} answers={events.filter(event => event.type === 'mcq_answer' && event.stepId === stepId)} />
+                </div>
+              ))}
+              {labProcedureSteps.filter(entry => entry.video?.checkpoints).map(entry => (
+                <div key={entry.id} className="mb-8 flex flex-col items-center max-h-[40vh] overflow-y-auto">
+                  <h2 className="text-lg font-bold text-gray-800 mb-2">{t('completion.videoReview')}</h2>
+                  <QuizReview questions={entry.video.checkpoints} answers={events.filter(event => event.type === 'video_checkpoint' && event.stepId === entry.id)} />
+                </div>
+              ))}
+              <ReportPanel
+                procedure={procedure}
+                record={buildAttemptRecord({ procedure, attempt, attemptSeed, events, studentName })}
+                studentName={studentName}
+                onStudentNameChange={setStudentName}
+              />
               <button
-                onClick={resetSimulation}
-                className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-transform transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-green-300 text-lg md:text-xl"
+                onClick={downloadActionLog}
+                className="block mx-auto mb-4 text-green-700 font-semibold underline hover:text-green-900"
               >
-                Restart Simulation
+                {t('completion.downloadLog')}
               </button>
-            </div>
+              {guided ? (
+                <button
+                  onClick={resetSimulation}
+                  className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-transform transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-green-300 text-lg md:text-xl"
+                >
+                  {t('completion.restart')}
+                </button>
+              ) : (
+                <p className="text-sm text-gray-600">{t('completion.locked')}</p>
+              )}
+            </Dialog>
           </div>
         )}
       </main>
 
       {/* Footer */}
       <footer className="mt-10 text-center text-xs text-gray-500 opacity-70">
-        &copy; {new Date().getFullYear()} Kings Polytechnic Online | Virtual Laboratory Practical
+        &copy; {new Date().getFullYear()} {t('app.title')} | {t('app.footer')}
+        {' | '}<a href="#replay" className="underline hover:text-gray-700">{t('app.replayLink')}</a>
+        {' | '}<a href="#dashboard" className="underline hover:text-gray-700">{t('app.dashboardLink')}</a>
+        {' | '}<a href="#author" className="underline hover:text-gray-700">{t('app.authorLink')}</a>
       </footer>
     </div>
   );
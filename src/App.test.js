@@ -1,8 +1,54 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
 import App from './App';
+import I18nProvider from './i18n/I18nProvider';
+import bloodSmear from './procedures/definitions/blood-smear.json';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// The registries' files come from require.context in the bundle (see the bundled
+// modules); here they are the blood smear documents and the English catalog
+jest.mock('./procedures/bundled', () => ({
+  definitionFiles: { 'blood-smear.json': require('./procedures/definitions/blood-smear.json') },
+  translationFiles: {},
+}));
+jest.mock('./questions/bundled', () => ({
+  bankFiles: { 'blood-smear.json': require('./questions/banks/blood-smear.json') },
+  translationFiles: {},
+}));
+jest.mock('./i18n/bundled', () => ({
+  catalogFiles: { 'en.json': require('./i18n/locales/en.json') },
+}));
+jest.mock('tone', () => ({}));
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.location.hash = '';
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {}); // The simulation logs every render
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const stepShown = text => expect(screen.getAllByText(text).length).toBeGreaterThan(0);
+
+const renderApp = () => render(<I18nProvider><App /></I18nProvider>);
+
+test('a first visit starts a practice attempt at the introduction', () => {
+  renderApp();
+  expect(screen.getByText(bloodSmear.description)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Start Simulation' })).toBeInTheDocument();
+});
+
+test('doing a step right scores its points and moves on to the next', () => {
+  renderApp();
+  fireEvent.click(screen.getByRole('button', { name: 'Start Simulation' }));
+  stepShown(/Step 1: Gather necessary equipment/);
+
+  fireEvent.click(screen.getByRole('button', { name: /Alcohol Swab/ }));
+  act(() => jest.advanceTimersByTime(1500));
+  stepShown(/Step 2: Clean the patient's finger/);
+
+  fireEvent.click(screen.getByRole('button', { name: /^Use the Alcohol Swab on: .*finger/i }));
+  expect(screen.getByText('Score: 10')).toBeInTheDocument();
 });
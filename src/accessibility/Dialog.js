@@ -0,0 +1,51 @@
+import React, { useRef, useEffect } from 'react';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Modal dialog box for the simulation's overlays. On opening, focus moves to the
+// element marked data-autofocus (or the dialog itself); Tab cycles within the
+// dialog; on closing, focus goes back to whatever had it before, if it is still on the page.
+export default function Dialog({ labelledBy, className = '', children }) {
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    const dialog = dialogRef.current;
+    (dialog.querySelector('[data-autofocus]') || dialog).focus();
+    return () => {
+      if (previous?.isConnected && typeof previous.focus === 'function') previous.focus();
+    };
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Tab') return;
+    const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === dialogRef.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+    <div
+      ref={dialogRef}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby={labelledBy}
+      tabIndex={-1}
+      className={`focus:outline-none ${className}`}
+      onKeyDown={handleKeyDown}
+    >
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { useAudio } from './AudioProvider';
+import { THEMES } from './themes';
+import { SOUND_CATEGORIES } from './settings';
+import { NARRATION_RATE_RANGE, voiceLanguages, voicesForLanguage } from './narration';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Header controls for sound: a mute toggle, a panel with the master and
+// per-category volumes, the theme and narration, and a prompt to enable sound
+// while the browser still has it suspended.
+export default function AudioControls({ className = '' }) {
+  const { t, locale } = useI18n();
+  const { settings, unlocked, unlock, updateSettings, voices, speechSupported } = useAudio();
+  const [open, setOpen] = useState(false);
+
+  const percent = value => Math.round(value * 100);
+  const { narration } = settings;
+  const updateNarration = changes => updateSettings({ narration: changes });
+  // voices holds only those that run on the device; without any, text isn't spoken
+  const speechAvailable = speechSupported && voices.length > 0;
+  const languageVoices = voicesForLanguage(voices, narration.lang || locale);
+  const languageName = (code) => {
+    try {
+      return new Intl.DisplayNames([locale], { type: 'language' }).of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  };
+
+  return (
+    <div className={`flex items-center gap-1 ${className}`}>
+      {!unlocked && !settings.muted && (
+        <button
+          onClick={unlock}
+          className="px-2 py-1 rounded-lg bg-amber-300 text-amber-900 text-xs font-semibold hover:bg-amber-200 focus:outline-none focus:ring-2 focus:ring-amber-100"
+        >
+          {t('audio.enable')}
+        </button>
+      )}
+      <button
+        onClick={() => updateSettings({ muted: !settings.muted })}
+        aria-pressed={settings.muted}
+        aria-label={t('audio.mute')}
+        title={t('audio.mute')}
+        className="w-8 h-8 rounded-lg bg-white text-lg leading-none border-2 border-indigo-300 focus:outline-none focus:border-purple-500"
+      >
+        <span aria-hidden="true">{settings.muted ? '🔇' : '🔊'}</span>
+      </button>
+      <div className="relative">
+        <button
+          onClick={() => setOpen(prev => !prev)}
+          aria-expanded={open}
+          aria-controls="audio-settings"
+          aria-label={t('audio.settings')}
+          title={t('audio.settings')}
+          className="w-8 h-8 rounded-lg bg-white text-lg leading-none border-2 border-indigo-300 focus:outline-none focus:border-purple-500"
+        >
+          <span aria-hidden="true">🎚️</span>
+        </button>
+        {open && (
+          <div
+            id="audio-settings"
+            className="absolute end-0 mt-2 w-72 max-h-[80vh] overflow-y-auto p-4 rounded-xl bg-white text-gray-800 text-sm text-start shadow-2xl border-2 border-indigo-200 z-40"
+            onKeyDown={e => e.key === 'Escape' && setOpen(false)}
+          >
+            <label className="block mb-3">
+              <span className="font-semibold">{t('audio.master', { percent: percent(settings.master) })}</span>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                value={percent(settings.master)}
+                onChange={e => updateSettings({ master: Number(e.target.value) / 100 })}
+                className="w-full accent-indigo-600"
+              />
+            </label>
+            {Object.keys(SOUND_CATEGORIES).map(category => (
+              <label key={category} className="block mb-3">
+                <span>{t(`audio.categories.${category}`, { percent: percent(settings.volumes[category]) })}</span>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={percent(settings.volumes[category])}
+                  onChange={e => updateSettings({ volumes: { [category]: Number(e.target.value) / 100 } })}
+                  className="w-full accent-indigo-600"
+                />
+              </label>
+            ))}
+            <label className="block">
+              <span className="font-semibold">{t('audio.theme')}</span>
+              <select
+                value={settings.theme}
+                onChange={e => updateSettings({ theme: e.target.value })}
+                className="mt-1 w-full p-1 rounded-lg border-2 border-indigo-300 bg-white focus:outline-none focus:border-purple-500"
+              >
+                {Object.keys(THEMES).map(id => <option key={id} value={id}>{t(`audio.themes.${id}`)}</option>)}
+              </select>
+            </label>
+
+            <fieldset className="mt-4 pt-3 border-t border-gray-200">
+              <legend className="font-semibold">{t('narration.title')}</legend>
+              <label className="flex items-center gap-2 my-2">
+                <input type="checkbox" checked={narration.enabled} onChange={e => updateNarration({ enabled: e.target.checked })} className="accent-indigo-600" />
+                {t('narration.enabled')}
+              </label>
+              {!speechAvailable && <p className="text-xs text-gray-500 mb-2">{t('narration.noVoices')}</p>}
+              {speechAvailable && (
+                <>
+                  <label className="block mb-2">
+                    {t('narration.language')}
+                    <select
+                      value={narration.lang}
+                      onChange={e => updateNarration({ lang: e.target.value, voiceURI: '' })}
+                      className="mt-1 w-full p-1 rounded-lg border-2 border-indigo-300 bg-white focus:outline-none focus:border-purple-500"
+                    >
+                      <option value="">{t('narration.interfaceLanguage')}</option>
+                      {voiceLanguages(voices).map(code => <option key={code} value={code}>{languageName(code)}</option>)}
+                    </select>
+                  </label>
+                  <label className="block mb-2">
+                    {t('narration.voice')}
+                    <select
+                      value={narration.voiceURI}
+                      onChange={e => updateNarration({ voiceURI: e.target.value })}
+                      className="mt-1 w-full p-1 rounded-lg border-2 border-indigo-300 bg-white focus:outline-none focus:border-purple-500"
+                    >
+                      <option value="">{t('narration.defaultVoice')}</option>
+                      {languageVoices.map(voice => <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name}</option>)}
+                    </select>
+                  </label>
+                  {languageVoices.length === 0 && (
+                    <p className="text-xs text-gray-500 mb-2">{t('narration.noVoiceForLanguage', { language: languageName(narration.lang || locale) })}</p>
+                  )}
+                </>
+              )}
+              <label className="block mb-2">
+                {t('narration.rate', { percent: percent(narration.rate) })}
+                <input
+                  type="range"
+                  min={percent(NARRATION_RATE_RANGE.min)}
+                  max={percent(NARRATION_RATE_RANGE.max)}
+                  step="10"
+                  value={percent(narration.rate)}
+                  onChange={e => updateNarration({ rate: Number(e.target.value) / 100 })}
+                  className="w-full accent-indigo-600"
+                />
+              </label>
+              <label className="block">
+                {t('narration.volume', { percent: percent(narration.volume) })}
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={percent(narration.volume)}
+                  onChange={e => updateNarration({ volume: Number(e.target.value) / 100 })}
+                  className="w-full accent-indigo-600"
+                />
+              </label>
+            </fieldset>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
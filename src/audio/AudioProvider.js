@@ -0,0 +1,111 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { createAudioService } from './audioService';
+import { createNarrator } from './narrator';
+import { localVoices, chooseVoice } from './narration';
+import { loadAudioSettings, saveAudioSettings, normalizeSettings, narrationVolume } from './settings';
+import { useI18n } from '../i18n/I18nProvider';
+
+const SoundContext = createContext({
+  settings: normalizeSettings(null),
+  unlocked: false,
+  unlock: () => {},
+  updateSettings: () => {},
+  play: () => {},
+  voices: [],
+  speechSupported: false,
+  narrate: () => {},
+  stopNarration: () => {},
+});
+
+// Provides sound to the app: { settings, unlocked, unlock, updateSettings, play },
+// and narration (see ./narration): { voices, speechSupported, narrate, stopNarration }.
+// Audio is unlocked by the first click, tap or key press anywhere on the page
+// (or the "enable sound" prompt); settings are remembered in this browser.
+export default function AudioProvider({ children }) {
+  const { locale } = useI18n();
+  const [settings, setSettings] = useState(loadAudioSettings);
+  const [service] = useState(() => createAudioService(settings));
+  const [narrator] = useState(createNarrator);
+  const [voices, setVoices] = useState(() => localVoices(narrator.voices()));
+  const [unlocked, setUnlocked] = useState(false);
+
+  const unlock = useCallback(() => {
+    service.unlock()
+      .then(setUnlocked)
+      .catch(error => console.warn('Audio could not be started.', error));
+  }, [service]);
+
+  useEffect(() => {
+    if (service.isUnlocked()) unlock(); // Rebuilds the sounds if the provider was remounted
+    return () => service.dispose();
+  }, [service, unlock]);
+
+  useEffect(() => {
+    if (unlocked) return undefined;
+    document.addEventListener('pointerdown', unlock, true);
+    document.addEventListener('keydown', unlock, true);
+    return () => {
+      document.removeEventListener('pointerdown', unlock, true);
+      document.removeEventListener('keydown', unlock, true);
+    };
+  }, [unlocked, unlock]);
+
+  useEffect(() => {
+    service.setSettings(settings);
+    saveAudioSettings(settings);
+  }, [service, settings]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => normalizeSettings({
+      ...prev,
+      ...changes,
+      volumes: { ...prev.volumes, ...changes.volumes },
+      narration: { ...prev.narration, ...changes.narration },
+    }));
+  }, []);
+
+  // Voices are often listed only after the page has loaded
+  useEffect(() => {
+    const update = () => setVoices(localVoices(narrator.voices()));
+    const stopListening = narrator.onVoicesChanged(update);
+    return () => {
+      stopListening();
+      narrator.stop();
+    };
+  }, [narrator]);
+
+  useEffect(() => {
+    if (settings.muted) narrator.stop();
+  }, [settings.muted, narrator]);
+
+  // item: { text, url? }, see instructionNarration in ./narration. The settings are
+  // read through a ref so that changing them doesn't make narrate a new function.
+  const latest = useRef({ settings, locale, voices });
+  latest.current = { settings, locale, voices };
+  const narrate = useCallback((item) => {
+    const { settings: current, locale: interfaceLocale, voices: available } = latest.current;
+    const volume = narrationVolume(current);
+    if (volume === 0) return;
+    const lang = current.narration.lang || interfaceLocale;
+    narrator.narrate(item, {
+      voice: chooseVoice(available, { voiceURI: current.narration.voiceURI, lang }),
+      rate: current.narration.rate,
+      volume,
+    });
+  }, [narrator]);
+
+  const value = useMemo(() => ({
+    settings,
+    unlocked,
+    unlock,
+    updateSettings,
+    play: service.play,
+    voices,
+    speechSupported: narrator.speechSupported,
+    narrate,
+    stopNarration: narrator.stop,
+  }), [settings, unlocked, unlock, updateSettings, service, voices, narrator, narrate]);
+  return <SoundContext.Provider value={value}>{children}</SoundContext.Provider>;
+}
+
+export const useAudio = () => useContext(SoundContext);
@@ -0,0 +1,93 @@
+import * as Tone from 'tone';
+import { THEMES, DEFAULT_THEME } from './themes';
+import { SOUND_CATEGORIES, categoryOf, categoryLevelDb } from './settings';
+
+// The app's one source of sound. Every sound is played by name through a
+// channel for its category, so mute and the volume settings apply to all of
+// them in one place. Browsers keep audio suspended until the page has been
+// interacted with, so nothing is built or played until unlock() has been
+// called from a user gesture.
+
+const SYNTHS = {
+  poly: options => new Tone.PolySynth(Tone.Synth, options),
+  mono: options => new Tone.Synth(options),
+  noise: options => new Tone.NoiseSynth(options),
+};
+
+const sampleUrl = path => `${process.env.PUBLIC_URL}/${path}`;
+
+export function createAudioService(initialSettings) {
+  let settings = initialSettings;
+  let channels = null; // { category: Tone.Volume }
+  let voices = {}; // { name: { spec, synth, player } }
+
+  const buildVoices = () => {
+    Object.values(voices).forEach(({ synth, player }) => {
+      synth.dispose();
+      player?.dispose();
+    });
+    const theme = THEMES[settings.theme] || THEMES[DEFAULT_THEME];
+    voices = Object.fromEntries(Object.entries(theme.voices).map(([name, spec]) => {
+      const channel = channels[categoryOf(name)];
+      const synth = SYNTHS[spec.synth](spec.options).connect(channel);
+      // A recording that fails to load leaves the synth to stand in for it
+      const player = spec.sample
+        ? new Tone.Player({ url: sampleUrl(spec.sample), onerror: () => console.warn(`Sound ${spec.sample} could not be loaded; using a synth tone instead.`) }).connect(channel)
+        : null;
+      return [name, { spec, synth, player }];
+    }));
+  };
+
+  const applyLevels = () => {
+    Object.entries(channels).forEach(([category, channel]) => {
+      const level = categoryLevelDb(settings, category);
+      channel.mute = level === -Infinity;
+      if (level !== -Infinity) channel.volume.value = level;
+    });
+  };
+
+  return {
+    isUnlocked: () => Tone.getContext().state === 'running',
+
+    // Resumes the audio context; call from a click, tap or key press
+    async unlock() {
+      await Tone.start();
+      if (!channels) {
+        channels = Object.fromEntries(Object.keys(SOUND_CATEGORIES).map(category => [category, new Tone.Volume().toDestination()]));
+        applyLevels();
+        buildVoices();
+      }
+      return Tone.getContext().state === 'running';
+    },
+
+    setSettings(next) {
+      const themeChanged = next.theme !== settings.theme;
+      settings = next;
+      if (!channels) return;
+      applyLevels();
+      if (themeChanged) buildVoices();
+    },
+
+    play(name) {
+      const voice = voices[name];
+      if (!voice || settings.muted || Tone.getContext().state !== 'running') return;
+      if (voice.player?.loaded) {
+        voice.player.start();
+      } else if (voice.spec.synth === 'noise') {
+        voice.synth.triggerAttackRelease(voice.spec.duration);
+      } else {
+        voice.synth.triggerAttackRelease(voice.spec.notes, voice.spec.duration);
+      }
+    },
+
+    dispose() {
+      Object.values(voices).forEach(({ synth, player }) => {
+        synth.dispose();
+        player?.dispose();
+      });
+      Object.values(channels || {}).forEach(channel => channel.dispose());
+      voices = {};
+      channels = null;
+    },
+  };
+}
@@ -0,0 +1,41 @@
+import { videoUrl as publicFileUrl } from '../video/video';
+
+// Spoken narration of step instructions and feedback. A step can name a
+// recording of its instruction (step.narration, a path under public/, e.g.
+// "narration/blood-smear/clean_finger.mp3"); everything else is read by the
+// browser's own speech synthesis. Only voices that run on the device are used,
+// never ones that send the text to an online service.
+
+export const NARRATION_RATE_RANGE = { min: 0.5, max: 2 };
+
+const languageOf = lang => String(lang || '').toLowerCase().split(/[-_]/)[0];
+
+// Speech voices that run on the device
+export const localVoices = voices => voices.filter(voice => voice.localService);
+
+// Languages (e.g. 'en', 'es') the voices can speak, sorted
+export const voiceLanguages = voices => [...new Set(voices.map(voice => languageOf(voice.lang)).filter(Boolean))].sort();
+
+export const voicesForLanguage = (voices, lang) => voices.filter(voice => languageOf(voice.lang) === languageOf(lang));
+
+// The chosen voice if it speaks the language, else the language's default voice, else its first; null when none does
+export function chooseVoice(voices, { voiceURI, lang }) {
+  const candidates = voicesForLanguage(voices, lang);
+  return candidates.find(voice => voice.voiceURI === voiceURI)
+    || candidates.find(voice => voice.default)
+    || candidates[0]
+    || null;
+}
+
+// What to play for a step's instruction: its recording, with the text to speak if that can't play
+export function instructionNarration(step) {
+  return {
+    text: step.instruction,
+    ...(step.narration && { url: publicFileUrl(step.narration) }),
+  };
+}
+
+// URLs of a procedure's recorded narration, for caching ahead of going offline
+export function procedureNarration(procedure) {
+  return procedure.steps.filter(step => step.narration).map(step => publicFileUrl(step.narration));
+}
@@ -0,0 +1,28 @@
+import { localVoices, voiceLanguages, chooseVoice, instructionNarration, procedureNarration } from './narration';
+
+const voices = [
+  { name: 'Online English', voiceURI: 'online-en', lang: 'en-US', localService: false, default: true },
+  { name: 'Alex', voiceURI: 'alex', lang: 'en-GB', localService: true, default: false },
+  { name: 'Samantha', voiceURI: 'samantha', lang: 'en-US', localService: true, default: true },
+  { name: 'Mónica', voiceURI: 'monica', lang: 'es_ES', localService: true, default: false },
+];
+
+test('only voices that run on the device are offered', () => {
+  expect(localVoices(voices).map(voice => voice.voiceURI)).toEqual(['alex', 'samantha', 'monica']);
+  expect(voiceLanguages(localVoices(voices))).toEqual(['en', 'es']);
+});
+
+test('the chosen voice is used when it speaks the language, else the language default', () => {
+  const available = localVoices(voices);
+  expect(chooseVoice(available, { voiceURI: 'alex', lang: 'en' }).voiceURI).toBe('alex');
+  expect(chooseVoice(available, { voiceURI: 'alex', lang: 'es-MX' }).voiceURI).toBe('monica');
+  expect(chooseVoice(available, { voiceURI: '', lang: 'en' }).voiceURI).toBe('samantha');
+  expect(chooseVoice(available, { voiceURI: '', lang: 'ar' })).toBeNull();
+});
+
+test('a step with a recording plays it, keeping the text to speak if it cannot', () => {
+  const step = { instruction: 'Clean the finger.', narration: 'narration/clean.mp3' };
+  expect(instructionNarration(step)).toEqual({ text: 'Clean the finger.', url: '/narration/clean.mp3' });
+  expect(instructionNarration({ instruction: 'Wait.' })).toEqual({ text: 'Wait.' });
+  expect(procedureNarration({ steps: [step, { instruction: 'Wait.' }] })).toEqual(['/narration/clean.mp3']);
+});
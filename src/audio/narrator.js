@@ -0,0 +1,59 @@
+// Plays narration (see ./narration): a recording through an <audio> element,
+// or text through the browser's speech synthesis. Only one thing is narrated at
+// a time; each new item cuts off the one before.
+
+export function createNarrator() {
+  const synth = window.speechSynthesis;
+  let audio = null;
+
+  const stop = () => {
+    synth?.cancel();
+    if (audio) {
+      audio.pause();
+      audio = null;
+    }
+  };
+
+  // options: { voice, rate, volume }. Without a voice that runs on the device
+  // (see localVoices) nothing is spoken, so the browser never picks a cloud one.
+  const speak = (text, { voice, rate, volume }) => {
+    if (!synth || !text || !voice) return;
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = voice.lang;
+    utterance.voice = voice;
+    utterance.rate = rate;
+    utterance.volume = volume;
+    synth.speak(utterance);
+  };
+
+  return {
+    speechSupported: Boolean(synth),
+    voices: () => synth?.getVoices() || [],
+    onVoicesChanged(listener) {
+      synth?.addEventListener('voiceschanged', listener);
+      return () => synth?.removeEventListener('voiceschanged', listener);
+    },
+    stop,
+
+    // item: { text, url? }; a recording that can't be played is spoken instead
+    narrate(item, options) {
+      stop();
+      if (!item.url) {
+        speak(item.text, options);
+        return;
+      }
+      const player = new Audio(item.url);
+      audio = player;
+      player.playbackRate = options.rate;
+      player.volume = options.volume;
+      let fellBack = false;
+      const fallBack = () => {
+        if (audio !== player || fellBack) return;
+        fellBack = true;
+        speak(item.text, options);
+      };
+      player.addEventListener('error', fallBack);
+      player.play().catch(fallBack);
+    },
+  };
+}
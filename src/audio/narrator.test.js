@@ -0,0 +1,27 @@
+import { createNarrator } from './narrator';
+
+const options = { rate: 1, volume: 1 };
+const samantha = { name: 'Samantha', voiceURI: 'samantha', lang: 'en-US', localService: true };
+
+beforeEach(() => {
+  window.speechSynthesis = { speak: jest.fn(), cancel: jest.fn(), getVoices: () => [] };
+  window.SpeechSynthesisUtterance = function SpeechSynthesisUtterance(text) {
+    this.text = text;
+  };
+});
+
+afterEach(() => {
+  delete window.speechSynthesis;
+  delete window.SpeechSynthesisUtterance;
+});
+
+test('text is spoken by the chosen voice on the device', () => {
+  createNarrator().narrate({ text: 'Clean the finger.' }, { ...options, voice: samantha });
+  const [utterance] = window.speechSynthesis.speak.mock.calls[0];
+  expect(utterance).toMatchObject({ text: 'Clean the finger.', voice: samantha, lang: 'en-US' });
+});
+
+test('without a voice on the device nothing is spoken', () => {
+  createNarrator().narrate({ text: 'Clean the finger.' }, { ...options, voice: null });
+  expect(window.speechSynthesis.speak).not.toHaveBeenCalled();
+});
@@ -0,0 +1,80 @@
+import { THEMES, DEFAULT_THEME } from './themes';
+import { NARRATION_RATE_RANGE } from './narration';
+
+// Sound preferences: mute, master and per-category volume, the sound theme and
+// narration (off by default; lang '' follows the interface language, voiceURI '' picks its default voice).
+// They belong to the browser rather than to an attempt, so a lab machine keeps
+// the setting whoever sits down at it next.
+
+export const AUDIO_STORAGE_KEY = 'labsim.audio';
+
+// Every sound belongs to a category with its own volume
+export const SOUND_CATEGORIES = {
+  interface: ['click'],
+  feedback: ['success', 'error'],
+  lab: ['drop', 'swab'],
+};
+
+export const categoryOf = name => Object.keys(SOUND_CATEGORIES).find(category => SOUND_CATEGORIES[category].includes(name)) || null;
+
+export const DEFAULT_SETTINGS = {
+  muted: false,
+  master: 0.8,
+  volumes: Object.fromEntries(Object.keys(SOUND_CATEGORIES).map(category => [category, 1])),
+  theme: DEFAULT_THEME,
+  narration: { enabled: false, volume: 1, rate: 1, lang: '', voiceURI: '' },
+};
+
+const clampVolume = (value, fallback) => (typeof value === 'number' && Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : fallback);
+
+// Stored settings made safe to use: unknown keys dropped, volumes kept within 0–1 and missing values defaulted
+export function normalizeSettings(stored) {
+  const settings = stored !== null && typeof stored === 'object' ? stored : {};
+  return {
+    muted: settings.muted === true,
+    master: clampVolume(settings.master, DEFAULT_SETTINGS.master),
+    volumes: Object.fromEntries(Object.keys(SOUND_CATEGORIES).map(category => (
+      [category, clampVolume(settings.volumes?.[category], DEFAULT_SETTINGS.volumes[category])]
+    ))),
+    theme: THEMES[settings.theme] ? settings.theme : DEFAULT_SETTINGS.theme,
+    narration: {
+      enabled: settings.narration?.enabled === true,
+      volume: clampVolume(settings.narration?.volume, DEFAULT_SETTINGS.narration.volume),
+      rate: typeof settings.narration?.rate === 'number' && Number.isFinite(settings.narration.rate)
+        ? Math.min(NARRATION_RATE_RANGE.max, Math.max(NARRATION_RATE_RANGE.min, settings.narration.rate))
+        : DEFAULT_SETTINGS.narration.rate,
+      lang: typeof settings.narration?.lang === 'string' ? settings.narration.lang : '',
+      voiceURI: typeof settings.narration?.voiceURI === 'string' ? settings.narration.voiceURI : '',
+    },
+  };
+}
+
+export function loadAudioSettings(storage = window.localStorage) {
+  try {
+    return normalizeSettings(JSON.parse(storage.getItem(AUDIO_STORAGE_KEY)));
+  } catch (error) {
+    console.error('The saved sound settings could not be read and were ignored.', error);
+    return normalizeSettings(null);
+  }
+}
+
+export function saveAudioSettings(settings, storage = window.localStorage) {
+  try {
+    storage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('The sound settings could not be saved.', error);
+  }
+}
+
+// Volume as a gain factor (0–1) to decibels; silence is -Infinity
+export const gainToDb = gain => (gain > 0 ? 20 * Math.log10(gain) : -Infinity);
+
+// Level a category plays at, in decibels, with the theme's own adjustment
+export function categoryLevelDb(settings, category) {
+  if (settings.muted) return -Infinity;
+  const theme = THEMES[settings.theme] || THEMES[DEFAULT_THEME];
+  return gainToDb(settings.master * settings.volumes[category]) + (theme.levelDb?.[category] ?? 0);
+}
+
+// Volume (0–1) narration plays at
+export const narrationVolume = settings => (settings.muted ? 0 : settings.master * settings.narration.volume);
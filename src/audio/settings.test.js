@@ -0,0 +1,65 @@
+import fs from 'fs';
+import path from 'path';
+import { normalizeSettings, loadAudioSettings, saveAudioSettings, categoryLevelDb, categoryOf, narrationVolume, DEFAULT_SETTINGS, AUDIO_STORAGE_KEY } from './settings';
+import { THEMES, themeSamples } from './themes';
+import { SOUNDS } from '../procedures/schema';
+
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return { getItem: key => data[key] ?? null, setItem: (key, value) => { data[key] = value; } };
+};
+
+test('every sound a procedure can name has a category and a voice in every theme', () => {
+  SOUNDS.forEach((name) => {
+    expect(categoryOf(name)).not.toBeNull();
+    Object.values(THEMES).forEach(theme => expect(theme.voices[name]).toBeDefined());
+  });
+});
+
+test('stored settings are clamped, defaulted and stripped of unknown values', () => {
+  expect(normalizeSettings(null)).toEqual(DEFAULT_SETTINGS);
+  expect(normalizeSettings({ muted: 'yes', master: 3, volumes: { lab: -1, voices: 0.5 }, theme: 'disco' })).toEqual({
+    ...DEFAULT_SETTINGS,
+    master: 1,
+    volumes: { ...DEFAULT_SETTINGS.volumes, lab: 0 },
+  });
+});
+
+test('settings survive a reload, and unreadable ones fall back to the defaults', () => {
+  const storage = memoryStorage();
+  const settings = { ...DEFAULT_SETTINGS, muted: true, theme: 'exam_hall' };
+  saveAudioSettings(settings, storage);
+  expect(loadAudioSettings(storage)).toEqual(settings);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  expect(loadAudioSettings(memoryStorage({ [AUDIO_STORAGE_KEY]: '{not json' }))).toEqual(DEFAULT_SETTINGS);
+  console.error.mockRestore();
+});
+
+test('narration is off until chosen, with its speed kept to what voices manage', () => {
+  expect(DEFAULT_SETTINGS.narration.enabled).toBe(false);
+  const { narration } = normalizeSettings({ narration: { enabled: true, rate: 5, lang: 'es', voiceURI: 7 } });
+  expect(narration).toEqual({ enabled: true, volume: 1, rate: 2, lang: 'es', voiceURI: '' });
+  expect(narrationVolume({ ...DEFAULT_SETTINGS, master: 0.5 })).toBe(0.5);
+  expect(narrationVolume({ ...DEFAULT_SETTINGS, muted: true })).toBe(0);
+});
+
+test('a category plays at master times its own volume, with the theme adjustment, or not at all when muted', () => {
+  const settings = { ...DEFAULT_SETTINGS, master: 0.5, volumes: { ...DEFAULT_SETTINGS.volumes, feedback: 0.5 } };
+  expect(categoryLevelDb(settings, 'feedback')).toBeCloseTo(-12.04, 1);
+  expect(categoryLevelDb({ ...settings, theme: 'exam_hall' }, 'feedback')).toBeCloseTo(-24.04, 1);
+  expect(categoryLevelDb({ ...settings, volumes: { ...settings.volumes, lab: 0 } }, 'lab')).toBe(-Infinity);
+  expect(categoryLevelDb({ ...settings, muted: true }, 'interface')).toBe(-Infinity);
+});
+
+test('only the lab theme plays recordings', () => {
+  expect(themeSamples('lab')).toHaveLength(5);
+  expect(themeSamples('classic')).toEqual([]);
+  expect(themeSamples('exam_hall')).toEqual([]);
+});
+
+test('every recording a theme plays is shipped in public/', () => {
+  const missing = Object.keys(THEMES)
+    .flatMap(themeSamples)
+    .filter(sample => !fs.existsSync(path.join(__dirname, '../../public', sample)));
+  expect(missing).toEqual([]);
+});
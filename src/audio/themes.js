@@ -0,0 +1,70 @@
+// Sound themes: how each named sound (see SOUNDS in ../procedures/schema) is made.
+// A voice is a synth, { synth: 'poly' | 'mono' | 'noise', options, notes, duration },
+// or a recording under public/, { sample }, which keeps its synth fields as the
+// sound to play until the recording has loaded or if it can't be.
+// levelDb turns whole categories up or down for the theme (see ./settings).
+
+const CLASSIC_VOICES = {
+  click: {
+    synth: 'poly',
+    options: { oscillator: { type: 'triangle' }, envelope: { attack: 0.005, decay: 0.1, sustain: 0.05, release: 0.1 }, volume: -10 },
+    notes: 'C5',
+    duration: '8n',
+  }, // Soft, quick click
+  success: {
+    synth: 'poly',
+    options: { oscillator: { type: 'sine' }, envelope: { attack: 0.01, decay: 0.2, sustain: 0.1, release: 0.5 }, volume: -8 },
+    notes: ['G4', 'C5', 'E5'],
+    duration: '8n',
+  }, // Gentle ascending chime
+  error: {
+    synth: 'mono',
+    options: { oscillator: { type: 'square' }, envelope: { attack: 0.01, decay: 0.1, sustain: 0.01, release: 0.2 }, volume: -15 },
+    notes: 'C2',
+    duration: '8n',
+  }, // Subtle, low buzz
+  drop: {
+    synth: 'poly',
+    options: { oscillator: { type: 'sine' }, envelope: { attack: 0.01, decay: 0.3, sustain: 0.01, release: 0.2 }, volume: -12 },
+    notes: 'G3',
+    duration: '8n',
+  }, // Liquid plink
+  swab: {
+    synth: 'noise',
+    options: { noise: { type: 'white' }, envelope: { attack: 0.005, decay: 0.1, sustain: 0, release: 0.1 }, volume: -25 },
+    duration: '16n',
+  }, // Very subtle swab sound
+};
+
+const withSample = (voice, sample) => ({ ...voice, sample });
+
+export const THEMES = {
+  classic: {
+    voices: CLASSIC_VOICES,
+  },
+  lab: {
+    voices: {
+      click: withSample(CLASSIC_VOICES.click, 'sounds/lab/click.mp3'), // Glass slide set down on the bench
+      success: withSample(CLASSIC_VOICES.success, 'sounds/lab/success.mp3'), // Soft bell
+      error: withSample(CLASSIC_VOICES.error, 'sounds/lab/error.mp3'), // Muted buzzer
+      drop: withSample(CLASSIC_VOICES.drop, 'sounds/lab/drop.mp3'), // Drop landing on glass
+      swab: withSample(CLASSIC_VOICES.swab, 'sounds/lab/swab.mp3'), // Alcohol swab on skin
+    },
+  },
+  // For exams in a shared room: short, soft sine tones well below the other themes
+  exam_hall: {
+    levelDb: { interface: -12, feedback: -12, lab: -12 },
+    voices: {
+      click: { ...CLASSIC_VOICES.click, options: { oscillator: { type: 'sine' }, envelope: { attack: 0.005, decay: 0.05, sustain: 0, release: 0.05 }, volume: -14 } },
+      success: { ...CLASSIC_VOICES.success, notes: ['C5'], options: { ...CLASSIC_VOICES.success.options, volume: -14 } },
+      error: { ...CLASSIC_VOICES.error, notes: 'C3', options: { oscillator: { type: 'sine' }, envelope: { attack: 0.01, decay: 0.1, sustain: 0, release: 0.1 }, volume: -16 } },
+      drop: { ...CLASSIC_VOICES.drop, options: { ...CLASSIC_VOICES.drop.options, volume: -18 } },
+      swab: { ...CLASSIC_VOICES.swab, options: { ...CLASSIC_VOICES.swab.options, volume: -32 } },
+    },
+  },
+};
+
+export const DEFAULT_THEME = 'classic';
+
+// Recordings a theme plays, as paths under public/, for caching ahead of going offline
+export const themeSamples = theme => Object.values(THEMES[theme]?.voices || {}).map(voice => voice.sample).filter(Boolean);
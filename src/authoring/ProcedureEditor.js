@@ -0,0 +1,526 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { procedureDefinitions, questionBankErrors, DEFAULT_PROCEDURE_ID } from '../procedures';
+import { validateProcedure, STEP_ACTIONS, SOUNDS } from '../procedures/schema';
+import { screenForStep } from '../procedures/steps';
+import { ITEM_KINDS } from '../procedures/items';
+import { PATIENT_CASES, FINDINGS, findingOptions } from '../cases/cases';
+import { questionBanks } from '../questions';
+import Workspace from '../workspace/Workspace';
+import { downloadJson } from '../utils/download';
+import {
+  ACTION_LABELS, loadDraft, saveDraft, blankProcedure, newStep, insertStep, removeStep, moveStep, updateStep,
+  changeStepAction, renameStep, addCatalogEntry, stateBeforeStep, itemsBeforeStep, parseProcedureFile, draftFileName, slugify,
+} from './draft';
+
+const FEEDBACK_KEYS = {
+  success: 'Shown when the step is done',
+  failure: 'Shown when it is done wrongly',
+  unmet: 'Shown when it is tried too early',
+};
+
+const inputClass = 'block w-full mt-1 border rounded p-2 text-sm font-normal';
+const labelClass = 'block text-sm font-semibold text-gray-700';
+const smallButtonClass = 'px-2 text-indigo-700 disabled:opacity-30';
+
+// Points a step is worth as written; a knowledge check is worth what its questions are
+const stepPoints = step => (step.quiz ? (step.quiz.count || 0) * (step.quiz.pointsPerQuestion || 0) : step.points || 0);
+
+// Which video a watch_video step plays, for the preview
+const describeVideo = (video) => {
+  const sources = [video?.src && `file ${video.src}`, video?.youtubeId && `YouTube ${video.youtubeId}`].filter(Boolean);
+  return sources.length > 0 ? `(${sources.join(', falling back to ')})` : '(no video chosen yet)';
+};
+
+// Lists the tools or targets of the draft to choose from, with a small form to add one
+function Palette({ title, entries, selected, onSelect, onAdd }) {
+  const [label, setLabel] = useState('');
+  const [icon, setIcon] = useState('');
+
+  return (
+    <div>
+      <h4 className="text-sm font-semibold text-gray-700 mb-1">{title}</h4>
+      <div className="flex flex-wrap gap-2">
+        {entries.map(entry => (
+          <button
+            key={entry.id}
+            onClick={() => onSelect(entry.id)}
+            className={`flex flex-col items-center p-2 w-24 rounded-lg border-2 text-xs font-semibold
+              ${selected === entry.id ? 'border-purple-600 bg-purple-50' : 'border-gray-200 bg-white hover:bg-gray-50'}`}
+            aria-pressed={selected === entry.id}
+          >
+            <span className="text-2xl">{entry.icon}</span>
+            {entry.label}
+          </button>
+        ))}
+      </div>
+      <div className="flex items-end gap-2 mt-2">
+        <input value={icon} onChange={(e) => setIcon(e.target.value)} placeholder="Icon" className="w-16 border rounded p-1 text-sm" aria-label={`New ${title.toLowerCase()} icon`} />
+        <input value={label} onChange={(e) => setLabel(e.target.value)} placeholder="Label" className="flex-1 border rounded p-1 text-sm" aria-label={`New ${title.toLowerCase()} label`} />
+        <button
+          onClick={() => {
+            onAdd({ label: label.trim(), icon: icon.trim() });
+            setLabel('');
+            setIcon('');
+          }}
+          disabled={!label.trim() || !icon.trim()}
+          className="bg-indigo-600 text-white text-sm font-semibold py-1 px-3 rounded disabled:opacity-50"
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// requires / effects: each state flag is left alone, or must be (or becomes) true or false
+function FlagMapField({ label, flags, value = {}, onChange }) {
+  if (flags.length === 0) return null;
+  const setFlag = (flag, choice) => {
+    const next = { ...value };
+    if (choice === '') delete next[flag];
+    else next[flag] = choice === 'true';
+    onChange(Object.keys(next).length > 0 ? next : undefined);
+  };
+  return (
+    <fieldset>
+      <legend className={labelClass}>{label}</legend>
+      <div className="grid grid-cols-2 gap-2 mt-1">
+        {flags.map(flag => (
+          <label key={flag} className="text-sm text-gray-700 flex items-center gap-2">
+            <select value={flag in value ? String(value[flag]) : ''} onChange={(e) => setFlag(flag, e.target.value)} className="border rounded p-1">
+              <option value="">—</option>
+              <option value="true">true</option>
+              <option value="false">false</option>
+            </select>
+            {flag}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+}
+
+// What the student sees at the selected step, as the draft stands
+function StepPreview({ doc, index }) {
+  const step = doc.steps[index];
+  const screen = screenForStep(step);
+  const heldTool = ['use_tool_on_target', 'create_smear'].includes(step.action) ? step.tool : null;
+
+  if (screen === 'workspace') {
+    return (
+      <>
+        <div className="bg-white bg-opacity-95 rounded-xl shadow p-4 w-full mb-4 border-b-4 border-purple-500">
+          <h2 className="text-lg font-bold text-gray-800 mb-1">Current Task:</h2>
+          <p className="text-gray-700">{step.instruction || <em className="text-gray-400">No instruction yet</em>}</p>
+          <p className="text-sm text-gray-500 mt-2">Step {index} / {doc.steps.length - 1} · {stepPoints(step)} points</p>
+        </div>
+        <Workspace procedure={doc} step={step} labState={stateBeforeStep(doc, index)} items={itemsBeforeStep(doc, index)} activeTool={heldTool} smearResult={null} readOnly />
+      </>
+    );
+  }
+  return (
+    <div className="bg-white rounded-xl shadow p-8 w-full text-center text-gray-700">
+      {screen === 'intro' && (
+        <>
+          <h2 className="text-2xl font-extrabold text-purple-700 mb-2">{doc.title}</h2>
+          <p className="mb-2">{doc.description}</p>
+          <p>{step.instruction}</p>
+        </>
+      )}
+      {screen === 'video' && `Demonstration video ${describeVideo(step.video)}: ${step.instruction}`}
+      {screen === 'findings' && `Findings: the student ticks the key findings of their patient's film from ${findingOptions(doc).map(id => FINDINGS[id].label).join(', ') || 'the findings of the patient cases'}; ${stepPoints(step)} points.`}
+      {screen === 'mcq' && `Knowledge check: ${step.quiz?.count ?? 1} question(s) from the "${step.quiz?.bank ?? 'inline'}" bank, ${stepPoints(step)} points.`}
+      {screen === 'completion' && (doc.completionMessage || step.instruction)}
+    </div>
+  );
+}
+
+// The fields of one step, shown for whichever of them its action uses
+function StepForm({ doc, index, onChange }) {
+  const step = doc.steps[index];
+  const flags = Object.keys(doc.state || {});
+  const [id, setId] = useState(step.id);
+  useEffect(() => setId(step.id), [step.id]);
+
+  const update = changes => onChange(updateStep(doc, index, changes));
+  const usesTool = ['pick_up_tool', 'use_tool_on_target', 'create_smear'].includes(step.action);
+  const commitId = () => {
+    const next = slugify(id);
+    if (next !== step.id) onChange(renameStep(doc, index, next));
+    else setId(step.id);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <label className={labelClass}>
+          Step id
+          <input value={id} onChange={(e) => setId(e.target.value)} onBlur={commitId} className={inputClass} />
+        </label>
+        <label className={labelClass}>
+          Action
+          <select
+            value={step.action}
+            onChange={(e) => onChange(changeStepAction(doc, index, e.target.value, { bank: Object.keys(questionBanks)[0] }))}
+            className={inputClass}
+          >
+            {Object.keys(STEP_ACTIONS).map(action => <option key={action} value={action}>{ACTION_LABELS[action]}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <label className={labelClass}>
+        Instruction
+        <textarea value={step.instruction || ''} onChange={(e) => update({ instruction: e.target.value })} rows={3} className={inputClass} />
+      </label>
+      <label className={labelClass}>
+        Recorded narration of the instruction (path under public/; read by speech synthesis if empty)
+        <input value={step.narration || ''} placeholder="narration/my-procedure/step.mp3" onChange={(e) => update({ narration: e.target.value.trim() || undefined })} className={inputClass} />
+      </label>
+
+      {usesTool && (
+        <Palette
+          title="Tool"
+          entries={doc.tools}
+          selected={step.tool}
+          onSelect={tool => update({ tool })}
+          onAdd={(entry) => {
+            const added = addCatalogEntry(doc, 'tools', entry);
+            onChange(updateStep(added.doc, index, { tool: added.id }));
+          }}
+        />
+      )}
+      {step.action === 'use_tool_on_target' && (
+        <Palette
+          title="Target"
+          entries={doc.targets}
+          selected={step.target}
+          onSelect={target => update({ target })}
+          onAdd={(entry) => {
+            const added = addCatalogEntry(doc, 'targets', entry);
+            onChange(updateStep(added.doc, index, { target: added.id }));
+          }}
+        />
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {step.action === 'mcq' && step.quiz ? (
+          <>
+            <label className={labelClass}>
+              Question bank
+              <select value={step.quiz.bank || ''} onChange={(e) => update({ quiz: { ...step.quiz, bank: e.target.value } })} className={inputClass}>
+                {Object.keys(questionBanks).map(bank => <option key={bank} value={bank}>{bank}</option>)}
+              </select>
+            </label>
+            <label className={labelClass}>
+              Questions drawn
+              <input type="number" min="1" value={step.quiz.count} onChange={(e) => update({ quiz: { ...step.quiz, count: Number(e.target.value) } })} className={inputClass} />
+            </label>
+            <label className={labelClass}>
+              Points per question
+              <input type="number" min="0" value={step.quiz.pointsPerQuestion} onChange={(e) => update({ quiz: { ...step.quiz, pointsPerQuestion: Number(e.target.value) } })} className={inputClass} />
+            </label>
+          </>
+        ) : (
+          <label className={labelClass}>
+            Points
+            <input type="number" min="0" value={step.points ?? 0} onChange={(e) => update({ points: Number(e.target.value) || undefined })} className={inputClass} />
+          </label>
+        )}
+        {step.action === 'auto_advance' && (
+          <label className={labelClass}>
+            Wait (seconds of lab time)
+            <input type="number" min="0" step="0.5" value={(step.delayMs ?? 0) / 1000} onChange={(e) => update({ delayMs: Math.round(Number(e.target.value) * 1000) })} className={inputClass} />
+          </label>
+        )}
+        {step.action === 'next_step_button' && (
+          <label className={labelClass}>
+            Button label
+            <input value={step.buttonLabel || ''} onChange={(e) => update({ buttonLabel: e.target.value || undefined })} className={inputClass} />
+          </label>
+        )}
+        {step.action === 'watch_video' && (
+          <>
+            <label className={labelClass}>
+              Video file (path under public/, plays offline)
+              <input value={step.video?.src || ''} placeholder="videos/demonstration.mp4" onChange={(e) => update({ video: { ...step.video, src: e.target.value.trim() || undefined } })} className={inputClass} />
+            </label>
+            <label className={labelClass}>
+              YouTube video id (fallback when online)
+              <input value={step.video?.youtubeId || ''} onChange={(e) => update({ video: { ...step.video, youtubeId: e.target.value.trim() || undefined } })} className={inputClass} />
+            </label>
+            <label className={labelClass}>
+              Percentage of the file to watch before "Next" (0 for none)
+              <input type="number" min="0" max="100" value={step.video?.minWatchedPercent ?? 0} onChange={(e) => update({ video: { ...step.video, minWatchedPercent: Number(e.target.value) || undefined } })} className={inputClass} />
+            </label>
+            <p className="text-xs text-gray-500">
+              {step.video?.chapters?.length || 0} chapters and {step.video?.checkpoints?.length || 0} checkpoint questions; these are timed to the file, so edit them in the exported JSON.
+            </p>
+          </>
+        )}
+        {['use_tool_on_target', 'auto_advance'].includes(step.action) && (
+          <label className={labelClass}>
+            Sound
+            <select value={step.sound || ''} onChange={(e) => update({ sound: e.target.value || undefined })} className={inputClass}>
+              <option value="">Default</option>
+              {SOUNDS.map(sound => <option key={sound} value={sound}>{sound}</option>)}
+            </select>
+          </label>
+        )}
+      </div>
+
+      <fieldset className="space-y-2">
+        <legend className={labelClass}>Feedback</legend>
+        {Object.entries(FEEDBACK_KEYS).map(([key, description]) => (
+          <label key={key} className="block text-sm text-gray-600">
+            {description}
+            <input
+              value={step.feedback?.[key] || ''}
+              onChange={(e) => {
+                const feedback = { ...step.feedback, [key]: e.target.value };
+                if (!e.target.value) delete feedback[key];
+                update({ feedback: Object.keys(feedback).length > 0 ? feedback : undefined });
+              }}
+              className={inputClass}
+            />
+          </label>
+        ))}
+      </fieldset>
+
+      <FlagMapField label="Only possible when" flags={flags} value={step.requires} onChange={requires => update({ requires })} />
+      <FlagMapField label="Afterwards" flags={flags} value={step.effects} onChange={effects => update({ effects })} />
+      {doc.tools.filter(tool => ITEM_KINDS[tool.item?.kind]).map(tool => (
+        <FlagMapField
+          key={tool.id}
+          label={`${tool.label} afterwards`}
+          flags={ITEM_KINDS[tool.item.kind].states}
+          value={step.itemEffects?.[tool.id]}
+          onChange={(states) => {
+            const itemEffects = { ...step.itemEffects, [tool.id]: states };
+            if (!states) delete itemEffects[tool.id];
+            update({ itemEffects: Object.keys(itemEffects).length > 0 ? itemEffects : undefined });
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+// In-app authoring of procedure definitions: steps are added, reordered and
+// edited here with a live preview, then exported as a file for ../procedures/definitions.
+// onPlayThrough(doc) runs a valid draft in the simulation.
+export default function ProcedureEditor({ onPlayThrough }) {
+  const [doc, setDoc] = useState(() => loadDraft() || procedureDefinitions[DEFAULT_PROCEDURE_ID] || blankProcedure());
+  const [selected, setSelected] = useState(1);
+  const [newAction, setNewAction] = useState('use_tool_on_target');
+  const [newFlag, setNewFlag] = useState('');
+  const [importError, setImportError] = useState('');
+
+  useEffect(() => saveDraft(doc), [doc]);
+
+  const errors = useMemo(() => {
+    const schemaErrors = validateProcedure(doc);
+    return schemaErrors.length > 0 ? schemaErrors : questionBankErrors(doc);
+  }, [doc]);
+  const index = Math.min(selected, doc.steps.length - 1);
+  const totalPoints = doc.steps.reduce((total, step) => total + stepPoints(step), 0);
+
+  const startFrom = (next) => {
+    if (!window.confirm('Replace the current draft? Export it first if you want to keep it.')) return;
+    setDoc(next);
+    setSelected(1);
+    setImportError('');
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const imported = parseProcedureFile(await file.text());
+      startFrom(imported);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  return (
+    <div className="relative w-full min-h-screen bg-gradient-to-br from-sky-100 to-indigo-200 flex flex-col items-center justify-start font-inter pb-8">
+      <header className="w-full shadow-lg bg-indigo-800 py-4 md:py-6 mb-4 md:mb-8">
+        <h1 className="text-2xl md:text-4xl text-white font-extrabold text-center tracking-wide">Procedure Editor</h1>
+        <p className="text-center text-indigo-200 font-medium mt-1 md:mt-2 text-sm md:text-base">
+          {doc.title} · version {doc.version} · {doc.steps.length} steps · {totalPoints} points
+        </p>
+        <p className="text-center mt-1">
+          <a href="#simulation" className="text-indigo-100 text-sm underline hover:text-white">Back to the simulation</a>
+        </p>
+      </header>
+
+      <main className="flex flex-col items-center w-full max-w-6xl px-4 space-y-6">
+        {/* File actions */}
+        <div className="bg-white rounded-xl shadow-xl p-4 md:p-6 w-full border-b-4 border-purple-500 flex flex-wrap items-end gap-4">
+          <button onClick={() => startFrom(blankProcedure())} className="bg-gray-200 hover:bg-gray-300 font-semibold py-2 px-4 rounded">
+            New blank procedure
+          </button>
+          {Object.entries(procedureDefinitions).map(([id, definition]) => (
+            <button key={id} onClick={() => startFrom(definition)} className="bg-gray-200 hover:bg-gray-300 font-semibold py-2 px-4 rounded">
+              Start from “{definition.title}”
+            </button>
+          ))}
+          <label className={labelClass}>
+            Import definition file
+            <input type="file" accept="application/json,.json" className="block mt-1" onChange={(e) => importFile(e.target.files[0])} />
+          </label>
+          <div className="ml-auto flex gap-2">
+            <button onClick={() => downloadJson(doc, draftFileName(doc))} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-full">
+              Export
+            </button>
+            <button
+              onClick={() => onPlayThrough(doc)}
+              disabled={errors.length > 0}
+              className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-full disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Play through
+            </button>
+          </div>
+          {importError && <p className="w-full text-red-700 font-semibold">{importError}</p>}
+        </div>
+
+        {/* Problems found in the draft, with the path to each */}
+        <div className={`w-full p-4 rounded-xl border-2 ${errors.length > 0 ? 'bg-red-50 border-red-400' : 'bg-green-50 border-green-400'}`} role="status">
+          {errors.length > 0 ? (
+            <>
+              <h2 className="font-bold text-red-800 mb-1">{errors.length} problem(s) to fix before the procedure can run</h2>
+              <ul className="list-disc list-inside text-sm text-red-900 space-y-1">
+                {errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            </>
+          ) : (
+            <p className="font-semibold text-green-800">The procedure is valid and ready to export.</p>
+          )}
+        </div>
+
+        {/* Procedure details */}
+        <div className="bg-white rounded-xl shadow-xl p-4 md:p-6 w-full grid grid-cols-1 md:grid-cols-3 gap-4">
+          <label className={labelClass}>
+            Procedure id
+            <input value={doc.id || ''} onChange={(e) => setDoc({ ...doc, id: e.target.value })} className={inputClass} />
+          </label>
+          <label className={labelClass}>
+            Version
+            <input value={doc.version || ''} onChange={(e) => setDoc({ ...doc, version: e.target.value })} className={inputClass} />
+          </label>
+          <label className={labelClass}>
+            Title
+            <input value={doc.title || ''} onChange={(e) => setDoc({ ...doc, title: e.target.value })} className={inputClass} />
+          </label>
+          <label className={`${labelClass} md:col-span-3`}>
+            Description
+            <textarea value={doc.description || ''} onChange={(e) => setDoc({ ...doc, description: e.target.value })} rows={2} className={inputClass} />
+          </label>
+          <label className={`${labelClass} md:col-span-3`}>
+            Completion message
+            <textarea value={doc.completionMessage || ''} onChange={(e) => setDoc({ ...doc, completionMessage: e.target.value })} rows={2} className={inputClass} />
+          </label>
+          <div className="md:col-span-3">
+            <span className={labelClass}>Lab state flags</span>
+            <div className="flex flex-wrap items-center gap-2 mt-1">
+              {Object.entries(doc.state || {}).map(([flag, value]) => (
+                <span key={flag} className="bg-gray-100 rounded-full px-3 py-1 text-sm">{flag} (starts {String(value)})</span>
+              ))}
+              <input value={newFlag} onChange={(e) => setNewFlag(e.target.value)} placeholder="newFlag" className="border rounded p-1 text-sm" aria-label="New state flag" />
+              <button
+                onClick={() => {
+                  setDoc({ ...doc, state: { ...doc.state, [newFlag.trim()]: false } });
+                  setNewFlag('');
+                }}
+                disabled={!/^\w+$/.test(newFlag.trim()) || newFlag.trim() in (doc.state || {})}
+                className="bg-indigo-600 text-white text-sm font-semibold py-1 px-3 rounded disabled:opacity-50"
+              >
+                Add flag
+              </button>
+            </div>
+          </div>
+          <fieldset className="md:col-span-3">
+            <legend className={labelClass}>Patient cases (each attempt draws one; none means a healthy patient)</legend>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mt-1">
+              {Object.entries(PATIENT_CASES).map(([id, patientCase]) => (
+                <label key={id} className="text-sm text-gray-700 flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={(doc.cases || []).includes(id)}
+                    onChange={(e) => {
+                      const cases = e.target.checked ? [...(doc.cases || []), id] : (doc.cases || []).filter(entry => entry !== id);
+                      setDoc({ ...doc, cases: cases.length > 0 ? cases : undefined });
+                    }}
+                  />
+                  {patientCase.title}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 w-full">
+          {/* Step list */}
+          <div className="md:col-span-1 bg-white rounded-xl shadow-lg p-4 border-2 border-gray-200">
+            <h3 className="text-xl font-bold text-gray-800 mb-2">Steps</h3>
+            <ol className="space-y-1">
+              {doc.steps.map((step, i) => (
+                <li key={`${step.id}-${i}`} className={`flex items-center rounded-lg border-2 ${i === index ? 'border-purple-600 bg-purple-50' : 'border-transparent hover:bg-gray-50'}`}>
+                  <button onClick={() => setSelected(i)} className="flex-1 text-left p-2">
+                    <span className="block text-xs text-gray-500">{i}. {ACTION_LABELS[step.action] || step.action}</span>
+                    <span className="block text-sm text-gray-800 truncate">{step.instruction || step.id}</span>
+                  </button>
+                  <button onClick={() => { setDoc(moveStep(doc, i, i - 1)); setSelected(i - 1); }} disabled={i === 0} className={smallButtonClass} aria-label={`Move step ${step.id} up`}>▲</button>
+                  <button onClick={() => { setDoc(moveStep(doc, i, i + 1)); setSelected(i + 1); }} disabled={i === doc.steps.length - 1} className={smallButtonClass} aria-label={`Move step ${step.id} down`}>▼</button>
+                  <button
+                    onClick={() => {
+                      if (!window.confirm(`Delete step "${step.id}"?`)) return;
+                      setDoc(removeStep(doc, i));
+                      setSelected(Math.max(0, i - 1));
+                    }}
+                    disabled={doc.steps.length <= 2}
+                    className="px-2 text-red-600 disabled:opacity-30"
+                    aria-label={`Delete step ${step.id}`}
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ol>
+            <div className="flex gap-2 mt-4">
+              <select value={newAction} onChange={(e) => setNewAction(e.target.value)} className="flex-1 border rounded p-1 text-sm" aria-label="Action of the new step">
+                {Object.keys(STEP_ACTIONS).map(action => <option key={action} value={action}>{ACTION_LABELS[action]}</option>)}
+              </select>
+              <button
+                onClick={() => {
+                  setDoc(insertStep(doc, index + 1, newStep(doc, newAction, { bank: Object.keys(questionBanks)[0] })));
+                  setSelected(index + 1);
+                }}
+                className="bg-indigo-600 text-white text-sm font-semibold py-1 px-3 rounded"
+              >
+                Add after {index}
+              </button>
+            </div>
+          </div>
+
+          {/* Selected step */}
+          <div className="md:col-span-2 bg-white rounded-xl shadow-lg p-4 md:p-6 border-2 border-gray-200">
+            <h3 className="text-xl font-bold text-gray-800 mb-4">Step {index}</h3>
+            <StepForm key={index} doc={doc} index={index} onChange={setDoc} />
+          </div>
+        </div>
+
+        {/* Live preview of the selected step */}
+        <div className="w-full">
+          <h3 className="text-xl font-bold text-gray-800 mb-2">Preview</h3>
+          <StepPreview doc={doc} index={index} />
+        </div>
+
+        <p className="text-xs text-gray-500 text-center">
+          The rubric, consequences and other advanced fields are kept as they are in the imported file. Export the draft and add it to
+          src/procedures/definitions to publish it.
+        </p>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+import { SCHEMA_VERSION, STEP_ACTIONS } from '../procedures/schema';
+import { applyEffects } from '../procedures/steps';
+import { ITEM_KINDS } from '../procedures/items';
+
+// Editing operations for the procedure authoring editor.
+// A draft is a procedure document as written (see ../procedures/schema), edited
+// through these functions, each of which returns a new document. The draft is
+// kept in localStorage while it is worked on and exported as a definition file.
+
+export const DRAFT_STORAGE_KEY = 'labsim.authoring.draft.v1';
+
+export const ACTION_LABELS = {
+  intro: 'Introduction screen',
+  pick_up_tool: 'Pick up a tool',
+  use_tool_on_target: 'Use a tool on a target',
+  auto_advance: 'Wait, then continue',
+  create_smear: 'Spread a smear',
+  next_step_button: 'Continue button',
+  view_microscope: 'Microscope',
+  watch_video: 'Video',
+  mcq: 'Knowledge check',
+  identify_findings: 'Identify the findings',
+  complete: 'Completion screen',
+};
+
+// Fields that only mean something for some actions; they are dropped when a step changes action
+const ACTION_FIELDS = {
+  pick_up_tool: ['tool'],
+  use_tool_on_target: ['tool', 'target'],
+  auto_advance: ['delayMs'],
+  create_smear: ['tool'],
+  next_step_button: ['buttonLabel'],
+  view_microscope: ['differential'],
+  watch_video: ['video'],
+  mcq: ['quiz', 'question'],
+};
+const ACTION_SPECIFIC = [...new Set(Object.values(ACTION_FIELDS).flat())];
+
+export function loadDraft(storage = window.localStorage) {
+  try {
+    return JSON.parse(storage.getItem(DRAFT_STORAGE_KEY)) || null;
+  } catch (error) {
+    console.error('The saved procedure draft could not be read and was ignored.', error);
+    return null;
+  }
+}
+
+export function saveDraft(doc, storage = window.localStorage) {
+  try {
+    storage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(doc));
+  } catch (error) {
+    console.error('The procedure draft could not be saved.', error);
+  }
+}
+
+export function blankProcedure() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    id: 'new_procedure',
+    version: '0.1.0',
+    title: 'New Procedure',
+    description: 'Describe what the student will practise.',
+    completionMessage: 'You have completed the procedure.',
+    state: {},
+    tools: [],
+    targets: [],
+    steps: [
+      { id: 'intro', action: 'intro', instruction: 'Welcome! Click "Start Simulation" to begin.' },
+      { id: 'final_completion', action: 'complete', instruction: 'Congratulations! You have completed the procedure.' },
+    ],
+  };
+}
+
+// A lowercase identifier (see the schema's id rule) made from free text
+export function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'item';
+}
+
+// base, or base_2, base_3... whichever is not taken yet
+export function uniqueId(base, taken) {
+  const used = new Set(taken);
+  if (!used.has(base)) return base;
+  let n = 2;
+  while (used.has(`${base}_${n}`)) n++;
+  return `${base}_${n}`;
+}
+
+// Values an action needs to start from, so a new step is valid as soon as it is added
+// where it can be. options.bank names the question bank a new knowledge check draws from.
+function actionDefaults(doc, action, { bank } = {}) {
+  const tool = doc.tools[0]?.id;
+  const target = doc.targets[0]?.id;
+  switch (action) {
+    case 'pick_up_tool':
+    case 'create_smear':
+      return { tool };
+    case 'use_tool_on_target':
+      return { tool, target, points: 10 };
+    case 'auto_advance':
+      return { delayMs: 2000 };
+    case 'next_step_button':
+      return { buttonLabel: 'Next Step' };
+    case 'watch_video':
+      return { video: {} };
+    case 'mcq':
+      return { quiz: { bank, count: 1, pointsPerQuestion: 10 } };
+    case 'identify_findings':
+      return { points: 20 };
+    default:
+      return {};
+  }
+}
+
+export function newStep(doc, action, options) {
+  return {
+    id: uniqueId(action, doc.steps.map(step => step.id)),
+    action,
+    instruction: '',
+    ...actionDefaults(doc, action, options),
+  };
+}
+
+const withSteps = (doc, steps) => ({ ...doc, steps });
+
+export function insertStep(doc, index, step) {
+  const steps = [...doc.steps];
+  steps.splice(index, 0, step);
+  return withSteps(doc, steps);
+}
+
+export function removeStep(doc, index) {
+  return withSteps(doc, doc.steps.filter((_, i) => i !== index));
+}
+
+export function moveStep(doc, from, to) {
+  if (to < 0 || to >= doc.steps.length) return doc;
+  const steps = [...doc.steps];
+  const [step] = steps.splice(from, 1);
+  steps.splice(to, 0, step);
+  return withSteps(doc, steps);
+}
+
+// Merges changes into a step; a change to undefined removes the field
+export function updateStep(doc, index, changes) {
+  return withSteps(doc, doc.steps.map((step, i) => {
+    if (i !== index) return step;
+    const next = { ...step, ...changes };
+    Object.keys(changes).filter(key => changes[key] === undefined).forEach(key => delete next[key]);
+    return next;
+  }));
+}
+
+export function changeStepAction(doc, index, action, options) {
+  const step = doc.steps[index];
+  const kept = Object.fromEntries(Object.entries(step).filter(([key]) => !ACTION_SPECIFIC.includes(key)));
+  const required = Object.fromEntries(STEP_ACTIONS[action].map(field => [field, step[field]]).filter(([, value]) => value !== undefined));
+  return withSteps(doc, doc.steps.map((entry, i) => (i === index ? { ...actionDefaults(doc, action, options), ...kept, ...required, action } : entry)));
+}
+
+// Changes a step id, along with the disposal deadlines, rubric and consequence rules that refer to it
+export function renameStep(doc, index, id) {
+  const previous = doc.steps[index].id;
+  const rename = stepId => (stepId === previous ? id : stepId);
+  const renamed = updateStep(doc, index, { id });
+  return {
+    ...renamed,
+    steps: renamed.steps.map(step => (step.video?.chapters
+      ? { ...step, video: { ...step.video, chapters: step.video.chapters.map(chapter => ({ ...chapter, ...(chapter.step && { step: rename(chapter.step) }) })) } }
+      : step)),
+    ...(doc.tools && {
+      tools: doc.tools.map(tool => (tool.item?.disposeBy ? { ...tool, item: { ...tool.item, disposeBy: rename(tool.item.disposeBy) } } : tool)),
+    }),
+    ...(doc.rubric?.criticalErrors && {
+      rubric: { ...doc.rubric, criticalErrors: doc.rubric.criticalErrors.map(rule => ({ ...rule, steps: rule.steps.map(rename) })) },
+    }),
+    ...(doc.consequences && {
+      consequences: doc.consequences.map(rule => ({
+        ...rule,
+        steps: rule.steps.map(rename),
+        ...(rule.since && { since: rename(rule.since) }),
+        ...(rule.completes && { completes: rename(rule.completes) }),
+      })),
+    }),
+  };
+}
+
+// Adds a tool or target (key: 'tools' | 'targets') to the palette and returns the document and the new entry's id
+export function addCatalogEntry(doc, key, { label, icon }) {
+  const id = uniqueId(slugify(label), doc[key].map(entry => entry.id));
+  return { doc: { ...doc, [key]: [...doc[key], { id, label, icon }] }, id };
+}
+
+// Lab state flags as they stand when the step at index is reached
+export function stateBeforeStep(doc, index) {
+  return doc.steps.slice(0, index).reduce((state, step) => applyEffects(state, step.effects), { ...(doc.state || {}) });
+}
+
+// Item states (see ../procedures/items) as they stand when the step at index is reached
+export function itemsBeforeStep(doc, index) {
+  const items = Object.fromEntries((doc.tools || [])
+    .filter(tool => ITEM_KINDS[tool.item?.kind])
+    .map(tool => [tool.id, Object.fromEntries(ITEM_KINDS[tool.item.kind].states.map(state => [state, false]))]));
+  doc.steps.slice(0, index).forEach((step) => {
+    Object.entries(step.itemEffects || {}).forEach(([toolId, changes]) => {
+      if (items[toolId]) items[toolId] = { ...items[toolId], ...changes };
+    });
+  });
+  return items;
+}
+
+// Reads an imported definition file. Schema problems are left for the editor to
+// show, but the file has to be a procedure-shaped JSON document to be edited at all.
+export function parseProcedureFile(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`);
+  }
+  if (doc === null || typeof doc !== 'object' || Array.isArray(doc) || !Array.isArray(doc.steps) || doc.steps.length === 0) {
+    throw new Error('The file is not a procedure definition: it has no list of steps.');
+  }
+  return { tools: [], targets: [], ...doc };
+}
+
+export const draftFileName = doc => `${slugify(doc.id || 'procedure')}.json`;
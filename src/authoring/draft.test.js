@@ -0,0 +1,76 @@
+import bloodSmear from '../procedures/definitions/blood-smear.json';
+import { validateProcedure } from '../procedures/schema';
+import {
+  blankProcedure, newStep, insertStep, removeStep, moveStep, updateStep, changeStepAction, renameStep,
+  addCatalogEntry, stateBeforeStep, parseProcedureFile, uniqueId, slugify,
+} from './draft';
+
+const stepIds = doc => doc.steps.map(step => step.id);
+
+test('a blank procedure is valid, and steps added to it start out valid', () => {
+  let doc = blankProcedure();
+  expect(validateProcedure(doc)).toEqual([]);
+
+  doc = addCatalogEntry(doc, 'tools', { label: 'Alcohol Swab', icon: '🩹' }).doc;
+  doc = addCatalogEntry(doc, 'targets', { label: 'Patient Finger', icon: '👆' }).doc;
+  doc = insertStep(doc, 1, newStep(doc, 'use_tool_on_target'));
+  doc = insertStep(doc, 1, newStep(doc, 'pick_up_tool'));
+  doc = doc.steps.reduce((current, step, index) => updateStep(current, index, { instruction: step.instruction || `Do ${step.id}` }), doc);
+  expect(stepIds(doc)).toEqual(['intro', 'pick_up_tool', 'use_tool_on_target', 'final_completion']);
+  expect(doc.steps[2]).toMatchObject({ tool: 'alcohol_swab', target: 'patient_finger', points: 10 });
+  expect(validateProcedure(doc)).toEqual([]);
+});
+
+test('steps can be reordered, removed and edited without touching the others', () => {
+  const doc = blankProcedure();
+  const withStep = insertStep(doc, 1, { id: 'wait', action: 'auto_advance', delayMs: 1000, instruction: 'Wait' });
+  expect(stepIds(moveStep(withStep, 1, 0))).toEqual(['wait', 'intro', 'final_completion']);
+  expect(moveStep(withStep, 0, -1)).toBe(withStep);
+  expect(stepIds(removeStep(withStep, 1))).toEqual(['intro', 'final_completion']);
+  expect(updateStep(withStep, 1, { delayMs: undefined, points: 5 }).steps[1]).toEqual({ id: 'wait', action: 'auto_advance', instruction: 'Wait', points: 5 });
+  expect(doc.steps).toHaveLength(2);
+});
+
+test('changing a step\'s action drops the fields only the old action used', () => {
+  const index = bloodSmear.steps.findIndex(step => step.id === 'wait_for_second_drop');
+  const changed = changeStepAction(bloodSmear, index, 'next_step_button').steps[index];
+  expect(changed).toEqual({
+    id: 'wait_for_second_drop',
+    action: 'next_step_button',
+    buttonLabel: 'Next Step',
+    sound: 'drop',
+    effects: { bloodDropVisible: true },
+    instruction: bloodSmear.steps[index].instruction,
+    feedback: bloodSmear.steps[index].feedback,
+  });
+  const useIndex = bloodSmear.steps.findIndex(step => step.id === 'clean_finger');
+  expect(changeStepAction(bloodSmear, useIndex, 'pick_up_tool').steps[useIndex]).toMatchObject({ tool: 'alcohol_swab', points: 10 });
+  expect(changeStepAction(bloodSmear, useIndex, 'pick_up_tool').steps[useIndex].target).toBeUndefined();
+});
+
+test('renaming a step keeps the rubric and consequence rules pointing at it', () => {
+  const index = bloodSmear.steps.findIndex(step => step.id === 'collect_blood_on_slide');
+  const renamed = renameStep(bloodSmear, index, 'collect_drop');
+  expect(renamed.steps[index].id).toBe('collect_drop');
+  expect(renamed.consequences.find(rule => rule.id === 'first_drop_collected').completes).toBe('collect_drop');
+  expect(renamed.consequences.find(rule => rule.id === 'clotted_drop').since).toBe('collect_drop');
+  expect(renamed.tools.find(tool => tool.id === 'lancet').item.disposeBy).toBe('collect_drop');
+  expect(validateProcedure(renamed)).toEqual([]);
+});
+
+test('the preview starts each step from the lab state the earlier steps leave behind', () => {
+  const index = bloodSmear.steps.findIndex(step => step.id === 'wipe_blood');
+  expect(stateBeforeStep(bloodSmear, index)).toMatchObject({ bloodDropVisible: true, slideHasBlood: false });
+  expect(stateBeforeStep(bloodSmear, index + 1)).toMatchObject({ bloodDropVisible: false });
+});
+
+test('imported files must be procedure-shaped JSON', () => {
+  expect(() => parseProcedureFile('{ not json')).toThrow('The file is not valid JSON');
+  expect(() => parseProcedureFile('[1, 2]')).toThrow('The file is not a procedure definition');
+  expect(parseProcedureFile(JSON.stringify({ id: 'x', steps: [{ id: 'intro' }] }))).toEqual({ id: 'x', steps: [{ id: 'intro' }], tools: [], targets: [] });
+});
+
+test('ids are made from labels and kept unique', () => {
+  expect(slugify('Spreader Slide (60°)')).toBe('spreader_slide_60');
+  expect(uniqueId('intro', ['intro', 'intro_2'])).toBe('intro_3');
+});
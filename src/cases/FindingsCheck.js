@@ -0,0 +1,127 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { scoreFindings } from './cases';
+import { translateCase, translateFinding } from '../i18n/content';
+import { useI18n } from '../i18n/I18nProvider';
+import Dialog from '../accessibility/Dialog';
+
+// The findings a student reported next to the case's: found, missed, or not in
+// this film at all, with the diagnosis the history was pointing to
+export function FindingsReview({ patientCase, options, result }) {
+  const { t } = useI18n();
+  const status = (id) => {
+    if (result.correct.includes(id)) return { mark: '✓', text: t('findingsCheck.found'), className: 'bg-green-100 border-green-500 text-green-900' };
+    if (result.missed.includes(id)) return { mark: '!', text: t('findingsCheck.missed'), className: 'bg-amber-100 border-amber-500 text-amber-900' };
+    if (result.wrong.includes(id)) return { mark: '✗', text: t('findingsCheck.wrong'), className: 'bg-red-100 border-red-500 text-red-900' };
+    return null;
+  };
+
+  return (
+    <div className="w-full max-w-2xl text-start text-sm mb-4">
+      <p className="font-bold text-gray-800 mb-2">{t('findingsCheck.diagnosis', { title: translateCase(t, patientCase).title })}</p>
+      <ul className="space-y-1">
+        {options.map((id) => {
+          const entry = status(id);
+          return (
+            <li key={id} className={`flex justify-between gap-2 p-2 rounded-lg border ${entry ? entry.className : 'bg-white border-gray-200 text-gray-500'}`}>
+              <span><span aria-hidden="true" className="inline-block w-4 font-bold">{entry?.mark}</span> {translateFinding(t, id)}</span>
+              {entry && <span className="font-semibold">{entry.text}</span>}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+// Asks for the key findings of the attempt's patient case (see ./cases) from a
+// list that covers every case the procedure can draw. The selection is reported
+// through onSubmit(selected, result); practice attempts then show how it was
+// marked before onFinish, exam attempts move straight on.
+// recorded: the findings already logged for this step, when a resumed attempt comes back to it;
+// they are not asked for again, only continued from.
+export default function FindingsCheck({ patientCase, options, points, showFeedback, recorded, onSubmit, onFinish }) {
+  const { t } = useI18n();
+  const [selected, setSelected] = useState(recorded?.selected ?? []);
+  const [result, setResult] = useState(recorded ? scoreFindings(patientCase, recorded.selected, points) : null);
+  const resultRef = useRef(null);
+
+  useEffect(() => {
+    if (result) resultRef.current?.focus();
+  }, [result]);
+
+  const toggle = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(entry => entry !== id) : [...prev, id]));
+  };
+
+  const handleSubmit = () => {
+    if (selected.length === 0) return;
+    const scored = scoreFindings(patientCase, selected, points);
+    onSubmit(selected, scored);
+    if (showFeedback) setResult(scored);
+    else onFinish(); // Exam attempts move on without saying how the findings were marked
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-gradient-to-br from-rose-100 to-indigo-200 p-6 font-inter">
+      <Dialog labelledBy="findings-title" className="bg-white p-8 rounded-xl shadow-2xl max-w-3xl w-full text-center border-4 border-rose-500 animate-fade-in">
+        <h2 id="findings-title" tabIndex={-1} data-autofocus className="text-3xl md:text-4xl font-extrabold text-rose-700 mb-4 focus:outline-none">
+          {t('findingsCheck.title')}
+        </h2>
+        <p className="text-base text-gray-700 mb-4 p-3 rounded-lg bg-indigo-50 border border-indigo-200 text-start">
+          <span className="font-bold">{t('cases.patient')} </span>
+          {translateCase(t, patientCase).history}
+        </p>
+
+        {!result && (
+          <>
+            <p className="text-lg text-gray-700 mb-4">{t('findingsCheck.prompt')}</p>
+            <div className="flex flex-col space-y-2 mb-6 text-start">
+              {options.map((id) => {
+                const chosen = selected.includes(id);
+                return (
+                  <button
+                    key={id}
+                    onClick={() => toggle(id)}
+                    aria-pressed={chosen}
+                    className={`w-full p-3 rounded-lg border-2 text-start font-semibold transition-all duration-200 ${chosen
+                      ? 'bg-rose-400 text-white border-rose-600 shadow-md'
+                      : 'bg-white text-gray-800 border-gray-300 hover:bg-rose-50 hover:border-rose-300'}`}
+                  >
+                    <span className="me-2">{chosen ? '☑' : '☐'}</span>
+                    {translateFinding(t, id)}
+                  </button>
+                );
+              })}
+            </div>
+            <button
+              onClick={handleSubmit}
+              disabled={selected.length === 0}
+              className="bg-rose-600 hover:bg-rose-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-transform transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-rose-300 text-lg md:text-xl disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t('findingsCheck.submit')}
+            </button>
+          </>
+        )}
+
+        {result && (
+          <>
+            {showFeedback && (
+              <>
+                <p ref={resultRef} tabIndex={-1} className={`mb-4 p-4 rounded-lg text-white font-bold text-lg focus:outline-none ${result.outcome === 'correct' ? 'bg-green-500' : 'bg-red-500'}`}>
+                  {t('findingsCheck.summary', { correct: result.correct.length, total: patientCase.findings.length, count: result.points })}
+                </p>
+                <FindingsReview patientCase={patientCase} options={options} result={result} />
+              </>
+            )}
+            <button
+              onClick={onFinish}
+              className="mt-2 bg-rose-600 hover:bg-rose-700 text-white font-bold py-3 px-8 rounded-full shadow-lg focus:outline-none focus:ring-4 focus:ring-rose-300 text-lg md:text-xl"
+            >
+              {t('findingsCheck.continue')}
+            </button>
+          </>
+        )}
+      </Dialog>
+    </div>
+  );
+}
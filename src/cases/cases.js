@@ -0,0 +1,120 @@
+import { NORMAL_POPULATION } from '../microscope/bloodFilm';
+import { createRng, hashSeed } from '../utils/random';
+
+// Patient cases. A procedure that lists "cases" (ids of PATIENT_CASES) gives each
+// attempt one of them, drawn from the attempt seed like its quiz questions, so a
+// resumed attempt, the replay and the report all see the same patient. The case's
+// population replaces the healthy one in the blood film generator (see
+// ../microscope/bloodFilm), and an "identify_findings" step asks the student for
+// the case's key findings once the film has been examined.
+//
+// Titles are the diagnosis, so they are only shown once the findings are in;
+// the history is what the student has to go on.
+
+// Findings a student can report from a film, in the order they are offered
+export const FINDINGS = {
+  microcytosis: { label: 'Small red cells (microcytosis)' },
+  hypochromia: { label: 'Pale red cells with enlarged central pallor (hypochromia)' },
+  pencil_cells: { label: 'Pencil cells' },
+  sickle_cells: { label: 'Sickle cells' },
+  target_cells: { label: 'Target cells' },
+  howell_jolly_bodies: { label: 'Howell-Jolly bodies' },
+  lymphocytosis: { label: 'Increased mature lymphocytes (lymphocytosis)' },
+  smudge_cells: { label: 'Smudge cells' },
+  low_platelets: { label: 'Few platelets (thrombocytopenia)' },
+  giant_platelets: { label: 'Giant platelets' },
+  ring_forms: { label: 'Ring forms inside red cells' },
+  gametocytes: { label: 'Crescent-shaped gametocytes' },
+};
+
+// morphology: shapes and inclusions as the fraction of red cells showing them,
+// giantPlatelets as a fraction of platelets and smudgePerWbc as smudge cells per intact white cell
+export const PATIENT_CASES = {
+  iron_deficiency: {
+    title: 'Iron-deficiency anaemia',
+    history: 'A 34-year-old woman with heavy periods has felt tired and breathless on the stairs for several months. Her haemoglobin is low.',
+    findings: ['microcytosis', 'hypochromia', 'pencil_cells'],
+    population: {
+      ...NORMAL_POPULATION,
+      plateletsPerRbc: 1 / 11,
+      rbc: { diameter: 6, sizeVariation: 0.16, pallor: 0.62 },
+      morphology: { shapes: { pencil: 0.06, target: 0.02 } },
+    },
+  },
+  sickle_cell: {
+    title: 'Sickle cell disease',
+    history: 'A 16-year-old boy of West African descent comes in with severe pain in his back and legs after a chest infection. He has had similar episodes since childhood.',
+    findings: ['sickle_cells', 'target_cells', 'howell_jolly_bodies'],
+    population: {
+      ...NORMAL_POPULATION,
+      rbc: { ...NORMAL_POPULATION.rbc, sizeVariation: 0.1 },
+      morphology: { shapes: { sickle: 0.1, target: 0.08 }, inclusions: { howell_jolly: 0.015 } },
+    },
+  },
+  chronic_lymphocytic_leukaemia: {
+    title: 'Chronic lymphocytic leukaemia',
+    history: 'A 71-year-old man had a routine blood count before a hip operation. He has painless swollen glands in his neck. His white cell count is very high.',
+    findings: ['lymphocytosis', 'smudge_cells'],
+    population: {
+      ...NORMAL_POPULATION,
+      wbcPerRbc: 1 / 25,
+      differential: { neutrophil: 0.12, lymphocyte: 0.85, monocyte: 0.02, eosinophil: 0.01, basophil: 0 },
+      morphology: { smudgePerWbc: 0.15 },
+    },
+  },
+  thrombocytopenia: {
+    title: 'Immune thrombocytopenia',
+    history: 'A 25-year-old woman has noticed bruises she cannot explain and tiny red spots on her shins. Her gums bleed when she brushes her teeth.',
+    findings: ['low_platelets', 'giant_platelets'],
+    population: {
+      ...NORMAL_POPULATION,
+      plateletsPerRbc: 1 / 200,
+      morphology: { giantPlatelets: 0.3 },
+    },
+  },
+  malaria: {
+    title: 'Falciparum malaria',
+    history: 'A 42-year-old man has had fevers, shaking chills and headaches for four days. He came back from a trip to Ghana two weeks ago.',
+    findings: ['ring_forms', 'gametocytes'],
+    population: {
+      ...NORMAL_POPULATION,
+      plateletsPerRbc: 1 / 30,
+      morphology: { inclusions: { ring: 0.06, gametocyte: 0.004 } },
+    },
+  },
+};
+
+// The case an attempt draws from the procedure's list, as { id, title, history, findings, population }, or null
+export function caseForAttempt(procedure, attemptSeed) {
+  const ids = procedure.cases || [];
+  if (ids.length === 0) return null;
+  const id = ids[Math.floor(createRng(hashSeed(attemptSeed, 'case'))() * ids.length)];
+  return { id, ...PATIENT_CASES[id] };
+}
+
+// The blood an attempt's film is made from: its case's, or healthy blood
+export const populationFor = patientCase => patientCase?.population ?? NORMAL_POPULATION;
+
+// Findings offered on an identify_findings step: those of every case the procedure can draw,
+// so the list doesn't give away which case this is
+export function findingOptions(procedure) {
+  const used = new Set((procedure.cases || []).flatMap(id => PATIENT_CASES[id]?.findings ?? []));
+  return Object.keys(FINDINGS).filter(id => used.has(id));
+}
+
+// Marks the findings a student reported against the case's.
+// Each wrong finding cancels out a right one, so ticking everything earns nothing.
+// Returns { correct, wrong, missed, points, outcome }
+export function scoreFindings(patientCase, selected, points = 0) {
+  const key = patientCase.findings;
+  const correct = key.filter(id => selected.includes(id));
+  const wrong = selected.filter(id => !key.includes(id));
+  const missed = key.filter(id => !selected.includes(id));
+  return {
+    correct,
+    wrong,
+    missed,
+    points: Math.round((points * Math.max(0, correct.length - wrong.length)) / key.length),
+    outcome: missed.length === 0 && wrong.length === 0 ? 'correct' : 'incorrect',
+  };
+}
@@ -0,0 +1,68 @@
+import bloodSmear from '../procedures/definitions/blood-smear.json';
+import { loadProcedure, validateProcedure } from '../procedures/schema';
+import { evaluateSmear } from '../smear/technique';
+import { generateField, defaultViewingPosition, NORMAL_POPULATION } from '../microscope/bloodFilm';
+import { scoreDifferential } from '../microscope/differential';
+import { PATIENT_CASES, FINDINGS, caseForAttempt, populationFor, findingOptions, scoreFindings } from './cases';
+
+const procedure = loadProcedure(bloodSmear, 'blood-smear.json');
+const goodSmear = evaluateSmear({ angle: 35, speed: 45, spread: 0.75, pushLength: 45 });
+const position = defaultViewingPosition(goodSmear);
+const fields = (population, seeds = [1, 2, 3, 4, 5, 6]) => seeds.flatMap(seed => generateField({ smear: goodSmear, positionMm: position, fieldDiameterUm: 60, seed, population }).cells);
+
+test('every case lists known findings and its findings are offered', () => {
+  Object.values(PATIENT_CASES).forEach((patientCase) => {
+    patientCase.findings.forEach(id => expect(FINDINGS[id]).toBeDefined());
+  });
+  expect(findingOptions(procedure)).toEqual(Object.keys(FINDINGS));
+  expect(findingOptions({ cases: ['malaria'] })).toEqual(['ring_forms', 'gametocytes']);
+});
+
+test('each attempt draws one of the procedure\'s cases from its seed, and the same seed always the same one', () => {
+  const drawn = new Set([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16].map(seed => caseForAttempt(procedure, seed).id));
+  expect(drawn.size).toBeGreaterThan(2);
+  drawn.forEach(id => expect(procedure.cases).toContain(id));
+  expect(caseForAttempt(procedure, 7)).toEqual(caseForAttempt(procedure, 7));
+  expect(caseForAttempt({ ...procedure, cases: undefined }, 7)).toBeNull();
+  expect(populationFor(null)).toBe(NORMAL_POPULATION);
+});
+
+test('a case\'s blood shows its abnormal cells on the film', () => {
+  const cells = id => fields(PATIENT_CASES[id].population);
+  expect(cells('sickle_cell').some(cell => cell.shape === 'sickle')).toBe(true);
+  expect(cells('iron_deficiency').some(cell => cell.shape === 'pencil')).toBe(true);
+  expect(cells('malaria').some(cell => cell.inclusion === 'ring')).toBe(true);
+  expect(cells('thrombocytopenia').filter(cell => cell.kind === 'platelet').length)
+    .toBeLessThan(fields(NORMAL_POPULATION).filter(cell => cell.kind === 'platelet').length / 4);
+  expect(fields(PATIENT_CASES.chronic_lymphocytic_leukaemia.population, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]).some(cell => cell.kind === 'smudge')).toBe(true);
+
+  const normal = fields(NORMAL_POPULATION);
+  expect(normal.some(cell => cell.shape || cell.inclusion || cell.kind === 'smudge')).toBe(false);
+});
+
+test('the differential is marked against the case\'s expected counts', () => {
+  const { population } = PATIENT_CASES.chronic_lymphocytic_leukaemia;
+  const result = scoreDifferential([{ key: 'a', trueType: 'lymphocyte', classifiedAs: 'lymphocyte' }], { points: 10, population });
+  expect(result.rows.find(row => row.type === 'lymphocyte').expectedPercent).toBe(85);
+});
+
+test('findings earn points for each key finding, less one for each finding that isn\'t there', () => {
+  const patientCase = PATIENT_CASES.iron_deficiency;
+  expect(scoreFindings(patientCase, ['microcytosis', 'hypochromia', 'pencil_cells'], 30)).toEqual({
+    correct: ['microcytosis', 'hypochromia', 'pencil_cells'], wrong: [], missed: [], points: 30, outcome: 'correct',
+  });
+  expect(scoreFindings(patientCase, ['microcytosis', 'sickle_cells'], 30)).toMatchObject({ missed: ['hypochromia', 'pencil_cells'], wrong: ['sickle_cells'], points: 0, outcome: 'incorrect' });
+  expect(scoreFindings(patientCase, ['microcytosis', 'hypochromia'], 30).points).toBe(20);
+  expect(scoreFindings(patientCase, Object.keys(FINDINGS), 30).points).toBe(0);
+});
+
+test('patient cases and the findings step are validated', () => {
+  const findingsStep = bloodSmear.steps.findIndex(step => step.action === 'identify_findings');
+  expect(validateProcedure({ ...bloodSmear, cases: ['malaria', 'scurvy', 'malaria'] })).toEqual([
+    'cases[1]: unknown patient case "scurvy" (expected one of iron_deficiency, sickle_cell, chronic_lymphocytic_leukaemia, thrombocytopenia, malaria)',
+    'cases[2]: duplicate case "malaria"',
+  ]);
+  expect(validateProcedure({ ...bloodSmear, cases: undefined })).toEqual([
+    `steps[${findingsStep}].action: "identify_findings" needs the procedure to list its patient cases`,
+  ]);
+});
@@ -0,0 +1,39 @@
+import React from 'react';
+import { CLOCK_SPEEDS, formatLabTime } from './labTime';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Lab time since the attempt started, with buttons to speed the clock up or slow
+// it down (see ./labTime). With showProgress on, practice attempts also say how
+// far the film on the slide has dried.
+export default function LabClock({ labMs, speed, dryness = null, showProgress = false, onSpeedChange }) {
+  const { t } = useI18n();
+
+  return (
+    <div className="w-full mb-6 p-3 rounded-xl bg-white bg-opacity-95 shadow-md border-2 border-sky-300 flex flex-wrap items-center justify-between gap-3 animate-fade-in">
+      <span className="font-semibold text-gray-800">
+        <span aria-hidden="true">🕒 </span>{t('clock.labTime')}{' '}
+        <span className="font-mono">{formatLabTime(labMs)}</span>
+      </span>
+      {showProgress && dryness !== null && (
+        <span className={`text-sm font-semibold ${dryness < 1 ? 'text-amber-700' : 'text-green-700'}`}>
+          {dryness < 1 ? t('clock.drying', { percent: Math.floor(dryness * 100) }) : t('clock.dry')}
+        </span>
+      )}
+      <div role="group" aria-label={t('clock.speed')} className="flex items-center gap-1">
+        <span className="text-sm text-gray-600 me-1" aria-hidden="true">{t('clock.speed')}</span>
+        {CLOCK_SPEEDS.map(option => (
+          <button
+            key={option}
+            onClick={() => onSpeedChange(option)}
+            aria-pressed={option === speed}
+            className={`px-3 py-1 rounded-full text-sm font-semibold focus:outline-none focus:ring-2 focus:ring-sky-400 ${option === speed
+              ? 'bg-sky-600 text-white'
+              : 'bg-sky-100 text-sky-800 hover:bg-sky-200'}`}
+          >
+            {t('clock.times', { speed: option })}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import { dryingTimeMs } from '../smear/technique';
+
+// The lab clock. Things that take time at the bench (a drop forming, a film
+// drying, blood clotting) run on simulated lab time instead of the wall clock,
+// so that they can be sped up: lab time passes `speed` times faster than real
+// time. The student can change the speed during an attempt; each change is
+// logged as a 'clock' event, so lab time is worked out from the action log and
+// a resumed attempt, the replay and the report all agree on it.
+//
+// Lab time is counted in milliseconds from the start of the attempt (its
+// attempt_started event, or the first event logged).
+
+export const CLOCK_SPEEDS = [1, 2, 5, 10];
+export const DEFAULT_CLOCK_SPEED = 1;
+
+// Speed the clock runs at after these events
+export function clockSpeed(events) {
+  const change = events.filter(event => event.type === 'clock').pop();
+  return change?.speed ?? DEFAULT_CLOCK_SPEED;
+}
+
+// Lab time at wall-clock time `at` (ms since epoch)
+export function labTime(events, at = Date.now()) {
+  const started = events.find(event => event.type === 'attempt_started') || events[0];
+  if (!started) return 0;
+  let elapsed = 0;
+  let from = started.t;
+  let speed = DEFAULT_CLOCK_SPEED;
+  events
+    .filter(event => event.type === 'clock' && event.t >= started.t && event.t <= at)
+    .forEach((change) => {
+      elapsed += (change.t - from) * speed;
+      from = change.t;
+      speed = change.speed;
+    });
+  return elapsed + Math.max(0, at - from) * speed;
+}
+
+// Lab time passed between two wall-clock times
+export const labTimeBetween = (events, from, to = Date.now()) => labTime(events, to) - labTime(events, from);
+
+// Wall-clock ms, at the current speed, until labMs of lab time have passed since wall-clock time `since`
+export function wallTimeUntil(events, labMs, since, now = Date.now()) {
+  return Math.max(0, labMs - labTimeBetween(events, since, now)) / clockSpeed(events);
+}
+
+// The smear event of the film on the slide, if one has been made
+const latestSmear = events => events.filter(event => event.type === 'smear' && event.result).pop() ?? null;
+
+// How far the film on the slide has dried by wall-clock time `at`, from 0 (just
+// spread) to 1 (completely dry); null before a film has been made
+export function filmDryness(events, at = Date.now()) {
+  const smear = latestSmear(events);
+  if (!smear) return null;
+  return Math.min(1, Math.max(0, labTimeBetween(events, smear.t, at) / dryingTimeMs(smear.result)));
+}
+
+// Lab time as m:ss
+export function formatLabTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
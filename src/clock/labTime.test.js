@@ -0,0 +1,43 @@
+import { createEvent } from '../session/actionLog';
+import { evaluateSmear, dryingTimeMs } from '../smear/technique';
+import { clockSpeed, labTime, labTimeBetween, wallTimeUntil, filmDryness, formatLabTime } from './labTime';
+
+const started = createEvent('attempt_started', {}, 1000);
+const setSpeed = (speed, t) => createEvent('clock', { speed }, t);
+
+test('lab time runs with the wall clock until the speed is changed, then faster or slower', () => {
+  expect(labTime([], 5000)).toBe(0);
+  expect(labTime([started], 11000)).toBe(10000);
+  expect(clockSpeed([started])).toBe(1);
+
+  const events = [started, setSpeed(10, 11000), setSpeed(2, 21000)];
+  expect(clockSpeed(events)).toBe(2);
+  expect(labTime(events, 11000)).toBe(10000);
+  expect(labTime(events, 16000)).toBe(60000);
+  expect(labTime(events, 26000)).toBe(110000 + 10000);
+  expect(labTimeBetween(events, 6000, 16000)).toBe(55000);
+  expect(formatLabTime(labTime(events, 26000))).toBe('2:00');
+});
+
+test('waits are counted in lab time, at the speed the clock runs at now', () => {
+  const events = [started, setSpeed(5, 2000)];
+  expect(wallTimeUntil(events, 3000, 2000, 2000)).toBe(600);
+  expect(wallTimeUntil(events, 3000, 2000, 2400)).toBe(200);
+  expect(wallTimeUntil(events, 3000, 2000, 5000)).toBe(0);
+});
+
+test('a film dries over lab time, thicker films more slowly', () => {
+  const good = evaluateSmear({ angle: 35, speed: 45, spread: 0.75, pushLength: 45 });
+  const thick = evaluateSmear({ angle: 60, speed: 120, spread: 0.75, pushLength: 45 });
+  expect(dryingTimeMs(thick)).toBeGreaterThan(dryingTimeMs(good));
+
+  const smeared = [started, createEvent('smear', { result: good }, 2000)];
+  expect(filmDryness([started], 5000)).toBeNull();
+  expect(filmDryness(smeared, 2000)).toBe(0);
+  expect(filmDryness(smeared, 2000 + dryingTimeMs(good) / 2)).toBeCloseTo(0.5);
+  expect(filmDryness(smeared, 2000 + dryingTimeMs(good) * 2)).toBe(1);
+
+  // At ten times the speed it is dry in a tenth of the time
+  const hurried = [...smeared, setSpeed(10, 2000)];
+  expect(filmDryness(hurried, 2000 + dryingTimeMs(good) / 10)).toBe(1);
+});
@@ -0,0 +1,306 @@
+import React, { useMemo, useState } from 'react';
+import { getProcedure } from '../procedures';
+import { currentFilm } from '../procedures/consequences';
+import { parseAttemptRecord } from '../replay/replay';
+import { latestResult } from '../session/actionLog';
+import RubricBreakdown from '../scoring/RubricBreakdown';
+import { DifferentialResults } from '../microscope/DifferentialCounter';
+import QuizReview from '../questions/QuizReview';
+import { quizzesForAttempt } from '../questions/bank';
+import ReportPanel from '../report/ReportPanel';
+import { toCsv } from '../utils/csv';
+import { downloadText } from '../utils/download';
+import { translateSmearQuality, translateIssue, translateMistake } from '../i18n/content';
+import { useI18n } from '../i18n/I18nProvider';
+import {
+  summarizeAttempt, scoreDistribution, failedSteps, stepTimes, timeByStep, questionStats, smearOutcomes, studentRows,
+} from './classResults';
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '–';
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// A table of aggregated rows with a CSV export of the same columns.
+// columns: [{ key, label, format? }]; format only changes what is shown on screen.
+function ResultsTable({ title, columns, rows, fileName, onRowClick, selectedKey }) {
+  const { t } = useI18n();
+
+  return (
+    <section className="bg-white rounded-xl shadow-xl p-4 md:p-6 w-full">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-bold text-gray-800">{title}</h2>
+        <button
+          onClick={() => downloadText(toCsv(columns, rows), fileName, 'text/csv')}
+          disabled={rows.length === 0}
+          className="text-indigo-700 font-semibold underline hover:text-indigo-900 disabled:opacity-40"
+        >
+          {t('dashboard.exportCsv')}
+        </button>
+      </div>
+      {rows.length === 0 ? (
+        <p className="text-gray-500 text-sm">{t('dashboard.empty')}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead>
+              <tr className="border-b-2 border-gray-200 text-gray-600">
+                {columns.map(column => <th key={column.key} className="py-1 pr-4">{column.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => (
+                <tr
+                  key={row.id ?? row.stepId ?? row.questionId ?? row.quality ?? index}
+                  onClick={onRowClick ? () => onRowClick(row) : undefined}
+                  className={`border-b border-gray-100 ${onRowClick ? 'cursor-pointer hover:bg-indigo-50' : ''} ${selectedKey && selectedKey === row.id ? 'bg-indigo-100' : ''}`}
+                >
+                  {columns.map(column => (
+                    <td key={column.key} className="py-1 pr-4 text-gray-800 max-w-md truncate" title={typeof row[column.key] === 'string' ? row[column.key] : undefined}>
+                      {column.format ? column.format(row[column.key], row) : row[column.key]}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+// Everything about one student's attempt
+function StudentDetail({ procedure, summary }) {
+  const { t } = useI18n();
+  const { record, evaluation } = summary;
+  const smear = currentFilm(procedure, record.events);
+  const differential = latestResult(record.events, 'differential');
+  const quizzes = quizzesForAttempt(procedure.steps, record.attemptSeed);
+  const times = timeByStep(record.events);
+  const [studentName, setStudentName] = useState(record.studentName || '');
+
+  return (
+    <section className="bg-white rounded-xl shadow-xl p-4 md:p-6 w-full border-4 border-indigo-300 space-y-6">
+      <h2 className="text-xl font-bold text-gray-800">
+        {summary.student} · {summary.name}{summary.mode === 'exam' ? ` (${t('modes.exam')})` : ''} · {formatDuration(summary.durationMs)}
+        {summary.timeExpired && <span className="text-red-700"> · {t('dashboard.ranOutOfTime')}</span>}
+      </h2>
+      <RubricBreakdown evaluation={evaluation} />
+      <div className="text-sm text-gray-700">
+        <h3 className="font-bold text-gray-800">{t('dashboard.columns.smear')}</h3>
+        <p>{translateSmearQuality(t, smear?.quality)}</p>
+        {smear?.issues.length > 0 && <ul className="list-disc list-inside">{smear.issues.map(issue => <li key={issue}>{translateIssue(t, issue)}</li>)}</ul>}
+      </div>
+      {differential?.complete && (
+        <div className="flex flex-col items-center">
+          <h3 className="font-bold text-gray-800 mb-2">{t('completion.differential')}</h3>
+          <DifferentialResults result={differential} />
+        </div>
+      )}
+      {Object.entries(quizzes).map(([stepId, questions]) => (
+        <div key={stepId} className="flex flex-col items-center">
+          <h3 className="font-bold text-gray-800 mb-2">{t('dashboard.knowledgeCheck')}</h3>
+          <QuizReview questions={questions} answers={record.events.filter(event => event.type === 'mcq_answer' && event.stepId === stepId)} />
+        </div>
+      ))}
+      <div className="text-sm text-gray-700">
+        <h3 className="font-bold text-gray-800">{t('dashboard.timePerStep')}</h3>
+        <ol className="list-decimal list-inside">
+          {procedure.steps.filter(step => times[step.id] !== undefined).map(step => (
+            <li key={step.id}>{formatDuration(times[step.id])} · {step.instruction}</li>
+          ))}
+        </ol>
+      </div>
+      <ReportPanel procedure={procedure} record={record} studentName={studentName} onStudentNameChange={setStudentName} rememberName={false} />
+    </section>
+  );
+}
+
+// Instructor view of a class: many exported attempt files at once, aggregated
+// into score, step, timing, question and smear tables with a per-student drill-down.
+export default function Dashboard() {
+  const { t, locale } = useI18n();
+  const [records, setRecords] = useState([]);
+  const [loadErrors, setLoadErrors] = useState([]); // [{ source, error }]
+  const [procedureId, setProcedureId] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const loadFiles = async (files) => {
+    const errors = [];
+    const loaded = [];
+    for (const file of files) {
+      try {
+        const record = parseAttemptRecord(await file.text());
+        if (!getProcedure(record.procedure.id)) {
+          throw new Error(t('dashboard.unknownProcedure', { id: record.procedure.id }));
+        }
+        loaded.push(record);
+      } catch (error) {
+        errors.push({ source: file.name, error: error.message });
+      }
+    }
+    // The same attempt exported twice counts once, as its latest export
+    const byAttempt = new Map([...records, ...loaded].map(record => [record.attempt.id, record]));
+    const all = [...byAttempt.values()];
+    setRecords(all);
+    setLoadErrors(errors);
+    if (!procedureId && all.length > 0) setProcedureId(all[0].procedure.id);
+  };
+
+  const procedure = procedureId ? getProcedure(procedureId, locale) : null;
+  const procedureIds = [...new Set(records.map(record => record.procedure.id))];
+  const summaries = useMemo(
+    () => (procedure ? records.filter(record => record.procedure.id === procedure.id).map(record => summarizeAttempt(record, procedure)) : []),
+    [records, procedure]
+  );
+  const otherVersions = summaries.filter(summary => summary.procedureVersion !== procedure?.version).length;
+  const selected = summaries.find(summary => summary.id === selectedId) || null;
+
+  const distribution = scoreDistribution(summaries);
+  const largestBin = Math.max(1, ...distribution.map(bin => bin.count));
+  const passed = summaries.filter(summary => summary.evaluation.passed).length;
+  const averagePercent = summaries.length > 0 ? Math.round(summaries.reduce((total, summary) => total + summary.evaluation.finalPercent, 0) / summaries.length) : 0;
+
+  return (
+    <div className="relative w-full min-h-screen bg-gradient-to-br from-sky-100 to-indigo-200 flex flex-col items-center justify-start font-inter pb-8">
+      <header className="w-full shadow-lg bg-indigo-800 py-4 md:py-6 mb-4 md:mb-8">
+        <h1 className="text-2xl md:text-4xl text-white font-extrabold text-center tracking-wide">{t('dashboard.title')}</h1>
+        <p className="text-center text-indigo-200 font-medium mt-1 md:mt-2 text-sm md:text-base">
+          {procedure ? t('dashboard.attempts', { title: procedure.title, count: summaries.length }) : t('dashboard.intro')}
+        </p>
+        <p className="text-center mt-1">
+          <a href="#simulation" className="text-indigo-100 text-sm underline hover:text-white">{t('instructor.back')}</a>
+        </p>
+      </header>
+
+      <main className="flex flex-col items-center w-full max-w-6xl px-4 space-y-6">
+        <div className="bg-white rounded-xl shadow-xl p-4 md:p-6 w-full border-b-4 border-purple-500 space-y-2">
+          <div className="flex flex-wrap items-end gap-4">
+            <label className="block text-sm font-semibold text-gray-700">
+              {t('dashboard.files')}
+              <input type="file" accept="application/json,.json" multiple className="block mt-1" onChange={(e) => loadFiles([...e.target.files])} />
+            </label>
+            {procedureIds.length > 1 && (
+              <label className="block text-sm font-semibold text-gray-700">
+                {t('dashboard.procedure')}
+                <select value={procedureId || ''} onChange={(e) => { setProcedureId(e.target.value); setSelectedId(null); }} className="block mt-1 border rounded p-1">
+                  {procedureIds.map(id => <option key={id} value={id}>{getProcedure(id, locale).title}</option>)}
+                </select>
+              </label>
+            )}
+            {records.length > 0 && (
+              <button onClick={() => { setRecords([]); setLoadErrors([]); setProcedureId(null); setSelectedId(null); }} className="ml-auto text-sm text-gray-600 underline">
+                {t('dashboard.clear')}
+              </button>
+            )}
+          </div>
+          {loadErrors.map(({ source, error }) => (
+            <p key={source} className="text-red-700 text-sm"><span className="font-semibold">{source}:</span> {error}</p>
+          ))}
+          {otherVersions > 0 && (
+            <p className="text-amber-700 text-sm">
+              {t('dashboard.otherVersions', { count: otherVersions, version: procedure.version })}
+            </p>
+          )}
+        </div>
+
+        {summaries.length > 0 && (
+          <>
+            {/* Score distribution */}
+            <section className="bg-white rounded-xl shadow-xl p-4 md:p-6 w-full">
+              <h2 className="text-xl font-bold text-gray-800 mb-1">{t('dashboard.distribution')}</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                {t('dashboard.distributionSummary', { average: averagePercent, passed, total: summaries.length, passPercent: procedure.rubric.passPercent })}
+              </p>
+              <div className="flex items-end gap-1 h-40" role="img" aria-label={t('dashboard.distributionChart')}>
+                {distribution.map(bin => (
+                  <div key={bin.from} className="flex-1 flex flex-col items-center justify-end h-full">
+                    {bin.count > 0 && <span className="text-xs text-gray-700">{bin.count}</span>}
+                    <div
+                      className={`w-full rounded-t ${bin.from >= procedure.rubric.passPercent ? 'bg-green-500' : 'bg-red-400'}`}
+                      style={{ height: `${(bin.count / largestBin) * 100}%` }}
+                    ></div>
+                    <span className="text-xs text-gray-500 mt-1">{bin.from}–{bin.to}</span>
+                  </div>
+                ))}
+              </div>
+            </section>
+
+            <ResultsTable
+              title={t('dashboard.students')}
+              fileName={`${procedure.id}-students.csv`}
+              rows={studentRows(summaries)}
+              onRowClick={row => setSelectedId(row.id === selectedId ? null : row.id)}
+              selectedKey={selectedId}
+              columns={[
+                { key: 'student', label: t('dashboard.columns.student') },
+                { key: 'attempt', label: t('dashboard.columns.attempt') },
+                { key: 'mode', label: t('attempts.mode'), format: value => t(`modes.${value}`) },
+                { key: 'minutes', label: t('dashboard.columns.minutes') },
+                { key: 'score', label: t('dashboard.columns.score') },
+                { key: 'finalPercent', label: t('dashboard.columns.finalPercent') },
+                { key: 'result', label: t('dashboard.columns.result'), format: value => t(value === 'Pass' ? 'rubric.pass' : 'rubric.fail') },
+                { key: 'criticalErrors', label: t('rubric.criticalErrors') },
+                { key: 'safetyViolations', label: t('rubric.safetyViolations') },
+                { key: 'smear', label: t('dashboard.columns.smear') },
+                { key: 'patientCase', label: t('dashboard.columns.patientCase') },
+                { key: 'findings', label: t('dashboard.columns.findings') },
+              ]}
+            />
+            {selected && <StudentDetail key={selected.id} procedure={procedure} summary={selected} />}
+
+            <ResultsTable
+              title={t('dashboard.failedSteps')}
+              fileName={`${procedure.id}-failed-steps.csv`}
+              rows={failedSteps(procedure, summaries)}
+              columns={[
+                { key: 'instruction', label: t('rubric.step') },
+                { key: 'students', label: t('dashboard.columns.studentsWithMistake') },
+                { key: 'percentStudents', label: t('dashboard.columns.percentOfClass'), format: value => `${value}%` },
+                { key: 'mistakes', label: t('rubric.mistakes') },
+                { key: 'commonMistake', label: t('dashboard.columns.commonMistake'), format: (value, row) => translateMistake(t, row.commonError, value) },
+              ]}
+            />
+
+            <ResultsTable
+              title={t('dashboard.stepTimes')}
+              fileName={`${procedure.id}-step-times.csv`}
+              rows={stepTimes(procedure, summaries)}
+              columns={[
+                { key: 'instruction', label: t('rubric.step') },
+                { key: 'students', label: t('dashboard.students') },
+                { key: 'averageSeconds', label: t('dashboard.columns.averageSeconds') },
+              ]}
+            />
+
+            <ResultsTable
+              title={t('dashboard.questions')}
+              fileName={`${procedure.id}-questions.csv`}
+              rows={questionStats(procedure, summaries)}
+              columns={[
+                { key: 'prompt', label: t('dashboard.columns.question') },
+                { key: 'difficulty', label: t('dashboard.columns.rated') },
+                { key: 'answered', label: t('dashboard.columns.answered') },
+                { key: 'percentCorrect', label: t('dashboard.columns.percentCorrect'), format: value => `${value}%` },
+                { key: 'commonWrongAnswer', label: t('dashboard.columns.commonWrongAnswer') },
+              ]}
+            />
+
+            <ResultsTable
+              title={t('dashboard.smears')}
+              fileName={`${procedure.id}-smears.csv`}
+              rows={smearOutcomes(summaries)}
+              columns={[
+                { key: 'label', label: t('dashboard.columns.outcome'), format: (value, row) => translateSmearQuality(t, row.quality) },
+                { key: 'count', label: t('dashboard.students') },
+                { key: 'percent', label: t('dashboard.columns.percentOfClass'), format: value => `${value}%` },
+              ]}
+            />
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+import { evaluateRubric } from '../scoring/rubric';
+import { recordDuration } from '../replay/replay';
+import { smearQualityLabel, currentFilm } from '../procedures/consequences';
+import { caseForAttempt } from '../cases/cases';
+import { scoredEvents } from '../session/actionLog';
+
+// Results of a whole class, aggregated from exported attempt files (see
+// buildAttemptRecord in ../session/actionLog). Every attempt is marked from its
+// action log against the loaded procedure, the same way the student's own
+// completion screen marked it.
+
+// One student's attempt: { id, student, name, mode, procedureVersion, startedAt, durationMs, evaluation, smearQuality,
+// patientCase, findings ({ found, total } or null), timeExpired, record }. student is the name the
+// student gave; a file exported before they gave one is known by its attempt name instead.
+export function summarizeAttempt(record, procedure) {
+  const patientCase = caseForAttempt(procedure, record.attemptSeed);
+  const findings = record.events.filter(event => event.type === 'findings').pop();
+  return {
+    id: record.attempt.id,
+    student: record.studentName || record.attempt.name,
+    name: record.attempt.name,
+    mode: record.attempt.mode ?? 'practice',
+    procedureVersion: record.procedure.version,
+    startedAt: record.startedAt,
+    durationMs: recordDuration(record),
+    evaluation: evaluateRubric(procedure, record.events),
+    smearQuality: currentFilm(procedure, record.events)?.quality ?? null,
+    patientCase: patientCase?.title ?? null,
+    findings: findings ? { found: findings.correct.length, total: findings.correct.length + findings.missed.length } : null,
+    timeExpired: record.events.some(event => event.type === 'time_expired'),
+    record,
+  };
+}
+
+// Final percentages counted in bins of binSize: [{ from, to, count }]; 100% counts in the top bin
+export function scoreDistribution(summaries, binSize = 10) {
+  const bins = Array.from({ length: Math.ceil(100 / binSize) }, (_, i) => ({ from: i * binSize, to: Math.min(100, (i + 1) * binSize), count: 0 }));
+  summaries.forEach((summary) => {
+    bins[Math.min(bins.length - 1, Math.floor(summary.evaluation.finalPercent / binSize))].count++;
+  });
+  return bins;
+}
+
+const mostCommon = (values) => {
+  const counts = {};
+  values.forEach((value) => { counts[value] = (counts[value] || 0) + 1; });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+};
+
+// Steps where students went wrong, most widespread first:
+// [{ stepId, instruction, students, percentStudents, mistakes, commonError, commonMistake }]
+// A student with several attempts counts once. commonError is the error id of the most
+// common mistake, commonMistake its logged wording.
+export function failedSteps(procedure, summaries) {
+  const classSize = new Set(summaries.map(summary => summary.student)).size;
+  return procedure.steps
+    .map((step) => {
+      const rowOf = summary => summary.evaluation.steps.find(row => row.stepId === step.id);
+      const failed = summaries.filter(summary => rowOf(summary)?.mistakes.length > 0);
+      const rows = failed.map(rowOf);
+      const students = new Set(failed.map(summary => summary.student)).size;
+      const mistakes = rows.flatMap(row => row.mistakes);
+      const errors = rows.flatMap(row => row.errors);
+      const commonError = mostCommon(errors);
+      return {
+        stepId: step.id,
+        instruction: step.instruction,
+        students,
+        percentStudents: classSize > 0 ? Math.round((students / classSize) * 100) : 0,
+        mistakes: mistakes.length,
+        commonError,
+        commonMistake: mistakes[errors.indexOf(commonError)] ?? null,
+      };
+    })
+    .filter(row => row.students > 0)
+    .sort((a, b) => b.students - a.students || b.mistakes - a.mistakes);
+}
+
+// Milliseconds spent on each step of one attempt, from the step transitions in its log.
+// A step returned to later adds to its time; the last step runs to the end of the log.
+export function timeByStep(events) {
+  const times = {};
+  let current = null;
+  let enteredAt = null;
+  events.forEach((event) => {
+    if (event.type !== 'step_transition') return;
+    if (current) times[current] = (times[current] || 0) + event.t - enteredAt;
+    current = event.to;
+    enteredAt = event.t;
+  });
+  if (current && events.length > 0) times[current] = (times[current] || 0) + events[events.length - 1].t - enteredAt;
+  return times;
+}
+
+// Average time per step over the attempts that reached it, in procedure order:
+// [{ stepId, instruction, students, averageSeconds }]. The intro and completion screens aren't timed.
+export function stepTimes(procedure, summaries) {
+  const perAttempt = summaries.map(summary => timeByStep(summary.record.events));
+  return procedure.steps
+    .filter(step => step.action !== 'intro' && step.action !== 'complete')
+    .map((step) => {
+      const times = perAttempt.map(times => times[step.id]).filter(time => time !== undefined);
+      return {
+        stepId: step.id,
+        instruction: step.instruction,
+        students: times.length,
+        averageSeconds: times.length > 0 ? Math.round(times.reduce((total, time) => total + time, 0) / times.length / 100) / 10 : null,
+      };
+    });
+}
+
+// How each knowledge-check question fared, hardest first (lowest share answered correctly):
+// [{ questionId, prompt, difficulty (as rated in the bank), answered, correct, percentCorrect, commonWrongAnswer }]
+export function questionStats(procedure, summaries) {
+  const questions = procedure.steps.flatMap(step => step.quiz?.questions || []);
+  const answers = {};
+  summaries.forEach((summary) => {
+    scoredEvents(summary.record.events)
+      .filter(event => event.type === 'mcq_answer' && event.questionId)
+      .forEach((event) => { (answers[event.questionId] = answers[event.questionId] || []).push(event); });
+  });
+  return Object.entries(answers)
+    .map(([questionId, events]) => {
+      const question = questions.find(entry => entry.id === questionId);
+      const correct = events.filter(event => event.outcome === 'correct').length;
+      return {
+        questionId,
+        prompt: question?.prompt ?? questionId,
+        difficulty: question?.difficulty ?? null,
+        answered: events.length,
+        correct,
+        percentCorrect: Math.round((correct / events.length) * 100),
+        commonWrongAnswer: mostCommon(events.filter(event => event.outcome !== 'correct').map(event => event.answer)),
+      };
+    })
+    .sort((a, b) => a.percentCorrect - b.percentCorrect || b.answered - a.answered);
+}
+
+// Quality of the smears the class made: [{ quality, label, count, percent }], most frequent first
+export function smearOutcomes(summaries) {
+  const counts = {};
+  summaries.forEach((summary) => {
+    const key = summary.smearQuality ?? 'none';
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([quality, count]) => ({
+      quality,
+      label: smearQualityLabel(quality),
+      count,
+      percent: Math.round((count / summaries.length) * 100),
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+// One row per attempt, each student's attempts together in the order they were made,
+// for the class list and its CSV export
+export function studentRows(summaries) {
+  const ordered = [...summaries].sort((a, b) => a.student.localeCompare(b.student) || (a.startedAt ?? 0) - (b.startedAt ?? 0));
+  return ordered.map(({ id, student, name, mode, startedAt, durationMs, evaluation, smearQuality, patientCase, findings, timeExpired }) => ({
+    id,
+    student,
+    attempt: name,
+    mode,
+    startedAt: startedAt ? new Date(startedAt).toISOString() : '',
+    minutes: Math.round(durationMs / 6000) / 10,
+    score: evaluation.score,
+    maxScore: evaluation.maxScore,
+    finalPercent: evaluation.finalPercent,
+    result: evaluation.passed ? 'Pass' : 'Fail',
+    criticalErrors: evaluation.criticalErrors.map(rule => rule.description).join('; '),
+    safetyViolations: evaluation.safetyViolations.length,
+    smear: smearQualityLabel(smearQuality),
+    patientCase: patientCase ?? '',
+    findings: findings ? `${findings.found} / ${findings.total}` : '',
+    timeExpired: timeExpired ? 'yes' : 'no',
+  }));
+}
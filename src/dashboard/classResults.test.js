@@ -0,0 +1,107 @@
+import bloodSmear from '../procedures/definitions/blood-smear.json';
+import bloodSmearBank from '../questions/banks/blood-smear.json';
+import { loadProcedure } from '../procedures/schema';
+import { createEvent, buildAttemptRecord } from '../session/actionLog';
+import { evaluateSmear } from '../smear/technique';
+import { summarizeAttempt, scoreDistribution, failedSteps, timeByStep, stepTimes, questionStats, smearOutcomes, studentRows } from './classResults';
+
+const loaded = loadProcedure(bloodSmear, 'blood-smear.json');
+const procedure = { ...loaded, steps: loaded.steps.map(step => (step.quiz ? { ...step, quiz: { ...step.quiz, questions: bloodSmearBank.questions } } : step)) };
+const good = evaluateSmear({ angle: 35, speed: 45, spread: 0.75, pushLength: 45 });
+const thick = evaluateSmear({ angle: 60, speed: 90, spread: 0.9, pushLength: 45 });
+
+const attempt = (id, events, studentName = `Student ${id}`) => summarizeAttempt(buildAttemptRecord({
+  procedure,
+  attempt: { id, name: 'Attempt 1', createdAt: 0 },
+  attemptSeed: 1,
+  events: [createEvent('attempt_started', { stepId: 'intro' }, 0), ...events],
+  studentName,
+}), procedure);
+
+const students = [
+  attempt('a', [
+    createEvent('step_transition', { to: 'clean_finger' }, 1000),
+    createEvent('wrong_action', { stepId: 'clean_finger', error: 'wrong_tool', outcome: 'incorrect', points: -2 }, 2000),
+    createEvent('drop', { stepId: 'clean_finger', outcome: 'correct', points: 10 }, 4000),
+    createEvent('step_transition', { to: 'perform_smear' }, 5000),
+    createEvent('smear', { stepId: 'perform_smear', outcome: 'correct', points: 30, result: good }, 9000),
+    createEvent('mcq_answer', { stepId: 'mcq_challenge', questionId: 'oil_objective', answer: '100x', outcome: 'correct', points: 10 }, 10000),
+  ]),
+  attempt('b', [
+    createEvent('step_transition', { to: 'clean_finger' }, 1000),
+    createEvent('wrong_action', { stepId: 'clean_finger', error: 'wrong_tool', outcome: 'incorrect', points: -2 }, 1500),
+    createEvent('wrong_action', { stepId: 'clean_finger', error: 'wrong_target', outcome: 'incorrect', points: -2 }, 1800),
+    createEvent('wrong_action', { stepId: 'clean_finger', error: 'wrong_tool', outcome: 'incorrect', points: -3 }, 2000),
+    createEvent('step_transition', { to: 'perform_smear' }, 3000),
+    createEvent('smear', { stepId: 'perform_smear', outcome: 'incorrect', points: 0, result: thick }, 4000),
+    createEvent('mcq_answer', { stepId: 'mcq_challenge', questionId: 'oil_objective', answer: '40x', outcome: 'incorrect', points: 0 }, 5000),
+  ]),
+  attempt('c', [createEvent('step_transition', { to: 'clean_finger' }, 500)]),
+];
+
+test('time on a step runs from entering it to leaving it, or to the end of the log', () => {
+  expect(timeByStep(students[0].record.events)).toEqual({ clean_finger: 4000, perform_smear: 5000 });
+  const times = stepTimes(procedure, students);
+  expect(times.find(row => row.stepId === 'clean_finger')).toMatchObject({ students: 3, averageSeconds: 2 });
+  expect(times.find(row => row.stepId === 'perform_smear')).toMatchObject({ students: 2, averageSeconds: 3.5 });
+  expect(times.find(row => row.stepId === 'air_dry')).toMatchObject({ students: 0, averageSeconds: null });
+  expect(times.some(row => row.stepId === 'intro')).toBe(false);
+});
+
+test('scores are binned, and failed steps ranked by how many students went wrong', () => {
+  const distribution = scoreDistribution(students);
+  expect(distribution).toHaveLength(10);
+  expect(distribution.reduce((total, bin) => total + bin.count, 0)).toBe(3);
+  expect(scoreDistribution([{ evaluation: { finalPercent: 100 } }])[9].count).toBe(1);
+
+  expect(failedSteps(procedure, students)).toEqual([{
+    stepId: 'clean_finger',
+    instruction: procedure.steps.find(step => step.id === 'clean_finger').instruction,
+    students: 2,
+    percentStudents: 67,
+    mistakes: 4,
+    commonError: 'wrong_tool',
+    commonMistake: 'Wrong tool',
+  }]);
+});
+
+test('question difficulty and smear outcomes are counted across the class', () => {
+  expect(questionStats(procedure, students)).toEqual([expect.objectContaining({
+    questionId: 'oil_objective',
+    difficulty: 'easy',
+    answered: 2,
+    correct: 1,
+    percentCorrect: 50,
+    commonWrongAnswer: '40x',
+  })]);
+  expect(smearOutcomes(students)).toEqual([
+    { quality: 'good', label: 'Good film', count: 1, percent: 33 },
+    { quality: 'too_thick', label: 'Too thick', count: 1, percent: 33 },
+    { quality: 'none', label: 'No smear made', count: 1, percent: 33 },
+  ]);
+  expect(studentRows(students)[1]).toMatchObject({ student: 'Student b', attempt: 'Attempt 1', score: -7, finalPercent: 0, result: 'Fail', smear: 'Too thick' });
+});
+
+test('attempts are grouped by the student who made them', () => {
+  const retake = summarizeAttempt(buildAttemptRecord({
+    procedure,
+    attempt: { id: 'a2', name: 'Attempt 2', createdAt: 0 },
+    attemptSeed: 1,
+    events: [
+      createEvent('attempt_started', { stepId: 'intro' }, 50000),
+      createEvent('wrong_action', { stepId: 'clean_finger', error: 'wrong_target', outcome: 'incorrect', points: -2 }, 51000),
+    ],
+    studentName: 'Student a',
+  }), procedure);
+  const unnamed = attempt('d', [], '');
+  const summaries = [...students, retake, unnamed];
+
+  expect(failedSteps(procedure, summaries)[0]).toMatchObject({ stepId: 'clean_finger', students: 2, percentStudents: 50 });
+  expect(studentRows(summaries).map(row => [row.student, row.attempt])).toEqual([
+    ['Attempt 1', 'Attempt 1'],
+    ['Student a', 'Attempt 1'],
+    ['Student a', 'Attempt 2'],
+    ['Student b', 'Attempt 1'],
+    ['Student c', 'Attempt 1'],
+  ]);
+});
@@ -0,0 +1,42 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { catalogs, availableLocales } from '.';
+import { createTranslator, directionFor, resolveLocale, DEFAULT_LOCALE, LOCALE_STORAGE_KEY } from './i18n';
+
+const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  direction: 'ltr',
+  t: createTranslator(DEFAULT_LOCALE, catalogs),
+  setLocale: () => {},
+});
+
+// The language chosen in this browser before, else the browser's own language
+const initialLocale = () => {
+  try {
+    return resolveLocale(window.localStorage.getItem(LOCALE_STORAGE_KEY) || window.navigator.language, availableLocales);
+  } catch (error) {
+    return DEFAULT_LOCALE;
+  }
+};
+
+// Provides the interface language to the app: { locale, direction, t, setLocale }.
+// The choice is remembered, and the page's lang and dir follow it so
+// right-to-left languages lay out from the right.
+export default function I18nProvider({ children }) {
+  const [locale, setLocale] = useState(initialLocale);
+  const direction = directionFor(locale);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = direction;
+    try {
+      window.localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+      // Not remembering the language is harmless
+    }
+  }, [locale, direction]);
+
+  const value = useMemo(() => ({ locale, direction, t: createTranslator(locale, catalogs), setLocale }), [locale, direction]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,19 @@
+import React from 'react';
+import { catalogs, availableLocales } from '.';
+import { useI18n } from './I18nProvider';
+
+// Picks the interface language; each language is listed under its own name
+export default function LanguageSwitcher({ className = '' }) {
+  const { locale, t, setLocale } = useI18n();
+
+  return (
+    <select
+      aria-label={t('language.label')}
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      className={`p-1 rounded-lg border-2 border-indigo-300 bg-white text-gray-800 text-sm focus:outline-none focus:border-purple-500 ${className}`}
+    >
+      {availableLocales.map(id => <option key={id} value={id} lang={id}>{catalogs[id].language.name}</option>)}
+    </select>
+  );
+}
@@ -0,0 +1,4 @@
+import { byFileName } from '../utils/bundle';
+
+// The interface catalogs in ./locales
+export const catalogFiles = byFileName(require.context('./locales', false, /\.json$/));
@@ -0,0 +1,104 @@
+import { SMEAR_ISSUES } from '../smear/technique';
+import { FILM_DEFECTS } from '../microscope/bloodFilm';
+import { smearQualityLabel } from '../procedures/consequences';
+import { FINDINGS } from '../cases/cases';
+import { ERROR_TYPES } from '../scoring/rubric';
+
+// Translated procedure and question bank content.
+// A translation file gives the text of a definition in another language, keyed
+// by the ids in the definition, so ids, flags, points and answers stay in the
+// definition and only the wording is replaced. Anything a translation leaves
+// out stays in the definition's own language.
+//
+// procedure translation: { procedure, locale, title, description, completionMessage,
+//   tools: { id: { label } }, targets: { id: { label } },
+//   steps: { id: { instruction, narration, buttonLabel, feedback: { success, failure, unmet, focused, unfocused },
+//     video: { chapters: { id: { title } }, checkpoints: { id: { prompt, options, explanation } } } } },
+//   consequences: { id: { label, message, debrief } }, criticalErrors: { id: { description } } }
+// bank translation: { bank, locale, questions: { id: { prompt, options, items, explanation } } }
+
+const pick = (source, fields) => Object.fromEntries(fields.filter(field => source?.[field] !== undefined).map(field => [field, source[field]]));
+
+// A translated list only replaces the original when it has as many entries, since answers refer to them by position
+const sameLength = (original, translated) => Array.isArray(original) && Array.isArray(translated) && translated.length === original.length;
+
+export function localizeQuestions(questions, translation) {
+  if (!translation) return questions;
+  return questions.map((question) => {
+    const text = translation.questions?.[question.id];
+    if (!text) return question;
+    return {
+      ...question,
+      ...pick(text, ['prompt', 'explanation']),
+      ...(sameLength(question.options, text.options) && { options: text.options }),
+      ...(sameLength(question.items, text.items) && { items: text.items }),
+    };
+  });
+}
+
+function localizeVideo(video, text) {
+  if (!text) return video;
+  return {
+    ...video,
+    ...(video.chapters && { chapters: video.chapters.map(chapter => ({ ...chapter, ...pick(text.chapters?.[chapter.id], ['title']) })) }),
+    ...(video.checkpoints && { checkpoints: localizeQuestions(video.checkpoints, { questions: text.checkpoints }) }),
+  };
+}
+
+// translation: the procedure's translation, or null; bankTranslation(bankId): the translation of a question bank, or null
+export function localizeProcedure(procedure, translation, bankTranslation = () => null) {
+  const byId = (entries, texts, fields) => entries.map(entry => ({ ...entry, ...pick(texts?.[entry.id], fields) }));
+
+  return {
+    ...procedure,
+    ...pick(translation, ['title', 'description', 'completionMessage']),
+    tools: byId(procedure.tools, translation?.tools, ['label']),
+    targets: byId(procedure.targets, translation?.targets, ['label']),
+    consequences: byId(procedure.consequences, translation?.consequences, ['label', 'message', 'debrief']),
+    rubric: {
+      ...procedure.rubric,
+      criticalErrors: byId(procedure.rubric.criticalErrors, translation?.criticalErrors, ['description']),
+    },
+    steps: procedure.steps.map((step) => {
+      const text = translation?.steps?.[step.id];
+      return {
+        ...step,
+        ...pick(text, ['instruction', 'buttonLabel']),
+        // A recording only fits the wording it was made from, so a translated instruction drops the original's
+        ...((text?.narration || text?.instruction) && { narration: text.narration }),
+        ...(step.feedback && { feedback: { ...step.feedback, ...text?.feedback } }),
+        ...(step.video && { video: localizeVideo(step.video, text?.video) }),
+        ...(step.quiz?.questions && { quiz: { ...step.quiz, questions: localizeQuestions(step.quiz.questions, bankTranslation(step.quiz.bank)) } }),
+      };
+    }),
+  };
+}
+
+// Smear issues are logged as text (see ../smear/technique and FILM_DEFECTS in
+// ../microscope/bloodFilm); they are shown through the catalog entry of the issue
+// they match, or as logged when they match none
+export function translateIssue(t, issue) {
+  const technique = Object.keys(SMEAR_ISSUES).find(id => SMEAR_ISSUES[id] === issue);
+  if (technique) return t(`smear.issues.${technique}`, { defaultValue: issue });
+  const defect = Object.keys(FILM_DEFECTS).find(id => FILM_DEFECTS[id].issue === issue);
+  return defect ? t(`defects.${defect}.issue`, { defaultValue: issue }) : issue;
+}
+
+// Name of a smear quality (see smearQualityLabel in ../procedures/consequences); null is no smear at all
+export function translateSmearQuality(t, quality) {
+  const key = FILM_DEFECTS[quality] ? `defects.${quality}.label` : `smear.quality.${quality ?? 'none'}`;
+  return t(key, { defaultValue: smearQualityLabel(quality) });
+}
+
+// A patient case's title and history (see ../cases/cases) in the interface language
+export function translateCase(t, patientCase) {
+  return {
+    title: t(`cases.${patientCase.id}.title`, { defaultValue: patientCase.title }),
+    history: t(`cases.${patientCase.id}.history`, { defaultValue: patientCase.history }),
+  };
+}
+
+export const translateFinding = (t, findingId) => t(`findings.${findingId}`, { defaultValue: FINDINGS[findingId]?.label ?? findingId });
+
+// A mistake from its error id (a rubric error type or a microscope handling error), or as logged
+export const translateMistake = (t, error, mistake) => t(ERROR_TYPES[error] ? `errors.${error}` : `handling.${error}`, { defaultValue: mistake });
@@ -0,0 +1,69 @@
+import bloodSmear from '../procedures/definitions/blood-smear.json';
+import bloodSmearEs from '../procedures/translations/blood-smear.es.json';
+import bloodSmearAr from '../procedures/translations/blood-smear.ar.json';
+import bankDoc from '../questions/banks/blood-smear.json';
+import bankEs from '../questions/translations/blood-smear.es.json';
+import en from './locales/en.json';
+import es from './locales/es.json';
+import { loadProcedure } from '../procedures/schema';
+import { loadQuestionBank } from '../questions/bank';
+import { evaluateSmear } from '../smear/technique';
+import { createTranslator } from './i18n';
+import { localizeProcedure, localizeQuestions, translateIssue, translateSmearQuality } from './content';
+
+const procedure = loadProcedure(bloodSmear, 'blood-smear.json');
+const bank = loadQuestionBank(bankDoc, 'blood-smear.json');
+
+test('a translation replaces the wording and keeps everything else from the definition', () => {
+  const localized = localizeProcedure(procedure, bloodSmearEs);
+  expect(localized.title).toBe('Preparación de un frotis de sangre');
+  expect(localized.tools.find(tool => tool.id === 'lancet')).toEqual({ id: 'lancet', label: 'Lanceta', icon: '💉', item: { kind: 'sharp', disposeBy: 'collect_blood_on_slide' } });
+  const step = localized.steps.find(entry => entry.id === 'wipe_blood');
+  expect(step.feedback.unmet).toBe('Todavía no hay ninguna gota de sangre que limpiar.');
+  expect(step).toMatchObject({ tool: 'alcohol_swab', target: 'blood_drop', points: 10, requires: { bloodDropVisible: true } });
+  expect(localized.rubric.criticalErrors[0]).toMatchObject({ id: 'finger_not_cleaned', capPercent: 50 });
+  expect(localizeProcedure(procedure, null)).toEqual(procedure);
+});
+
+test('video chapters and checkpoints are translated, keeping their times and answers', () => {
+  const video = localizeProcedure(procedure, bloodSmearEs).steps.find(step => step.action === 'watch_video').video;
+  expect(video.chapters[0]).toMatchObject({ id: 'cleaning', time: 0, title: 'Limpieza del dedo', step: 'clean_finger' });
+  const [checkpoint] = video.checkpoints;
+  expect(checkpoint).toMatchObject({ id: 'first_drop', time: 40, answer: 0, points: 5 });
+  expect(checkpoint.options[checkpoint.answer]).toBe('Está diluida con líquido tisular y puede contener alcohol');
+});
+
+test('a recorded instruction is only kept while its wording is', () => {
+  const withRecording = { ...procedure, steps: procedure.steps.map(step => ({ ...step, narration: `narration/${step.id}.mp3` })) };
+  const translation = { steps: { clean_finger: { instruction: 'Limpia el dedo.' }, prick_finger: { instruction: 'Toma la lanceta.', narration: 'narration/es/prick_finger.mp3' } } };
+  const steps = localizeProcedure(withRecording, translation).steps;
+  expect(steps.find(step => step.id === 'clean_finger').narration).toBeUndefined();
+  expect(steps.find(step => step.id === 'prick_finger').narration).toBe('narration/es/prick_finger.mp3');
+  expect(steps.find(step => step.id === 'apply_lancet').narration).toBe('narration/apply_lancet.mp3');
+});
+
+test('translated questions keep their answers, and lists of the wrong length are ignored', () => {
+  const [question] = localizeQuestions(bank.questions, bankEs);
+  expect(question.options[question.answer]).toBe('Eliminar la contaminación con líquido tisular.');
+  const short = { questions: { first_drop_purpose: { prompt: 'P', options: ['only one'] } } };
+  expect(localizeQuestions(bank.questions, short)[0].options).toEqual(bank.questions[0].options);
+});
+
+test('translations only name ids the definitions have', () => {
+  [bloodSmearEs, bloodSmearAr].forEach((translation) => {
+    expect(procedure.steps.map(step => step.id)).toEqual(expect.arrayContaining(Object.keys(translation.steps)));
+    expect(procedure.tools.map(tool => tool.id)).toEqual(expect.arrayContaining(Object.keys(translation.tools)));
+    expect(procedure.targets.map(target => target.id)).toEqual(expect.arrayContaining(Object.keys(translation.targets)));
+    expect(procedure.consequences.map(rule => rule.id)).toEqual(expect.arrayContaining(Object.keys(translation.consequences)));
+  });
+  expect(bank.questions.map(question => question.id)).toEqual(expect.arrayContaining(Object.keys(bankEs.questions)));
+});
+
+test('logged smear issues and qualities are shown in the interface language', () => {
+  const t = createTranslator('es', { en, es });
+  const smear = evaluateSmear({ angle: 70, speed: 45, spread: 0.75, pushLength: 45 });
+  expect(translateIssue(t, smear.issues[0])).toBe('El ángulo del portaobjetos extensor era demasiado inclinado.');
+  expect(translateIssue(t, 'Something unrecorded.')).toBe('Something unrecorded.');
+  expect(translateSmearQuality(t, 'clotted')).toBe('Coagulada');
+  expect(translateSmearQuality(t, null)).toBe('No se hizo frotis');
+});
@@ -0,0 +1,45 @@
+// Message lookup for the interface languages.
+// A catalog is a nested JSON object of messages (see ./locales), looked up by
+// dotted key, e.g. t('workspace.tools'). Messages can interpolate values written
+// as {name}, and a message given as an object of plural forms ({ one, other },
+// plus few, many... where a language has them) is chosen by params.count.
+// Anything missing from a catalog falls back to English, then to the
+// defaultValue passed in, then to the key itself.
+
+export const DEFAULT_LOCALE = 'en';
+export const LOCALE_STORAGE_KEY = 'labsim.locale';
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+const languageOf = locale => String(locale || '').toLowerCase().split(/[-_]/)[0];
+
+export function directionFor(locale) {
+  return RTL_LANGUAGES.includes(languageOf(locale)) ? 'rtl' : 'ltr';
+}
+
+// The available locale that best matches a requested one ('es-MX' -> 'es'), or the default
+export function resolveLocale(requested, available) {
+  const wanted = String(requested || '').toLowerCase();
+  return available.find(locale => locale.toLowerCase() === wanted)
+    || available.find(locale => languageOf(locale) === languageOf(wanted))
+    || DEFAULT_LOCALE;
+}
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+const interpolate = (message, params) => message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+
+// Returns t(key, params) for the locale. params.defaultValue is used when no catalog has the key.
+export function createTranslator(locale, catalogs) {
+  const plurals = new Intl.PluralRules(locale);
+  const chain = [catalogs[locale], catalogs[DEFAULT_LOCALE]].filter(Boolean);
+
+  return (key, params = {}) => {
+    let message = chain.map(catalog => lookup(catalog, key)).find(value => value !== undefined);
+    if (message && typeof message === 'object') {
+      message = message[plurals.select(Number(params.count ?? 0))] ?? message.other;
+    }
+    if (typeof message !== 'string') message = params.defaultValue ?? key;
+    return interpolate(message, params);
+  };
+}
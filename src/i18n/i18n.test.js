@@ -0,0 +1,40 @@
+import en from './locales/en.json';
+import es from './locales/es.json';
+import ar from './locales/ar.json';
+import { createTranslator, directionFor, resolveLocale } from './i18n';
+
+const catalogs = { en, es, ar };
+
+// Every message a catalog gives, as dotted keys; plural forms count as one message
+const messageKeys = (catalog, prefix = '') => Object.entries(catalog).flatMap(([key, value]) => (
+  value && typeof value === 'object' && !('other' in value) ? messageKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+));
+
+test('messages interpolate values and fall back to English, then the default', () => {
+  const t = createTranslator('es', { en: { a: 'Score: {score}', b: 'Only English' }, es: { a: 'Puntuación: {score}' } });
+  expect(t('a', { score: 40 })).toBe('Puntuación: 40');
+  expect(t('b')).toBe('Only English');
+  expect(t('missing', { defaultValue: 'Fallback {n}', n: 2 })).toBe('Fallback 2');
+  expect(t('missing')).toBe('missing');
+});
+
+test('plural forms are chosen by count with the language\'s own rules', () => {
+  const points = { one: '{count} point', other: '{count} points' };
+  expect(createTranslator('en', { en: { points } })('points', { count: 1 })).toBe('1 point');
+  expect(createTranslator('en', { en: { points } })('points', { count: 3 })).toBe('3 points');
+  const t = createTranslator('ar', catalogs);
+  expect(t('attempts.points', { count: 2 })).not.toBe(t('attempts.points', { count: 11 }));
+});
+
+test('locales resolve to the closest catalog and right-to-left languages are recognised', () => {
+  expect(resolveLocale('es-MX', Object.keys(catalogs))).toBe('es');
+  expect(resolveLocale('fr-FR', Object.keys(catalogs))).toBe('en');
+  expect(directionFor('ar')).toBe('rtl');
+  expect(directionFor('es')).toBe('ltr');
+});
+
+test('the catalogs translate every English message', () => {
+  const english = messageKeys(en);
+  expect(messageKeys(es).sort()).toEqual([...english].sort());
+  expect(messageKeys(ar).sort()).toEqual([...english].sort());
+});
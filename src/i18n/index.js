@@ -0,0 +1,8 @@
+import { catalogFiles } from './bundled';
+
+// Interface language registry. Every *.json catalog in ./locales is picked up by
+// the bundler (see ./bundled) under its file name, so adding a language only needs
+// a new catalog (and, for procedure and question text, translations next to their definitions).
+export const catalogs = Object.fromEntries(Object.entries(catalogFiles).map(([file, catalog]) => [file.replace(/\.json$/, ''), catalog]));
+
+export const availableLocales = Object.keys(catalogs);
@@ -2,15 +2,36 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import I18nProvider from './i18n/I18nProvider';
+import AudioProvider from './audio/AudioProvider';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+import { procedures } from './procedures';
+import { procedureVideos } from './video/video';
+import { THEMES, themeSamples } from './audio/themes';
+import { procedureNarration } from './audio/narration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      <AudioProvider>
+        <App />
+      </AudioProvider>
+    </I18nProvider>
   </React.StrictMode>
 );
 
+// Precaches the app, its demonstration videos, narration and recorded sounds so it works offline once opened
+const soundUrls = Object.keys(THEMES).flatMap(themeSamples).map(path => `${process.env.PUBLIC_URL}/${path}`);
+serviceWorkerRegistration.register({
+  mediaUrls: [
+    ...Object.values(procedures).flatMap(procedureVideos),
+    ...Object.values(procedures).flatMap(procedureNarration),
+    ...soundUrls,
+  ],
+});
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
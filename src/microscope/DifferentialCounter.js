@@ -0,0 +1,95 @@
+import React from 'react';
+import { WBC_TYPES } from './bloodFilm';
+import { TALLY_KEYS } from './differential';
+import { useI18n } from '../i18n/I18nProvider';
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+const cellName = (t, type) => t(`cells.${type}`, { defaultValue: capitalize(type) });
+const percent = value => `${Math.round(value * 100)}%`;
+
+// Tally counter for the manual differential. The cell to classify is chosen by
+// clicking it in the eyepiece or with onSelectNext; onClassify(type) assigns it,
+// onUndo removes the last entry.
+export default function DifferentialCounter({ counts, total, target, hasSelection, message, onClassify, onUndo, onSelectNext }) {
+  const { t } = useI18n();
+  const finished = total >= target;
+
+  return (
+    <div className="w-full max-w-2xl mb-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-bold text-gray-800">{t('differential.title')}</h3>
+        <span className={`text-lg font-semibold ${finished ? 'text-green-700' : 'text-indigo-700'}`}>{t('differential.progress', { total, target })}</span>
+      </div>
+      <div className="grid grid-cols-5 gap-2">
+        {WBC_TYPES.map(type => (
+          <button
+            key={type}
+            onClick={() => onClassify(type)}
+            disabled={!hasSelection || finished}
+            className="flex flex-col items-center p-2 rounded-lg border-2 border-indigo-200 bg-indigo-50 hover:bg-indigo-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <span className="text-xs font-semibold text-gray-700">{cellName(t, type)}</span>
+            <span className="text-2xl font-bold text-indigo-700">{counts[type]}</span>
+            <kbd className="text-xs text-gray-500 uppercase">{TALLY_KEYS[type]}</kbd>
+          </button>
+        ))}
+      </div>
+      <div className="flex justify-between items-center mt-2">
+        <p className="text-sm text-gray-600 text-start" aria-live="polite">
+          {message || (finished ? t('differential.complete') : t('differential.hint'))}
+        </p>
+        {onSelectNext && (
+          <button
+            onClick={onSelectNext}
+            disabled={finished}
+            className="text-sm text-indigo-700 underline disabled:opacity-50 disabled:no-underline ms-4 whitespace-nowrap"
+          >
+            {t('differential.nextCell')}
+          </button>
+        )}
+        <button
+          onClick={onUndo}
+          disabled={total === 0 || finished}
+          className="text-sm text-indigo-700 underline disabled:opacity-50 disabled:no-underline ms-4 whitespace-nowrap"
+        >
+          {t('differential.undo')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Results of a finished count against the cells' true types
+export function DifferentialResults({ result }) {
+  const { t } = useI18n();
+  return (
+    <table className="w-full max-w-2xl text-sm mb-4 border border-gray-200">
+      <thead className="bg-gray-100 text-gray-700">
+        <tr>
+          <th className="p-2 text-start">{t('differential.cellType')}</th>
+          <th className="p-2">{t('differential.yourCount')}</th>
+          <th className="p-2">{t('differential.actual')}</th>
+          <th className="p-2">{t('differential.expected')}</th>
+          <th className="p-2">{t('differential.accuracy')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {result.rows.map(row => (
+          <tr key={row.type} className="border-t border-gray-200">
+            <td className="p-2 text-start font-semibold">{cellName(t, row.type)}</td>
+            <td className="p-2">{row.counted}</td>
+            <td className="p-2">{row.actual}</td>
+            <td className="p-2">{row.expectedPercent.toFixed(0)}%</td>
+            <td className={`p-2 font-semibold ${row.accuracy >= 0.8 ? 'text-green-700' : 'text-red-700'}`}>{percent(row.accuracy)}</td>
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        <tr className="border-t-2 border-gray-300 font-bold">
+          <td className="p-2 text-start" colSpan="4">{t('differential.overall', { points: result.points })}</td>
+          <td className="p-2">{percent(result.accuracy)}</td>
+        </tr>
+      </tfoot>
+    </table>
+  );
+}
@@ -0,0 +1,403 @@
+import React, { useRef, useEffect, useState, useMemo, useCallback } from 'react';
+import { generateField, ZONE_DESCRIPTIONS } from './bloodFilm';
+import { drawBloodFilm, pixelsPerUm } from './drawBloodFilm';
+import { OBJECTIVES, initialMicroscopeState, applyControl, viewParameters } from './instrument';
+import { DEFAULT_CELL_COUNT, TALLY_KEYS, cellKey, wbcAt, nextUncountedWbc, tally, scoreDifferential } from './differential';
+import DifferentialCounter, { DifferentialResults } from './DifferentialCounter';
+import { drawSmear } from '../smear/drawSmear';
+import { SLIDE_LENGTH_MM, SLIDE_WIDTH_MM, SMEAR_START_MM } from '../smear/technique';
+import { populationFor } from '../cases/cases';
+import { translateSmearQuality, translateCase } from '../i18n/content';
+import { useI18n } from '../i18n/I18nProvider';
+import { distance, movedBeyond, pinchStep, quantize } from '../utils/gestures';
+
+const controlButton = 'px-3 py-2 rounded-lg font-semibold shadow transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-300';
+
+// Operable microscope around the blood film renderer: objectives, coarse/fine
+// focus, illumination, immersion oil and a mechanical stage. Handling errors
+// are reported through onHandlingError(errorId) and every control used through
+// onControl(control); onClose receives the final instrument state.
+// With a differential config ({ cellCount, points }) the student also does a
+// manual WBC differential: each cell counted or undone is reported through
+// onCount(entry) / onUncount(entry), and onClose gets the scored count as a second argument.
+// A patient case (see ../cases/cases) supplies the blood the film is made from, and its history is shown alongside.
+// With showFeedback off (exam attempts) the smear's quality isn't shown.
+// A replay ({ scope, classifications }) shows that recorded state read-only instead.
+// The stage controls stay left-to-right in every language, matching the slide map.
+// On a touch screen the eyepiece field can also be dragged to move the stage and
+// pinched to change objective, just as with the controls.
+export default function MicroscopePanel({ smear, seed, patientCase, differential, showFeedback = true, replay, onHandlingError, onControl, onCount, onUncount, onClose }) {
+  const { t } = useI18n();
+  const canvasRef = useRef(null);
+  const slideMapRef = useRef(null);
+  const [ownScope, setScope] = useState(initialMicroscopeState);
+  const [ownClassifications, setClassifications] = useState([]); // [{ key, trueType, classifiedAs }]
+  const scope = replay?.scope ?? ownScope;
+  const classifications = replay?.classifications ?? ownClassifications;
+  const readOnly = Boolean(replay);
+  const [selectedCell, setSelectedCell] = useState(null); // { key, cell } picked in the current field
+  const [countMessage, setCountMessage] = useState('');
+  const pointers = useRef(new Map()); // Pointers down on the eyepiece field, by id
+  const fieldGesture = useRef(null); // { type: 'pan', start, last, carry, moved } or { type: 'pinch', startDistance }
+  const gestured = useRef(false); // Set once a press turns into a pan or pinch, so it isn't taken as a click on a cell
+
+  const operate = (control) => {
+    if (readOnly) return;
+    const { state, errors } = applyControl(scope, control);
+    setScope(state);
+    onControl?.(control);
+    errors.forEach(error => onHandlingError(error));
+  };
+
+  const view = useMemo(() => viewParameters(scope), [scope]);
+  const population = populationFor(patientCase);
+  const field = useMemo(() => generateField({
+    smear,
+    positionMm: scope.stageX - SMEAR_START_MM,
+    offsetMm: scope.stageY,
+    fieldDiameterUm: OBJECTIVES[scope.objective].fieldDiameterUm,
+    seed,
+    population,
+  }), [smear, scope.stageX, scope.stageY, scope.objective, seed, population]);
+  const fieldKey = `${scope.objective}:${scope.stageX.toFixed(2)}:${scope.stageY.toFixed(2)}`;
+
+  const target = differential?.cellCount ?? DEFAULT_CELL_COUNT;
+  const countFinished = classifications.length >= target;
+  const differentialResult = useMemo(
+    () => (differential && countFinished ? scoreDifferential(classifications, { points: differential.points, population }) : null),
+    [differential, countFinished, classifications, population]
+  );
+
+  // Eyepiece image, with counted cells ticked off and the selected cell ringed
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    drawBloodFilm(canvas, field, view);
+    if (!canvas || !differential || !view.inFocus) return;
+    const ctx = canvas.getContext('2d');
+    const scale = pixelsPerUm(canvas, view.fieldDiameterUm);
+    const counted = new Set(classifications.map(entry => entry.key));
+    field.cells.forEach((cell) => {
+      const key = cellKey(fieldKey, cell);
+      const isSelected = selectedCell?.key === key;
+      if (!isSelected && !counted.has(key)) return;
+      ctx.strokeStyle = isSelected ? '#facc15' : 'rgba(22, 163, 74, 0.9)';
+      ctx.lineWidth = isSelected ? 3 : 2;
+      ctx.beginPath();
+      ctx.arc(canvas.width / 2 + cell.x * scale, canvas.height / 2 + cell.y * scale, cell.radius * scale + 4, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+  }, [field, view, differential, classifications, selectedCell, fieldKey]);
+
+  // Moving to another field drops the selection
+  useEffect(() => {
+    setSelectedCell(null);
+  }, [fieldKey]);
+
+  // --- Eyepiece gestures ---
+  // Dragging moves the stage the way the image moved, in steps of a tenth of the
+  // field so a long drag isn't logged as hundreds of controls
+  const handleFieldPointerDown = (e) => {
+    if (readOnly || e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = { x: e.clientX, y: e.clientY };
+    pointers.current.set(e.pointerId, point);
+    if (pointers.current.size === 1) {
+      gestured.current = false;
+      fieldGesture.current = { type: 'pan', start: point, last: point, carry: { x: 0, y: 0 }, moved: false };
+    } else if (pointers.current.size === 2) {
+      const [a, b] = [...pointers.current.values()];
+      gestured.current = true;
+      fieldGesture.current = { type: 'pinch', startDistance: distance(a, b) };
+    }
+  };
+
+  const handleFieldPointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId)) return;
+    const point = { x: e.clientX, y: e.clientY };
+    pointers.current.set(e.pointerId, point);
+    const gesture = fieldGesture.current;
+    if (gesture?.type === 'pinch' && pointers.current.size === 2) {
+      const [a, b] = [...pointers.current.values()];
+      const step = pinchStep(gesture.startDistance, distance(a, b));
+      const objectives = Object.keys(OBJECTIVES).map(Number);
+      const next = objectives[objectives.indexOf(scope.objective) + step];
+      if (step !== 0 && next) {
+        operate({ type: 'objective', value: next });
+        gesture.startDistance = distance(a, b);
+      }
+    } else if (gesture?.type === 'pan') {
+      if (!gesture.moved && !movedBeyond(gesture.start, point)) return;
+      gesture.moved = true;
+      gestured.current = true;
+      const fieldMm = view.fieldDiameterUm / 1000;
+      const mmPerPx = fieldMm / canvasRef.current.getBoundingClientRect().width;
+      gesture.carry.x -= (point.x - gesture.last.x) * mmPerPx;
+      gesture.carry.y -= (point.y - gesture.last.y) * mmPerPx;
+      gesture.last = point;
+      const dx = quantize(gesture.carry.x, fieldMm / 10);
+      const dy = quantize(gesture.carry.y, fieldMm / 10);
+      if (dx === 0 && dy === 0) return;
+      gesture.carry.x -= dx;
+      gesture.carry.y -= dy;
+      operate({ type: 'stage', ...(dx !== 0 && { dx }), ...(dy !== 0 && { dy }) });
+    }
+  };
+
+  const handleFieldPointerUp = (e) => {
+    pointers.current.delete(e.pointerId);
+    // Lifting one finger of a pinch ends it; the other doesn't start panning
+    if (pointers.current.size === 0 || fieldGesture.current?.type === 'pinch') fieldGesture.current = null;
+  };
+
+  // Why cells can't be picked out in the field as it is now, if they can't
+  const identifyProblem = () => {
+    if (scope.objective === 10) return t('microscope.noIdAt10x');
+    if (!view.inFocus) return t('microscope.focusFirst');
+    return null;
+  };
+
+  const handleFieldClick = (e) => {
+    if (gestured.current) {
+      gestured.current = false;
+      return;
+    }
+    if (!differential || countFinished || readOnly) return;
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const scale = pixelsPerUm(canvas, view.fieldDiameterUm);
+    const x = (((e.clientX - rect.left) / rect.width) * canvas.width - canvas.width / 2) / scale;
+    const y = (((e.clientY - rect.top) / rect.height) * canvas.height - canvas.height / 2) / scale;
+
+    const problem = identifyProblem();
+    if (problem) {
+      setCountMessage(problem);
+      return;
+    }
+    const cell = wbcAt(field, x, y);
+    if (!cell) {
+      setCountMessage(t('microscope.notWhiteCell'));
+      setSelectedCell(null);
+      return;
+    }
+    const key = cellKey(fieldKey, cell);
+    if (classifications.some(entry => entry.key === key)) {
+      setCountMessage(t('microscope.alreadyCounted'));
+      return;
+    }
+    setSelectedCell({ key, cell });
+    setCountMessage('');
+  };
+
+  // Keyboard alternative to clicking: ring the next uncounted white cell in the field
+  const selectNextCell = () => {
+    if (!differential || countFinished || readOnly) return;
+    const problem = identifyProblem();
+    if (problem) {
+      setCountMessage(problem);
+      return;
+    }
+    const counted = new Set(classifications.map(entry => entry.key));
+    const cell = nextUncountedWbc(field, fieldKey, counted, selectedCell?.key);
+    if (!cell) {
+      setCountMessage(t('microscope.noCellsLeft'));
+      setSelectedCell(null);
+      return;
+    }
+    setSelectedCell({ key: cellKey(fieldKey, cell), cell });
+    setCountMessage(t('microscope.cellSelected'));
+  };
+
+  const classify = useCallback((type) => {
+    if (!selectedCell || countFinished) return;
+    const entry = { key: selectedCell.key, trueType: selectedCell.cell.type, classifiedAs: type };
+    setClassifications(prev => [...prev, entry]);
+    setSelectedCell(null);
+    setCountMessage('');
+    onCount?.(entry);
+  }, [selectedCell, countFinished, onCount]);
+
+  const undoLast = useCallback(() => {
+    if (countFinished || readOnly || classifications.length === 0) return;
+    setClassifications(prev => prev.slice(0, -1));
+    onUncount?.(classifications[classifications.length - 1]);
+  }, [countFinished, readOnly, classifications, onUncount]);
+
+  // Keyboard tally: one key per cell type, Backspace undoes the last entry
+  useEffect(() => {
+    if (!differential || readOnly) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.key === 'Backspace') {
+        e.preventDefault();
+        undoLast();
+        return;
+      }
+      const type = Object.keys(TALLY_KEYS).find(key => TALLY_KEYS[key] === e.key.toLowerCase());
+      if (type) classify(type);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [differential, readOnly, classify, undoLast]);
+
+  const handleClose = () => {
+    if (!differential) {
+      onClose(scope);
+      return;
+    }
+    onClose(scope, {
+      ...scoreDifferential(classifications, { points: differential.points, population }),
+      classifications,
+      complete: countFinished,
+    });
+  };
+
+  // Slide map with the current stage position
+  useEffect(() => {
+    const canvas = slideMapRef.current;
+    if (!canvas) return;
+    drawSmear(canvas, smear);
+    const ctx = canvas.getContext('2d');
+    const x = (scope.stageX / SLIDE_LENGTH_MM) * canvas.width;
+    const y = (0.5 + scope.stageY / SLIDE_WIDTH_MM) * canvas.height;
+    ctx.strokeStyle = '#2563eb';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, 5, 0, Math.PI * 2);
+    ctx.moveTo(x - 9, y);
+    ctx.lineTo(x + 9, y);
+    ctx.moveTo(x, y - 9);
+    ctx.lineTo(x, y + 9);
+    ctx.stroke();
+  }, [smear, scope.stageX, scope.stageY]);
+
+  const panStep = OBJECTIVES[scope.objective].panStepMm;
+
+  return (
+    <div className="flex flex-col items-center">
+      <h2 id="microscope-title" tabIndex={-1} data-autofocus className="text-2xl md:text-3xl font-extrabold text-indigo-700 mb-4 focus:outline-none">{t('microscope.title')}</h2>
+      {patientCase && (
+        <p className="text-sm md:text-base text-gray-700 mb-4 max-w-2xl p-3 rounded-lg bg-indigo-50 border border-indigo-200 text-start">
+          <span className="font-bold">{t('cases.patient')} </span>
+          {translateCase(t, patientCase).history}
+        </p>
+      )}
+      <div className="flex flex-col md:flex-row items-center md:items-start md:gap-6">
+        <canvas
+          ref={canvasRef}
+          width="400"
+          height="400"
+          className={`bg-black rounded-full border-4 border-gray-700 mb-4 max-w-full touch-none ${differential && !countFinished ? 'cursor-crosshair' : ''}`}
+          onClick={handleFieldClick}
+          onPointerDown={handleFieldPointerDown}
+          onPointerMove={handleFieldPointerMove}
+          onPointerUp={handleFieldPointerUp}
+          onPointerCancel={handleFieldPointerUp}
+        ></canvas>
+
+        <fieldset disabled={readOnly} className="flex flex-col space-y-4 text-start w-64">
+          <div>
+            <h3 className="text-sm font-bold text-gray-700 mb-1">{t('microscope.objective')}</h3>
+            <div className="flex gap-2">
+              {Object.keys(OBJECTIVES).map(Number).map(objective => (
+                <button
+                  key={objective}
+                  onClick={() => operate({ type: 'objective', value: objective })}
+                  className={`${controlButton} ${scope.objective === objective ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-800 hover:bg-gray-200'}`}
+                >
+                  {objective}x
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-bold text-gray-700 mb-1">{t('microscope.focus')}</h3>
+            <div className="grid grid-cols-2 gap-2">
+              <button onClick={() => operate({ type: 'coarse', direction: 1 })} className={`${controlButton} bg-gray-100 hover:bg-gray-200`}>{t('microscope.coarseUp')}</button>
+              <button onClick={() => operate({ type: 'fine', direction: 1 })} className={`${controlButton} bg-gray-100 hover:bg-gray-200`}>{t('microscope.fineUp')}</button>
+              <button onClick={() => operate({ type: 'coarse', direction: -1 })} className={`${controlButton} bg-gray-100 hover:bg-gray-200`}>{t('microscope.coarseDown')}</button>
+              <button onClick={() => operate({ type: 'fine', direction: -1 })} className={`${controlButton} bg-gray-100 hover:bg-gray-200`}>{t('microscope.fineDown')}</button>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">{t('microscope.focusHint')}</p>
+          </div>
+
+          <button
+            onClick={() => operate({ type: 'oil' })}
+            disabled={scope.oilApplied}
+            className={`${controlButton} bg-amber-100 text-amber-900 hover:bg-amber-200 disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            {scope.oilApplied ? t('microscope.oilApplied') : t('microscope.applyOil')}
+          </button>
+
+          <label className="text-sm font-bold text-gray-700">
+            {t('microscope.light')}
+            <input type="range" min="0" max="1" step="0.05" value={scope.light} className="w-full"
+              onChange={(e) => operate({ type: 'light', value: Number(e.target.value) })} />
+          </label>
+          <label className="text-sm font-bold text-gray-700">
+            {t('microscope.condenser')}
+            <input type="range" min="0" max="1" step="0.05" value={scope.condenser} className="w-full"
+              onChange={(e) => operate({ type: 'condenser', value: Number(e.target.value) })} />
+          </label>
+
+          <div>
+            <h3 className="text-sm font-bold text-gray-700 mb-1">{t('microscope.stage')}</h3>
+            <canvas ref={slideMapRef} width="240" height="80" className="w-full rounded border border-gray-300 mb-2"></canvas>
+            <div dir="ltr" className="grid grid-cols-3 gap-1 w-32 mx-auto">
+              <span></span>
+              <button onClick={() => operate({ type: 'stage', dy: -panStep })} className={`${controlButton} bg-gray-100 hover:bg-gray-200`} aria-label={t('microscope.stageUp')}>↑</button>
+              <span></span>
+              <button onClick={() => operate({ type: 'stage', dx: -panStep })} className={`${controlButton} bg-gray-100 hover:bg-gray-200`} aria-label={t('microscope.stageLeft')}>←</button>
+              <span></span>
+              <button onClick={() => operate({ type: 'stage', dx: panStep })} className={`${controlButton} bg-gray-100 hover:bg-gray-200`} aria-label={t('microscope.stageRight')}>→</button>
+              <span></span>
+              <button onClick={() => operate({ type: 'stage', dy: panStep })} className={`${controlButton} bg-gray-100 hover:bg-gray-200`} aria-label={t('microscope.stageDown')}>↓</button>
+              <span></span>
+            </div>
+            <label className="block text-xs text-gray-600 mt-2">
+              {t('microscope.stageX', { value: scope.stageX.toFixed(1) })}
+              <input dir="ltr" type="range" min="0" max={SLIDE_LENGTH_MM} step="0.1" value={scope.stageX} className="w-full"
+                onChange={(e) => operate({ type: 'stage', dx: Number(e.target.value) - scope.stageX })} />
+            </label>
+            <label className="block text-xs text-gray-600">
+              {t('microscope.stageY', { value: scope.stageY.toFixed(1) })}
+              <input dir="ltr" type="range" min={-SLIDE_WIDTH_MM / 2} max={SLIDE_WIDTH_MM / 2} step="0.1" value={scope.stageY} className="w-full"
+                onChange={(e) => operate({ type: 'stage', dy: Number(e.target.value) - scope.stageY })} />
+            </label>
+            <p className="text-xs text-gray-500 mt-1">{t('microscope.gestureHint')}</p>
+          </div>
+        </fieldset>
+      </div>
+
+      {smear && showFeedback && (
+        <p className={`text-xl md:text-2xl font-bold mb-2 ${smear.quality === 'good' ? 'text-green-700' : 'text-red-700'}`}>
+          {t('microscope.smearQuality', { quality: translateSmearQuality(t, smear.quality).toUpperCase() })}
+        </p>
+      )}
+      <p className="text-sm md:text-base text-gray-600 mb-4 max-w-md">
+        {view.inFocus ? t(`zones.${field.zone}`, { defaultValue: ZONE_DESCRIPTIONS[field.zone] }) : t('microscope.outOfFocus')}
+      </p>
+      {differential && (
+        <DifferentialCounter
+          counts={tally(classifications)}
+          total={classifications.length}
+          target={target}
+          hasSelection={Boolean(selectedCell)}
+          message={countMessage}
+          onClassify={classify}
+          onUndo={undoLast}
+          onSelectNext={readOnly ? null : selectNextCell}
+        />
+      )}
+      {differentialResult && <DifferentialResults result={differentialResult} />}
+      {!readOnly && (
+        <button
+          onClick={handleClose}
+          className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-transform transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-blue-300 text-lg md:text-xl"
+        >
+          {t('microscope.close')}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,284 @@
+import { createRng, hashSeed, randomBetween } from '../utils/random';
+import { filmWidthMm } from '../smear/technique';
+
+// Procedural blood film model.
+// Works out how thick the film is at any point of a smear made with
+// ../smear/technique and generates the cells visible in a microscope field
+// there. Sizes are in micrometres; positions are relative to the field centre.
+
+export const WBC_TYPES = ['neutrophil', 'lymphocyte', 'monocyte', 'eosinophil', 'basophil'];
+
+// Healthy adult blood. WBCs are over-represented relative to a real film
+// (about 1:600 RBCs) so that a differential can be done in a reasonable number of fields.
+export const NORMAL_POPULATION = {
+  wbcPerRbc: 1 / 120,
+  plateletsPerRbc: 1 / 15,
+  differential: { neutrophil: 0.6, lymphocyte: 0.3, monocyte: 0.06, eosinophil: 0.03, basophil: 0.01 },
+  rbc: { diameter: 7.5, sizeVariation: 0.06, pallor: 0.35 },
+};
+
+export const WBC_DIAMETERS = { neutrophil: 12, lymphocyte: 9, monocyte: 16, eosinophil: 13, basophil: 11 };
+
+// Faults a badly collected sample carries into the film (see consequences in ../procedures/consequences).
+// ruinsFilm: the film can't be used however well it was spread.
+export const FILM_DEFECTS = {
+  tissue_fluid: {
+    label: 'Diluted with tissue fluid',
+    ruinsFilm: false,
+    issue: 'The sample was diluted with tissue fluid: cells are sparse and platelets have clumped.',
+  },
+  bacteria: {
+    label: 'Skin contamination',
+    ruinsFilm: false,
+    issue: 'Skin bacteria and debris from the uncleaned puncture site were carried onto the film.',
+  },
+  clotted: {
+    label: 'Clotted',
+    ruinsFilm: true,
+    issue: 'The drop had started to clot before it was spread: fibrin strands and cell clumps ruin the film.',
+  },
+  wet: {
+    label: 'Not dry',
+    ruinsFilm: true,
+    issue: 'The film was moved on before it had dried: the red cells are full of refractile water artefacts and their shape cannot be trusted.',
+  },
+};
+
+// Local film thickness (1 = ideal monolayer-forming film) is highest where the
+// drop was applied and falls away towards the feathered edge. positionMm is
+// measured along the smear from the application point, offsetMm across it.
+export function filmDensityAt(smear, positionMm, offsetMm = 0) {
+  if (!smear || positionMm < 0 || positionMm > smear.smearLengthMm) return 0;
+  if (Math.abs(offsetMm) > filmWidthMm(smear) / 2) return 0;
+  const bodyLength = smear.smearLengthMm - smear.featheredEdgeMm;
+  if (positionMm <= bodyLength) {
+    const t = bodyLength > 0 ? positionMm / bodyLength : 1;
+    return smear.thickness * (1.8 - 1.1 * t); // 1.8x at the application point, 0.7x where the feathered edge starts
+  }
+  const t = (positionMm - bodyLength) / Math.max(smear.featheredEdgeMm, 0.1);
+  return smear.thickness * 0.7 * (1 - t) + 0.05 * (1 - t);
+}
+
+// Names the part of the film a given local density corresponds to
+export function filmZone(density) {
+  if (density <= 0.02) return 'empty';
+  if (density < 0.45) return 'thin';
+  if (density < 0.8) return 'monolayer';
+  if (density < 1.3) return 'body';
+  return 'thick';
+}
+
+export const ZONE_DESCRIPTIONS = {
+  empty: 'No cells: beyond the end of the film.',
+  thin: 'Too thin: sparse, flattened cells that have lost their central pallor.',
+  monolayer: 'Monolayer: cells just touching, ideal for morphology and counting.',
+  body: 'Body of the film: cells overlapping.',
+  thick: 'Thick area: heavy overlap and rouleaux, unsuitable for examination.',
+};
+
+// Where an examiner would look first: just behind the feathered edge
+export function defaultViewingPosition(smear) {
+  if (!smear) return 0;
+  return Math.max(0, smear.smearLengthMm - smear.featheredEdgeMm * 0.9);
+}
+
+const pickWeighted = (rng, weights) => {
+  const entries = Object.entries(weights);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = rng() * total;
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+};
+
+// Rounds a fractional expected count up or down at random, so small rates still show up sometimes
+const sampleCount = (rng, expected) => Math.floor(expected) + (rng() < expected % 1 ? 1 : 0);
+
+function randomPointInCircle(rng, radius) {
+  const r = radius * Math.sqrt(rng());
+  const angle = rng() * Math.PI * 2;
+  return { x: r * Math.cos(angle), y: r * Math.sin(angle) };
+}
+
+// Generates the cells in one circular field of view.
+// options: { smear, positionMm, offsetMm, fieldDiameterUm, seed, population }
+// A population with morphology (see PATIENT_CASES in ../cases/cases) gives some cells an
+// abnormal look; defects listed on the smear (smear.defects, keys of FILM_DEFECTS) add their own features.
+// Returns { zone, density, cells: [{ id, kind: 'rbc' | 'platelet' | 'wbc' | 'smudge' | 'fibrin' | 'bacterium', type, x, y, radius, rotation, seed, ... }] }
+export function generateField({ smear, positionMm, offsetMm = 0, fieldDiameterUm = 180, seed = 0, population = NORMAL_POPULATION }) {
+  const density = filmDensityAt(smear, positionMm, offsetMm);
+  const zone = filmZone(density);
+  // Same slide position always shows the same cells
+  const rng = createRng(hashSeed(seed, Math.round(positionMm * 20), Math.round(offsetMm * 20), fieldDiameterUm));
+  const fieldRadius = fieldDiameterUm / 2;
+  const cells = [];
+  let nextId = 0;
+  const addCell = (cell) => cells.push({ id: nextId++, rotation: rng() * Math.PI * 2, seed: Math.floor(rng() * 2 ** 32), ...cell });
+
+  if (zone === 'empty') return { zone, density, cells };
+
+  const rbcRadius = population.rbc.diameter / 2;
+  const rbcArea = Math.PI * rbcRadius * rbcRadius;
+  const fieldArea = Math.PI * fieldRadius * fieldRadius;
+  const defects = smear.defects || [];
+  const dilution = defects.includes('tissue_fluid') ? 0.6 : 1;
+  const coverage = Math.min(density * 0.85 * dilution, 2.2); // > 1 means cells pile on top of each other
+  const rbcCount = Math.round((fieldArea / rbcArea) * coverage);
+  const rbcRadiusFor = () => rbcRadius * (1 + randomBetween(rng, -1, 1) * population.rbc.sizeVariation);
+  const pallor = zone === 'thin' ? 0 : population.rbc.pallor;
+
+  if (zone === 'thin' || zone === 'monolayer') {
+    // Cells lie separately: reject placements that would overlap much.
+    // A grid of cell-sized buckets keeps this fast for low-power fields with thousands of cells.
+    const placed = [];
+    const bucketSize = rbcRadius * 2.5;
+    const buckets = new Map();
+    const bucketKey = (bx, by) => `${bx},${by}`;
+    for (let attempt = 0; placed.length < rbcCount && attempt < rbcCount * 6; attempt++) {
+      const radius = rbcRadiusFor();
+      const point = randomPointInCircle(rng, fieldRadius);
+      const bx = Math.floor(point.x / bucketSize);
+      const by = Math.floor(point.y / bucketSize);
+      let overlaps = false;
+      for (let dx = -1; dx <= 1 && !overlaps; dx++) {
+        for (let dy = -1; dy <= 1 && !overlaps; dy++) {
+          overlaps = (buckets.get(bucketKey(bx + dx, by + dy)) || [])
+            .some(other => Math.hypot(other.x - point.x, other.y - point.y) < (other.radius + radius) * 0.92);
+        }
+      }
+      if (overlaps) continue;
+      const cell = { ...point, radius };
+      placed.push(cell);
+      const key = bucketKey(bx, by);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(cell);
+    }
+    placed.forEach(cell => addCell({ kind: 'rbc', ...cell, pallor, flattened: zone === 'thin' }));
+  } else {
+    // Overlapping film; in thick areas many cells stack into rouleaux
+    const rouleauxFraction = zone === 'thick' ? Math.min(0.8, 0.4 + (density - 1.3) * 0.5) : Math.max(0, (density - 1.0) * 0.4);
+    let remaining = rbcCount;
+    while (remaining > 0) {
+      const start = randomPointInCircle(rng, fieldRadius);
+      if (rng() < rouleauxFraction) {
+        const length = Math.min(remaining, 4 + Math.floor(rng() * 8));
+        const direction = rng() * Math.PI * 2;
+        const radius = rbcRadiusFor();
+        for (let i = 0; i < length; i++) {
+          const step = i * radius * 0.55; // coins stacked with a small offset
+          addCell({ kind: 'rbc', x: start.x + Math.cos(direction) * step, y: start.y + Math.sin(direction) * step, radius, pallor: pallor * 0.4, rouleaux: true });
+        }
+        remaining -= length;
+      } else {
+        addCell({ kind: 'rbc', ...start, radius: rbcRadiusFor(), pallor });
+        remaining -= 1;
+      }
+    }
+  }
+
+  const plateletCount = sampleCount(rng, rbcCount * population.plateletsPerRbc);
+  for (let i = 0; i < plateletCount; i++) {
+    addCell({ kind: 'platelet', ...randomPointInCircle(rng, fieldRadius), radius: randomBetween(rng, 1, 1.6) });
+  }
+
+  const wbcCount = sampleCount(rng, rbcCount * population.wbcPerRbc);
+  for (let i = 0; i < wbcCount; i++) {
+    const type = pickWeighted(rng, population.differential);
+    const radius = (WBC_DIAMETERS[type] / 2) * randomBetween(rng, 0.92, 1.08);
+    addCell({ kind: 'wbc', type, ...randomPointInCircle(rng, fieldRadius - radius), radius, lobes: 3 + Math.floor(rng() * 3) });
+  }
+
+  if (population.morphology) {
+    addMorphology(population.morphology, cells, { seed, positionMm, offsetMm, fieldRadius, expectedWbcs: rbcCount * population.wbcPerRbc, addCell });
+  }
+  if (defects.length > 0) addDefectFeatures(defects, cells, { seed, positionMm, offsetMm, fieldRadius, fieldArea, addCell });
+  return { zone, density, cells };
+}
+
+// Abnormal red cell shapes and inclusions, giant platelets and smudge cells for a
+// patient's blood. Uses its own random stream, so the cells themselves stay where
+// healthy blood of the same size would put them.
+// morphology: { shapes: { sickle | target | pencil: fraction }, inclusions: { ring | howell_jolly | gametocyte: fraction },
+//   giantPlatelets: fraction, smudgePerWbc }
+function addMorphology(morphology, cells, { seed, positionMm, offsetMm, fieldRadius, expectedWbcs, addCell }) {
+  const rng = createRng(hashSeed(seed, 'morphology', Math.round(positionMm * 20), Math.round(offsetMm * 20), fieldRadius));
+  const pick = (fractions = {}) => {
+    let roll = rng();
+    for (const [key, fraction] of Object.entries(fractions)) {
+      roll -= fraction;
+      if (roll < 0) return key;
+    }
+    return null;
+  };
+
+  cells.forEach((cell, index) => {
+    if (cell.kind === 'rbc' && !cell.rouleaux) {
+      const shape = pick(morphology.shapes);
+      const inclusion = pick(morphology.inclusions);
+      if (shape || inclusion) cells[index] = { ...cell, ...(shape && { shape }), ...(inclusion && { inclusion }) };
+    } else if (cell.kind === 'platelet' && morphology.giantPlatelets && rng() < morphology.giantPlatelets) {
+      cells[index] = { ...cell, radius: cell.radius * randomBetween(rng, 2, 2.8), giant: true }; // about the size of a red cell
+    }
+  });
+
+  // Fragile lymphocytes crushed while the film was spread
+  const smudges = sampleCount(rng, expectedWbcs * (morphology.smudgePerWbc || 0));
+  for (let i = 0; i < smudges; i++) {
+    const radius = randomBetween(rng, 5, 8);
+    addCell({ kind: 'smudge', ...randomPointInCircle(rng, fieldRadius - radius), radius });
+  }
+}
+
+// Clumped platelets, fibrin strands, bacteria and water artefacts for a faulty sample. Uses its own
+// random stream so the rest of the field is the same cells a clean sample would show.
+function addDefectFeatures(defects, cells, { seed, positionMm, offsetMm, fieldRadius, fieldArea, addCell }) {
+  const rng = createRng(hashSeed(seed, 'defects', Math.round(positionMm * 20), Math.round(offsetMm * 20), fieldRadius));
+  const perField = ratePer10kUm2 => sampleCount(rng, (fieldArea / 10000) * ratePer10kUm2);
+
+  // Platelets that have started to aggregate: tissue fluid activates them, a clotting drop more so
+  const clumps = perField(defects.includes('clotted') ? 3 : defects.includes('tissue_fluid') ? 1.2 : 0);
+  for (let i = 0; i < clumps; i++) {
+    const centre = randomPointInCircle(rng, fieldRadius);
+    const size = 5 + Math.floor(rng() * 10);
+    for (let j = 0; j < size; j++) {
+      const offset = randomPointInCircle(rng, 4);
+      addCell({ kind: 'platelet', x: centre.x + offset.x, y: centre.y + offset.y, radius: randomBetween(rng, 1, 1.6), clumped: true });
+    }
+  }
+
+  if (defects.includes('clotted')) {
+    const strands = perField(4);
+    for (let i = 0; i < strands; i++) {
+      const start = randomPointInCircle(rng, fieldRadius);
+      let angle = rng() * Math.PI * 2;
+      const points = [start];
+      for (let j = 0; j < 6; j++) {
+        angle += randomBetween(rng, -0.5, 0.5);
+        const last = points[points.length - 1];
+        points.push({ x: last.x + Math.cos(angle) * 8, y: last.y + Math.sin(angle) * 8 });
+      }
+      addCell({ kind: 'fibrin', x: start.x, y: start.y, radius: 0.3, points });
+    }
+  }
+
+  if (defects.includes('bacteria')) {
+    const colonies = perField(1.5);
+    for (let i = 0; i < colonies; i++) {
+      const centre = randomPointInCircle(rng, fieldRadius);
+      const size = 4 + Math.floor(rng() * 12);
+      for (let j = 0; j < size; j++) {
+        const offset = randomPointInCircle(rng, 3);
+        addCell({ kind: 'bacterium', x: centre.x + offset.x, y: centre.y + offset.y, radius: 0.5 }); // grape-like cocci clusters
+      }
+    }
+  }
+
+  // Water left in a film that wasn't dry shows as clear, refractile holes in the red cells
+  if (defects.includes('wet')) {
+    cells.forEach((cell, index) => {
+      if (cell.kind === 'rbc' && rng() < 0.4) cells[index] = { ...cell, artefact: 'water' };
+    });
+  }
+}
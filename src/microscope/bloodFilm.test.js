@@ -0,0 +1,70 @@
+import { evaluateSmear } from '../smear/technique';
+import { generateField, filmDensityAt, defaultViewingPosition, WBC_TYPES } from './bloodFilm';
+
+const goodSmear = evaluateSmear({ angle: 35, speed: 45, spread: 0.75, pushLength: 45 });
+const thickSmear = evaluateSmear({ angle: 60, speed: 90, spread: 0.9, pushLength: 45 });
+const thinSmear = evaluateSmear({ angle: 15, speed: 30, spread: 0.3, pushLength: 60 });
+
+const fieldAtDefault = (smear) => generateField({ smear, positionMm: defaultViewingPosition(smear), seed: 42 });
+
+test('the same slide position and seed always give the same field', () => {
+  expect(fieldAtDefault(goodSmear)).toEqual(fieldAtDefault(goodSmear));
+  expect(generateField({ smear: goodSmear, positionMm: 20, seed: 43 })).not.toEqual(generateField({ smear: goodSmear, positionMm: 20, seed: 42 }));
+});
+
+test('film density falls from the application point towards the feathered edge', () => {
+  expect(filmDensityAt(goodSmear, 1)).toBeGreaterThan(filmDensityAt(goodSmear, 20));
+  expect(filmDensityAt(goodSmear, 20)).toBeGreaterThan(filmDensityAt(goodSmear, goodSmear.smearLengthMm - 1));
+  expect(filmDensityAt(goodSmear, goodSmear.smearLengthMm + 1)).toBe(0);
+});
+
+test('a good smear shows a monolayer of anucleate RBCs near the feathered edge', () => {
+  const field = fieldAtDefault(goodSmear);
+  const rbcs = field.cells.filter(cell => cell.kind === 'rbc');
+  expect(field.zone).toBe('monolayer');
+  expect(rbcs.length).toBeGreaterThan(100);
+  expect(rbcs.every(cell => cell.pallor > 0 && !cell.rouleaux && cell.type === undefined)).toBe(true);
+  expect(field.cells.some(cell => cell.kind === 'platelet')).toBe(true);
+});
+
+test('thick areas show rouleaux and thin films lose central pallor', () => {
+  const thick = generateField({ smear: thickSmear, positionMm: 1, seed: 42 });
+  expect(thick.zone).toBe('thick');
+  expect(thick.cells.some(cell => cell.rouleaux)).toBe(true);
+
+  const thin = fieldAtDefault(thinSmear);
+  expect(thin.zone).toBe('thin');
+  expect(thin.cells.filter(cell => cell.kind === 'rbc').every(cell => cell.pallor === 0)).toBe(true);
+});
+
+test('white cells are drawn from the five normal types', () => {
+  const wbcs = [1, 2, 3, 4, 5, 6, 7, 8]
+    .flatMap(seed => generateField({ smear: goodSmear, positionMm: defaultViewingPosition(goodSmear), seed }).cells)
+    .filter(cell => cell.kind === 'wbc');
+  expect(wbcs.length).toBeGreaterThan(0);
+  wbcs.forEach(cell => expect(WBC_TYPES).toContain(cell.type));
+});
+
+test('faulty samples show diluted cells, clumps, fibrin and bacteria', () => {
+  const position = defaultViewingPosition(goodSmear);
+  const clean = generateField({ smear: goodSmear, positionMm: position, seed: 42 });
+  const count = (field, kind) => field.cells.filter(cell => cell.kind === kind).length;
+
+  const diluted = generateField({ smear: { ...goodSmear, defects: ['tissue_fluid'] }, positionMm: position, seed: 42 });
+  expect(count(diluted, 'rbc')).toBeLessThan(count(clean, 'rbc') * 0.8);
+  expect(diluted.cells.some(cell => cell.clumped)).toBe(true);
+
+  const clotted = generateField({ smear: { ...goodSmear, defects: ['clotted', 'bacteria'] }, positionMm: position, seed: 42 });
+  expect(count(clotted, 'fibrin')).toBeGreaterThan(0);
+  expect(count(clotted, 'bacterium')).toBeGreaterThan(0);
+  expect(clotted.cells.filter(cell => cell.kind === 'rbc')).toEqual(clean.cells.filter(cell => cell.kind === 'rbc'));
+});
+
+test('a film that was not dry shows water artefacts in the same red cells', () => {
+  const position = defaultViewingPosition(goodSmear);
+  const rbcs = field => field.cells.filter(cell => cell.kind === 'rbc');
+  const clean = rbcs(generateField({ smear: goodSmear, positionMm: position, seed: 42 }));
+  const wet = rbcs(generateField({ smear: { ...goodSmear, defects: ['wet'] }, positionMm: position, seed: 42 }));
+  expect(wet.map(({ artefact, ...cell }) => cell)).toEqual(clean);
+  expect(wet.filter(cell => cell.artefact === 'water').length).toBeGreaterThan(clean.length * 0.2);
+});
@@ -0,0 +1,57 @@
+import { WBC_TYPES, NORMAL_POPULATION } from './bloodFilm';
+
+// Manual WBC differential count.
+// The student classifies white cells one at a time; each classification keeps
+// the cell's true type from the generated field so the count can be marked
+// against the ground truth afterwards.
+
+export const DEFAULT_CELL_COUNT = 100;
+
+// Tally keys, as on a laboratory cell counter
+export const TALLY_KEYS = { neutrophil: 'n', lymphocyte: 'l', monocyte: 'm', eosinophil: 'e', basophil: 'b' };
+
+// A cell is identified by the field it was seen in plus its id within that field,
+// so the same cell can't be counted twice without moving the stage
+export const cellKey = (fieldKey, cell) => `${fieldKey}:${cell.id}`;
+
+// The white cell under a point given in field coordinates (µm from the field centre), if any
+export function wbcAt(field, x, y) {
+  return field.cells.find(cell => cell.kind === 'wbc' && Math.hypot(cell.x - x, cell.y - y) <= cell.radius) || null;
+}
+
+// The next white cell in the field that hasn't been counted, after the one with afterKey
+// and wrapping round, so cells can be picked from the keyboard as well as by clicking
+export function nextUncountedWbc(field, fieldKey, countedKeys, afterKey = null) {
+  const uncounted = field.cells.filter(cell => cell.kind === 'wbc' && !countedKeys.has(cellKey(fieldKey, cell)));
+  if (uncounted.length === 0) return null;
+  const current = uncounted.findIndex(cell => cellKey(fieldKey, cell) === afterKey);
+  return uncounted[(current + 1) % uncounted.length];
+}
+
+// Number of cells the student has assigned to each type
+export function tally(classifications) {
+  const counts = Object.fromEntries(WBC_TYPES.map(type => [type, 0]));
+  classifications.forEach(({ classifiedAs }) => { counts[classifiedAs] += 1; });
+  return counts;
+}
+
+// Compares a finished count with the cells' real types and the population the film was generated from.
+// classifications: [{ key, trueType, classifiedAs }]
+// Returns { rows: [{ type, counted, actual, correct, accuracy, expectedPercent }], accuracy, points }
+export function scoreDifferential(classifications, { points = 0, population = NORMAL_POPULATION } = {}) {
+  const counts = tally(classifications);
+  const rows = WBC_TYPES.map((type) => {
+    const actual = classifications.filter(entry => entry.trueType === type).length;
+    const correct = classifications.filter(entry => entry.trueType === type && entry.classifiedAs === type).length;
+    const counted = counts[type];
+    // A type that wasn't present is only right if the student didn't report any
+    const accuracy = actual > 0 ? correct / actual : (counted === 0 ? 1 : 0);
+    return { type, counted, actual, correct, accuracy, expectedPercent: population.differential[type] * 100 };
+  });
+  const total = classifications.length;
+  const correctTotal = rows.reduce((sum, row) => sum + row.correct, 0);
+  // Points are split evenly between the cell types
+  const earned = rows.reduce((sum, row) => sum + (points / rows.length) * row.accuracy, 0);
+
+  return { rows, accuracy: total > 0 ? correctTotal / total : 0, points: total > 0 ? Math.round(earned) : 0 };
+}
@@ -0,0 +1,51 @@
+import { evaluateSmear } from '../smear/technique';
+import { generateField, defaultViewingPosition } from './bloodFilm';
+import { cellKey, wbcAt, nextUncountedWbc, tally, scoreDifferential } from './differential';
+
+const entry = (trueType, classifiedAs, id) => ({ key: `field:${id}`, trueType, classifiedAs });
+
+test('clicking inside a white cell finds it, clicking elsewhere does not', () => {
+  const smear = evaluateSmear({ angle: 35, speed: 45, spread: 0.75, pushLength: 45 });
+  const seed = Array.from({ length: 50 }, (_, i) => i).find(s =>
+    generateField({ smear, positionMm: defaultViewingPosition(smear), seed: s }).cells.some(cell => cell.kind === 'wbc'));
+  const field = generateField({ smear, positionMm: defaultViewingPosition(smear), seed });
+  const wbc = field.cells.find(cell => cell.kind === 'wbc');
+
+  expect(wbcAt(field, wbc.x, wbc.y)).toBe(wbc);
+  expect(wbcAt(field, 1000, 1000)).toBeNull();
+  expect(cellKey('100:30.00:0.00', wbc)).toBe(`100:30.00:0.00:${wbc.id}`);
+});
+
+test('stepping through the white cells skips counted ones and wraps round', () => {
+  const cell = (id, kind = 'wbc') => ({ id, kind, x: 0, y: 0, radius: 5 });
+  const field = { cells: [cell(1), cell(2, 'rbc'), cell(3), cell(4)] };
+  const counted = new Set([cellKey('f', field.cells[2])]);
+
+  expect(nextUncountedWbc(field, 'f', counted).id).toBe(1);
+  expect(nextUncountedWbc(field, 'f', counted, 'f:1').id).toBe(4);
+  expect(nextUncountedWbc(field, 'f', counted, 'f:4').id).toBe(1);
+  expect(nextUncountedWbc(field, 'f', new Set(['f:1', 'f:3', 'f:4']))).toBeNull();
+});
+
+test('tally counts what the student reported, not the true types', () => {
+  const counts = tally([entry('neutrophil', 'lymphocyte', 1), entry('neutrophil', 'neutrophil', 2)]);
+  expect(counts).toEqual({ neutrophil: 1, lymphocyte: 1, monocyte: 0, eosinophil: 0, basophil: 0 });
+});
+
+test('each cell type earns its share of the points by accuracy', () => {
+  const classifications = [
+    ...Array.from({ length: 6 }, (_, i) => entry('neutrophil', 'neutrophil', i)),
+    entry('lymphocyte', 'lymphocyte', 6),
+    entry('lymphocyte', 'monocyte', 7),
+  ];
+  const result = scoreDifferential(classifications, { points: 50 });
+  const row = type => result.rows.find(r => r.type === type);
+
+  expect(row('neutrophil')).toMatchObject({ counted: 6, actual: 6, correct: 6, accuracy: 1, expectedPercent: 60 });
+  expect(row('lymphocyte').accuracy).toBe(0.5);
+  expect(row('monocyte').accuracy).toBe(0); // reported but none present
+  expect(row('eosinophil').accuracy).toBe(1);
+  expect(result.accuracy).toBe(7 / 8);
+  expect(result.points).toBe(35); // 10 + 5 + 0 + 10 + 10
+  expect(scoreDifferential([], { points: 50 }).points).toBe(0);
+});
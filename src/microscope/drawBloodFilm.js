@@ -0,0 +1,375 @@
+import { createRng, randomBetween } from '../utils/random';
+
+// Canvas renderer for fields produced by ./bloodFilm (Romanowsky-stained look).
+// Each cell carries its own seed, so granules and nuclear lobes redraw identically.
+
+const COLORS = {
+  background: '#f4ece6',
+  rbcRim: 'rgba(214, 110, 110, 0.9)',
+  rbcBody: 'rgba(228, 140, 135, 0.85)',
+  rbcPallor: 'rgba(246, 214, 205, 0.9)',
+  chromatin: '#4a1c6b',
+  chromatinLight: '#6b3d8f',
+};
+
+// Cells smaller than this on screen (px) are drawn as plain dots, as at low power
+const MIN_DETAIL_PX = 3;
+
+function drawRbc(ctx, cell, pxPerUm) {
+  const { x, y, radius, pallor } = cell;
+  if (radius * pxPerUm < MIN_DETAIL_PX) {
+    ctx.fillStyle = COLORS.rbcBody;
+    ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+    return;
+  }
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.rotate(cell.rotation);
+  if (cell.shape === 'sickle') {
+    drawSickle(ctx, radius);
+  } else {
+    if (cell.shape === 'pencil') ctx.scale(1.3, 0.4); // long, narrow elliptocyte
+    else ctx.scale(1, cell.flattened ? 0.9 : 0.97); // slightly oval, flatter where the film is too thin
+    const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
+    if (cell.shape === 'target') {
+      // Haemoglobin pooled in the centre of the pallor, like a bullseye
+      gradient.addColorStop(0, COLORS.rbcBody);
+      gradient.addColorStop(0.25, COLORS.rbcBody);
+      gradient.addColorStop(0.35, COLORS.rbcPallor);
+      gradient.addColorStop(0.6, COLORS.rbcPallor);
+      gradient.addColorStop(0.8, COLORS.rbcBody);
+    } else if (pallor > 0) {
+      // Biconcave disc: pale centre, haemoglobin concentrated at the rim
+      gradient.addColorStop(0, COLORS.rbcPallor);
+      gradient.addColorStop(pallor, COLORS.rbcPallor);
+      gradient.addColorStop(Math.min(pallor + 0.3, 0.9), COLORS.rbcBody);
+    } else {
+      gradient.addColorStop(0, COLORS.rbcBody);
+    }
+    gradient.addColorStop(1, COLORS.rbcRim);
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    ctx.fillStyle = gradient;
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(170, 70, 70, 0.5)';
+    ctx.lineWidth = Math.max(radius * 0.06, 0.3);
+    ctx.stroke();
+  }
+  if (cell.inclusion) drawInclusion(ctx, cell);
+  if (cell.artefact === 'water') drawWaterArtefact(ctx, cell);
+  ctx.restore();
+}
+
+// Bright, sharp-edged holes of different sizes where water stayed in the cell
+function drawWaterArtefact(ctx, cell) {
+  const rng = createRng(cell.seed);
+  const holes = 2 + Math.floor(rng() * 3);
+  for (let i = 0; i < holes; i++) {
+    const angle = rng() * Math.PI * 2;
+    const distance = randomBetween(rng, 0, cell.radius * 0.55);
+    const size = cell.radius * randomBetween(rng, 0.12, 0.28);
+    ctx.beginPath();
+    ctx.arc(Math.cos(angle) * distance, Math.sin(angle) * distance, size, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(255, 252, 240, 0.95)';
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(120, 60, 60, 0.7)';
+    ctx.lineWidth = Math.max(size * 0.2, 0.2);
+    ctx.stroke();
+  }
+}
+
+// Crescent with pointed ends and no pallor
+function drawSickle(ctx, radius) {
+  ctx.beginPath();
+  ctx.arc(0, 0, radius * 1.2, Math.PI * 0.15, Math.PI * 0.85);
+  ctx.arc(0, -radius * 0.55, radius * 1.05, Math.PI * 0.78, Math.PI * 0.22, true);
+  ctx.closePath();
+  ctx.fillStyle = COLORS.rbcBody;
+  ctx.fill();
+  ctx.strokeStyle = COLORS.rbcRim;
+  ctx.lineWidth = Math.max(radius * 0.06, 0.3);
+  ctx.stroke();
+}
+
+// Parasites and nuclear remnants inside a red cell, in the cell's own coordinates
+function drawInclusion(ctx, cell) {
+  const { radius } = cell;
+  switch (cell.inclusion) {
+    case 'howell_jolly':
+      // Single small, dense, round dot off-centre
+      drawBlob(ctx, radius * 0.45, radius * 0.2, radius * 0.14, radius * 0.14, COLORS.chromatin);
+      break;
+    case 'ring':
+      // Delicate ring of blue cytoplasm with a chromatin dot
+      ctx.beginPath();
+      ctx.arc(radius * 0.2, -radius * 0.15, radius * 0.26, 0, Math.PI * 2);
+      ctx.strokeStyle = 'rgba(80, 70, 170, 0.9)';
+      ctx.lineWidth = Math.max(radius * 0.07, 0.3);
+      ctx.stroke();
+      drawBlob(ctx, radius * 0.44, -radius * 0.22, radius * 0.1, radius * 0.1, COLORS.chromatin);
+      break;
+    case 'gametocyte':
+      // Banana-shaped body stretching the cell, with central chromatin
+      drawBlob(ctx, 0, 0, radius * 1.05, radius * 0.38, 'rgba(120, 90, 175, 0.9)');
+      drawBlob(ctx, 0, 0, radius * 0.3, radius * 0.2, COLORS.chromatin);
+      break;
+    default:
+  }
+}
+
+function drawPlatelet(ctx, cell) {
+  const rng = createRng(cell.seed);
+  ctx.save();
+  ctx.translate(cell.x, cell.y);
+  ctx.rotate(cell.rotation);
+  // Small irregular lilac fragment with a darker granular centre
+  ctx.beginPath();
+  const points = 7;
+  for (let i = 0; i <= points; i++) {
+    const angle = (i / points) * Math.PI * 2;
+    const r = cell.radius * randomBetween(rng, 0.75, 1.1);
+    if (i === 0) ctx.moveTo(r, 0);
+    else ctx.lineTo(Math.cos(angle) * r, Math.sin(angle) * r);
+  }
+  ctx.closePath();
+  ctx.fillStyle = 'rgba(170, 140, 200, 0.85)';
+  ctx.fill();
+  ctx.fillStyle = 'rgba(90, 40, 120, 0.9)';
+  for (let i = 0; i < 4; i++) {
+    ctx.beginPath();
+    ctx.arc(randomBetween(rng, -0.4, 0.4) * cell.radius, randomBetween(rng, -0.4, 0.4) * cell.radius, cell.radius * 0.2, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+function drawGranules(ctx, rng, radius, count, size, color) {
+  ctx.fillStyle = color;
+  for (let i = 0; i < count; i++) {
+    const r = radius * Math.sqrt(rng()) * 0.92;
+    const angle = rng() * Math.PI * 2;
+    ctx.beginPath();
+    ctx.arc(Math.cos(angle) * r, Math.sin(angle) * r, size * randomBetween(rng, 0.7, 1.2), 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+function drawCytoplasm(ctx, radius, color) {
+  ctx.beginPath();
+  ctx.arc(0, 0, radius, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.strokeStyle = 'rgba(120, 90, 140, 0.5)';
+  ctx.lineWidth = Math.max(radius * 0.03, 0.3);
+  ctx.stroke();
+}
+
+function drawBlob(ctx, x, y, rx, ry, color) {
+  ctx.beginPath();
+  ctx.ellipse(x, y, rx, ry, 0, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+}
+
+// Nuclear lobes joined by thin chromatin strands along a curved path
+function drawLobedNucleus(ctx, rng, radius, lobes, lobeSize) {
+  const centres = [];
+  const arc = Math.PI * randomBetween(rng, 0.9, 1.3);
+  const start = rng() * Math.PI * 2;
+  for (let i = 0; i < lobes; i++) {
+    const angle = start + (lobes > 1 ? (i / (lobes - 1)) * arc : 0);
+    centres.push({ x: Math.cos(angle) * radius * 0.42, y: Math.sin(angle) * radius * 0.42 });
+  }
+  ctx.strokeStyle = COLORS.chromatin;
+  ctx.lineWidth = Math.max(radius * 0.07, 0.4);
+  ctx.beginPath();
+  centres.forEach((centre, i) => (i === 0 ? ctx.moveTo(centre.x, centre.y) : ctx.lineTo(centre.x, centre.y)));
+  ctx.stroke();
+  centres.forEach(centre => drawBlob(ctx, centre.x, centre.y, radius * lobeSize, radius * lobeSize * randomBetween(rng, 0.7, 0.95), COLORS.chromatin));
+}
+
+function drawWbc(ctx, cell, pxPerUm) {
+  const rng = createRng(cell.seed);
+  const { radius } = cell;
+  if (radius * pxPerUm < MIN_DETAIL_PX) {
+    ctx.fillStyle = COLORS.chromatin;
+    ctx.fillRect(cell.x - radius, cell.y - radius, radius * 2, radius * 2);
+    return;
+  }
+  ctx.save();
+  ctx.translate(cell.x, cell.y);
+  ctx.rotate(cell.rotation);
+
+  switch (cell.type) {
+    case 'neutrophil':
+      drawCytoplasm(ctx, radius, 'rgba(232, 208, 222, 0.95)');
+      drawGranules(ctx, rng, radius, 60, radius * 0.03, 'rgba(190, 140, 170, 0.7)'); // fine lilac granules
+      drawLobedNucleus(ctx, rng, radius, cell.lobes, 0.24);
+      break;
+    case 'lymphocyte':
+      // Thin rim of sky-blue cytoplasm around a round, dense nucleus
+      drawCytoplasm(ctx, radius, 'rgba(150, 190, 230, 0.95)');
+      drawBlob(ctx, radius * 0.08, 0, radius * 0.8, radius * 0.76, COLORS.chromatin);
+      break;
+    case 'monocyte':
+      drawCytoplasm(ctx, radius, 'rgba(185, 185, 210, 0.95)');
+      ctx.fillStyle = 'rgba(244, 240, 248, 0.9)'; // vacuoles
+      for (let i = 0; i < 5; i++) {
+        ctx.beginPath();
+        ctx.arc(randomBetween(rng, -0.6, 0.6) * radius, randomBetween(rng, -0.6, 0.6) * radius, radius * randomBetween(rng, 0.05, 0.1), 0, Math.PI * 2);
+        ctx.fill();
+      }
+      // Folded, kidney-shaped nucleus with lacy chromatin
+      ctx.beginPath();
+      ctx.ellipse(-radius * 0.1, 0, radius * 0.55, radius * 0.4, 0, Math.PI * 0.15, Math.PI * 1.85);
+      ctx.ellipse(radius * 0.05, 0, radius * 0.22, radius * 0.2, 0, Math.PI * 1.6, Math.PI * 0.4, true);
+      ctx.closePath();
+      ctx.fillStyle = COLORS.chromatinLight;
+      ctx.fill();
+      break;
+    case 'eosinophil':
+      drawCytoplasm(ctx, radius, 'rgba(240, 200, 180, 0.95)');
+      drawGranules(ctx, rng, radius, 70, radius * 0.07, 'rgba(225, 90, 50, 0.85)'); // coarse orange-red granules
+      drawLobedNucleus(ctx, rng, radius, 2, 0.3);
+      break;
+    case 'basophil':
+      drawCytoplasm(ctx, radius, 'rgba(200, 180, 215, 0.95)');
+      drawLobedNucleus(ctx, rng, radius, 2, 0.3);
+      drawGranules(ctx, rng, radius, 45, radius * 0.09, 'rgba(45, 20, 70, 0.9)'); // dark granules obscure the nucleus
+      break;
+    default:
+      drawCytoplasm(ctx, radius, 'rgba(200, 200, 220, 0.95)');
+  }
+  ctx.restore();
+}
+
+// Bare, crushed nucleus spread into a ragged smear of pale chromatin
+function drawSmudge(ctx, cell) {
+  const rng = createRng(cell.seed);
+  ctx.save();
+  ctx.translate(cell.x, cell.y);
+  ctx.rotate(cell.rotation);
+  ctx.beginPath();
+  const points = 12;
+  for (let i = 0; i <= points; i++) {
+    const angle = (i / points) * Math.PI * 2;
+    const r = cell.radius * randomBetween(rng, 0.6, 1.1);
+    if (i === 0) ctx.moveTo(r, 0);
+    else ctx.lineTo(Math.cos(angle) * r, Math.sin(angle) * r * 0.75);
+  }
+  ctx.closePath();
+  ctx.fillStyle = 'rgba(120, 80, 165, 0.55)';
+  ctx.fill();
+  ctx.strokeStyle = 'rgba(90, 50, 130, 0.45)';
+  ctx.lineWidth = Math.max(cell.radius * 0.04, 0.3);
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Pale pink fibrin threads running between clumped cells in a clotted sample
+function drawFibrin(ctx, cell) {
+  ctx.strokeStyle = 'rgba(200, 120, 170, 0.6)';
+  ctx.lineWidth = 0.6;
+  ctx.beginPath();
+  cell.points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+  ctx.stroke();
+}
+
+// Tiny dark-purple cocci
+function drawBacterium(ctx, cell) {
+  ctx.fillStyle = 'rgba(60, 20, 90, 0.9)';
+  ctx.beginPath();
+  ctx.arc(cell.x, cell.y, cell.radius, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// Cracks across the field after the objective has been driven into the slide
+function drawCracks(ctx, width, height, seed) {
+  const rng = createRng(seed);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.lineWidth = 1.5;
+  for (let i = 0; i < 3; i++) {
+    let x = width / 2 + randomBetween(rng, -40, 40);
+    let y = height / 2 + randomBetween(rng, -40, 40);
+    const angle = rng() * Math.PI * 2;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    for (let j = 0; j < 8; j++) {
+      x += Math.cos(angle + randomBetween(rng, -0.6, 0.6)) * 30;
+      y += Math.sin(angle + randomBetween(rng, -0.6, 0.6)) * 30;
+      ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+  }
+}
+
+const eyepieceRadius = canvas => Math.min(canvas.width, canvas.height) / 2 - 10;
+
+// Canvas pixels per micrometre when a field of the given diameter fills the eyepiece
+export function pixelsPerUm(canvas, fieldDiameterUm) {
+  return (eyepieceRadius(canvas) * 2) / fieldDiameterUm;
+}
+
+// Draws a field into a circular eyepiece view.
+// options: { fieldDiameterUm, blurPx, brightness (0-1), washout (0-1), cracked }
+export function drawBloodFilm(canvas, field, { fieldDiameterUm = 180, blurPx = 0, brightness = 1, washout = 0, cracked = false } = {}) {
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const viewRadius = eyepieceRadius(canvas);
+  const pxPerUm = pixelsPerUm(canvas, fieldDiameterUm);
+
+  // Cells are drawn sharp off-screen, then blurred once as a whole
+  const sharp = document.createElement('canvas');
+  sharp.width = width;
+  sharp.height = height;
+  const cellCtx = sharp.getContext('2d');
+  cellCtx.fillStyle = COLORS.background;
+  cellCtx.fillRect(0, 0, width, height);
+  cellCtx.translate(width / 2, height / 2);
+  cellCtx.scale(pxPerUm, pxPerUm);
+  const byKind = kind => field.cells.filter(cell => cell.kind === kind);
+  byKind('rbc').forEach(cell => drawRbc(cellCtx, cell, pxPerUm));
+  if (pxPerUm * 1.5 >= 1) byKind('platelet').forEach(cell => drawPlatelet(cellCtx, cell)); // too small to resolve at low power
+  byKind('wbc').forEach(cell => drawWbc(cellCtx, cell, pxPerUm));
+  byKind('smudge').forEach(cell => drawSmudge(cellCtx, cell));
+  byKind('fibrin').forEach(cell => drawFibrin(cellCtx, cell));
+  if (pxPerUm * 1.5 >= 1) byKind('bacterium').forEach(cell => drawBacterium(cellCtx, cell)); // only resolved at high power
+
+  ctx.save();
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = 'black';
+  ctx.fillRect(0, 0, width, height);
+
+  // Everything outside the eyepiece circle stays black
+  ctx.beginPath();
+  ctx.arc(width / 2, height / 2, viewRadius, 0, Math.PI * 2);
+  ctx.clip();
+  ctx.filter = blurPx > 0 ? `blur(${blurPx}px)` : 'none';
+  ctx.drawImage(sharp, 0, 0);
+  ctx.filter = 'none';
+
+  if (cracked) drawCracks(ctx, width, height, field.cells.length);
+  if (washout > 0) {
+    ctx.fillStyle = `rgba(255, 255, 255, ${Math.min(washout, 0.9)})`;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  // Illumination falls off towards the edge of the field
+  const vignette = ctx.createRadialGradient(width / 2, height / 2, viewRadius * 0.6, width / 2, height / 2, viewRadius);
+  vignette.addColorStop(0, 'rgba(0, 0, 0, 0)');
+  vignette.addColorStop(1, 'rgba(0, 0, 0, 0.35)');
+  ctx.fillStyle = vignette;
+  ctx.fillRect(0, 0, width, height);
+  if (brightness < 1) {
+    ctx.fillStyle = `rgba(0, 0, 0, ${1 - Math.max(brightness, 0)})`;
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.restore();
+
+  ctx.strokeStyle = 'white';
+  ctx.lineWidth = 5;
+  ctx.beginPath();
+  ctx.arc(width / 2, height / 2, viewRadius, 0, Math.PI * 2);
+  ctx.stroke();
+}
@@ -0,0 +1,111 @@
+import { SLIDE_LENGTH_MM, SLIDE_WIDTH_MM } from '../smear/technique';
+
+// Microscope instrument model: objectives, focus, illumination and stage.
+// applyControl() is a pure state transition that also reports any handling
+// errors, so the panel can render the state and the App can score the errors.
+
+export const OBJECTIVES = {
+  10: { fieldDiameterUm: 1800, depthOfFieldUm: 8, workingDistanceUm: 7000, focusOffsetUm: 0, panStepMm: 1 },
+  40: { fieldDiameterUm: 450, depthOfFieldUm: 2, workingDistanceUm: 600, focusOffsetUm: 3, panStepMm: 0.25 },
+  100: { fieldDiameterUm: 180, depthOfFieldUm: 0.8, workingDistanceUm: 150, focusOffsetUm: 5, panStepMm: 0.1 },
+};
+
+export const COARSE_STEP_UM = 50;
+export const FINE_STEP_UM = 1;
+const STAGE_Z_RANGE = { min: -3000, max: 8000 };
+
+export const HANDLING_ERRORS = {
+  coarse_focus_100x: { message: 'Never use the coarse focus with the 100x objective in place. Use the fine focus only.', penalty: 5 },
+  objective_crash: { message: 'The objective was racked into the slide! The slide is cracked and the lens may be damaged.', penalty: 20 },
+  no_oil_100x: { message: 'The 100x objective needs immersion oil. Without it the image is dim and hazy.', penalty: 10 },
+  oil_on_dry_objective: { message: 'The 40x objective was swung back into the immersion oil. Clean it and use oil only with the 100x objective.', penalty: 5 },
+};
+
+export const initialMicroscopeState = {
+  objective: 10,
+  stageZ: -400, // µm relative to the in-focus plane of the 10x objective; positive raises the stage
+  light: 0.6,
+  condenser: 0.6,
+  stageX: SLIDE_LENGTH_MM / 2, // mm from the left end of the slide
+  stageY: 0, // mm from the slide's centre line
+  oilApplied: false,
+  slideCracked: false,
+  focusedUnderOil: false, // a sharp 100x oil-immersion image has been reached at least once
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Distance of the stage from the current objective's focal plane (µm)
+export function defocusUm(state) {
+  return state.stageZ - OBJECTIVES[state.objective].focusOffsetUm;
+}
+
+// What the eyepiece shows for the current settings
+export function viewParameters(state) {
+  const objective = OBJECTIVES[state.objective];
+  const defocus = Math.abs(defocusUm(state));
+  const focusBlur = Math.max(0, (defocus - objective.depthOfFieldUm / 2) / objective.depthOfFieldUm) * 2;
+  const withoutOil = state.objective === 100 && !state.oilApplied;
+  const condenserBlur = state.condenser < 0.3 ? (0.3 - state.condenser) * 6 : 0; // stopped down too far loses resolution
+
+  return {
+    fieldDiameterUm: objective.fieldDiameterUm,
+    blurPx: Math.min(12, focusBlur + condenserBlur + (withoutOil ? 3 : 0)),
+    brightness: clamp(state.light * (0.6 + 0.4 * state.condenser) * (withoutOil ? 0.6 : 1) * 1.4, 0, 1),
+    washout: Math.max(0, state.light - 0.9) * 4 + (state.objective === 10 ? Math.max(0, state.condenser - 0.8) : 0),
+    cracked: state.slideCracked,
+    inFocus: focusBlur === 0,
+  };
+}
+
+// control: { type: 'objective', value } | { type: 'coarse' | 'fine', direction: 1 | -1 }
+//   | { type: 'light' | 'condenser', value } | { type: 'stage', dx, dy } | { type: 'oil' }
+// Returns { state, errors } where errors are keys of HANDLING_ERRORS
+export function applyControl(state, control) {
+  const errors = [];
+  let next = { ...state };
+
+  switch (control.type) {
+    case 'objective':
+      if (!OBJECTIVES[control.value] || control.value === state.objective) return { state, errors };
+      if (control.value === 100 && !state.oilApplied) errors.push('no_oil_100x');
+      if (control.value === 40 && state.objective === 100 && state.oilApplied) errors.push('oil_on_dry_objective');
+      next.objective = control.value;
+      break;
+    case 'coarse':
+    case 'fine': {
+      const step = control.type === 'coarse' ? COARSE_STEP_UM : FINE_STEP_UM;
+      if (control.type === 'coarse' && state.objective === 100) errors.push('coarse_focus_100x');
+      next.stageZ = clamp(state.stageZ + step * Math.sign(control.direction), STAGE_Z_RANGE.min, STAGE_Z_RANGE.max);
+      break;
+    }
+    case 'light':
+      next.light = clamp(control.value, 0, 1);
+      break;
+    case 'condenser':
+      next.condenser = clamp(control.value, 0, 1);
+      break;
+    case 'stage':
+      next.stageX = clamp(state.stageX + (control.dx || 0), 0, SLIDE_LENGTH_MM);
+      next.stageY = clamp(state.stageY + (control.dy || 0), -SLIDE_WIDTH_MM / 2, SLIDE_WIDTH_MM / 2);
+      break;
+    case 'oil':
+      next.oilApplied = true;
+      break;
+    default:
+      return { state, errors };
+  }
+
+  // Raising the stage, or swinging a long objective in, past its working distance pushes the slide into the front lens
+  const objective = OBJECTIVES[next.objective];
+  if (defocusUm(next) > objective.workingDistanceUm) {
+    errors.push('objective_crash');
+    next.slideCracked = true;
+    next.stageZ = objective.focusOffsetUm + objective.workingDistanceUm;
+  }
+
+  if (next.objective === 100 && next.oilApplied && viewParameters(next).inFocus) {
+    next = { ...next, focusedUnderOil: true };
+  }
+  return { state: next, errors };
+}
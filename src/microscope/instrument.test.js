@@ -0,0 +1,51 @@
+import { initialMicroscopeState, applyControl, viewParameters } from './instrument';
+
+const run = (state, controls) => controls.reduce(
+  (acc, control) => {
+    const { state: next, errors } = applyControl(acc.state, control);
+    return { state: next, errors: [...acc.errors, ...errors] };
+  },
+  { state, errors: [] }
+);
+
+const repeat = (control, times) => Array.from({ length: times }, () => control);
+
+test('the 10x image can be focused with coarse then fine focus', () => {
+  const { state, errors } = run(initialMicroscopeState, repeat({ type: 'coarse', direction: 1 }, 8));
+  expect(errors).toEqual([]);
+  expect(viewParameters(state).inFocus).toBe(true);
+  expect(viewParameters(initialMicroscopeState).inFocus).toBe(false);
+});
+
+test('coarse focus at 100x and missing oil are handling errors', () => {
+  const { state, errors } = run(initialMicroscopeState, [
+    { type: 'objective', value: 100 },
+    { type: 'coarse', direction: -1 },
+  ]);
+  expect(errors).toEqual(['no_oil_100x', 'coarse_focus_100x']);
+  expect(state.focusedUnderOil).toBe(false);
+});
+
+test('racking the stage into the objective cracks the slide', () => {
+  const { state, errors } = run(initialMicroscopeState, [
+    { type: 'objective', value: 40 },
+    ...repeat({ type: 'coarse', direction: 1 }, 30),
+  ]);
+  expect(errors).toContain('objective_crash');
+  expect(state.slideCracked).toBe(true);
+  expect(viewParameters(state).cracked).toBe(true);
+});
+
+test('focusing under oil is recorded, and going back to 40x through oil is flagged', () => {
+  const focused = run(initialMicroscopeState, [
+    ...repeat({ type: 'coarse', direction: 1 }, 8),
+    { type: 'oil' },
+    { type: 'objective', value: 100 },
+    ...repeat({ type: 'fine', direction: 1 }, 5),
+  ]);
+  expect(focused.errors).toEqual([]);
+  expect(focused.state.focusedUnderOil).toBe(true);
+
+  const { errors } = applyControl(focused.state, { type: 'objective', value: 40 });
+  expect(errors).toEqual(['oil_on_dry_objective']);
+});
@@ -0,0 +1,5 @@
+import { byFileName } from '../utils/bundle';
+
+// The definition and translation documents in ./definitions and ./translations
+export const definitionFiles = byFileName(require.context('./definitions', false, /\.json$/));
+export const translationFiles = byFileName(require.context('./translations', false, /\.json$/));
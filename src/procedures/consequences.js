@@ -0,0 +1,98 @@
+import { FILM_DEFECTS } from '../microscope/bloodFilm';
+import { SMEAR_QUALITIES } from '../smear/technique';
+import { labTimeBetween, filmDryness } from '../clock/labTime';
+
+// Consequences of doing steps out of order or too late.
+// Instead of being rejected, the mistakes a procedure declares under
+// "consequences" go through: the simulation carries on as if the step they
+// stand in for had been done, and the state flags they set follow the sample
+// into later steps, the microscope and the debrief.
+//
+// rule: { id, label, message, debrief, steps: [stepId], effects, defect?, critical?, ...trigger }
+// trigger: { tool, target, completes }  using a tool on a target during one of the steps
+//        | { since, delayMs }           acting on one of the steps more than delayMs of lab time after `since` was done
+//        | { beforeDry: true }          acting on one of the steps while the film is still drying
+//
+// Delays and drying run on the lab clock (see ../clock/labTime).
+
+// The action rule, if any, that using a tool during a step sets off. Without a
+// target this answers whether the tool may be picked up for such an action at all.
+export function consequenceForAction(procedure, step, { tool, target }) {
+  if (!step || !tool) return null;
+  return procedure.consequences.find(rule => rule.tool === tool
+    && rule.steps.includes(step.id)
+    && (target === undefined || rule.target === target)) || null;
+}
+
+// When a step was last done, whether properly or through a consequence standing in for it
+export function stepCompletedAt(events, stepId) {
+  for (let i = events.length - 1; i >= 0; i--) {
+    const event = events[i];
+    if (event.type === 'consequence' && event.completes === stepId) return event.t;
+    if (event.stepId === stepId && event.outcome === 'correct' && ['drop', 'pick_up', 'step_completed', 'smear'].includes(event.type)) return event.t;
+  }
+  return null;
+}
+
+// The delay rule broken by acting on a step now, if any
+export function delayedConsequence(procedure, step, events, now = Date.now()) {
+  if (!step) return null;
+  return procedure.consequences.find((rule) => {
+    if (!rule.since || !rule.steps.includes(step.id)) return false;
+    const doneAt = stepCompletedAt(events, rule.since);
+    return doneAt !== null && labTimeBetween(events, doneAt, now) > rule.delayMs;
+  }) || null;
+}
+
+// The drying rule broken by acting on a step now, if any. A film spoilt once stays
+// spoilt, so a rule already set off isn't set off again.
+export function dryingConsequence(procedure, step, events, now = Date.now()) {
+  if (!step) return null;
+  const dryness = filmDryness(events, now);
+  if (dryness === null || dryness >= 1) return null;
+  return procedure.consequences.find(rule => rule.beforeDry
+    && rule.steps.includes(step.id)
+    && !events.some(event => event.type === 'consequence' && event.consequence === rule.id)) || null;
+}
+
+// Film defects (keys of FILM_DEFECTS) carried by a sample in this lab state
+export function filmDefects(procedure, labState) {
+  const defects = procedure.consequences
+    .filter(rule => rule.defect && Object.entries(rule.effects).every(([flag, value]) => labState[flag] === value))
+    .map(rule => rule.defect);
+  return [...new Set(defects)];
+}
+
+// A smear result (../smear/technique) made from a faulty sample. A defect that
+// ruins the film overrides the spreading technique and becomes the smear quality.
+export function applyFilmDefects(smear, defects) {
+  if (defects.length === 0) return smear;
+  const ruinedBy = defects.find(defect => FILM_DEFECTS[defect].ruinsFilm);
+  return {
+    ...smear,
+    quality: ruinedBy || smear.quality,
+    issues: [...smear.issues, ...defects.map(defect => FILM_DEFECTS[defect].issue)],
+    defects: [...(smear.defects || []), ...defects],
+  };
+}
+
+// The film on the slide as it stands: the last smear made, with the defects of
+// rules set off after it was made (a film moved on before it was dry); null before any smear
+export function currentFilm(procedure, events) {
+  const index = events.map(event => event.type === 'smear' && Boolean(event.result)).lastIndexOf(true);
+  if (index < 0) return null;
+  const later = events.slice(index + 1)
+    .filter(event => event.type === 'consequence')
+    .map(event => procedure.consequences.find(rule => rule.id === event.consequence)?.defect)
+    .filter(Boolean);
+  return applyFilmDefects(events[index].result, [...new Set(later)]);
+}
+
+// Name of a smear quality, including the defects that ruin a film; null is no smear at all
+export const smearQualityLabel = quality => SMEAR_QUALITIES[quality] || FILM_DEFECTS[quality]?.label || 'No smear made';
+
+// Rules set off during an attempt, in the order they happened
+export function triggeredConsequences(procedure, events) {
+  const ids = [...new Set(events.filter(event => event.type === 'consequence').map(event => event.consequence))];
+  return ids.map(id => procedure.consequences.find(rule => rule.id === id)).filter(Boolean);
+}
@@ -0,0 +1,80 @@
+import bloodSmear from './definitions/blood-smear.json';
+import { loadProcedure } from './schema';
+import { createEvent } from '../session/actionLog';
+import { evaluateSmear, dryingTimeMs } from '../smear/technique';
+import { consequenceForAction, delayedConsequence, dryingConsequence, filmDefects, applyFilmDefects, currentFilm, stepCompletedAt, triggeredConsequences } from './consequences';
+
+const procedure = loadProcedure(bloodSmear, 'blood-smear.json');
+const stepById = id => procedure.steps.find(step => step.id === id);
+
+test('pricking an uncleaned finger and collecting the first drop go through with consequences', () => {
+  expect(consequenceForAction(procedure, stepById('clean_finger'), { tool: 'lancet', target: 'finger' })).toMatchObject({
+    id: 'unclean_puncture',
+    completes: 'apply_lancet',
+    effects: { infectionRisk: true },
+  });
+  expect(consequenceForAction(procedure, stepById('clean_finger'), { tool: 'lancet' })?.id).toBe('unclean_puncture');
+  expect(consequenceForAction(procedure, stepById('clean_finger'), { tool: 'lancet', target: 'blood_drop' })).toBeNull();
+  expect(consequenceForAction(procedure, stepById('wipe_blood'), { tool: 'clean_slide', target: 'blood_drop' })?.id).toBe('first_drop_collected');
+  expect(consequenceForAction(procedure, stepById('apply_lancet'), { tool: 'lancet', target: 'finger' })).toBeNull();
+});
+
+test('a drop left too long on the slide has clotted by the time it is spread', () => {
+  const collected = [createEvent('drop', { stepId: 'collect_blood_on_slide', outcome: 'correct', points: 20 }, 10000)];
+  const smearStep = stepById('perform_smear');
+  expect(stepCompletedAt(collected, 'collect_blood_on_slide')).toBe(10000);
+  expect(delayedConsequence(procedure, smearStep, collected, 30000)).toBeNull();
+  expect(delayedConsequence(procedure, smearStep, collected, 80000)?.id).toBe('clotted_drop');
+
+  // Collecting through a consequence starts the clock too
+  const shortcut = [createEvent('consequence', { stepId: 'wipe_blood', consequence: 'first_drop_collected', completes: 'collect_blood_on_slide' }, 5000)];
+  expect(stepCompletedAt(shortcut, 'collect_blood_on_slide')).toBe(5000);
+  expect(triggeredConsequences(procedure, shortcut).map(rule => rule.id)).toEqual(['first_drop_collected']);
+});
+
+test('faults in the sample become film defects, and a clot ruins even a well spread film', () => {
+  const state = { ...procedure.state, infectionRisk: true, dropClotted: true };
+  const defects = filmDefects(procedure, state);
+  expect(defects).toEqual(['bacteria', 'clotted']);
+
+  const good = evaluateSmear({ angle: 35, speed: 45, spread: 0.75, pushLength: 45 });
+  const ruined = applyFilmDefects(good, defects);
+  expect(ruined.quality).toBe('clotted');
+  expect(ruined.defects).toEqual(defects);
+  expect(ruined.issues).toHaveLength(2);
+  expect(applyFilmDefects(good, ['tissue_fluid']).quality).toBe('good');
+  expect(applyFilmDefects(good, [])).toBe(good);
+});
+
+test('delays run on the lab clock, and a drop left on the finger clots before it is collected', () => {
+  const formed = [
+    createEvent('attempt_started', {}, 0),
+    createEvent('step_completed', { stepId: 'wait_for_second_drop', outcome: 'correct' }, 10000),
+  ];
+  const collectStep = stepById('collect_blood_on_slide');
+  expect(delayedConsequence(procedure, collectStep, formed, 40000)).toBeNull();
+  expect(delayedConsequence(procedure, collectStep, formed, 110000)?.id).toBe('clotted_on_finger');
+
+  // Sped up ten times, half a minute is five minutes at the bench
+  const hurried = [...formed, createEvent('clock', { speed: 10 }, 10000)];
+  expect(delayedConsequence(procedure, collectStep, hurried, 40000)?.id).toBe('clotted_on_finger');
+});
+
+test('going on with a film before it is dry spoils it, once', () => {
+  const good = evaluateSmear({ angle: 35, speed: 45, spread: 0.75, pushLength: 45 });
+  const smeared = [
+    createEvent('attempt_started', {}, 0),
+    createEvent('smear', { stepId: 'perform_smear', outcome: 'correct', points: 30, result: good }, 1000),
+  ];
+  const airDry = stepById('air_dry');
+  expect(dryingConsequence(procedure, airDry, smeared, 2000)?.id).toBe('film_not_dry');
+  expect(dryingConsequence(procedure, airDry, smeared, 1000 + dryingTimeMs(good))).toBeNull();
+  expect(dryingConsequence(procedure, stepById('perform_smear'), smeared, 2000)).toBeNull();
+  expect(dryingConsequence(procedure, airDry, [], 2000)).toBeNull();
+
+  const spoilt = [...smeared, createEvent('consequence', { stepId: 'air_dry', consequence: 'film_not_dry' }, 2000)];
+  expect(dryingConsequence(procedure, stepById('microscope_observation'), spoilt, 3000)).toBeNull();
+  expect(currentFilm(procedure, smeared)).toBe(good);
+  expect(currentFilm(procedure, spoilt)).toMatchObject({ quality: 'wet', defects: ['wet'] });
+  expect(currentFilm(procedure, [])).toBeNull();
+});
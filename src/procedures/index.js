@@ -0,0 +1,77 @@
+import { loadProcedure } from './schema';
+import { getQuestionBank, getQuestionBankTranslation } from '../questions';
+import { eligibleQuestions } from '../questions/bank';
+import { localizeProcedure } from '../i18n/content';
+import { definitionFiles, translationFiles } from './bundled';
+
+// Procedure registry. Every *.json document in ./definitions is picked up by the
+// bundler (see ./bundled), so adding a practical only needs a new definition file. Quiz steps get
+// the questions of the bank they name (see ../questions) attached here.
+// Translations of a definition's text live in ./translations, one file per
+// procedure and language (see ../i18n/content).
+export const DEFAULT_PROCEDURE_ID = 'blood_smear';
+
+export const procedures = {};
+export const procedureDefinitions = {}; // The documents as written, for the authoring editor
+export const procedureLoadErrors = []; // [{ source, errors }] for definitions that failed validation
+export const procedureTranslations = {}; // { procedureId: { locale: translation } }
+
+// Problems with the question banks a document's quiz steps draw from
+export function questionBankErrors(doc) {
+  const errors = [];
+  doc.steps.forEach((step, index) => {
+    if (!step.quiz?.bank) return;
+    const bank = getQuestionBank(step.quiz.bank);
+    if (!bank) {
+      errors.push(`steps[${index}].quiz.bank: unknown question bank "${step.quiz.bank}"`);
+      return;
+    }
+    const available = eligibleQuestions(bank.questions, step.quiz).length;
+    if (available < step.quiz.count) {
+      errors.push(`steps[${index}].quiz.count: the bank has only ${available} matching questions`);
+    }
+  });
+  return errors;
+}
+
+// Validates a document and returns it ready to run, with its quiz questions attached
+export function prepareProcedure(doc, source) {
+  const procedure = loadProcedure(doc, source);
+  const errors = questionBankErrors(procedure);
+  if (errors.length > 0) throw Object.assign(new Error(`Invalid procedure definition "${source}"`), { errors });
+  return {
+    ...procedure,
+    steps: procedure.steps.map(step => (step.quiz?.bank ? { ...step, quiz: { ...step.quiz, questions: getQuestionBank(step.quiz.bank).questions } } : step)),
+  };
+}
+
+Object.entries(definitionFiles).forEach(([source, doc]) => {
+  try {
+    const procedure = prepareProcedure(doc, source);
+    if (procedures[procedure.id]) {
+      throw new Error(`Invalid procedure definition "${source}": id "${procedure.id}" is already used by another definition`);
+    }
+    procedures[procedure.id] = procedure;
+    procedureDefinitions[procedure.id] = doc;
+  } catch (error) {
+    console.error(error.message);
+    procedureLoadErrors.push({ source, errors: error.errors || [error.message] });
+  }
+});
+
+Object.values(translationFiles).forEach((translation) => {
+  procedureTranslations[translation.procedure] = { ...procedureTranslations[translation.procedure], [translation.locale]: translation };
+});
+
+// Localized procedures are made once per language, so the simulation gets the same object on every render
+const localized = {};
+
+// The procedure in the given language; text without a translation stays as defined
+export function getProcedure(id = DEFAULT_PROCEDURE_ID, locale = null) {
+  const procedure = procedures[id];
+  const translation = procedureTranslations[id]?.[locale];
+  if (!procedure || !translation) return procedure || null;
+  const key = `${id}:${locale}`;
+  if (!localized[key]) localized[key] = localizeProcedure(procedure, translation, bank => getQuestionBankTranslation(bank, locale));
+  return localized[key];
+}
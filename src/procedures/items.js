@@ -0,0 +1,91 @@
+import { findStepIndex, getTool, getTarget } from './steps';
+
+// Items: tools with a state of their own that follows them through the
+// procedure. A tool declares what kind of item it is ("item": { kind, disposeBy? })
+// and steps change item states through "itemEffects": { toolId: { state: boolean } },
+// which take hold once the step is done. Single-use items turn into waste (a used
+// lancet, a contaminated swab) that has to go into the right disposal target
+// ("disposal": "sharps" | "biohazard") before the step named by disposeBy is
+// finished, or by the end of the procedure when it names none.
+//
+// Item states are worked out from the action log, like the score, so a resumed
+// attempt, the replay and the report all see the same bench.
+
+// Kinds of item, with the states steps can set. waste is the state that makes
+// the item waste, leftOut the rubric error for leaving it out past its deadline
+// and reused the error for using it again.
+export const ITEM_KINDS = {
+  sharp: { states: ['used'], waste: 'used', disposal: 'sharps', leftOut: 'sharps_left_out', reused: 'reused_sharp' },
+  swab: { states: ['contaminated'], waste: 'contaminated', disposal: 'biohazard', leftOut: 'biohazard_left_out' },
+  slide: { states: ['labeled', 'bloodLoaded', 'smeared', 'dried'] },
+};
+
+export const DISPOSAL_TYPES = ['sharps', 'biohazard'];
+
+// The kind of item a tool is, or null for a tool without a state
+export const itemKind = (procedure, toolId) => ITEM_KINDS[getTool(procedure, toolId)?.item?.kind] || null;
+
+// Every item's states, e.g. { lancet: { used: true, disposed: false } }, with
+// the item effects of each step the attempt has moved past. A step skipped
+// through a consequence counts as done, as it does for the lab state.
+export function itemStates(procedure, events) {
+  const items = Object.fromEntries(procedure.tools
+    .filter(tool => tool.item)
+    .map(tool => [tool.id, { ...Object.fromEntries(ITEM_KINDS[tool.item.kind].states.map(state => [state, false])), disposed: false }]));
+  const apply = (effects) => {
+    Object.entries(effects || {}).forEach(([toolId, changes]) => {
+      if (items[toolId]) items[toolId] = { ...items[toolId], ...changes };
+    });
+  };
+
+  events.forEach((event) => {
+    if (event.type === 'step_transition') {
+      const from = findStepIndex(procedure, event.from);
+      const to = findStepIndex(procedure, event.to);
+      if (from < 0 || to <= from) return;
+      procedure.steps.slice(from, to).forEach(step => apply(step.itemEffects));
+    } else if (event.type === 'dispose' && items[event.tool]) {
+      items[event.tool] = { ...items[event.tool], disposed: true };
+    }
+  });
+  return items;
+}
+
+// True when the item is waste still out on the bench
+export function isWaste(procedure, items, toolId) {
+  const kind = itemKind(procedure, toolId);
+  return Boolean(kind?.waste && items[toolId]?.[kind.waste] && !items[toolId].disposed);
+}
+
+// The target that takes an item's waste, or null
+export function disposalTargetFor(procedure, toolId) {
+  const disposal = itemKind(procedure, toolId)?.disposal;
+  return (disposal && procedure.targets.find(target => target.disposal === disposal)) || null;
+}
+
+// What dropping a tool on a disposal target does: 'dispose' for waste going
+// into its own container, 'wrong_disposal' for waste put in the other one and
+// 'not_waste' for anything that isn't waste; null when the target isn't for disposal
+export function disposalOutcome(procedure, items, toolId, targetId) {
+  const disposal = getTarget(procedure, targetId)?.disposal;
+  if (!disposal) return null;
+  if (!isWaste(procedure, items, toolId)) return 'not_waste';
+  return itemKind(procedure, toolId).disposal === disposal ? 'dispose' : 'wrong_disposal';
+}
+
+// The step by the end of which an item's waste must be gone: its disposeBy
+// step, else the last step before the procedure completes
+export function disposalDeadline(procedure, toolId) {
+  const disposeBy = getTool(procedure, toolId)?.item?.disposeBy;
+  return disposeBy ? procedure.steps[findStepIndex(procedure, disposeBy)] : procedure.steps[procedure.steps.length - 2];
+}
+
+// Waste left out past its deadline now that the attempt is at currentStep, and
+// not yet marked down for it: [{ tool, error, deadline (the step) }]
+export function overdueWaste(procedure, items, events, currentStep) {
+  return Object.keys(items)
+    .filter(toolId => isWaste(procedure, items, toolId))
+    .map(toolId => ({ tool: toolId, error: itemKind(procedure, toolId).leftOut, deadline: disposalDeadline(procedure, toolId) }))
+    .filter(({ deadline }) => currentStep > findStepIndex(procedure, deadline.id))
+    .filter(({ tool, error }) => !events.some(event => event.type === 'wrong_action' && event.error === error && event.tool === tool));
+}
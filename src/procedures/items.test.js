@@ -0,0 +1,69 @@
+import bloodSmear from './definitions/blood-smear.json';
+import { loadProcedure, validateProcedure } from './schema';
+import { createEvent } from '../session/actionLog';
+import { itemStates, isWaste, disposalOutcome, disposalTargetFor, disposalDeadline, overdueWaste } from './items';
+import { findStepIndex } from './steps';
+
+const procedure = loadProcedure(bloodSmear, 'blood-smear.json');
+const moved = (from, to) => createEvent('step_transition', { from, to });
+const stepIndex = id => findStepIndex(procedure, id);
+
+test('items start clean and pick up the states of the steps the attempt moves past', () => {
+  expect(itemStates(procedure, [])).toEqual({
+    alcohol_swab: { contaminated: false, disposed: false },
+    lancet: { used: false, disposed: false },
+    clean_slide: { labeled: false, bloodLoaded: false, smeared: false, dried: false, disposed: false },
+  });
+  const items = itemStates(procedure, [moved('apply_lancet', 'wipe_first_drop'), moved('label_slide', 'collect_second_drop')]);
+  expect(items.lancet.used).toBe(true);
+  expect(items.clean_slide).toMatchObject({ labeled: true, bloodLoaded: false });
+  expect(isWaste(procedure, items, 'lancet')).toBe(true);
+  expect(isWaste(procedure, items, 'alcohol_swab')).toBe(false);
+});
+
+test('a step skipped through a consequence leaves its items as if it had been done', () => {
+  const items = itemStates(procedure, [moved('clean_finger', 'wipe_first_drop')]);
+  expect(items.lancet.used).toBe(true);
+});
+
+test('waste goes into its own container only, and stops being waste once it is there', () => {
+  const used = itemStates(procedure, [moved('apply_lancet', 'wipe_first_drop')]);
+  expect(disposalTargetFor(procedure, 'lancet').id).toBe('sharps_container');
+  expect(disposalOutcome(procedure, used, 'lancet', 'sharps_container')).toBe('dispose');
+  expect(disposalOutcome(procedure, used, 'lancet', 'biohazard_bin')).toBe('wrong_disposal');
+  expect(disposalOutcome(procedure, used, 'clean_slide', 'biohazard_bin')).toBe('not_waste');
+  expect(disposalOutcome(procedure, used, 'lancet', 'finger')).toBeNull();
+
+  const disposed = itemStates(procedure, [moved('apply_lancet', 'wipe_first_drop'), createEvent('dispose', { tool: 'lancet', target: 'sharps_container' })]);
+  expect(disposed.lancet).toEqual({ used: true, disposed: true });
+  expect(isWaste(procedure, disposed, 'lancet')).toBe(false);
+});
+
+test('waste still out once its deadline step is done is overdue, until it has been marked down', () => {
+  const events = [moved('apply_lancet', 'wipe_first_drop')];
+  const items = itemStates(procedure, events);
+  expect(disposalDeadline(procedure, 'lancet').id).toBe('collect_blood_on_slide');
+  expect(overdueWaste(procedure, items, events, stepIndex('collect_blood_on_slide'))).toEqual([]);
+  const overdue = overdueWaste(procedure, items, events, stepIndex('prepare_smear'));
+  expect(overdue).toMatchObject([{ tool: 'lancet', error: 'sharps_left_out', deadline: { id: 'collect_blood_on_slide' } }]);
+
+  const marked = [...events, createEvent('wrong_action', { tool: 'lancet', error: 'sharps_left_out', outcome: 'incorrect' })];
+  expect(overdueWaste(procedure, items, marked, stepIndex('prepare_smear'))).toEqual([]);
+});
+
+test('item kinds, disposal targets and item effects are validated', () => {
+  const doc = {
+    ...bloodSmear,
+    tools: bloodSmear.tools.map(tool => (tool.id === 'pencil' ? { ...tool, item: { kind: 'crayon' } } : tool.id === 'lancet' ? { ...tool, item: { kind: 'sharp', disposeBy: 'wash_hands' } } : tool)),
+    targets: bloodSmear.targets.filter(target => target.id !== 'biohazard_bin'),
+    steps: bloodSmear.steps.map(step => (step.id === 'air_dry' ? { ...step, itemEffects: { clean_slide: { stained: true }, spreader_slide: { used: true } } } : step)),
+  };
+  const airDry = bloodSmear.steps.findIndex(step => step.id === 'air_dry');
+  expect(validateProcedure(doc)).toEqual([
+    'tools[0].item.kind: a swab needs a target with disposal "biohazard" to be thrown away in',
+    'tools[2].item.kind: must be one of sharp, swab, slide',
+    `steps[${airDry}].itemEffects.clean_slide.stained: unknown state (expected one of labeled, bloodLoaded, smeared, dried)`,
+    `steps[${airDry}].itemEffects.spreader_slide: "spreader_slide" is not a tool with an item kind`,
+    'tools[1].item.disposeBy: unknown step "wash_hands"',
+  ]);
+});
@@ -0,0 +1,540 @@
+import { ERROR_TYPES, resolveRubric } from '../scoring/rubric';
+import { FILM_DEFECTS } from '../microscope/bloodFilm';
+import { DIFFICULTIES } from '../questions/bank';
+import { ITEM_KINDS, DISPOSAL_TYPES } from './items';
+import { PATIENT_CASES } from '../cases/cases';
+
+// Schema and validation for declarative lab procedure documents.
+// A procedure is a versioned JSON document that declares its tools, targets,
+// lab state flags and an ordered list of steps. Everything the simulation
+// needs to run a practical comes from here, so a document is validated once
+// at load time and rejected with readable errors instead of failing mid-run.
+
+export const SCHEMA_VERSION = 1;
+
+// Step actions the simulation knows how to run, with the fields each requires
+export const STEP_ACTIONS = {
+  intro: [],
+  pick_up_tool: ['tool'],
+  use_tool_on_target: ['tool', 'target'],
+  auto_advance: ['delayMs'],
+  create_smear: ['tool'],
+  next_step_button: [],
+  view_microscope: [],
+  watch_video: ['video'],
+  mcq: [], // a quiz drawn from a question bank, or a single inline question
+  identify_findings: [], // the key findings of the attempt's patient case, see ../cases/cases
+  complete: [],
+};
+
+export const SOUNDS = ['click', 'success', 'error', 'drop', 'swab'];
+
+const INDICATOR_TYPES = ['icon', 'smear'];
+const ID_PATTERN = /^[a-z0-9_]+$/;
+
+export class ProcedureValidationError extends Error {
+  constructor(source, errors) {
+    super(`Invalid procedure definition "${source}":\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ProcedureValidationError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Validates a list of { id, label, icon } entries (tools or targets) and returns the set of ids
+function validateCatalog(doc, key, errors) {
+  const ids = new Set();
+  if (!Array.isArray(doc[key])) {
+    errors.push(`${key}: must be an array`);
+    return ids;
+  }
+  doc[key].forEach((entry, index) => {
+    const path = `${key}[${index}]`;
+    if (!isPlainObject(entry)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(entry.id) || !ID_PATTERN.test(entry.id)) {
+      errors.push(`${path}.id: must be a lowercase identifier (a-z, 0-9, _)`);
+    } else if (ids.has(entry.id)) {
+      errors.push(`${path}.id: duplicate id "${entry.id}"`);
+    } else {
+      ids.add(entry.id);
+    }
+    if (!isNonEmptyString(entry.label)) errors.push(`${path}.label: must be a non-empty string`);
+    if (!isNonEmptyString(entry.icon)) errors.push(`${path}.icon: must be a non-empty string`);
+  });
+  return ids;
+}
+
+// Validates the item kinds of tools (see ./items) and the disposal targets their
+// waste goes into; returns a map of item tool ids to their kind
+function validateItems(doc, errors) {
+  const itemKinds = new Map();
+  const disposals = new Set();
+  (Array.isArray(doc.targets) ? doc.targets : []).forEach((target, index) => {
+    if (target?.disposal === undefined) return;
+    if (!DISPOSAL_TYPES.includes(target.disposal)) errors.push(`targets[${index}].disposal: must be one of ${DISPOSAL_TYPES.join(', ')}`);
+    else disposals.add(target.disposal);
+  });
+  (Array.isArray(doc.tools) ? doc.tools : []).forEach((tool, index) => {
+    if (tool?.item === undefined) return;
+    const path = `tools[${index}].item`;
+    if (!isPlainObject(tool.item) || !ITEM_KINDS[tool.item.kind]) {
+      errors.push(`${path}.kind: must be one of ${Object.keys(ITEM_KINDS).join(', ')}`);
+      return;
+    }
+    const kind = ITEM_KINDS[tool.item.kind];
+    itemKinds.set(tool.id, kind);
+    if (tool.item.disposeBy !== undefined && (!kind.waste || !isNonEmptyString(tool.item.disposeBy))) {
+      errors.push(`${path}.disposeBy: must be a step id, for an item that becomes waste`);
+    }
+    if (kind.disposal && !disposals.has(kind.disposal)) {
+      errors.push(`${path}.kind: a ${tool.item.kind} needs a target with disposal "${kind.disposal}" to be thrown away in`);
+    }
+  });
+  return itemKinds;
+}
+
+// Checks a step's { toolId: { state: boolean } } item effects against the item kinds
+function validateItemEffects(itemEffects, path, itemKinds, errors) {
+  if (itemEffects === undefined) return;
+  if (!isPlainObject(itemEffects)) {
+    errors.push(`${path}: must be an object of item states by tool`);
+    return;
+  }
+  Object.entries(itemEffects).forEach(([toolId, states]) => {
+    const kind = itemKinds.get(toolId);
+    if (!kind) {
+      errors.push(`${path}.${toolId}: "${toolId}" is not a tool with an item kind`);
+      return;
+    }
+    if (!isPlainObject(states)) {
+      errors.push(`${path}.${toolId}: must be an object of item states`);
+      return;
+    }
+    Object.entries(states).forEach(([state, value]) => {
+      if (!kind.states.includes(state)) errors.push(`${path}.${toolId}.${state}: unknown state (expected one of ${kind.states.join(', ')})`);
+      if (typeof value !== 'boolean') errors.push(`${path}.${toolId}.${state}: must be true or false`);
+    });
+  });
+}
+
+// Checks that every key of a { flag: boolean } map refers to a declared state flag
+function validateFlagMap(map, path, stateFlags, errors) {
+  if (map === undefined) return;
+  if (!isPlainObject(map)) {
+    errors.push(`${path}: must be an object of state flags`);
+    return;
+  }
+  Object.entries(map).forEach(([flag, value]) => {
+    if (!stateFlags.has(flag)) errors.push(`${path}.${flag}: unknown state flag "${flag}"`);
+    if (typeof value !== 'boolean') errors.push(`${path}.${flag}: must be true or false`);
+  });
+}
+
+function validateQuestion(question, path, errors) {
+  if (!isPlainObject(question)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  if (!isNonEmptyString(question.prompt)) errors.push(`${path}.prompt: must be a non-empty string`);
+  if (!Array.isArray(question.options) || question.options.length < 2 || !question.options.every(isNonEmptyString)) {
+    errors.push(`${path}.options: must be an array of at least two strings`);
+  } else if (!Number.isInteger(question.answer) || question.answer < 0 || question.answer >= question.options.length) {
+    errors.push(`${path}.answer: must be the index of one of the options`);
+  }
+}
+
+// { bank, count, pointsPerQuestion, tags?, difficulty? }: questions drawn from a bank in ../questions/banks
+function validateQuiz(quiz, path, errors) {
+  if (!isPlainObject(quiz)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  if (!isNonEmptyString(quiz.bank) || !ID_PATTERN.test(quiz.bank)) errors.push(`${path}.bank: must be the id of a question bank`);
+  if (!Number.isInteger(quiz.count) || quiz.count < 1) errors.push(`${path}.count: must be a positive integer`);
+  if (!Number.isInteger(quiz.pointsPerQuestion) || quiz.pointsPerQuestion < 0) errors.push(`${path}.pointsPerQuestion: must be a non-negative integer`);
+  if (quiz.tags !== undefined && (!Array.isArray(quiz.tags) || !quiz.tags.every(isNonEmptyString))) {
+    errors.push(`${path}.tags: must be an array of strings`);
+  }
+  if (quiz.difficulty !== undefined && (!Array.isArray(quiz.difficulty) || !quiz.difficulty.every(level => DIFFICULTIES.includes(level)))) {
+    errors.push(`${path}.difficulty: must be an array of ${DIFFICULTIES.join(', ')}`);
+  }
+}
+
+function validateStep(step, path, context, errors) {
+  const { toolIds, targetIds, stateFlags, itemKinds } = context;
+  if (!isPlainObject(step)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  if (!isNonEmptyString(step.instruction)) errors.push(`${path}.instruction: must be a non-empty string`);
+
+  const requiredFields = STEP_ACTIONS[step.action];
+  if (!requiredFields) {
+    errors.push(`${path}.action: unknown action "${step.action}" (expected one of ${Object.keys(STEP_ACTIONS).join(', ')})`);
+    return;
+  }
+  requiredFields.forEach((field) => {
+    if (step[field] === undefined) errors.push(`${path}.${field}: required for action "${step.action}"`);
+  });
+
+  if (step.tool !== undefined && !toolIds.has(step.tool)) errors.push(`${path}.tool: unknown tool "${step.tool}"`);
+  if (step.target !== undefined && !targetIds.has(step.target)) errors.push(`${path}.target: unknown target "${step.target}"`);
+  if (step.points !== undefined && (!Number.isInteger(step.points) || step.points < 0)) {
+    errors.push(`${path}.points: must be a non-negative integer`);
+  }
+  if (step.delayMs !== undefined && (typeof step.delayMs !== 'number' || step.delayMs < 0)) {
+    errors.push(`${path}.delayMs: must be a non-negative number`);
+  }
+  if (step.sound !== undefined && !SOUNDS.includes(step.sound)) {
+    errors.push(`${path}.sound: unknown sound "${step.sound}" (expected one of ${SOUNDS.join(', ')})`);
+  }
+  if (step.buttonLabel !== undefined && !isNonEmptyString(step.buttonLabel)) {
+    errors.push(`${path}.buttonLabel: must be a non-empty string`);
+  }
+  if (step.feedback !== undefined) {
+    if (!isPlainObject(step.feedback)) {
+      errors.push(`${path}.feedback: must be an object`);
+    } else {
+      Object.entries(step.feedback).forEach(([key, text]) => {
+        if (!isNonEmptyString(text)) errors.push(`${path}.feedback.${key}: must be a non-empty string`);
+      });
+    }
+  }
+  validateFlagMap(step.requires, `${path}.requires`, stateFlags, errors);
+  validateFlagMap(step.effects, `${path}.effects`, stateFlags, errors);
+  validateItemEffects(step.itemEffects, `${path}.itemEffects`, itemKinds, errors);
+
+  if (step.action === 'watch_video') validateVideo(step.video, `${path}.video`, errors);
+  if (step.narration !== undefined && !isNonEmptyString(step.narration)) {
+    errors.push(`${path}.narration: must be the path of a recording of the instruction`);
+  }
+  if (step.action === 'mcq' && step.quiz === undefined && step.question === undefined) {
+    errors.push(`${path}.quiz: required for action "mcq" (or an inline question)`);
+  }
+  if (step.action === 'identify_findings' && !context.hasCases) {
+    errors.push(`${path}.action: "identify_findings" needs the procedure to list its patient cases`);
+  }
+  if (step.question !== undefined) validateQuestion(step.question, `${path}.question`, errors);
+  if (step.quiz !== undefined) validateQuiz(step.quiz, `${path}.quiz`, errors);
+  if (step.differential !== undefined) validateDifferential(step, `${path}.differential`, errors);
+  if (step.penalties !== undefined) validatePenalties(step.penalties, `${path}.penalties`, errors);
+}
+
+// A bundled file (src, under public/) to play offline and/or a YouTube id to embed when online
+function validateVideo(video, path, errors) {
+  if (!isPlainObject(video)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  if (video.src === undefined && video.youtubeId === undefined) {
+    errors.push(`${path}: needs a bundled file (src) or a YouTube id (youtubeId)`);
+  }
+  ['src', 'youtubeId'].forEach((key) => {
+    if (video[key] !== undefined && !isNonEmptyString(video[key])) errors.push(`${path}.${key}: must be a non-empty string`);
+  });
+  // Only a bundled file can be tracked and paused; the YouTube embed reports nothing back
+  if (video.src === undefined) {
+    ['minWatchedPercent', 'chapters', 'checkpoints']
+      .filter(key => video[key] !== undefined)
+      .forEach(key => errors.push(`${path}.${key}: needs a bundled file (src), a YouTube video can't be tracked`));
+  }
+  if (video.minWatchedPercent !== undefined
+    && (typeof video.minWatchedPercent !== 'number' || video.minWatchedPercent < 0 || video.minWatchedPercent > 100)) {
+    errors.push(`${path}.minWatchedPercent: must be a number from 0 to 100`);
+  }
+  validateTimeline(video.chapters, `${path}.chapters`, errors, (chapter, entryPath) => {
+    if (!isNonEmptyString(chapter.title)) errors.push(`${entryPath}.title: must be a non-empty string`);
+    if (chapter.step !== undefined && !isNonEmptyString(chapter.step)) errors.push(`${entryPath}.step: must be a step id`);
+  });
+  validateTimeline(video.checkpoints, `${path}.checkpoints`, errors, (checkpoint, entryPath) => {
+    validateQuestion(checkpoint, entryPath, errors);
+    if (checkpoint.explanation !== undefined && !isNonEmptyString(checkpoint.explanation)) {
+      errors.push(`${entryPath}.explanation: must be a non-empty string`);
+    }
+    if (checkpoint.points !== undefined && (!Number.isInteger(checkpoint.points) || checkpoint.points < 0)) {
+      errors.push(`${entryPath}.points: must be a non-negative integer`);
+    }
+  });
+}
+
+// Optional list of { id, time (seconds into the video), ... } entries along a video: chapters or checkpoints
+function validateTimeline(entries, path, errors, validateEntry) {
+  if (entries === undefined) return;
+  if (!Array.isArray(entries)) {
+    errors.push(`${path}: must be an array`);
+    return;
+  }
+  const ids = new Set();
+  entries.forEach((entry, index) => {
+    const entryPath = `${path}[${index}]`;
+    if (!isPlainObject(entry)) {
+      errors.push(`${entryPath}: must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(entry.id) || !ID_PATTERN.test(entry.id)) errors.push(`${entryPath}.id: must be a lowercase identifier (a-z, 0-9, _)`);
+    else if (ids.has(entry.id)) errors.push(`${entryPath}.id: duplicate id "${entry.id}"`);
+    ids.add(entry.id);
+    if (typeof entry.time !== 'number' || entry.time < 0) errors.push(`${entryPath}.time: must be a non-negative number of seconds`);
+    validateEntry(entry, entryPath);
+  });
+}
+
+// { errorType: points } map of penalties
+function validatePenalties(penalties, path, errors) {
+  if (!isPlainObject(penalties)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  Object.entries(penalties).forEach(([errorType, points]) => {
+    if (!ERROR_TYPES[errorType]) {
+      errors.push(`${path}.${errorType}: unknown error type (expected one of ${Object.keys(ERROR_TYPES).join(', ')})`);
+    }
+    if (!Number.isInteger(points) || points < 0) errors.push(`${path}.${errorType}: must be a non-negative integer`);
+  });
+}
+
+const isPercent = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+function validateRubric(rubric, context, errors) {
+  const { toolIds, targetIds, stepIds } = context;
+  if (!isPlainObject(rubric)) {
+    errors.push('rubric: must be an object');
+    return;
+  }
+  if (rubric.passPercent !== undefined && !isPercent(rubric.passPercent)) errors.push('rubric.passPercent: must be a number from 0 to 100');
+  if (rubric.repeatPenalty !== undefined && (!Number.isInteger(rubric.repeatPenalty) || rubric.repeatPenalty < 0)) {
+    errors.push('rubric.repeatPenalty: must be a non-negative integer');
+  }
+  if (rubric.penalties !== undefined) validatePenalties(rubric.penalties, 'rubric.penalties', errors);
+  if (rubric.criticalErrors === undefined) return;
+  if (!Array.isArray(rubric.criticalErrors)) {
+    errors.push('rubric.criticalErrors: must be an array');
+    return;
+  }
+  rubric.criticalErrors.forEach((rule, index) => {
+    const path = `rubric.criticalErrors[${index}]`;
+    if (!isPlainObject(rule)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(rule.id) || !ID_PATTERN.test(rule.id)) errors.push(`${path}.id: must be a lowercase identifier (a-z, 0-9, _)`);
+    if (!isNonEmptyString(rule.description)) errors.push(`${path}.description: must be a non-empty string`);
+    if (!toolIds.has(rule.tool)) errors.push(`${path}.tool: unknown tool "${rule.tool}"`);
+    if (!targetIds.has(rule.target)) errors.push(`${path}.target: unknown target "${rule.target}"`);
+    if (!isPercent(rule.capPercent)) errors.push(`${path}.capPercent: must be a number from 0 to 100`);
+    if (!Array.isArray(rule.steps) || rule.steps.length === 0) {
+      errors.push(`${path}.steps: must be a non-empty array of step ids`);
+    } else {
+      rule.steps.filter(stepId => !stepIds.has(stepId)).forEach(stepId => errors.push(`${path}.steps: unknown step "${stepId}"`));
+    }
+  });
+}
+
+// Mistakes that go through with consequences instead of being rejected (see ./consequences)
+function validateConsequences(consequences, context, errors) {
+  const { toolIds, targetIds, stepIds, stateFlags, criticalIds } = context;
+  if (!Array.isArray(consequences)) {
+    errors.push('consequences: must be an array');
+    return;
+  }
+  const ids = new Set();
+  consequences.forEach((rule, index) => {
+    const path = `consequences[${index}]`;
+    if (!isPlainObject(rule)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(rule.id) || !ID_PATTERN.test(rule.id)) {
+      errors.push(`${path}.id: must be a lowercase identifier (a-z, 0-9, _)`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${path}.id: duplicate id "${rule.id}"`);
+    } else {
+      ids.add(rule.id);
+    }
+    ['label', 'message', 'debrief'].forEach((key) => {
+      if (!isNonEmptyString(rule[key])) errors.push(`${path}.${key}: must be a non-empty string`);
+    });
+    if (!Array.isArray(rule.steps) || rule.steps.length === 0) {
+      errors.push(`${path}.steps: must be a non-empty array of step ids`);
+    } else {
+      rule.steps.filter(stepId => !stepIds.has(stepId)).forEach(stepId => errors.push(`${path}.steps: unknown step "${stepId}"`));
+    }
+
+    if (rule.since !== undefined) {
+      if (!stepIds.has(rule.since)) errors.push(`${path}.since: unknown step "${rule.since}"`);
+      if (!Number.isInteger(rule.delayMs) || rule.delayMs < 0) errors.push(`${path}.delayMs: must be a non-negative integer`);
+    } else if (rule.beforeDry !== undefined) {
+      if (rule.beforeDry !== true) errors.push(`${path}.beforeDry: must be true`);
+    } else {
+      if (!toolIds.has(rule.tool)) errors.push(`${path}.tool: unknown tool "${rule.tool}"`);
+      if (!targetIds.has(rule.target)) errors.push(`${path}.target: unknown target "${rule.target}"`);
+      if (!stepIds.has(rule.completes)) errors.push(`${path}.completes: unknown step "${rule.completes}"`);
+    }
+
+    if (rule.effects === undefined) errors.push(`${path}.effects: required`);
+    validateFlagMap(rule.effects, `${path}.effects`, stateFlags, errors);
+    if (rule.defect !== undefined && !FILM_DEFECTS[rule.defect]) {
+      errors.push(`${path}.defect: unknown film defect (expected one of ${Object.keys(FILM_DEFECTS).join(', ')})`);
+    }
+    if (rule.critical !== undefined && !criticalIds.has(rule.critical)) {
+      errors.push(`${path}.critical: unknown critical error "${rule.critical}"`);
+    }
+  });
+}
+
+// Optional WBC differential count done in the microscope view
+function validateDifferential(step, path, errors) {
+  const { differential } = step;
+  if (step.action !== 'view_microscope') {
+    errors.push(`${path}: only allowed on "view_microscope" steps`);
+    return;
+  }
+  if (!isPlainObject(differential)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  if (differential.cellCount !== undefined && (!Number.isInteger(differential.cellCount) || differential.cellCount < 1)) {
+    errors.push(`${path}.cellCount: must be a positive integer`);
+  }
+  if (differential.points !== undefined && (!Number.isInteger(differential.points) || differential.points < 0)) {
+    errors.push(`${path}.points: must be a non-negative integer`);
+  }
+}
+
+// Returns a list of human-readable validation errors; an empty list means the document is valid
+export function validateProcedure(doc) {
+  const errors = [];
+  if (!isPlainObject(doc)) return ['procedure: must be a JSON object'];
+
+  if (doc.schemaVersion !== SCHEMA_VERSION) {
+    errors.push(`schemaVersion: unsupported version ${JSON.stringify(doc.schemaVersion)} (expected ${SCHEMA_VERSION})`);
+  }
+  if (!isNonEmptyString(doc.id) || !ID_PATTERN.test(doc.id)) errors.push('id: must be a lowercase identifier (a-z, 0-9, _)');
+  if (!isNonEmptyString(doc.version)) errors.push('version: must be a non-empty string');
+  if (!isNonEmptyString(doc.title)) errors.push('title: must be a non-empty string');
+  ['description', 'completionMessage'].forEach((key) => {
+    if (doc[key] !== undefined && !isNonEmptyString(doc[key])) errors.push(`${key}: must be a non-empty string`);
+  });
+
+  const stateFlags = new Set();
+  if (doc.state !== undefined && !isPlainObject(doc.state)) {
+    errors.push('state: must be an object of boolean flags');
+  } else {
+    Object.entries(doc.state || {}).forEach(([flag, value]) => {
+      if (typeof value !== 'boolean') errors.push(`state.${flag}: initial value must be true or false`);
+      stateFlags.add(flag);
+    });
+  }
+
+  if (doc.cases !== undefined) {
+    if (!Array.isArray(doc.cases) || doc.cases.length === 0) {
+      errors.push('cases: must be a non-empty array of patient case ids');
+    } else {
+      doc.cases.forEach((id, index) => {
+        if (!PATIENT_CASES[id]) errors.push(`cases[${index}]: unknown patient case "${id}" (expected one of ${Object.keys(PATIENT_CASES).join(', ')})`);
+        else if (doc.cases.indexOf(id) !== index) errors.push(`cases[${index}]: duplicate case "${id}"`);
+      });
+    }
+  }
+
+  const toolIds = validateCatalog(doc, 'tools', errors);
+  const targetIds = validateCatalog(doc, 'targets', errors);
+  const itemKinds = validateItems(doc, errors);
+
+  if (Array.isArray(doc.targets)) {
+    doc.targets.forEach((target, index) => {
+      const indicator = target?.indicator;
+      if (indicator === undefined) return;
+      const path = `targets[${index}].indicator`;
+      if (!isPlainObject(indicator) || !INDICATOR_TYPES.includes(indicator.type)) {
+        errors.push(`${path}.type: must be one of ${INDICATOR_TYPES.join(', ')}`);
+        return;
+      }
+      if (!stateFlags.has(indicator.when)) errors.push(`${path}.when: unknown state flag "${indicator.when}"`);
+      if (indicator.type === 'icon' && !isNonEmptyString(indicator.icon)) errors.push(`${path}.icon: must be a non-empty string`);
+    });
+  }
+
+  if (!Array.isArray(doc.steps) || doc.steps.length < 2) {
+    errors.push('steps: must be an array with at least an intro and a complete step');
+    return errors;
+  }
+  const stepIds = new Set();
+  doc.steps.forEach((step, index) => {
+    const path = `steps[${index}]`;
+    if (isPlainObject(step)) {
+      if (!isNonEmptyString(step.id) || !ID_PATTERN.test(step.id)) {
+        errors.push(`${path}.id: must be a lowercase identifier (a-z, 0-9, _)`);
+      } else if (stepIds.has(step.id)) {
+        errors.push(`${path}.id: duplicate step id "${step.id}"`);
+      } else {
+        stepIds.add(step.id);
+      }
+    }
+    validateStep(step, path, { toolIds, targetIds, stateFlags, itemKinds, hasCases: Array.isArray(doc.cases) && doc.cases.length > 0 }, errors);
+  });
+  doc.steps.forEach((step, index) => {
+    const chapters = Array.isArray(step?.video?.chapters) ? step.video.chapters : [];
+    chapters.forEach((chapter, c) => {
+      if (isNonEmptyString(chapter?.step) && !stepIds.has(chapter.step)) {
+        errors.push(`steps[${index}].video.chapters[${c}].step: unknown step "${chapter.step}"`);
+      }
+    });
+  });
+  (Array.isArray(doc.tools) ? doc.tools : []).forEach((tool, index) => {
+    const disposeBy = tool?.item?.disposeBy;
+    if (isNonEmptyString(disposeBy) && !stepIds.has(disposeBy)) errors.push(`tools[${index}].item.disposeBy: unknown step "${disposeBy}"`);
+  });
+  if (doc.rubric !== undefined) validateRubric(doc.rubric, { toolIds, targetIds, stepIds }, errors);
+  if (doc.consequences !== undefined) {
+    const criticalIds = new Set((Array.isArray(doc.rubric?.criticalErrors) ? doc.rubric.criticalErrors : []).map(rule => rule?.id));
+    validateConsequences(doc.consequences, { toolIds, targetIds, stepIds, stateFlags, criticalIds }, errors);
+  }
+  if (doc.steps[0]?.action !== 'intro') errors.push('steps[0].action: the first step must be "intro"');
+  if (doc.steps[doc.steps.length - 1]?.action !== 'complete') {
+    errors.push(`steps[${doc.steps.length - 1}].action: the last step must be "complete"`);
+  }
+
+  return errors;
+}
+
+// A quiz step's points are what its questions can earn; an inline question is a one-question quiz
+function normalizeQuiz(step) {
+  if (step.quiz) return { ...step, points: step.quiz.count * step.quiz.pointsPerQuestion };
+  if (!step.question) return step;
+  const question = { id: step.id, type: 'single', tags: [], difficulty: 'medium', ...step.question };
+  return { ...step, quiz: { questions: [question], count: 1, pointsPerQuestion: step.points } };
+}
+
+// A video step's points are what its checkpoint questions can earn
+function normalizeVideo(step) {
+  if (!step.video?.checkpoints) return step;
+  return { ...step, points: step.video.checkpoints.reduce((total, checkpoint) => total + (checkpoint.points || 0), 0) };
+}
+
+// Validates a document and returns it with optional step fields filled in.
+// Throws a ProcedureValidationError listing every problem found.
+export function loadProcedure(doc, source = doc?.id || 'unknown') {
+  const errors = validateProcedure(doc);
+  if (errors.length > 0) throw new ProcedureValidationError(source, errors);
+
+  return {
+    ...doc,
+    state: { ...(doc.state || {}) },
+    rubric: resolveRubric(doc.rubric),
+    consequences: doc.consequences || [],
+    steps: doc.steps.map((step) => normalizeVideo(normalizeQuiz({
+      points: 0,
+      requires: {},
+      effects: {},
+      feedback: {},
+      ...step,
+    }))),
+  };
+}
@@ -0,0 +1,157 @@
+import fs from 'fs';
+import path from 'path';
+import bloodSmear from './definitions/blood-smear.json';
+import { loadProcedure, validateProcedure, ProcedureValidationError } from './schema';
+
+const withStep = (index, changes) => ({
+  ...bloodSmear,
+  steps: bloodSmear.steps.map((step, i) => (i === index ? { ...step, ...changes } : step)),
+});
+
+test('the bundled blood smear definition is valid', () => {
+  expect(validateProcedure(bloodSmear)).toEqual([]);
+});
+
+test('every video file the bundled definition names is shipped in public/', () => {
+  const missing = bloodSmear.steps
+    .filter(step => step.action === 'watch_video' && step.video?.src)
+    .map(step => step.video.src)
+    .filter(src => !fs.existsSync(path.join(__dirname, '../../public', src)));
+  expect(missing).toEqual([]);
+});
+
+test('loadProcedure fills in optional step fields', () => {
+  const procedure = loadProcedure(bloodSmear);
+  const gather = procedure.steps.find(step => step.id === 'gather_equipment');
+  expect(gather).toMatchObject({ points: 0, requires: {}, effects: {}, feedback: {} });
+});
+
+test('rejects unknown tools, targets and state flags with the path to the problem', () => {
+  const doc = withStep(2, { tool: 'scalpel', target: 'elbow', effects: { bloodEverywhere: true } });
+  expect(validateProcedure(doc)).toEqual([
+    'steps[2].tool: unknown tool "scalpel"',
+    'steps[2].target: unknown target "elbow"',
+    'steps[2].effects.bloodEverywhere: unknown state flag "bloodEverywhere"',
+  ]);
+});
+
+test('rejects steps missing the fields their action needs', () => {
+  const { target, ...withoutTarget } = bloodSmear.steps[2];
+  const doc = { ...bloodSmear, steps: bloodSmear.steps.map((step, i) => (i === 2 ? withoutTarget : step)) };
+  expect(validateProcedure(doc)).toContain('steps[2].target: required for action "use_tool_on_target"');
+});
+
+test('rejects an unsupported schema version and duplicate step ids', () => {
+  const doc = { ...withStep(3, { id: 'clean_finger' }), schemaVersion: 2 };
+  expect(validateProcedure(doc)).toEqual([
+    'schemaVersion: unsupported version 2 (expected 1)',
+    'steps[3].id: duplicate step id "clean_finger"',
+  ]);
+});
+
+test('video steps need a bundled file or a YouTube id', () => {
+  const index = bloodSmear.steps.findIndex(step => step.action === 'watch_video');
+  expect(validateProcedure(withStep(index, { video: { src: 'videos/demo.mp4' } }))).toEqual([]);
+  expect(validateProcedure(withStep(index, { video: {} }))).toEqual([`steps[${index}].video: needs a bundled file (src) or a YouTube id (youtubeId)`]);
+  expect(validateProcedure(withStep(index, { video: { src: '', youtubeId: 'abc' } }))).toEqual([`steps[${index}].video.src: must be a non-empty string`]);
+});
+
+test('watch tracking, chapters and checkpoints need a bundled file', () => {
+  const index = bloodSmear.steps.findIndex(step => step.action === 'watch_video');
+  const { src, ...youtubeOnly } = bloodSmear.steps[index].video;
+  expect(validateProcedure(withStep(index, { video: youtubeOnly }))).toEqual([
+    `steps[${index}].video.minWatchedPercent: needs a bundled file (src), a YouTube video can't be tracked`,
+    `steps[${index}].video.chapters: needs a bundled file (src), a YouTube video can't be tracked`,
+    `steps[${index}].video.checkpoints: needs a bundled file (src), a YouTube video can't be tracked`,
+  ]);
+});
+
+test('video chapters must point at steps and checkpoints must be answerable questions', () => {
+  const index = bloodSmear.steps.findIndex(step => step.action === 'watch_video');
+  const video = {
+    src: 'videos/demo.mp4',
+    minWatchedPercent: 120,
+    chapters: [{ id: 'start', time: 0, title: 'Start', step: 'clean_finger' }, { id: 'end', time: 60, title: 'End', step: 'wash_hands' }],
+    checkpoints: [{ id: 'angle', time: 30, prompt: 'Angle?', options: ['30°', '90°'], answer: 2, points: 5 }],
+  };
+  expect(validateProcedure(withStep(index, { video }))).toEqual([
+    `steps[${index}].video.minWatchedPercent: must be a number from 0 to 100`,
+    `steps[${index}].video.checkpoints[0].answer: must be the index of one of the options`,
+    `steps[${index}].video.chapters[1].step: unknown step "wash_hands"`,
+  ]);
+});
+
+test('a video step is worth the points of its checkpoints', () => {
+  const procedure = loadProcedure(bloodSmear);
+  const step = procedure.steps.find(entry => entry.action === 'watch_video');
+  expect(step.points).toBe(step.video.checkpoints.reduce((total, checkpoint) => total + checkpoint.points, 0));
+});
+
+test('a recorded narration must be a path', () => {
+  expect(validateProcedure(withStep(2, { narration: 'narration/clean_finger.mp3' }))).toEqual([]);
+  expect(validateProcedure(withStep(2, { narration: '' }))).toEqual(['steps[2].narration: must be the path of a recording of the instruction']);
+});
+
+test('loadProcedure throws a ProcedureValidationError listing every error', () => {
+  const doc = withStep(18, { question: { prompt: 'Why?', options: ['A', 'B'], answer: 5 } });
+  let thrown = null;
+  try {
+    loadProcedure(doc, 'broken.json');
+  } catch (error) {
+    thrown = error;
+  }
+  expect(thrown).toBeInstanceOf(ProcedureValidationError);
+  expect(thrown.source).toBe('broken.json');
+  expect(thrown.errors).toEqual(['steps[18].question.answer: must be the index of one of the options']);
+  expect(thrown.message).toContain('Invalid procedure definition "broken.json"');
+});
+
+test('mcq steps draw from a question bank, or fall back to a single inline question', () => {
+  const { quiz, ...withoutQuiz } = bloodSmear.steps[18];
+  const bare = { ...bloodSmear, steps: bloodSmear.steps.map((step, i) => (i === 18 ? withoutQuiz : step)) };
+  expect(validateProcedure(bare)).toEqual(['steps[18].quiz: required for action "mcq" (or an inline question)']);
+  expect(validateProcedure(withStep(18, { quiz: { bank: 'Blood Smear', count: 0, pointsPerQuestion: 10, difficulty: ['trivial'] } }))).toEqual([
+    'steps[18].quiz.bank: must be the id of a question bank',
+    'steps[18].quiz.count: must be a positive integer',
+    'steps[18].quiz.difficulty: must be an array of easy, medium, hard',
+  ]);
+
+  const procedure = loadProcedure(bloodSmear);
+  expect(procedure.steps[18].points).toBe(50);
+  const legacy = loadProcedure({ ...bare, steps: bare.steps.map((step, i) => (i === 18 ? { ...step, points: 30, question: { prompt: 'Why?', options: ['A', 'B'], answer: 1 } } : step)) });
+  expect(legacy.steps[18].quiz).toMatchObject({ count: 1, pointsPerQuestion: 30, questions: [{ id: bloodSmear.steps[18].id, type: 'single', answer: 1 }] });
+});
+
+test('rejects rubric rules that point at unknown steps or tools', () => {
+  const doc = {
+    ...bloodSmear,
+    consequences: [], // they refer to the critical errors replaced here
+    rubric: {
+      ...bloodSmear.rubric,
+      passPercent: 140,
+      penalties: { wrong_colour: 2 },
+      criticalErrors: [{ id: 'x', description: 'Bad.', tool: 'scalpel', target: 'elbow', capPercent: 50, steps: ['nowhere'] }],
+    },
+  };
+  expect(validateProcedure(doc)).toEqual([
+    'rubric.passPercent: must be a number from 0 to 100',
+    'rubric.penalties.wrong_colour: unknown error type (expected one of wrong_tool, wrong_target, not_ready, no_tool, skipped_step, reused_sharp, sharps_left_out, biohazard_left_out, wrong_disposal)',
+    'rubric.criticalErrors[0].tool: unknown tool "scalpel"',
+    'rubric.criticalErrors[0].target: unknown target "elbow"',
+    'rubric.criticalErrors[0].steps: unknown step "nowhere"',
+  ]);
+});
+
+test('rejects consequences that refer to unknown steps, flags, defects or critical errors', () => {
+  const [puncture, ...rest] = bloodSmear.consequences;
+  const doc = {
+    ...bloodSmear,
+    consequences: [{ ...puncture, completes: 'nowhere', effects: { sepsis: true }, defect: 'mould', critical: 'oops' }, ...rest],
+  };
+  expect(validateProcedure(doc)).toEqual([
+    'consequences[0].completes: unknown step "nowhere"',
+    'consequences[0].effects.sepsis: unknown state flag "sepsis"',
+    'consequences[0].defect: unknown film defect (expected one of tissue_fluid, bacteria, clotted, wet)',
+    'consequences[0].critical: unknown critical error "oops"',
+  ]);
+});
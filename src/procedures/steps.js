@@ -0,0 +1,45 @@
+// Helpers for running the steps of a loaded procedure against the lab state
+
+// True when every precondition flag of the step matches the current lab state
+export function requirementsMet(step, labState) {
+  return Object.entries(step.requires || {}).every(([flag, value]) => labState[flag] === value);
+}
+
+// Returns a new lab state with the step's effects applied
+export function applyEffects(labState, effects) {
+  return { ...labState, ...(effects || {}) };
+}
+
+export function findStepIndex(procedure, stepId) {
+  return procedure.steps.findIndex((step) => step.id === stepId);
+}
+
+export function getTool(procedure, toolId) {
+  return procedure.tools.find((tool) => tool.id === toolId) || null;
+}
+
+export function getTarget(procedure, targetId) {
+  return procedure.targets.find((target) => target.id === targetId) || null;
+}
+
+// Which screen the App should show for a step
+export function screenForStep(step) {
+  switch (step?.action) {
+    case 'intro':
+      return 'intro';
+    case 'watch_video':
+      return 'video';
+    case 'mcq':
+      return 'mcq';
+    case 'identify_findings':
+      return 'findings';
+    case 'complete':
+      return 'completion';
+    default:
+      return 'workspace';
+  }
+}
+
+// Points logged when a step is completed. A video step's points are earned by
+// its checkpoint answers, each logged as it is given, so finishing it adds none.
+export const completionPoints = step => (step.action === 'watch_video' ? 0 : step.points);
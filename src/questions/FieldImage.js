@@ -0,0 +1,36 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { drawBloodFilm, pixelsPerUm } from '../microscope/drawBloodFilm';
+import { fieldForStem } from './bank';
+import { useI18n } from '../i18n/I18nProvider';
+
+// A question's image stem: a generated microscope field, in focus, with the
+// cell the question asks about ringed
+export default function FieldImage({ stem }) {
+  const { t } = useI18n();
+  const canvasRef = useRef(null);
+  const { field, fieldDiameterUm, highlightCell } = useMemo(() => fieldForStem(stem), [stem]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    drawBloodFilm(canvas, field, { fieldDiameterUm });
+    if (!canvas || !highlightCell) return;
+    const ctx = canvas.getContext('2d');
+    const scale = pixelsPerUm(canvas, fieldDiameterUm);
+    ctx.strokeStyle = '#facc15';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(canvas.width / 2 + highlightCell.x * scale, canvas.height / 2 + highlightCell.y * scale, highlightCell.radius * scale + 6, 0, Math.PI * 2);
+    ctx.stroke();
+  }, [field, fieldDiameterUm, highlightCell]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width="320"
+      height="320"
+      className="mx-auto mb-6 rounded-full shadow-lg"
+      role="img"
+      aria-label={t('quiz.fieldImage')}
+    ></canvas>
+  );
+}
@@ -0,0 +1,185 @@
+import React, { useState, useRef, useEffect } from 'react';
+import FieldImage from './FieldImage';
+import { isCorrectResponse, correctResponse, describeResponse } from './bank';
+import { useI18n } from '../i18n/I18nProvider';
+import Dialog from '../accessibility/Dialog';
+
+const initialResponse = (question) => {
+  if (question.type === 'multi') return [];
+  if (question.type === 'order') return question.shuffled;
+  return null;
+};
+
+const isAnswered = (question, response) => (question.type === 'multi' ? response.length > 0 : response !== null);
+
+// Runs the questions drawn for an mcq step (see ./bank) one at a time, skipping
+// any already answered (answered: their ids) in a resumed attempt, and finishing
+// straight away if that was all of them. Each answer is reported as it is
+// submitted, once per question; with feedback on, the result and explanation are
+// shown before moving on.
+// Focus follows along: to each new question's prompt, then to the result once answered.
+export default function KnowledgeCheck({ questions, answered, showFeedback, onAnswer, onFinish }) {
+  const { t } = useI18n();
+  const nextUnanswered = after => questions.findIndex((entry, i) => i > after && !answered.includes(entry.id));
+  const [index, setIndex] = useState(() => nextUnanswered(-1));
+  const question = questions[index];
+  const [response, setResponse] = useState(() => (question ? initialResponse(question) : null));
+  const [submitted, setSubmitted] = useState(null); // { correct } once the current question is answered
+  const promptRef = useRef(null);
+  const resultRef = useRef(null);
+  const finishedRef = useRef(false);
+
+  useEffect(() => {
+    if (index === -1 && !finishedRef.current) {
+      finishedRef.current = true;
+      onFinish();
+    }
+  }, [index, onFinish]);
+
+  useEffect(() => {
+    promptRef.current?.focus();
+  }, [index]);
+
+  useEffect(() => {
+    if (submitted) resultRef.current.focus();
+  }, [submitted]);
+
+  const goToNext = () => {
+    const next = nextUnanswered(index);
+    if (next === -1) {
+      onFinish();
+      return;
+    }
+    setIndex(next);
+    setResponse(initialResponse(questions[next]));
+    setSubmitted(null);
+  };
+
+  const handleSubmit = () => {
+    if (!isAnswered(question, response)) return;
+    const correct = isCorrectResponse(question, response);
+    if (!answered.includes(question.id)) onAnswer(question, response, correct);
+    if (showFeedback) setSubmitted({ correct });
+    else goToNext(); // Exam attempts move on without saying whether the answer was right
+  };
+
+  const toggle = (option) => {
+    setResponse(prev => (prev.includes(option) ? prev.filter(entry => entry !== option) : [...prev, option]));
+  };
+
+  const move = (position, offset) => {
+    setResponse((prev) => {
+      const next = [...prev];
+      [next[position], next[position + offset]] = [next[position + offset], next[position]];
+      return next;
+    });
+  };
+
+  if (!question) return null;
+
+  const expected = correctResponse(question);
+  const optionClass = (option, chosen) => {
+    if (submitted) {
+      const isExpected = question.type === 'multi' ? expected.includes(option) : expected === option;
+      if (isExpected) return 'bg-green-500 border-green-700 text-white';
+      if (chosen) return 'bg-red-500 border-red-700 text-white';
+      return 'bg-white text-gray-500 border-gray-200';
+    }
+    return chosen
+      ? 'bg-teal-400 text-white border-teal-600 shadow-md'
+      : 'bg-white text-gray-800 border-gray-300 hover:bg-teal-50 hover:border-teal-300';
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-gradient-to-br from-green-100 to-teal-200 p-6 font-inter">
+      <Dialog labelledBy="quiz-title" className="bg-white p-8 rounded-xl shadow-2xl max-w-3xl w-full text-center border-4 border-teal-500 animate-fade-in">
+        <h2 id="quiz-title" className="text-3xl md:text-4xl font-extrabold text-teal-700 mb-2">
+          {t('quiz.title')}
+        </h2>
+        <p className="text-sm font-semibold text-gray-500 mb-6">
+          {t('quiz.progress', { number: index + 1, total: questions.length, difficulty: t(`quiz.difficulty.${question.difficulty}`) })}
+        </p>
+        <p ref={promptRef} tabIndex={-1} data-autofocus className="text-lg text-gray-700 mb-6 leading-relaxed focus:outline-none">
+          {question.prompt}
+        </p>
+        {question.field && <FieldImage stem={question.field} />}
+
+        {(question.type === 'single' || question.type === 'multi') && (
+          <div className="flex flex-col space-y-4 mb-8">
+            {question.shuffled.map((option) => {
+              const chosen = question.type === 'multi' ? response.includes(option) : response === option;
+              return (
+                <button
+                  key={option}
+                  onClick={() => (question.type === 'multi' ? toggle(option) : setResponse(option))}
+                  className={`w-full p-4 rounded-lg border-2 text-start font-semibold transition-all duration-200 ${optionClass(option, chosen)}`}
+                  disabled={submitted !== null} // Disable buttons after answer
+                  aria-pressed={chosen}
+                >
+                  {question.type === 'multi' && <span className="me-2">{chosen ? '☑' : '☐'}</span>}
+                  {question.options[option]}
+                </button>
+              );
+            })}
+          </div>
+        )}
+
+        {question.type === 'order' && (
+          <ol className="flex flex-col space-y-2 mb-8 text-start">
+            {response.map((item, position) => (
+              <li
+                key={item}
+                className={`flex items-center p-3 rounded-lg border-2 font-semibold
+                  ${submitted ? (item === position ? 'bg-green-100 border-green-500' : 'bg-red-100 border-red-500') : 'bg-white border-gray-300'}`}
+              >
+                <span className="w-8 text-gray-500">{position + 1}.</span>
+                <span className="flex-1 text-gray-800">{question.items[item]}</span>
+                <button
+                  onClick={() => move(position, -1)}
+                  disabled={submitted !== null || position === 0}
+                  className="px-2 text-teal-700 disabled:opacity-30"
+                  aria-label={t('quiz.moveUp', { item: question.items[item] })}
+                >
+                  ▲
+                </button>
+                <button
+                  onClick={() => move(position, 1)}
+                  disabled={submitted !== null || position === response.length - 1}
+                  className="px-2 text-teal-700 disabled:opacity-30"
+                  aria-label={t('quiz.moveDown', { item: question.items[item] })}
+                >
+                  ▼
+                </button>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {!submitted && (
+          <button
+            onClick={handleSubmit}
+            className="bg-teal-600 hover:bg-teal-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-transform transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-teal-300 text-lg md:text-xl disabled:opacity-50 disabled:cursor-not-allowed"
+            disabled={!isAnswered(question, response)}
+          >
+            {t('quiz.submit')}
+          </button>
+        )}
+
+        {submitted && (
+          <>
+            <div ref={resultRef} tabIndex={-1} className={`mt-2 p-4 rounded-lg text-white font-bold text-xl focus:outline-none ${submitted.correct ? 'bg-green-500' : 'bg-red-500'}`}>
+              {submitted.correct ? t('quiz.correct') : t('quiz.incorrect', { answer: describeResponse(question, expected) })}
+            </div>
+            {question.explanation && <p className="mt-4 text-gray-700 text-start leading-relaxed">{question.explanation}</p>}
+            <button
+              onClick={goToNext}
+              className="mt-6 bg-teal-600 hover:bg-teal-700 text-white font-bold py-3 px-8 rounded-full shadow-lg focus:outline-none focus:ring-4 focus:ring-teal-300 text-lg md:text-xl"
+            >
+              {nextUnanswered(index) === -1 ? t('quiz.finish') : t('quiz.next')}
+            </button>
+          </>
+        )}
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import { render, screen } from '@testing-library/react';
+import KnowledgeCheck from './KnowledgeCheck';
+import I18nProvider from '../i18n/I18nProvider';
+import bloodSmearBank from './banks/blood-smear.json';
+import { loadQuestionBank, drawQuestions } from './bank';
+
+jest.mock('../i18n/bundled', () => ({
+  catalogFiles: { 'en.json': require('../i18n/locales/en.json') },
+}));
+
+const questions = drawQuestions(loadQuestionBank(bloodSmearBank, 'blood-smear.json').questions, { count: 3 }, 1);
+
+const renderQuiz = props => render(
+  <I18nProvider>
+    <KnowledgeCheck questions={questions} showFeedback onAnswer={jest.fn()} onFinish={jest.fn()} {...props} />
+  </I18nProvider>,
+);
+
+test('a resumed quiz carries on from the first question not yet answered', () => {
+  renderQuiz({ answered: [questions[0].id] });
+  expect(screen.getByText(questions[1].prompt)).toBeInTheDocument();
+  expect(screen.getByText(/Question 2 of 3/)).toBeInTheDocument();
+});
+
+test('a resumed quiz whose questions were all answered finishes without asking any again', () => {
+  const onAnswer = jest.fn();
+  const onFinish = jest.fn();
+  const { container } = renderQuiz({ answered: questions.map(question => question.id), onAnswer, onFinish });
+  expect(onFinish).toHaveBeenCalledTimes(1);
+  expect(onAnswer).not.toHaveBeenCalled();
+  expect(container).toBeEmptyDOMElement();
+});
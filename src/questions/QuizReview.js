@@ -0,0 +1,29 @@
+import React from 'react';
+import { correctResponse, describeResponse } from './bank';
+import { useI18n } from '../i18n/I18nProvider';
+
+// End-of-attempt review of the knowledge check: each question drawn, the answer
+// given (from the mcq_answer events), the correct answer and its explanation
+export default function QuizReview({ questions, answers }) {
+  const { t } = useI18n();
+  const answerFor = question => answers.find(event => event.questionId === question.id);
+
+  return (
+    <ol className="w-full max-w-2xl text-start text-sm space-y-3 mb-4 list-decimal list-inside">
+      {questions.map((question) => {
+        const answer = answerFor(question);
+        const correct = answer?.outcome === 'correct';
+        return (
+          <li key={question.id} className="p-3 rounded-lg border border-gray-200 bg-gray-50">
+            <span className="font-semibold text-gray-800">{question.prompt}</span>
+            <p className={correct ? 'text-green-700' : 'text-red-700'}>
+              {t('quiz.yourAnswer', { answer: answer ? describeResponse(question, answer.response) : t('quiz.noAnswer') })} {answer && t('quiz.answerPoints', { count: answer.points })}
+            </p>
+            {!correct && <p className="text-gray-700">{t('quiz.correctAnswer', { answer: describeResponse(question, correctResponse(question)) })}</p>}
+            {question.explanation && <p className="text-gray-600 mt-1">{question.explanation}</p>}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
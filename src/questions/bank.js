@@ -0,0 +1,198 @@
+import { createRng, hashSeed } from '../utils/random';
+import { evaluateSmear } from '../smear/technique';
+import { generateField, defaultViewingPosition, FILM_DEFECTS, WBC_TYPES } from '../microscope/bloodFilm';
+import { OBJECTIVES } from '../microscope/instrument';
+
+// Question banks for the knowledge check.
+// A bank is a JSON document of tagged questions of mixed difficulty; an mcq
+// step draws a number of them per attempt (seeded by the attempt, so a resumed
+// or replayed attempt gets the same questions in the same order).
+//
+// question: { id, type, prompt, tags: [tag], difficulty, explanation, field?, ...answer }
+//   single: { options: [text], answer: index }
+//   multi:  { options: [text], answer: [index] }
+//   order:  { items: [text] }            items listed in the correct order
+// field (optional image stem): { technique, position (0-1 along the film, default just behind the
+//   feathered edge), objective, defects, seed, highlight (WBC type) }
+
+export const BANK_SCHEMA_VERSION = 1;
+export const QUESTION_TYPES = ['single', 'multi', 'order'];
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const ID_PATTERN = /^[a-z0-9_]+$/;
+
+export class QuestionBankValidationError extends Error {
+  constructor(source, errors) {
+    super(`Invalid question bank "${source}":\n  - ${errors.join('\n  - ')}`);
+    this.name = 'QuestionBankValidationError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isStringList = (value, min) => Array.isArray(value) && value.length >= min && value.every(isNonEmptyString);
+
+function validateField(field, path, errors) {
+  if (!isPlainObject(field)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  const { technique } = field;
+  if (!isPlainObject(technique) || !['angle', 'speed', 'spread', 'pushLength'].every(key => typeof technique[key] === 'number')) {
+    errors.push(`${path}.technique: must give a numeric angle, speed, spread and pushLength`);
+  }
+  if (field.position !== undefined && (typeof field.position !== 'number' || field.position < 0 || field.position > 1)) {
+    errors.push(`${path}.position: must be a number from 0 to 1`);
+  }
+  if (field.objective !== undefined && !OBJECTIVES[field.objective]) {
+    errors.push(`${path}.objective: must be one of ${Object.keys(OBJECTIVES).join(', ')}`);
+  }
+  (field.defects || []).forEach((defect) => {
+    if (!FILM_DEFECTS[defect]) errors.push(`${path}.defects: unknown film defect "${defect}"`);
+  });
+  if (field.highlight !== undefined && !WBC_TYPES.includes(field.highlight)) {
+    errors.push(`${path}.highlight: must be one of ${WBC_TYPES.join(', ')}`);
+  }
+}
+
+// Checks one question; path is where it sits, for the error messages
+export function validateQuestion(question, path, errors) {
+  if (!isPlainObject(question)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  if (!isNonEmptyString(question.id) || !ID_PATTERN.test(question.id)) errors.push(`${path}.id: must be a lowercase identifier (a-z, 0-9, _)`);
+  if (!isNonEmptyString(question.prompt)) errors.push(`${path}.prompt: must be a non-empty string`);
+  if (!isNonEmptyString(question.explanation)) errors.push(`${path}.explanation: must be a non-empty string`);
+  if (!DIFFICULTIES.includes(question.difficulty)) errors.push(`${path}.difficulty: must be one of ${DIFFICULTIES.join(', ')}`);
+  if (!isStringList(question.tags, 1)) errors.push(`${path}.tags: must be a non-empty array of strings`);
+
+  const isOptionIndex = index => Number.isInteger(index) && index >= 0 && index < question.options.length;
+  switch (question.type) {
+    case 'single':
+      if (!isStringList(question.options, 2)) errors.push(`${path}.options: must be an array of at least two strings`);
+      else if (!isOptionIndex(question.answer)) errors.push(`${path}.answer: must be the index of one of the options`);
+      break;
+    case 'multi':
+      if (!isStringList(question.options, 2)) errors.push(`${path}.options: must be an array of at least two strings`);
+      else if (!Array.isArray(question.answer) || question.answer.length === 0 || !question.answer.every(isOptionIndex)) {
+        errors.push(`${path}.answer: must be a non-empty array of option indexes`);
+      }
+      break;
+    case 'order':
+      if (!isStringList(question.items, 3)) errors.push(`${path}.items: must be an array of at least three strings, in the correct order`);
+      break;
+    default:
+      errors.push(`${path}.type: unknown question type "${question.type}" (expected one of ${QUESTION_TYPES.join(', ')})`);
+  }
+  if (question.field !== undefined) validateField(question.field, `${path}.field`, errors);
+}
+
+export function validateQuestionBank(doc) {
+  if (!isPlainObject(doc)) return ['bank: must be a JSON object'];
+  const errors = [];
+  if (doc.schemaVersion !== BANK_SCHEMA_VERSION) {
+    errors.push(`schemaVersion: unsupported version ${JSON.stringify(doc.schemaVersion)} (expected ${BANK_SCHEMA_VERSION})`);
+  }
+  if (!isNonEmptyString(doc.id) || !ID_PATTERN.test(doc.id)) errors.push('id: must be a lowercase identifier (a-z, 0-9, _)');
+  if (!Array.isArray(doc.questions) || doc.questions.length === 0) {
+    errors.push('questions: must be a non-empty array');
+    return errors;
+  }
+  const ids = new Set();
+  doc.questions.forEach((question, index) => {
+    if (ids.has(question?.id)) errors.push(`questions[${index}].id: duplicate question id "${question.id}"`);
+    ids.add(question?.id);
+    validateQuestion(question, `questions[${index}]`, errors);
+  });
+  return errors;
+}
+
+// Validates a bank document and returns it. Throws a QuestionBankValidationError listing every problem found.
+export function loadQuestionBank(doc, source = doc?.id || 'unknown') {
+  const errors = validateQuestionBank(doc);
+  if (errors.length > 0) throw new QuestionBankValidationError(source, errors);
+  return doc;
+}
+
+// Questions a quiz can draw from: { tags?: [tag], difficulty?: [difficulty] } narrow the bank
+export function eligibleQuestions(questions, { tags, difficulty } = {}) {
+  return questions.filter(question => (!tags || question.tags.some(tag => tags.includes(tag)))
+    && (!difficulty || difficulty.includes(question.difficulty)));
+}
+
+function shuffle(items, rng) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// The questions shown in one attempt, each with `shuffled`: the order its
+// options (or ordering items) are presented in, as indexes into the original list.
+// quiz: { count, tags?, difficulty? }
+export function drawQuestions(questions, quiz, seed) {
+  const rng = createRng(hashSeed(seed, 'quiz'));
+  return shuffle(eligibleQuestions(questions, quiz), rng)
+    .slice(0, quiz.count)
+    .map(question => ({
+      ...question,
+      shuffled: shuffle([...(question.options || question.items).keys()], rng),
+    }));
+}
+
+// The questions every quiz step of a procedure draws for one attempt, by step id.
+// Seeded by the attempt, so the simulation, its resumes and any later review agree.
+export function quizzesForAttempt(steps, attemptSeed) {
+  return Object.fromEntries(steps
+    .filter(step => step.quiz)
+    .map(step => [step.id, drawQuestions(step.quiz.questions, step.quiz, hashSeed(attemptSeed, step.id))]));
+}
+
+// Responses use indexes into the original lists: the chosen index (single),
+// the chosen indexes (multi) or the items in the order the student put them (order)
+export function isCorrectResponse(question, response) {
+  switch (question.type) {
+    case 'single':
+      return response === question.answer;
+    case 'multi':
+      return Array.isArray(response) && [...response].sort().join() === [...question.answer].sort().join();
+    case 'order':
+      return Array.isArray(response) && response.length === question.items.length && response.every((item, index) => item === index);
+    default:
+      return false;
+  }
+}
+
+export function correctResponse(question) {
+  if (question.type === 'order') return [...question.items.keys()];
+  return question.answer;
+}
+
+// A response in words, for feedback, the log and the review
+export function describeResponse(question, response) {
+  if (response === null || response === undefined) return 'No answer';
+  if (question.type === 'order') return response.map(index => question.items[index]).join(' → ');
+  if (question.type === 'multi') return [...response].sort().map(index => question.options[index]).join('; ');
+  return question.options[response];
+}
+
+// Generates the microscope field used as a question's image stem. With a
+// highlight, later seeds are tried until the field holds a cell of that type.
+// Returns { field, fieldDiameterUm, highlightCell }
+export function fieldForStem(stem) {
+  const smear = { ...evaluateSmear(stem.technique), defects: stem.defects || [] };
+  const { fieldDiameterUm } = OBJECTIVES[stem.objective || 100];
+  const positionMm = stem.position !== undefined ? smear.smearLengthMm * stem.position : defaultViewingPosition(smear);
+  const baseSeed = stem.seed ?? 1;
+  for (let seed = baseSeed; seed < baseSeed + 200; seed++) {
+    const field = generateField({ smear, positionMm, fieldDiameterUm, seed });
+    const highlightCell = stem.highlight ? field.cells.find(cell => cell.kind === 'wbc' && cell.type === stem.highlight) : null;
+    if (!stem.highlight || highlightCell) return { field, fieldDiameterUm, highlightCell };
+  }
+  return { field: generateField({ smear, positionMm, fieldDiameterUm, seed: baseSeed }), fieldDiameterUm, highlightCell: null };
+}
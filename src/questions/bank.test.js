@@ -0,0 +1,72 @@
+import bloodSmearBank from './banks/blood-smear.json';
+import { loadQuestionBank, validateQuestionBank, eligibleQuestions, drawQuestions, isCorrectResponse, correctResponse, describeResponse, fieldForStem } from './bank';
+
+const bank = loadQuestionBank(bloodSmearBank, 'blood-smear.json');
+const questionById = id => bank.questions.find(question => question.id === id);
+
+test('the bundled bank is valid and covers every question type and difficulty', () => {
+  expect(validateQuestionBank(bloodSmearBank)).toEqual([]);
+  expect(new Set(bank.questions.map(question => question.type))).toEqual(new Set(['single', 'multi', 'order']));
+  expect(new Set(bank.questions.map(question => question.difficulty))).toEqual(new Set(['easy', 'medium', 'hard']));
+});
+
+test('validation reports every problem with its path', () => {
+  const errors = validateQuestionBank({
+    schemaVersion: 1,
+    id: 'broken',
+    questions: [
+      { id: 'a', type: 'single', prompt: 'Q', explanation: 'E', difficulty: 'easy', tags: ['x'], options: ['one', 'two'], answer: 2 },
+      { id: 'a', type: 'essay', prompt: 'Q', explanation: 'E', difficulty: 'trivial', tags: [] },
+      { id: 'b', type: 'order', prompt: 'Q', explanation: 'E', difficulty: 'hard', tags: ['x'], items: ['1', '2', '3'], field: { technique: {}, highlight: 'macrophage' } },
+    ],
+  });
+  expect(errors).toEqual([
+    'questions[0].answer: must be the index of one of the options',
+    'questions[1].id: duplicate question id "a"',
+    'questions[1].difficulty: must be one of easy, medium, hard',
+    'questions[1].tags: must be a non-empty array of strings',
+    'questions[1].type: unknown question type "essay" (expected one of single, multi, order)',
+    'questions[2].field.technique: must give a numeric angle, speed, spread and pushLength',
+    'questions[2].field.highlight: must be one of neutrophil, lymphocyte, monocyte, eosinophil, basophil',
+  ]);
+});
+
+test('draws are filtered by tag and difficulty and repeat for the same seed', () => {
+  const quiz = { count: 3, tags: ['microscopy'], difficulty: ['easy', 'medium'] };
+  expect(eligibleQuestions(bank.questions, quiz).map(question => question.id)).toEqual(['oil_objective', 'field_monolayer']);
+
+  const first = drawQuestions(bank.questions, { count: 5 }, 42);
+  expect(first).toHaveLength(5);
+  expect(drawQuestions(bank.questions, { count: 5 }, 42)).toEqual(first);
+  expect(drawQuestions(bank.questions, { count: 5 }, 43).map(question => question.id)).not.toEqual(first.map(question => question.id));
+  first.forEach((question) => {
+    expect([...question.shuffled].sort()).toEqual([...(question.options || question.items).keys()]);
+  });
+});
+
+test('responses are marked and described for each question type', () => {
+  const single = questionById('oil_objective');
+  expect(isCorrectResponse(single, single.answer)).toBe(true);
+  expect(isCorrectResponse(single, (single.answer + 1) % single.options.length)).toBe(false);
+  expect(describeResponse(single, null)).toBe('No answer');
+
+  const multi = questionById('thick_film_causes');
+  expect(isCorrectResponse(multi, [...multi.answer].reverse())).toBe(true);
+  expect(isCorrectResponse(multi, multi.answer.slice(1))).toBe(false);
+  expect(describeResponse(multi, multi.answer)).toBe(multi.answer.map(index => multi.options[index]).join('; '));
+
+  const order = questionById('collection_order');
+  expect(isCorrectResponse(order, correctResponse(order))).toBe(true);
+  expect(isCorrectResponse(order, [...correctResponse(order)].reverse())).toBe(false);
+  expect(describeResponse(order, correctResponse(order))).toBe(order.items.join(' → '));
+});
+
+test('image stems show the field the question describes', () => {
+  expect(fieldForStem(questionById('field_monolayer').field).field.zone).toBe('monolayer');
+  expect(fieldForStem(questionById('field_thick').field).field.zone).toBe('thick');
+  expect(fieldForStem(questionById('field_clotted').field).field.cells.some(cell => cell.kind === 'fibrin')).toBe(true);
+
+  const { field, highlightCell } = fieldForStem(questionById('identify_eosinophil').field);
+  expect(highlightCell).toMatchObject({ kind: 'wbc', type: 'eosinophil' });
+  expect(field.cells).toContain(highlightCell);
+});
@@ -0,0 +1,5 @@
+import { byFileName } from '../utils/bundle';
+
+// The question banks and their translations in ./banks and ./translations
+export const bankFiles = byFileName(require.context('./banks', false, /\.json$/));
+export const translationFiles = byFileName(require.context('./translations', false, /\.json$/));
@@ -0,0 +1,34 @@
+import { loadQuestionBank } from './bank';
+import { bankFiles, translationFiles } from './bundled';
+
+// Question bank registry. Every *.json bank in ./banks is picked up by the
+// bundler (see ./bundled); an mcq step names the bank its quiz draws from. Translations of a
+// bank's questions live in ./translations (see ../i18n/content).
+export const questionBanks = {};
+export const questionBankLoadErrors = []; // [{ source, errors }] for banks that failed validation
+export const questionBankTranslations = {}; // { bankId: { locale: translation } }
+
+Object.entries(bankFiles).forEach(([source, doc]) => {
+  try {
+    const bank = loadQuestionBank(doc, source);
+    if (questionBanks[bank.id]) {
+      throw new Error(`Invalid question bank "${source}": id "${bank.id}" is already used by another bank`);
+    }
+    questionBanks[bank.id] = bank;
+  } catch (error) {
+    console.error(error.message);
+    questionBankLoadErrors.push({ source, errors: error.errors || [error.message] });
+  }
+});
+
+export function getQuestionBank(id) {
+  return questionBanks[id] || null;
+}
+
+Object.values(translationFiles).forEach((translation) => {
+  questionBankTranslations[translation.bank] = { ...questionBankTranslations[translation.bank], [translation.locale]: translation };
+});
+
+export function getQuestionBankTranslation(id, locale) {
+  return questionBankTranslations[id]?.[locale] || null;
+}
@@ -0,0 +1,204 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { getProcedure } from '../procedures';
+import { screenForStep } from '../procedures/steps';
+import Workspace from '../workspace/Workspace';
+import MicroscopePanel from '../microscope/MicroscopePanel';
+import { caseForAttempt } from '../cases/cases';
+import { translateFinding } from '../i18n/content';
+import { useI18n } from '../i18n/I18nProvider';
+import { parseAttemptRecord, recordDuration, replayStateAt, describeEvent, mistakeMarkers } from './replay';
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+const formatElapsed = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Plays a downloaded attempt file back through the workspace and microscope
+// views, read-only, with play/pause, scrubbing, speed and mistake markers.
+export default function ReplayViewer() {
+  const { t, locale } = useI18n();
+  const [record, setRecord] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [elapsed, setElapsed] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const procedure = record ? getProcedure(record.procedure.id, locale) : null;
+  const duration = record ? recordDuration(record) : 0;
+  const markers = useMemo(() => (record && procedure ? mistakeMarkers(record, procedure, t) : []), [record, procedure, t]);
+  const replay = useMemo(
+    () => (record && procedure ? replayStateAt(record, procedure, elapsed) : null),
+    [record, procedure, elapsed]
+  );
+
+  // Advance the playhead in real time, scaled by the playback speed
+  useEffect(() => {
+    if (!playing) return undefined;
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      setElapsed(prev => Math.min(duration, prev + (now - last) * speed));
+      last = now;
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, duration]);
+
+  useEffect(() => {
+    if (playing && elapsed >= duration) setPlaying(false);
+  }, [playing, elapsed, duration]);
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    try {
+      const parsed = parseAttemptRecord(await file.text());
+      if (!getProcedure(parsed.procedure.id)) {
+        throw new Error(t('replay.unknownProcedure', { id: parsed.procedure.id }));
+      }
+      setRecord(parsed);
+      setLoadError('');
+      setElapsed(0);
+      setPlaying(false);
+    } catch (error) {
+      setRecord(null);
+      setLoadError(error.message);
+    }
+  };
+
+  const step = replay ? procedure.steps[replay.currentStep] : null;
+  const screen = replay?.timeExpired ? 'completion' : screenForStep(step);
+
+  return (
+    <div className="relative w-full min-h-screen bg-gradient-to-br from-sky-100 to-indigo-200 flex flex-col items-center justify-start font-inter pb-8">
+      <header className="w-full shadow-lg bg-indigo-800 py-4 md:py-6 mb-4 md:mb-8">
+        <h1 className="text-2xl md:text-4xl text-white font-extrabold text-center tracking-wide">{t('replay.title')}</h1>
+        <p className="text-center text-indigo-200 font-medium mt-1 md:mt-2 text-sm md:text-base">
+          {record ? `${record.attempt.name}${record.attempt.mode === 'exam' ? ` (${t('modes.exam')})` : ''} · ${procedure?.title ?? record.procedure.title}` : t('replay.intro')}
+        </p>
+        <p className="text-center mt-1">
+          <a href="#simulation" className="text-indigo-100 text-sm underline hover:text-white">{t('instructor.back')}</a>
+        </p>
+      </header>
+
+      <main className="flex flex-col items-center w-full max-w-6xl px-4 space-y-6">
+        <div className="bg-white rounded-xl shadow-xl p-4 md:p-6 w-full border-b-4 border-purple-500">
+          <label className="block text-sm font-semibold text-gray-700">
+            {t('replay.file')}
+            <input type="file" accept="application/json,.json" className="block mt-1" onChange={(e) => loadFile(e.target.files[0])} />
+          </label>
+          {loadError && <p className="mt-2 text-red-700 font-semibold">{loadError}</p>}
+          {record && procedure && record.procedure.version !== procedure.version && (
+            <p className="mt-2 text-amber-700 text-sm">
+              {t('replay.otherVersion', { recorded: record.procedure.version, current: procedure.version })}
+            </p>
+          )}
+
+          {replay && (
+            <>
+              <div className="flex flex-wrap items-center gap-4 mt-4">
+                <button
+                  onClick={() => {
+                    if (elapsed >= duration) setElapsed(0);
+                    setPlaying(prev => !prev);
+                  }}
+                  className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-6 rounded-full shadow focus:outline-none focus:ring-4 focus:ring-purple-300"
+                >
+                  {playing ? t('replay.pause') : t('replay.play')}
+                </button>
+                <span className="font-mono text-gray-700">{formatElapsed(elapsed)} / {formatElapsed(duration)}</span>
+                <label className="text-sm font-semibold text-gray-700">
+                  {t('replay.speed')}{' '}
+                  <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className="border rounded p-1">
+                    {SPEEDS.map(value => <option key={value} value={value}>{t('clock.times', { speed: value })}</option>)}
+                  </select>
+                </label>
+                <span className="text-xl font-semibold text-purple-700 ml-auto">{t('task.score', { score: replay.score })}</span>
+              </div>
+
+              {/* Scrub bar with a marker on every mistake */}
+              <div className="relative mt-4 pt-3">
+                {markers.map(marker => (
+                  <button
+                    key={`${marker.elapsedMs}-${marker.label}`}
+                    title={`${formatElapsed(marker.elapsedMs)} ${marker.label}`}
+                    aria-label={t('replay.jumpTo', { time: formatElapsed(marker.elapsedMs), mistake: marker.label })}
+                    onClick={() => setElapsed(marker.elapsedMs)}
+                    className="absolute top-0 w-2 h-3 -ml-1 bg-red-600 rounded-sm hover:bg-red-800"
+                    style={{ left: `${duration > 0 ? (marker.elapsedMs / duration) * 100 : 0}%` }}
+                  ></button>
+                ))}
+                <input
+                  type="range"
+                  min="0"
+                  max={duration}
+                  step="10"
+                  value={elapsed}
+                  onChange={(e) => setElapsed(Number(e.target.value))}
+                  className="w-full"
+                  aria-label={t('replay.position')}
+                />
+              </div>
+
+              <div className="mt-2 text-sm text-gray-700 flex flex-col md:flex-row md:justify-between">
+                <span>{t('attempts.step', { step: replay.currentStep, total: procedure.steps.length - 1 })}: {step?.instruction}</span>
+                {replay.lastEvent && (
+                  <span className={replay.lastEvent.outcome === 'incorrect' ? 'text-red-700 font-semibold' : 'text-gray-500'}>
+                    {describeEvent(replay.lastEvent, procedure, t)}
+                  </span>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+
+        {replay?.feedback && (
+          <div className={`w-full p-4 rounded-lg shadow text-white text-center font-bold text-lg ${replay.feedback.outcome === 'correct' ? 'bg-green-600' : 'bg-red-600'}`}>
+            {replay.feedback.message}
+          </div>
+        )}
+
+        {replay && replay.microscopeOpen && (
+          <div className="bg-white rounded-xl shadow-2xl p-6 md:p-8 text-center border-4 border-indigo-500 flex flex-col items-center">
+            <MicroscopePanel
+              smear={replay.smearResult}
+              seed={record.attemptSeed}
+              patientCase={caseForAttempt(procedure, record.attemptSeed)}
+              differential={step?.differential}
+              showFeedback={record.attempt.mode !== 'exam'}
+              replay={{ scope: replay.scope, classifications: replay.classifications }}
+            />
+          </div>
+        )}
+
+        {replay && !replay.microscopeOpen && screen === 'workspace' && (
+          <Workspace
+            procedure={procedure}
+            step={step}
+            labState={replay.labState}
+            items={replay.items}
+            activeTool={replay.activeTool}
+            smearResult={replay.smearResult}
+            filmDryness={replay.filmDryness ?? 1}
+            guidance={record.attempt.mode !== 'exam'}
+            readOnly
+          />
+        )}
+
+        {replay && !replay.microscopeOpen && screen !== 'workspace' && (
+          <div className="bg-white rounded-xl shadow-xl p-8 w-full text-center text-gray-700 text-lg">
+            {screen === 'intro' && t('replay.screens.intro')}
+            {screen === 'video' && t('replay.screens.video')}
+            {screen === 'findings' && (replay.findings
+              ? t('replay.screens.findingsReported', { findings: replay.findings.map(id => translateFinding(t, id)).join(', ') })
+              : t('replay.screens.findings'))}
+            {screen === 'mcq' && (replay.mcqAnswer ? t('replay.screens.mcqAnswered', { answer: replay.mcqAnswer }) : t('replay.screens.mcq'))}
+            {screen === 'completion' && t(replay.timeExpired ? 'replay.screens.timeUp' : 'replay.screens.complete', { count: replay.score })}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+import { applyEffects, findStepIndex, getTool, getTarget } from '../procedures/steps';
+import { applyFilmDefects } from '../procedures/consequences';
+import { filmDryness } from '../clock/labTime';
+import { itemStates } from '../procedures/items';
+import { ERROR_TYPES, SAFETY_ERRORS } from '../scoring/rubric';
+import { initialMicroscopeState, applyControl, HANDLING_ERRORS } from '../microscope/instrument';
+import { scoreFromLog } from '../session/actionLog';
+import { PATIENT_CASES } from '../cases/cases';
+import { translateMistake, translateSmearQuality, translateCase } from '../i18n/content';
+
+// Rebuilds what the student saw at any moment of a recorded attempt by folding
+// its action log. Everything on screen is derived from the log plus the
+// attempt seed, so the same file always replays the same smear and fields.
+
+export const FEEDBACK_VISIBLE_MS = 2500; // feedback popups stay up for roughly this long in the simulation
+
+export class AttemptFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AttemptFileError';
+  }
+}
+
+// Parses and checks a downloaded attempt file (see buildAttemptRecord in ../session/actionLog)
+export function parseAttemptRecord(text) {
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch (error) {
+    throw new AttemptFileError(`Not a JSON file: ${error.message}`);
+  }
+  if (record?.format !== 'labsim-attempt') throw new AttemptFileError('Not an attempt file exported from the simulation.');
+  if (!record.procedure?.id) throw new AttemptFileError('The attempt file does not say which procedure it belongs to.');
+  if (!Array.isArray(record.events) || record.events.length === 0) throw new AttemptFileError('The attempt file has no recorded events.');
+  if (!Number.isInteger(record.attemptSeed)) throw new AttemptFileError('The attempt file is missing its attempt seed.');
+  return record;
+}
+
+export const recordStart = record => record.events[0].t;
+export const recordDuration = record => record.events[record.events.length - 1].t - recordStart(record);
+
+// The recorded control as MicroscopePanel issued it
+const controlFromEvent = ({ control, value, direction, dx, dy }) => ({ type: control, value, direction, dx, dy });
+
+// Simulation state at elapsedMs into the attempt
+export function replayStateAt(record, procedure, elapsedMs) {
+  const start = recordStart(record);
+  const stepOf = event => procedure.steps[findStepIndex(procedure, event.stepId)];
+  const state = {
+    currentStep: 0,
+    labState: procedure.state,
+    activeTool: null,
+    smearResult: null,
+    filmDryness: null,
+    microscopeOpen: false,
+    scope: initialMicroscopeState,
+    classifications: [],
+    feedback: null,
+    lastEvent: null,
+    mcqAnswer: null,
+    findings: null,
+    timeExpired: false,
+    events: [],
+  };
+
+  for (const event of record.events) {
+    if (event.t - start > elapsedMs) break;
+    state.events.push(event);
+    state.lastEvent = event;
+
+    switch (event.type) {
+      case 'step_transition':
+        state.currentStep = Math.max(0, findStepIndex(procedure, event.to));
+        break;
+      case 'pick_up':
+      case 'drag_start':
+        state.activeTool = event.tool;
+        break;
+      case 'drop':
+        state.activeTool = null;
+        state.labState = applyEffects(state.labState, stepOf(event)?.effects);
+        break;
+      case 'step_completed':
+        state.labState = applyEffects(state.labState, stepOf(event)?.effects);
+        break;
+      case 'wrong_action':
+        if (event.action === 'drop') state.activeTool = null;
+        break;
+      case 'dispose':
+        state.activeTool = null;
+        break;
+      case 'consequence': {
+        const rule = procedure.consequences.find(entry => entry.id === event.consequence);
+        if (event.completes) {
+          state.activeTool = null;
+          state.labState = applyEffects(state.labState, procedure.steps[findStepIndex(procedure, event.completes)]?.effects);
+        }
+        state.labState = applyEffects(state.labState, rule?.effects);
+        if (rule?.defect && state.smearResult) state.smearResult = applyFilmDefects(state.smearResult, [rule.defect]); // A film spoilt after it was made
+        break;
+      }
+      case 'smear':
+        state.activeTool = null;
+        state.smearResult = event.result;
+        state.labState = applyEffects(state.labState, stepOf(event)?.effects);
+        break;
+      case 'microscope':
+        if (event.control === 'open') state.microscopeOpen = true;
+        else if (event.control === 'close') state.microscopeOpen = false;
+        else if (event.control) state.scope = applyControl(state.scope, controlFromEvent(event)).state;
+        break;
+      case 'differential':
+        if (event.undone) state.classifications = state.classifications.filter(entry => entry.key !== event.cell);
+        else if (event.cell) state.classifications = [...state.classifications, { key: event.cell, trueType: event.trueType, classifiedAs: event.classifiedAs }];
+        break;
+      case 'mcq_answer':
+        state.mcqAnswer = event.answer;
+        break;
+      case 'findings':
+        state.findings = event.selected;
+        break;
+      case 'feedback':
+        state.feedback = event;
+        break;
+      case 'time_expired':
+        state.timeExpired = true;
+        state.microscopeOpen = false;
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (state.feedback && elapsedMs - (state.feedback.t - start) > FEEDBACK_VISIBLE_MS) state.feedback = null;
+  state.score = scoreFromLog(state.events);
+  state.items = itemStates(procedure, state.events);
+  state.filmDryness = filmDryness(state.events, start + elapsedMs);
+  return state;
+}
+
+// One line describing an event in the interface language, for the timeline and
+// mistake markers. Tools, targets, steps and consequences are named as the procedure names them.
+export function describeEvent(event, procedure, t) {
+  const subject = [getTool(procedure, event.tool)?.label ?? event.tool, getTarget(procedure, event.target)?.label ?? event.target].filter(Boolean).join(' → ');
+  const stepName = (stepId) => {
+    const index = findStepIndex(procedure, stepId);
+    return index >= 0 ? t('replay.events.step', { step: index, total: procedure.steps.length - 1 }) : stepId;
+  };
+  const cellName = type => t(`cells.${type}`, { defaultValue: type });
+  switch (event.type) {
+    case 'attempt_started': return t('replay.events.started');
+    case 'step_transition': return t('replay.events.movedTo', { step: stepName(event.to) });
+    case 'step_completed': return t('replay.events.completed', { step: stepName(event.stepId) });
+    case 'pick_up': return t('replay.events.pickedUp', { subject });
+    case 'drag_start': return t('replay.events.dragged', { subject });
+    case 'drop': return t('replay.events.used', { subject });
+    case 'dispose': return t('replay.events.disposed', { subject });
+    case 'consequence': return t('replay.events.consequence', { label: procedure.consequences.find(rule => rule.id === event.consequence)?.label ?? event.consequence });
+    case 'wrong_action':
+      if (SAFETY_ERRORS.includes(event.error)) {
+        const error = translateMistake(t, event.error, ERROR_TYPES[event.error]);
+        return t(subject ? 'replay.events.safetyWith' : 'replay.events.safety', { step: stepName(event.stepId), error, subject });
+      }
+      return t(subject ? 'replay.events.wrongWith' : 'replay.events.wrong', { step: stepName(event.stepId), subject });
+    case 'feedback': return t('replay.events.feedback', { message: event.message });
+    case 'clock': return t('replay.events.clock', { speed: event.speed });
+    case 'smear': return t('replay.events.smear', { quality: translateSmearQuality(t, event.result?.quality).toLowerCase() });
+    case 'microscope': {
+      if (event.error) return translateMistake(t, event.error, HANDLING_ERRORS[event.error]?.message || event.error);
+      const control = t(`replay.controls.${event.control}`, { defaultValue: event.control });
+      return event.value !== undefined ? t('replay.events.microscopeValue', { control, value: event.value }) : t('replay.events.microscope', { control });
+    }
+    case 'differential':
+      if (event.result) return t('replay.events.differentialDone', { percent: Math.round(event.result.accuracy * 100) });
+      if (event.undone) return t('replay.events.differentialUndone');
+      return t('replay.events.counted', { cell: cellName(event.trueType), classifiedAs: cellName(event.classifiedAs) });
+    case 'mcq_answer': return t('replay.events.answered', { answer: event.answer });
+    case 'findings': {
+      const patientCase = PATIENT_CASES[event.caseId];
+      const params = {
+        case: patientCase ? translateCase(t, patientCase).title : event.caseId,
+        correct: event.correct.length,
+        total: event.correct.length + event.missed.length,
+        wrong: event.wrong.length,
+      };
+      return t(event.wrong.length > 0 ? 'replay.events.findingsWrong' : 'replay.events.findings', params);
+    }
+    case 'video_checkpoint': return t('replay.events.videoCheckpoint', { answer: event.answer });
+    case 'video_watched':
+      return event.watchedPercent === null
+        ? t('replay.events.videoLeft', { source: event.source })
+        : t('replay.events.videoWatched', { percent: event.watchedPercent });
+    case 'time_expired': return t('replay.events.timeExpired', { count: event.timeLimitMinutes });
+    default: return event.type;
+  }
+}
+
+// Every incorrect event, as { elapsedMs, label } for the scrub bar.
+// Feedback popups repeat the mistake they report, so they aren't marked separately.
+export function mistakeMarkers(record, procedure, t) {
+  const start = recordStart(record);
+  return record.events
+    .filter(event => event.outcome === 'incorrect' && event.type !== 'feedback')
+    .map(event => ({ elapsedMs: event.t - start, label: describeEvent(event, procedure, t) }));
+}
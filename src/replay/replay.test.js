@@ -0,0 +1,93 @@
+import bloodSmear from '../procedures/definitions/blood-smear.json';
+import { loadProcedure } from '../procedures/schema';
+import { createEvent, buildAttemptRecord } from '../session/actionLog';
+import { evaluateSmear, dryingTimeMs } from '../smear/technique';
+import { createTranslator } from '../i18n/i18n';
+import en from '../i18n/locales/en.json';
+import es from '../i18n/locales/es.json';
+import { parseAttemptRecord, replayStateAt, mistakeMarkers, recordDuration, AttemptFileError } from './replay';
+
+const procedure = loadProcedure(bloodSmear, 'blood-smear.json');
+const smear = evaluateSmear({ angle: 35, speed: 45, spread: 0.75, pushLength: 45 });
+
+const events = [
+  createEvent('attempt_started', { stepId: 'intro' }, 0),
+  createEvent('step_transition', { stepId: 'gather_equipment', from: 'intro', to: 'gather_equipment' }, 100),
+  createEvent('pick_up', { stepId: 'gather_equipment', tool: 'alcohol_swab', outcome: 'correct' }, 1000),
+  createEvent('wrong_action', { stepId: 'clean_finger', action: 'drop', tool: 'lancet', target: 'finger', outcome: 'incorrect' }, 2000),
+  createEvent('feedback', { stepId: 'clean_finger', message: 'Incorrect action or target for this step.', outcome: 'incorrect' }, 2000),
+  createEvent('step_transition', { stepId: 'apply_lancet', from: 'prick_finger', to: 'apply_lancet' }, 3000),
+  createEvent('drop', { stepId: 'apply_lancet', tool: 'lancet', target: 'finger', outcome: 'correct', points: 20 }, 4000),
+  createEvent('smear', { stepId: 'perform_smear', outcome: 'correct', points: 30, result: smear }, 5000),
+  createEvent('microscope', { stepId: 'microscope_observation', control: 'open', outcome: 'correct' }, 6000),
+  createEvent('microscope', { stepId: 'microscope_observation', control: 'objective', value: 40 }, 6500),
+  createEvent('microscope', { stepId: 'microscope_observation', control: 'coarse', direction: 1 }, 7000),
+  createEvent('differential', { stepId: 'microscope_observation', cell: '40:a:1', trueType: 'neutrophil', classifiedAs: 'monocyte', outcome: 'incorrect' }, 8000),
+  createEvent('differential', { stepId: 'microscope_observation', cell: '40:a:2', trueType: 'lymphocyte', classifiedAs: 'lymphocyte', outcome: 'correct' }, 8500),
+  createEvent('differential', { stepId: 'microscope_observation', cell: '40:a:2', undone: true }, 9000),
+];
+
+const record = buildAttemptRecord({
+  procedure,
+  attempt: { id: 'a1', name: 'Attempt 1', createdAt: 0 },
+  attemptSeed: 7,
+  events,
+});
+
+test('attempt files are checked before they are replayed', () => {
+  expect(parseAttemptRecord(JSON.stringify(record))).toEqual(record);
+  expect(() => parseAttemptRecord('nope')).toThrow(AttemptFileError);
+  expect(() => parseAttemptRecord(JSON.stringify({ ...record, events: [] }))).toThrow('no recorded events');
+});
+
+test('the state at any moment is rebuilt from the log', () => {
+  const early = replayStateAt(record, procedure, 1500);
+  expect(procedure.steps[early.currentStep].id).toBe('gather_equipment');
+  expect(early.activeTool).toBe('alcohol_swab');
+  expect(early.score).toBe(0);
+
+  const afterDrop = replayStateAt(record, procedure, 4800);
+  expect(afterDrop.labState.bloodDropVisible).toBe(true);
+  expect(afterDrop.activeTool).toBeNull();
+  expect(afterDrop.score).toBe(20);
+  expect(afterDrop.feedback).toBeNull(); // long gone by then
+
+  expect(replayStateAt(record, procedure, 2100).feedback.message).toBe('Incorrect action or target for this step.');
+});
+
+test('microscope controls and the differential are replayed deterministically', () => {
+  const state = replayStateAt(record, procedure, recordDuration(record));
+  expect(state).toEqual(replayStateAt(record, procedure, recordDuration(record)));
+  expect(state.microscopeOpen).toBe(true);
+  expect(state.smearResult).toEqual(smear);
+  expect(state.scope).toMatchObject({ objective: 40, stageZ: -350 });
+  expect(state.classifications).toEqual([{ key: '40:a:1', trueType: 'neutrophil', classifiedAs: 'monocyte' }]);
+});
+
+test('every mistake gets a marker on the timeline', () => {
+  const markers = mistakeMarkers(record, procedure, createTranslator('en', { en }));
+  expect(markers.map(marker => marker.elapsedMs)).toEqual([2000, 8000]);
+  expect(markers[0].label).toBe('Wrong action in step 2 of 19: Lancet → Patient Finger');
+  expect(mistakeMarkers(record, procedure, createTranslator('es', { en, es }))[0].label).toBe('Acción incorrecta en el paso 2 de 19: Lancet → Patient Finger');
+});
+
+test('the film dries on the lab clock, and stays spoilt once it was moved on wet', () => {
+  expect(replayStateAt(record, procedure, 4800).filmDryness).toBeNull();
+  expect(replayStateAt(record, procedure, 5000).filmDryness).toBe(0);
+  expect(replayStateAt(record, procedure, recordDuration(record)).filmDryness).toBeGreaterThan(0);
+
+  const wet = buildAttemptRecord({
+    procedure,
+    attempt: { id: 'a2', name: 'Attempt 2', createdAt: 0 },
+    attemptSeed: 7,
+    events: [
+      ...events.slice(0, 8),
+      createEvent('clock', { stepId: 'air_dry', speed: 10, outcome: 'info' }, 5500),
+      createEvent('consequence', { stepId: 'air_dry', consequence: 'film_not_dry', outcome: 'incorrect' }, 6000),
+    ],
+  });
+  const state = replayStateAt(wet, procedure, recordDuration(wet));
+  expect(state.smearResult).toMatchObject({ quality: 'wet', defects: ['wet'] });
+  expect(state.labState.filmWet).toBe(true);
+  expect(state.filmDryness).toBeCloseTo((500 + 500 * 10) / dryingTimeMs(smear));
+});
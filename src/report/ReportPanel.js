@@ -0,0 +1,58 @@
+import React from 'react';
+import { buildReport, reportHtml, verificationCode } from './report';
+import { reportSnapshots } from './snapshots';
+import { downloadText } from '../utils/download';
+import { saveStudentName } from '../session/attempts';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Makes the printable report for an attempt record, in the interface language: the
+// student enters their name, then opens the report to print it or downloads it as an HTML file.
+// The verification code for the name is shown as it is typed, which is also how
+// an instructor checks a printed report against the attempt file.
+// The name is held by the parent (onStudentNameChange), which also writes it into the attempt file.
+export default function ReportPanel({ procedure, record, studentName, onStudentNameChange, rememberName = true }) {
+  const { t, locale } = useI18n();
+  const named = studentName.trim() !== '';
+
+  const html = () => {
+    if (rememberName) saveStudentName(studentName);
+    return reportHtml(buildReport(procedure, record, studentName), reportSnapshots(procedure, record), { t, locale });
+  };
+
+  const openForPrinting = () => {
+    const url = URL.createObjectURL(new Blob([html()], { type: 'text/html' }));
+    window.open(`${url}#print`, '_blank');
+    setTimeout(() => URL.revokeObjectURL(url), 60000); // Long enough for the new tab to load it
+  };
+
+  return (
+    <div className="w-full max-w-2xl mx-auto mb-6 p-4 rounded-lg bg-indigo-50 border border-indigo-200 text-start">
+      <h2 className="font-bold text-indigo-900 mb-2">{t('report.title')}</h2>
+      <label className="block text-sm font-semibold text-gray-700">
+        {t('report.name')}
+        <input value={studentName} onChange={(e) => onStudentNameChange(e.target.value)} className="block w-full mt-1 border rounded p-2 font-normal" />
+      </label>
+      {named && (
+        <p className="text-xs text-gray-600 mt-1">
+          {t('report.verification')} <span className="font-mono">{verificationCode(record, studentName)}</span>
+        </p>
+      )}
+      <div className="flex flex-wrap gap-3 mt-3">
+        <button
+          onClick={openForPrinting}
+          disabled={!named}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-5 rounded-full disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t('report.print')}
+        </button>
+        <button
+          onClick={() => downloadText(html(), `${record.procedure.id}-${studentName.trim().replace(/[^\w-]+/g, '_')}-report.html`, 'text/html')}
+          disabled={!named}
+          className="text-indigo-700 font-semibold underline hover:text-indigo-900 disabled:opacity-50"
+        >
+          {t('report.download')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,234 @@
+import { evaluateRubric } from '../scoring/rubric';
+import { latestResult } from '../session/actionLog';
+import { recordDuration } from '../replay/replay';
+import { smearQualityLabel, currentFilm } from '../procedures/consequences';
+import { getTool } from '../procedures/steps';
+import { correctResponse, describeResponse, quizzesForAttempt } from '../questions/bank';
+import { caseForAttempt } from '../cases/cases';
+import { sha256 } from '../utils/sha256';
+import { DEFAULT_LOCALE, directionFor } from '../i18n/i18n';
+import { translateSmearQuality, translateIssue, translateCase, translateFinding, translateMistake } from '../i18n/content';
+
+// Printable performance report for a finished attempt, built from its attempt
+// record (see buildAttemptRecord in ../session/actionLog) and written out as one
+// self-contained HTML page: styles inline and snapshots as data URLs, so it can
+// be printed, saved or submitted without a network connection.
+
+// Fingerprint of the attempt and the name printed on its report, as XXXX-XXXX-XXXX-XXXX-XXXX.
+// Anyone holding the attempt file can recompute it to check a report wasn't edited.
+export function verificationCode(record, studentName) {
+  const payload = JSON.stringify({
+    studentName: studentName.trim(),
+    procedure: record.procedure,
+    attempt: record.attempt,
+    attemptSeed: record.attemptSeed,
+    events: record.events,
+  });
+  return sha256(payload).slice(0, 20).toUpperCase().match(/.{4}/g).join('-');
+}
+
+// Everything the report shows, worked out from the record
+export function buildReport(procedure, record, studentName) {
+  const smear = currentFilm(procedure, record.events);
+  const differential = latestResult(record.events, 'differential');
+  const quizzes = quizzesForAttempt(procedure.steps, record.attemptSeed);
+  const answers = Object.entries(quizzes).flatMap(([stepId, questions]) => questions.map((question) => {
+    const answer = record.events.find(event => event.type === 'mcq_answer' && event.stepId === stepId && event.questionId === question.id);
+    return {
+      prompt: question.prompt,
+      given: describeResponse(question, answer?.response),
+      expected: describeResponse(question, correctResponse(question)),
+      correct: answer?.outcome === 'correct',
+      points: answer?.points ?? 0,
+    };
+  }));
+  const checkpoints = procedure.steps.flatMap(step => (step.video?.checkpoints || []).map((checkpoint) => {
+    const answer = record.events.find(event => event.type === 'video_checkpoint' && event.stepId === step.id && event.questionId === checkpoint.id);
+    return {
+      prompt: checkpoint.prompt,
+      given: describeResponse(checkpoint, answer?.response),
+      expected: describeResponse(checkpoint, checkpoint.answer),
+      correct: answer?.outcome === 'correct',
+      points: answer?.points ?? 0,
+    };
+  }));
+  const watched = record.events.filter(event => event.type === 'video_watched' && event.watchedPercent !== null);
+  const evaluation = evaluateRubric(procedure, record.events);
+  const patientCase = caseForAttempt(procedure, record.attemptSeed);
+  const findings = record.events.filter(event => event.type === 'findings').pop();
+
+  return {
+    studentName: studentName.trim(),
+    moduleTitle: procedure.title,
+    procedureVersion: record.procedure.version,
+    attemptName: record.attempt.name,
+    mode: record.attempt.mode ?? 'practice',
+    startedAt: record.startedAt,
+    finishedAt: record.finishedAt,
+    durationMs: recordDuration(record),
+    timeExpired: record.events.some(event => event.type === 'time_expired'),
+    evaluation,
+    safety: evaluation.safetyViolations.map(violation => ({ ...violation, toolLabel: getTool(procedure, violation.tool)?.label ?? null })),
+    smear: smear ? { quality: smear.quality, label: smearQualityLabel(smear.quality), issues: smear.issues } : null,
+    patientCase: patientCase ? {
+      id: patientCase.id,
+      title: patientCase.title,
+      history: patientCase.history,
+      findings: patientCase.findings.map(id => ({ id, found: Boolean(findings?.correct.includes(id)) })),
+      wrong: findings?.wrong ?? [],
+      reported: Boolean(findings),
+      points: findings?.points ?? 0,
+    } : null,
+    differential: differential?.complete ? { accuracyPercent: Math.round(differential.accuracy * 100), cellCount: differential.cellCount } : null,
+    answers,
+    video: watched.length > 0 || checkpoints.length > 0
+      ? { watchedPercent: watched.length > 0 ? watched[watched.length - 1].watchedPercent : null, checkpoints }
+      : null,
+    verification: verificationCode(record, studentName),
+  };
+}
+
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+const STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; color: #1f2937; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { text-align: center; color: #3730a3; margin-bottom: 0; }
+  .subtitle { text-align: center; color: #6b7280; margin-top: 0.25rem; }
+  .certificate { border: 3px double #3730a3; padding: 1.5rem; text-align: center; margin: 1.5rem 0; }
+  .certificate .name { font-size: 1.75rem; font-weight: bold; }
+  .pass { color: #15803d; font-weight: bold; }
+  .fail { color: #b91c1c; font-weight: bold; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.85rem; margin: 0.5rem 0 1rem; }
+  th, td { border: 1px solid #d1d5db; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #eef2ff; }
+  .snapshots { display: flex; gap: 1rem; justify-content: center; flex-wrap: wrap; }
+  .snapshots figure { margin: 0; text-align: center; font-size: 0.8rem; color: #4b5563; }
+  .snapshots img { border: 1px solid #9ca3af; display: block; }
+  .notice { background: #fffbeb; border: 1px solid #f59e0b; padding: 0.5rem; font-size: 0.85rem; }
+  .verification { font-family: 'Courier New', monospace; font-size: 1.1rem; letter-spacing: 0.05em; }
+  footer { margin-top: 2rem; font-size: 0.75rem; color: #6b7280; border-top: 1px solid #d1d5db; padding-top: 0.5rem; }
+  .print-button { display: block; margin: 1rem auto; padding: 0.5rem 1.5rem; font-size: 1rem; }
+  @media print { .print-button { display: none; } body { margin: 0; } section { break-inside: avoid; } }
+`;
+
+// The report as a standalone HTML document in the interface language: t and locale
+// as given by useI18n. images: { smear, field, objective } from ./snapshots (either
+// image may be missing). Opened with #print in its address, the page prints itself once loaded.
+export function reportHtml(report, images = {}, { t, locale = DEFAULT_LOCALE, generatedAt = Date.now() }) {
+  const { evaluation } = report;
+  const date = value => (value ? new Date(value).toLocaleString(locale) : '–');
+  // A catalog message with the values put in it escaped; the messages themselves are ours
+  const text = (key, params = {}) => t(key, Object.fromEntries(Object.entries(params).map(([name, value]) => [name, escapeHtml(value)])));
+  const duration = ms => t('report.page.duration', { minutes: Math.floor(ms / 60000), seconds: Math.round((ms % 60000) / 1000) });
+  const smearLabel = report.smear && translateSmearQuality(t, report.smear.quality);
+  const patientCase = report.patientCase && { ...report.patientCase, ...translateCase(t, report.patientCase) };
+
+  const stepRows = evaluation.steps.map(row => `
+        <tr>
+          <td>${escapeHtml(row.instruction)}</td>
+          <td>${row.earned} / ${row.possible}</td>
+          <td>${row.penalties}</td>
+          <td>${row.mistakes.map((mistake, i) => escapeHtml(translateMistake(t, row.errors[i], mistake))).join('<br>') || '–'}</td>
+        </tr>`).join('');
+
+  const answerRows = answers => answers.map((answer, index) => `
+        <tr>
+          <td>${index + 1}. ${escapeHtml(answer.prompt)}</td>
+          <td class="${answer.correct ? 'pass' : 'fail'}">${escapeHtml(answer.given)}</td>
+          <td>${answer.correct ? '✓' : escapeHtml(answer.expected)}</td>
+          <td>${answer.points}</td>
+        </tr>`).join('');
+
+  const answerTable = (questionHeading, answers) => `    <table>
+      <thead><tr><th>${text(questionHeading)}</th><th>${text('report.page.given')}</th><th>${text('report.page.expected')}</th><th>${text('report.page.points')}</th></tr></thead>
+      <tbody>${answerRows(answers)}
+      </tbody>
+    </table>`;
+
+  const findingItems = (patientCase?.findings ?? [])
+    .map(finding => `<li class="${finding.found ? 'pass' : 'fail'}">${escapeHtml(translateFinding(t, finding.id))}: ${text(finding.found ? 'findingsCheck.found' : 'findingsCheck.missed')}</li>`).join('');
+
+  const snapshots = [
+    images.smear && `<figure><img src="${images.smear}" width="400" height="200" alt="${text('report.page.smearImage')}"><figcaption>${text('report.page.smearCaption', { quality: smearLabel })}</figcaption></figure>`,
+    images.field && `<figure><img src="${images.field}" width="240" height="240" alt="${text('report.page.fieldImage')}"><figcaption>${text('report.page.fieldCaption', { objective: images.objective })}</figcaption></figure>`,
+  ].filter(Boolean).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}" dir="${directionFor(locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${report.moduleTitle} – ${report.studentName}`)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+  <button class="print-button" onclick="window.print()">${text('report.page.print')}</button>
+  <h1>${text('app.title')}</h1>
+  <p class="subtitle">${text('report.page.subtitle')}</p>
+
+  <section class="certificate">
+    <p>${text('report.page.certify')}</p>
+    <p class="name">${escapeHtml(report.studentName)}</p>
+    <p>${t('report.page.module', { module: `<strong>${escapeHtml(report.moduleTitle)}</strong>`, version: escapeHtml(report.procedureVersion) })}</p>
+    <p>${text(report.mode === 'exam' ? 'report.page.finishedExam' : 'report.page.finished', { date: date(report.finishedAt), duration: duration(report.durationMs) })}</p>
+    <p>${text('report.page.score', { score: evaluation.score, maxScore: evaluation.maxScore, percent: evaluation.finalPercent })}
+      <span class="${evaluation.passed ? 'pass' : 'fail'}">${text(evaluation.passed ? 'rubric.pass' : 'rubric.fail')}</span> ${text('report.page.passMark', { percent: evaluation.passPercent })}</p>
+  </section>
+${report.timeExpired ? `\n  <p class="notice">${text('report.page.timeExpired')}</p>\n` : ''}
+${evaluation.criticalErrors.length > 0 ? `
+  <section>
+    <h2>${text('rubric.criticalErrors')}</h2>
+    <ul>${evaluation.criticalErrors.map(rule => `<li>${escapeHtml(rule.description)} ${text('report.page.capped', { percent: rule.capPercent })}</li>`).join('')}</ul>
+  </section>` : ''}
+${report.safety.length > 0 ? `
+  <section>
+    <h2>${text('rubric.safetyViolations')}</h2>
+    <ul>${report.safety.map(violation => `<li>${escapeHtml(translateMistake(t, violation.error, violation.label))}${violation.toolLabel ? ` (${escapeHtml(violation.toolLabel)})` : ''}: ${text('report.page.pointsCount', { count: violation.points })}</li>`).join('')}</ul>
+  </section>` : ''}
+  <section>
+    <h2>${text('report.page.steps')}</h2>
+    <table>
+      <thead><tr><th>${text('rubric.step')}</th><th>${text('report.page.points')}</th><th>${text('rubric.penalties')}</th><th>${text('rubric.mistakes')}</th></tr></thead>
+      <tbody>${stepRows}
+      </tbody>
+    </table>
+${evaluation.consequences.length > 0 ? `    <p><strong>${text('report.page.consequences')}</strong> ${evaluation.consequences.map(rule => escapeHtml(rule.label)).join('; ')}</p>` : ''}
+  </section>
+
+  <section>
+    <h2>${text('report.page.smearAndMicroscopy')}</h2>
+    ${report.smear ? `<p>${text('report.page.smearQuality', { quality: smearLabel })}${report.smear.issues.length > 0 ? ` – ${report.smear.issues.map(issue => escapeHtml(translateIssue(t, issue))).join(' ')}` : ''}</p>` : `<p>${text('report.page.noSmear')}</p>`}
+    ${report.differential ? `<p>${text('report.page.differential', { cells: report.differential.cellCount, percent: report.differential.accuracyPercent })}</p>` : ''}
+    <div class="snapshots">${snapshots}</div>
+  </section>
+${patientCase ? `
+  <section>
+    <h2>${text('report.page.patientCase', { title: patientCase.title })}</h2>
+    <p>${escapeHtml(patientCase.history)}</p>
+    ${patientCase.reported ? `<ul>${findingItems}</ul>` : `<p>${text('report.page.notReported')}</p>`}
+    ${patientCase.wrong.length > 0 ? `<p>${text('report.page.notInFilm', { findings: patientCase.wrong.map(id => translateFinding(t, id)).join('; ') })}</p>` : ''}
+    ${patientCase.reported ? `<p>${text('report.page.findingsPoints', { count: patientCase.points })}</p>` : ''}
+  </section>` : ''}
+${report.answers.length > 0 ? `
+  <section>
+    <h2>${text('report.page.knowledgeCheck')}</h2>
+${answerTable('report.page.question', report.answers)}
+  </section>` : ''}
+${report.video ? `
+  <section>
+    <h2>${text('report.page.video')}</h2>
+    <p>${report.video.watchedPercent === null ? text('report.page.videoNotTracked') : text('report.page.videoWatched', { percent: report.video.watchedPercent })}</p>
+${report.video.checkpoints.length > 0 ? answerTable('report.page.checkpointQuestion', report.video.checkpoints) : ''}
+  </section>` : ''}
+
+  <footer>
+    <p>${text('report.page.attempt', { name: report.attemptName, started: date(report.startedAt), generated: date(generatedAt) })}</p>
+    <p>${text('report.verification')} <span class="verification">${escapeHtml(report.verification)}</span><br>
+      ${text('report.page.verificationHelp')}</p>
+  </footer>
+  <script>if (window.location.hash === '#print') window.addEventListener('load', function () { window.print(); });</script>
+</body>
+</html>
+`;
+}
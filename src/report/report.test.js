@@ -0,0 +1,93 @@
+import bloodSmear from '../procedures/definitions/blood-smear.json';
+import bloodSmearBank from '../questions/banks/blood-smear.json';
+import { loadProcedure } from '../procedures/schema';
+import { createEvent, buildAttemptRecord } from '../session/actionLog';
+import { evaluateSmear } from '../smear/technique';
+import { quizzesForAttempt, correctResponse } from '../questions/bank';
+import { caseForAttempt } from '../cases/cases';
+import { createTranslator } from '../i18n/i18n';
+import en from '../i18n/locales/en.json';
+import es from '../i18n/locales/es.json';
+import { buildReport, reportHtml, verificationCode } from './report';
+
+const loaded = loadProcedure(bloodSmear, 'blood-smear.json');
+const procedure = { ...loaded, steps: loaded.steps.map(step => (step.quiz ? { ...step, quiz: { ...step.quiz, questions: bloodSmearBank.questions } } : step)) };
+const t = createTranslator('en', { en });
+const [firstQuestion] = quizzesForAttempt(procedure.steps, 9).mcq_challenge;
+
+const record = buildAttemptRecord({
+  procedure,
+  attempt: { id: 'a1', name: 'Attempt 1', createdAt: 0 },
+  attemptSeed: 9,
+  events: [
+    createEvent('attempt_started', { stepId: 'intro' }, 0),
+    createEvent('wrong_action', { stepId: 'clean_finger', error: 'wrong_tool', outcome: 'incorrect', points: -2 }, 1000),
+    createEvent('drop', { stepId: 'clean_finger', outcome: 'correct', points: 10 }, 2000),
+    createEvent('smear', { stepId: 'perform_smear', outcome: 'correct', points: 30, result: evaluateSmear({ angle: 35, speed: 45, spread: 0.75, pushLength: 45 }) }, 60000),
+    createEvent('video_checkpoint', { stepId: 'video_demonstration', questionId: 'spreader_angle', response: 2, outcome: 'incorrect', points: 0 }, 110000),
+    createEvent('video_watched', { stepId: 'video_demonstration', source: 'file', watchedPercent: 85, duration: 150, seeks: 1 }, 120000),
+    createEvent('mcq_answer', { stepId: 'mcq_challenge', questionId: firstQuestion.id, response: correctResponse(firstQuestion), outcome: 'correct', points: 10 }, 125000),
+  ],
+});
+
+test('the verification code changes with the name or any change to the log', () => {
+  const code = verificationCode(record, 'Ada Lovelace');
+  expect(code).toMatch(/^[0-9A-F]{4}(-[0-9A-F]{4}){4}$/);
+  expect(verificationCode(record, '  Ada Lovelace ')).toBe(code);
+  expect(verificationCode(record, 'Ada Byron')).not.toBe(code);
+  const edited = { ...record, events: record.events.map(event => (event.type === 'wrong_action' ? { ...event, points: 0 } : event)) };
+  expect(verificationCode(edited, 'Ada Lovelace')).not.toBe(code);
+});
+
+test('the report gathers the marks, smear and knowledge check answers of the attempt', () => {
+  const report = buildReport(procedure, record, 'Ada Lovelace');
+  expect(report).toMatchObject({
+    studentName: 'Ada Lovelace',
+    moduleTitle: 'Blood Smear Preparation',
+    durationMs: 125000,
+    smear: { label: 'Good film', issues: [] },
+    differential: null,
+    verification: verificationCode(record, 'Ada Lovelace'),
+  });
+  expect(report.evaluation.score).toBe(48);
+  expect(report.answers).toHaveLength(5);
+  expect(report.answers[0]).toMatchObject({ prompt: firstQuestion.prompt, correct: true, points: 10 });
+  expect(report.answers[1]).toMatchObject({ given: 'No answer', correct: false, points: 0 });
+  expect(report.video.watchedPercent).toBe(85);
+  expect(report.video.checkpoints).toEqual([
+    expect.objectContaining({ given: 'No answer', correct: false }),
+    expect.objectContaining({ given: '90°', expected: '30–45°', correct: false, points: 0 }),
+  ]);
+});
+
+test('the HTML page is self-contained and escapes what the student typed', () => {
+  const html = reportHtml(buildReport(procedure, record, '<b>Ada</b> & co'), { smear: 'data:image/png;base64,AAAA' }, { t });
+  expect(html).toContain('&lt;b&gt;Ada&lt;/b&gt; &amp; co');
+  expect(html).not.toContain('<b>Ada</b>');
+  expect(html).toContain(verificationCode(record, '<b>Ada</b> & co'));
+  expect(html).toContain('src="data:image/png;base64,AAAA"');
+  expect(html).toContain('Wrong tool');
+  expect(html).not.toMatch(/(href|src)="https?:/);
+});
+
+test('the report names the patient case and which of its key findings were identified', () => {
+  const patientCase = caseForAttempt(procedure, 9);
+  const [found, ...missed] = patientCase.findings;
+  const withFindings = {
+    ...record,
+    events: [...record.events, createEvent('findings', { stepId: 'identify_findings', caseId: patientCase.id, selected: [found], correct: [found], wrong: [], missed, outcome: 'incorrect', points: 7 }, 126000)],
+  };
+  const report = buildReport(procedure, withFindings, 'Ada Lovelace');
+  expect(report.patientCase).toMatchObject({ title: patientCase.title, reported: true, wrong: [], points: 7 });
+  expect(report.patientCase.findings.map(finding => finding.found)).toEqual(patientCase.findings.map(id => id === found));
+  expect(reportHtml(report, {}, { t })).toContain(`Patient case: ${patientCase.title}`);
+  expect(buildReport(procedure, record, 'Ada Lovelace').patientCase.reported).toBe(false);
+});
+
+test('the report is written in the interface language', () => {
+  const html = reportHtml(buildReport(procedure, record, 'Ada Lovelace'), {}, { t: createTranslator('es', { en, es }), locale: 'es' });
+  expect(html).toContain('<html lang="es" dir="ltr">');
+  expect(html).toContain('Se certifica que');
+  expect(html).toContain('Resultados por paso');
+  expect(html).not.toContain('This is to certify that');
+});
@@ -0,0 +1,39 @@
+import { replayStateAt, recordDuration } from '../replay/replay';
+import { drawSmear } from '../smear/drawSmear';
+import { SMEAR_START_MM } from '../smear/technique';
+import { currentFilm } from '../procedures/consequences';
+import { generateField } from '../microscope/bloodFilm';
+import { drawBloodFilm } from '../microscope/drawBloodFilm';
+import { OBJECTIVES, viewParameters } from '../microscope/instrument';
+import { caseForAttempt, populationFor } from '../cases/cases';
+
+const canvasOfSize = (width, height) => Object.assign(document.createElement('canvas'), { width, height });
+
+// Images of the student's smear and of the last microscope field they looked at, as
+// PNG data URLs for the report. Both are redrawn from the record (drawing is
+// deterministic), so a report made later from the attempt file shows the same pictures.
+// Returns {} when no smear was made.
+export function reportSnapshots(procedure, record) {
+  const smear = currentFilm(procedure, record.events);
+  if (!smear) return {};
+
+  const smearCanvas = canvasOfSize(400, 200);
+  drawSmear(smearCanvas, smear);
+
+  const { scope } = replayStateAt(record, procedure, recordDuration(record));
+  const fieldCanvas = canvasOfSize(400, 400);
+  drawBloodFilm(fieldCanvas, generateField({
+    smear,
+    positionMm: scope.stageX - SMEAR_START_MM,
+    offsetMm: scope.stageY,
+    fieldDiameterUm: OBJECTIVES[scope.objective].fieldDiameterUm,
+    seed: record.attemptSeed,
+    population: populationFor(caseForAttempt(procedure, record.attemptSeed)),
+  }), viewParameters(scope));
+
+  return {
+    smear: smearCanvas.toDataURL('image/png'),
+    field: fieldCanvas.toDataURL('image/png'),
+    objective: scope.objective, // of the field, for its caption
+  };
+}
@@ -0,0 +1,79 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+import { translateMistake } from '../i18n/content';
+
+// End-of-attempt marking: points per step, penalties and mistakes, any critical
+// errors and safety violations, and the capped percentage against the pass mark. Takes the result of
+// evaluateRubric (./rubric).
+export default function RubricBreakdown({ evaluation }) {
+  const { t } = useI18n();
+  const { steps, criticalErrors, consequences, safetyViolations, score, maxScore, percent, capPercent, finalPercent, passPercent, passed } = evaluation;
+
+  return (
+    <div className="flex flex-col items-center w-full">
+      <p className="text-2xl md:text-3xl font-bold text-green-800 mb-2">
+        {t('rubric.finalScore', { score, maxScore, percent: finalPercent })}
+      </p>
+      <p className={`text-xl font-extrabold mb-4 ${passed ? 'text-green-700' : 'text-red-700'}`}>
+        {passed ? t('rubric.pass') : t('rubric.fail')} <span className="text-sm font-semibold text-gray-600">{t('rubric.passMark', { percent: passPercent })}</span>
+      </p>
+
+      {criticalErrors.length > 0 && (
+        <div className="w-full max-w-2xl mb-4 p-3 rounded-lg bg-red-50 border border-red-300 text-start">
+          <h2 className="font-bold text-red-800">{t('rubric.criticalErrors')}</h2>
+          <ul className="list-disc list-inside text-sm text-red-800">
+            {criticalErrors.map(rule => (
+              <li key={rule.id}>{rule.description} {t('rubric.capped', { percent: rule.capPercent })}</li>
+            ))}
+          </ul>
+          {capPercent < percent && <p className="text-sm text-red-700 mt-1">{t('rubric.cappedFrom', { percent, finalPercent })}</p>}
+        </div>
+      )}
+
+      {safetyViolations.length > 0 && (
+        <div className="w-full max-w-2xl mb-4 p-3 rounded-lg bg-orange-50 border border-orange-300 text-start">
+          <h2 className="font-bold text-orange-900">{t('rubric.safetyViolations')}</h2>
+          <ul className="list-disc list-inside text-sm text-orange-900">
+            {safetyViolations.map((violation, i) => (
+              <li key={i}>{translateMistake(t, violation.error, violation.label)} ({violation.points})</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {consequences.length > 0 && (
+        <div className="w-full max-w-2xl mb-4 p-3 rounded-lg bg-amber-50 border border-amber-300 text-start">
+          <h2 className="font-bold text-amber-900">{t('rubric.consequences')}</h2>
+          <ul className="list-disc list-inside text-sm text-amber-900 space-y-1">
+            {consequences.map(rule => (
+              <li key={rule.id}><span className="font-semibold">{rule.label}:</span> {rule.debrief}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <table className="w-full max-w-2xl text-sm mb-4 border border-gray-200">
+        <thead className="bg-gray-100 text-gray-700">
+          <tr>
+            <th className="p-2 text-start">{t('rubric.step')}</th>
+            <th className="p-2">{t('rubric.possible')}</th>
+            <th className="p-2">{t('rubric.earned')}</th>
+            <th className="p-2">{t('rubric.penalties')}</th>
+            <th className="p-2 text-start">{t('rubric.mistakes')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {steps.map(row => (
+            <tr key={row.stepId} className="border-t border-gray-200">
+              <td className="p-2 text-start">{row.instruction}</td>
+              <td className="p-2">{row.possible}</td>
+              <td className="p-2 font-semibold">{row.earned}</td>
+              <td className={`p-2 ${row.penalties < 0 ? 'text-red-700 font-semibold' : 'text-gray-400'}`}>{row.penalties}</td>
+              <td className="p-2 text-start text-gray-600">{row.mistakes.map((mistake, i) => translateMistake(t, row.errors[i], mistake)).join(', ')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
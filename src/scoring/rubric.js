@@ -0,0 +1,122 @@
+import { HANDLING_ERRORS } from '../microscope/instrument';
+import { scoreFromLog, scoredEvents } from '../session/actionLog';
+import { triggeredConsequences } from '../procedures/consequences';
+
+// Marking rubric for a procedure.
+// Steps award their points; mistakes cost the penalty for their error type,
+// more each time the same mistake is repeated in a step; critical errors cap
+// the final percentage however many points were earned. Everything is worked
+// out from the action log, so the live score, the final breakdown and any
+// exported report agree.
+
+// Kinds of mistake the simulation recognises. The labels are what the log and
+// exports record; on screen they are shown through the errors catalog (see translateMistake in ../i18n/content).
+export const ERROR_TYPES = {
+  wrong_tool: 'Wrong tool',
+  wrong_target: 'Wrong target',
+  not_ready: 'Step attempted out of order',
+  no_tool: 'No tool held',
+  skipped_step: 'Step skipped', // a mistake that went through with consequences, see ../procedures/consequences
+  // Safety violations with the items on the bench, see ../procedures/items
+  reused_sharp: 'Used sharp reused',
+  sharps_left_out: 'Used sharp left on the bench',
+  biohazard_left_out: 'Contaminated item left on the bench',
+  wrong_disposal: 'Waste put in the wrong container',
+};
+
+// Mistakes that put someone at risk rather than spoil the sample; they are listed apart in the breakdown
+export const SAFETY_ERRORS = ['reused_sharp', 'sharps_left_out', 'biohazard_left_out', 'wrong_disposal'];
+
+export const DEFAULT_RUBRIC = {
+  passPercent: 60,
+  penalties: {
+    wrong_tool: 2,
+    wrong_target: 2,
+    not_ready: 2,
+    no_tool: 1,
+    skipped_step: 3,
+    reused_sharp: 5,
+    sharps_left_out: 5,
+    biohazard_left_out: 2,
+    wrong_disposal: 3,
+  },
+  repeatPenalty: 1, // extra points lost for each repeat of the same mistake within a step
+  criticalErrors: [],
+};
+
+// Rubric with the procedure's overrides applied to the defaults
+export function resolveRubric(rubric = {}) {
+  return {
+    ...DEFAULT_RUBRIC,
+    ...rubric,
+    penalties: { ...DEFAULT_RUBRIC.penalties, ...(rubric.penalties || {}) },
+    criticalErrors: rubric.criticalErrors || [],
+  };
+}
+
+// Points a mistake costs, given the mistakes already logged in the same step.
+// A step can override the rubric's penalty for an error type with its own penalties map.
+export function penaltyFor(procedure, step, errorType, events) {
+  const base = step?.penalties?.[errorType] ?? procedure.rubric.penalties[errorType] ?? 0;
+  const repeats = events.filter(event => event.type === 'wrong_action' && event.stepId === step?.id && event.error === errorType).length;
+  return base + repeats * procedure.rubric.repeatPenalty;
+}
+
+// The critical error rule, if any, broken by using a tool on a target during a step.
+// Picking a tool up, or using it anywhere but on the rule's target, breaks none.
+// rule: { id, description, steps: [stepId], tool, target, capPercent }
+export function criticalErrorFor(procedure, step, toolId, targetId) {
+  if (!step || !toolId || !targetId) return null;
+  return procedure.rubric.criticalErrors.find(rule => rule.steps.includes(step.id) && rule.tool === toolId && rule.target === targetId) || null;
+}
+
+// Highest score the procedure can award
+export function maxScore(procedure) {
+  return procedure.steps.reduce((total, step) => total + step.points + (step.differential?.points || 0), 0);
+}
+
+// Full breakdown of an attempt:
+// { steps: [{ stepId, instruction, possible, earned, penalties, mistakes, errors (the mistakes' error ids) }], criticalErrors: [rule],
+//   consequences: [consequence rule], safetyViolations: [{ stepId, error, label, tool, points }], score, maxScore, percent, capPercent, finalPercent, passPercent, passed }
+export function evaluateRubric(procedure, events) {
+  const steps = procedure.steps
+    .map((step) => {
+      const stepEvents = scoredEvents(events).filter(event => event.stepId === step.id);
+      const mistakes = stepEvents.filter(event => event.outcome === 'incorrect' && event.error);
+      return {
+        stepId: step.id,
+        instruction: step.instruction,
+        possible: step.points + (step.differential?.points || 0),
+        earned: stepEvents.reduce((total, event) => total + Math.max(0, event.points || 0), 0),
+        penalties: stepEvents.reduce((total, event) => total + Math.min(0, event.points || 0), 0),
+        mistakes: mistakes.map(event => ERROR_TYPES[event.error] || HANDLING_ERRORS[event.error]?.message || event.error),
+        errors: mistakes.map(event => event.error),
+      };
+    })
+    .filter(row => row.possible > 0 || row.penalties < 0);
+
+  const brokenRules = new Set(events.map(event => event.critical).filter(Boolean));
+  const criticalErrors = procedure.rubric.criticalErrors.filter(rule => brokenRules.has(rule.id));
+
+  const score = scoreFromLog(events);
+  const max = maxScore(procedure);
+  const percent = max > 0 ? Math.max(0, Math.round((score / max) * 100)) : 0;
+  const capPercent = criticalErrors.length > 0 ? Math.min(...criticalErrors.map(rule => rule.capPercent)) : 100;
+  const finalPercent = Math.min(percent, capPercent);
+
+  return {
+    steps,
+    criticalErrors,
+    consequences: triggeredConsequences(procedure, events),
+    safetyViolations: events
+      .filter(event => event.outcome === 'incorrect' && SAFETY_ERRORS.includes(event.error))
+      .map(event => ({ stepId: event.stepId, error: event.error, label: ERROR_TYPES[event.error], tool: event.tool ?? null, points: event.points || 0 })),
+    score,
+    maxScore: max,
+    percent,
+    capPercent,
+    finalPercent,
+    passPercent: procedure.rubric.passPercent,
+    passed: finalPercent >= procedure.rubric.passPercent,
+  };
+}
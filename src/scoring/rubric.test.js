@@ -0,0 +1,78 @@
+import bloodSmear from '../procedures/definitions/blood-smear.json';
+import { loadProcedure } from '../procedures/schema';
+import { createEvent } from '../session/actionLog';
+import { completionPoints } from '../procedures/steps';
+import { penaltyFor, criticalErrorFor, evaluateRubric, maxScore, resolveRubric } from './rubric';
+
+const procedure = loadProcedure(bloodSmear, 'blood-smear.json');
+const stepById = id => procedure.steps.find(step => step.id === id);
+
+const mistake = (stepId, error, points, extra = {}) =>
+  createEvent('wrong_action', { stepId, action: 'drop', error, outcome: 'incorrect', points, ...extra }, 1000);
+
+test('repeating a mistake in the same step costs more each time', () => {
+  const step = stepById('apply_lancet');
+  expect(penaltyFor(procedure, step, 'wrong_target', [])).toBe(3);
+  const earlier = [mistake('apply_lancet', 'wrong_target', -3), mistake('clean_finger', 'wrong_target', -3)];
+  expect(penaltyFor(procedure, step, 'wrong_target', earlier)).toBe(5);
+  expect(penaltyFor(procedure, step, 'wrong_tool', earlier)).toBe(3);
+});
+
+test('critical errors are matched by step, tool and target', () => {
+  expect(criticalErrorFor(procedure, stepById('clean_finger'), 'lancet', 'finger')?.id).toBe('finger_not_cleaned');
+  expect(criticalErrorFor(procedure, stepById('clean_finger'), 'spreader_slide', 'finger')).toBeNull();
+  expect(criticalErrorFor(procedure, stepById('apply_lancet'), 'lancet', 'finger')).toBeNull();
+  expect(criticalErrorFor(procedure, stepById('clean_finger'), 'lancet', 'slide')).toBeNull();
+});
+
+test('picking up the wrong tool is never a critical error', () => {
+  expect(criticalErrorFor(procedure, stepById('gather_equipment'), 'lancet')).toBeNull();
+  expect(criticalErrorFor(procedure, stepById('wipe_first_drop'), 'clean_slide')).toBeNull();
+});
+
+test('the final percentage is capped by critical errors and compared with the pass mark', () => {
+  const max = maxScore(procedure);
+  const perfect = procedure.steps
+    .filter(step => step.points > 0 || step.differential)
+    .map(step => createEvent('drop', { stepId: step.id, outcome: 'correct', points: step.points + (step.differential?.points || 0) }, 2000));
+  expect(evaluateRubric(procedure, perfect)).toMatchObject({ score: max, percent: 100, finalPercent: 100, passed: true });
+
+  const careless = [mistake('clean_finger', 'wrong_tool', -3, { tool: 'lancet', critical: 'finger_not_cleaned' }), ...perfect];
+  const result = evaluateRubric(procedure, careless);
+  expect(result.criticalErrors.map(rule => rule.id)).toEqual(['finger_not_cleaned']);
+  expect(result.finalPercent).toBe(50);
+  expect(result.passed).toBe(false);
+  expect(result.steps.find(row => row.stepId === 'clean_finger')).toMatchObject({ earned: 10, penalties: -3, mistakes: ['Wrong tool'] });
+});
+
+test('procedures without a rubric get the defaults', () => {
+  expect(resolveRubric(undefined)).toMatchObject({ passPercent: 60, repeatPenalty: 1, criticalErrors: [] });
+  expect(resolveRubric({ penalties: { no_tool: 5 } }).penalties).toMatchObject({ no_tool: 5, wrong_tool: 2 });
+});
+
+test('safety violations cost their penalty and are listed apart from the other mistakes', () => {
+  expect(penaltyFor(procedure, stepById('collect_blood_on_slide'), 'sharps_left_out', [])).toBe(5);
+  const events = [
+    mistake('wipe_blood', 'reused_sharp', -5, { tool: 'lancet' }),
+    mistake('wipe_blood', 'wrong_target', -3, { tool: 'alcohol_swab' }),
+    mistake('collect_blood_on_slide', 'sharps_left_out', -5, { tool: 'lancet' }),
+  ];
+  const result = evaluateRubric(procedure, events);
+  expect(result.safetyViolations).toEqual([
+    { stepId: 'wipe_blood', error: 'reused_sharp', label: 'Used sharp reused', tool: 'lancet', points: -5 },
+    { stepId: 'collect_blood_on_slide', error: 'sharps_left_out', label: 'Used sharp left on the bench', tool: 'lancet', points: -5 },
+  ]);
+  expect(result.steps.find(row => row.stepId === 'wipe_blood').penalties).toBe(-8);
+});
+
+test('a video step earns its checkpoint points once, however it is finished', () => {
+  const video = procedure.steps.find(step => step.action === 'watch_video');
+  const events = [
+    ...video.video.checkpoints.map(checkpoint => createEvent('video_checkpoint', { stepId: video.id, questionId: checkpoint.id, outcome: 'correct', points: checkpoint.points }, 1000)),
+    createEvent('video_watched', { stepId: video.id, watchedPercent: 100 }, 2000),
+    createEvent('step_completed', { stepId: video.id, action: 'watch_video', outcome: 'correct', points: completionPoints(video) }, 2000),
+  ];
+  const row = evaluateRubric(procedure, events).steps.find(entry => entry.stepId === video.id);
+  expect(row.possible).toBe(10);
+  expect(row.earned).toBe(row.possible);
+});
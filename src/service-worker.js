@@ -0,0 +1,66 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for offline use, compiled by the build (Workbox InjectManifest).
+// Everything the bundler emits is precached on install, together with the icons
+// and manifest from public/, so once the app has been opened online it keeps
+// working in a lab room with no connection. Demonstration videos, narration and
+// recorded sounds are cached when the page lists them (see ./serviceWorkerRegistration)
+// and served with range requests so the player can seek offline.
+
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { RangeRequestsPlugin } from 'workbox-range-requests';
+
+const PUBLIC_FILES_CACHE = 'public-files';
+const MEDIA_CACHE = 'media';
+const PUBLIC_FILES = ['manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'].map(file => `${process.env.PUBLIC_URL}/${file}`);
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every navigation gets the app shell, so hash routes and reloads work offline
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(PUBLIC_FILES_CACHE).then(cache => cache.addAll(PUBLIC_FILES)));
+});
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && PUBLIC_FILES.includes(url.pathname),
+  new StaleWhileRevalidate({ cacheName: PUBLIC_FILES_CACHE })
+);
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin
+    && ['videos', 'narration', 'sounds'].some(folder => url.pathname.startsWith(`${process.env.PUBLIC_URL}/${folder}/`)),
+  new CacheFirst({
+    cacheName: MEDIA_CACHE,
+    plugins: [new CacheableResponsePlugin({ statuses: [200] }), new RangeRequestsPlugin()],
+  })
+);
+
+// Files already cached are kept; one that can't be fetched now is tried again on the next visit
+async function cacheMedia(urls) {
+  const cache = await caches.open(MEDIA_CACHE);
+  await Promise.all(urls.map(async (url) => {
+    if (await cache.match(url)) return;
+    try {
+      const response = await fetch(url);
+      if (response.ok) await cache.put(url, response);
+    } catch (error) {
+      console.warn(`Could not cache ${url} for offline use:`, error);
+    }
+  }));
+}
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'CACHE_MEDIA') event.waitUntil(cacheMedia(event.data.urls));
+});
@@ -0,0 +1,16 @@
+// Registers the service worker built from ./service-worker.js, which makes the
+// app installable and usable offline. Only production builds served from the
+// app's own origin register it; the development server never caches anything.
+// mediaUrls are the bundled videos to store for offline use as well.
+export function register({ mediaUrls = [] } = {}) {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return; // A worker can't cover files on another origin (e.g. a CDN)
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then(() => navigator.serviceWorker.ready)
+      .then(registration => registration.active.postMessage({ type: 'CACHE_MEDIA', urls: mediaUrls }))
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+}
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { scoreFromLog } from './actionLog';
+import { MODES, isGuided } from './attempts';
+import { useI18n } from '../i18n/I18nProvider';
+import LanguageSwitcher from '../i18n/LanguageSwitcher';
+
+const formatTime = timestamp => new Date(timestamp).toLocaleString();
+
+// Shown on load when this browser has saved attempts: resume one, start it over,
+// delete it, or begin a new named practice or exam attempt.
+// Exam attempts keep their marks hidden until they are finished and can't be started over or deleted.
+export default function AttemptPicker({ procedure, attempts, defaultName, defaultOptions, onResume, onStartOver, onDelete, onNew }) {
+  const { t } = useI18n();
+  const [name, setName] = useState(defaultName);
+  const [mode, setMode] = useState(defaultOptions.mode);
+  const [timeLimit, setTimeLimit] = useState(defaultOptions.timeLimitMinutes ?? '');
+
+  const stepCount = procedure.steps.length - 1;
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-sky-100 to-indigo-200 p-6 font-inter">
+      <div className="bg-white p-8 rounded-xl shadow-2xl max-w-2xl w-full border-4 border-purple-500 animate-fade-in">
+        <div className="flex justify-end mb-2"><LanguageSwitcher /></div>
+        <h1 className="text-2xl md:text-3xl font-extrabold text-purple-700 mb-2 text-center">{procedure.title}</h1>
+        <p className="text-gray-700 mb-6 text-center">{t('attempts.saved')}</p>
+
+        <ul className="space-y-3 mb-8">
+          {attempts.map(attempt => (
+            <li key={attempt.id} className="flex flex-col md:flex-row md:items-center justify-between p-4 rounded-lg border-2 border-gray-200 bg-gray-50">
+              <div className="text-start mb-3 md:mb-0">
+                <p className="font-bold text-gray-800">
+                  {attempt.name}
+                  {!isGuided(attempt) && <span className="ms-2 text-xs font-semibold uppercase text-red-700">{t('modes.exam')}</span>}
+                </p>
+                <p className="text-sm text-gray-600">
+                  {attempt.completed
+                    ? t('attempts.completed', { count: scoreFromLog(attempt.snapshot?.events ?? []) })
+                    : `${t('attempts.step', { step: attempt.snapshot?.currentStep ?? 0, total: stepCount })}${isGuided(attempt) ? ` · ${t('attempts.points', { count: scoreFromLog(attempt.snapshot?.events ?? []) })}` : ''}`}
+                </p>
+                <p className="text-xs text-gray-500">{t('attempts.lastSaved', { time: formatTime(attempt.updatedAt) })}</p>
+              </div>
+              <div className="flex gap-2">
+                {(!attempt.completed || !isGuided(attempt)) && (
+                  <button
+                    onClick={() => onResume(attempt)}
+                    className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-full shadow focus:outline-none focus:ring-4 focus:ring-purple-300"
+                  >
+                    {attempt.completed ? t('attempts.viewResults') : t('attempts.resume')}
+                  </button>
+                )}
+                {isGuided(attempt) && (
+                  <button
+                    onClick={() => onStartOver(attempt)}
+                    className="bg-white hover:bg-gray-100 text-purple-700 font-bold py-2 px-4 rounded-full border-2 border-purple-600 focus:outline-none focus:ring-4 focus:ring-purple-300"
+                  >
+                    {t('attempts.startOver')}
+                  </button>
+                )}
+                {isGuided(attempt) && (
+                  <button
+                    onClick={() => onDelete(attempt)}
+                    className="text-sm text-gray-500 hover:text-red-600 underline px-2"
+                    aria-label={t('attempts.deleteNamed', { name: attempt.name })}
+                  >
+                    {t('attempts.delete')}
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <form
+          className="flex flex-col md:flex-row md:flex-wrap items-stretch md:items-center gap-3"
+          onSubmit={(e) => {
+            e.preventDefault();
+            onNew(name.trim() || defaultName, { mode, timeLimitMinutes: Number(timeLimit) || null });
+          }}
+        >
+          <label htmlFor="attempt_name" className="font-semibold text-gray-700 whitespace-nowrap">{t('attempts.newAttempt')}</label>
+          <input
+            id="attempt_name"
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="flex-1 p-2 rounded-lg border-2 border-gray-300 focus:border-purple-500 focus:outline-none"
+          />
+          <select
+            aria-label={t('attempts.mode')}
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="p-2 rounded-lg border-2 border-gray-300 focus:border-purple-500 focus:outline-none"
+          >
+            {Object.keys(MODES).map(id => <option key={id} value={id}>{t(`modes.${id}`)}</option>)}
+          </select>
+          {mode === 'exam' && (
+            <label className="text-sm font-semibold text-gray-700 whitespace-nowrap">
+              {t('attempts.timeLimit')}{' '}
+              <input
+                type="number"
+                min="1"
+                placeholder={t('attempts.noLimit')}
+                value={timeLimit}
+                onChange={(e) => setTimeLimit(e.target.value)}
+                className="w-20 p-2 rounded-lg border-2 border-gray-300 focus:border-purple-500 focus:outline-none"
+              />{' '}
+              {t('attempts.minutes')}
+            </label>
+          )}
+          <button
+            type="submit"
+            className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-6 rounded-full shadow focus:outline-none focus:ring-4 focus:ring-green-300"
+          >
+            {t('attempts.start')}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { downloadJson } from '../utils/download';
+
+// Structured log of everything a student does during an attempt.
+// The log is the record of the attempt: the score is the sum of the points
+// carried by its events, and reports and exports are built from it.
+
+export const EVENT_TYPES = [
+  'attempt_started',
+  'step_transition',
+  'step_completed',
+  'pick_up',
+  'drag_start',
+  'drop',
+  'dispose',
+  'wrong_action',
+  'consequence',
+  'feedback',
+  'smear',
+  'microscope',
+  'differential',
+  'mcq_answer',
+  'findings',
+  'video_checkpoint',
+  'video_watched',
+  'time_expired',
+  'clock',
+];
+
+export const LOG_FORMAT_VERSION = 1;
+
+// event: { t (ms since epoch), type, stepId, tool, target, outcome ('correct' | 'incorrect' | 'info'), points, ...details }
+export function createEvent(type, { stepId = null, tool = null, target = null, outcome = 'info', points = 0, ...details } = {}, now = Date.now()) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown action log event type "${type}"`);
+  return { ...details, t: now, type, stepId, tool, target, outcome, points }; // details can't override the standard fields
+}
+
+// The events that count towards the score: a question answered again (say, after
+// a reload before the quiz moved on) only scores its first answer
+export function scoredEvents(events) {
+  const answered = new Set();
+  return events.filter((event) => {
+    if (event.type !== 'mcq_answer') return true;
+    const key = `${event.stepId}/${event.questionId}`;
+    if (answered.has(key)) return false;
+    answered.add(key);
+    return true;
+  });
+}
+
+// Total of all points awarded and deducted so far
+export function scoreFromLog(events) {
+  return scoredEvents(events).reduce((total, event) => total + (event.points || 0), 0);
+}
+
+// Outcome recorded by the most recent event of a type that carries one (smear, differential)
+export function latestResult(events, type) {
+  for (let i = events.length - 1; i >= 0; i--) {
+    if (events[i].type === type && events[i].result) return events[i].result;
+  }
+  return null;
+}
+
+// Points per step id, in the order the steps were first scored
+export function pointsByStep(events) {
+  const totals = {};
+  scoredEvents(events).forEach((event) => {
+    if (!event.points) return;
+    totals[event.stepId] = (totals[event.stepId] || 0) + event.points;
+  });
+  return totals;
+}
+
+// The downloadable attempt file: who, what and the full event log.
+// studentName is the name the student gave for their report, or null if none yet.
+export function buildAttemptRecord({ procedure, attempt, attemptSeed, events, studentName = '' }) {
+  return {
+    format: 'labsim-attempt',
+    formatVersion: LOG_FORMAT_VERSION,
+    procedure: { id: procedure.id, version: procedure.version, title: procedure.title },
+    attempt: { id: attempt.id, name: attempt.name, createdAt: attempt.createdAt, mode: attempt.mode ?? 'practice', timeLimitMinutes: attempt.timeLimitMinutes ?? null },
+    studentName: studentName.trim() || null,
+    attemptSeed,
+    startedAt: events[0]?.t ?? null,
+    finishedAt: events[events.length - 1]?.t ?? null,
+    score: scoreFromLog(events),
+    events,
+  };
+}
+
+// Saves the attempt record as a JSON file
+export function downloadAttemptRecord(record) {
+  const name = [record.studentName, record.attempt.name].filter(Boolean).join('-');
+  downloadJson(record, `${record.procedure.id}-${name.replace(/[^\w-]+/g, '_')}.json`);
+}
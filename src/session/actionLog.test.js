@@ -0,0 +1,44 @@
+import { createEvent, scoreFromLog, latestResult, pointsByStep, buildAttemptRecord } from './actionLog';
+
+const log = [
+  createEvent('attempt_started', {}, 1000),
+  createEvent('drop', { stepId: 'clean_finger', tool: 'alcohol_swab', target: 'finger', outcome: 'correct', points: 10 }, 2000),
+  createEvent('wrong_action', { stepId: 'apply_lancet', action: 'drop', target: 'finger', outcome: 'incorrect' }, 3000),
+  createEvent('smear', { stepId: 'perform_smear', outcome: 'incorrect', result: { quality: 'too_thick' } }, 4000),
+  createEvent('smear', { stepId: 'perform_smear', outcome: 'correct', points: 30, result: { quality: 'good' } }, 5000),
+  createEvent('microscope', { stepId: 'microscope_observation', error: 'objective_crash', outcome: 'incorrect', points: -20 }, 6000),
+];
+
+test('events carry a timestamp, step, tool, target and outcome', () => {
+  expect(log[1]).toEqual({ t: 2000, type: 'drop', stepId: 'clean_finger', tool: 'alcohol_swab', target: 'finger', outcome: 'correct', points: 10 });
+  expect(log[0]).toMatchObject({ stepId: null, tool: null, target: null, outcome: 'info', points: 0 });
+  expect(() => createEvent('teleport')).toThrow('Unknown action log event type "teleport"');
+});
+
+test('the score and results are read from the log', () => {
+  expect(scoreFromLog(log)).toBe(20);
+  expect(scoreFromLog([])).toBe(0);
+  expect(pointsByStep(log)).toEqual({ clean_finger: 10, perform_smear: 30, microscope_observation: -20 });
+  expect(latestResult(log, 'smear')).toEqual({ quality: 'good' });
+  expect(latestResult(log, 'differential')).toBeNull();
+});
+
+test('a question answered again only scores its first answer', () => {
+  const answer = (outcome, points, t) => createEvent('mcq_answer', { stepId: 'mcq_challenge', questionId: 'oil_objective', outcome, points }, t);
+  expect(scoreFromLog([answer('incorrect', 0, 1000), answer('correct', 10, 2000)])).toBe(0);
+  const twice = [answer('correct', 10, 1000), answer('correct', 10, 2000)];
+  expect(scoreFromLog(twice)).toBe(10);
+  expect(pointsByStep(twice)).toEqual({ mcq_challenge: 10 });
+});
+
+test('the attempt record wraps the log with the procedure and attempt it belongs to', () => {
+  const record = buildAttemptRecord({
+    procedure: { id: 'blood_smear', version: '1.0.0', title: 'Blood Smear' },
+    attempt: { id: 'a1', name: 'Attempt 1', createdAt: 900 },
+    attemptSeed: 42,
+    events: log,
+    studentName: ' Ada Lovelace ',
+  });
+  expect(record).toMatchObject({ format: 'labsim-attempt', studentName: 'Ada Lovelace', attemptSeed: 42, startedAt: 1000, finishedAt: 6000, score: 20 });
+  expect(record.events).toBe(log);
+});
@@ -0,0 +1,122 @@
+// Saved simulation attempts, kept in localStorage so a refresh or a crashed
+// browser doesn't lose a student's work. A browser profile can hold several
+// named attempts; each one stores a snapshot of the simulation state.
+
+export const STORAGE_KEY = 'labsim.attempts.v2';
+
+// Simulation state saved with every attempt. Score and results are derived
+// from the action log, and the smear canvas is redrawn from the logged smear
+// result (drawing is deterministic), so none of those are stored separately.
+export const SNAPSHOT_FIELDS = ['currentStep', 'events', 'labState', 'activeTool', 'attemptSeed'];
+
+const readAll = (storage) => {
+  try {
+    const attempts = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(attempts) ? attempts : [];
+  } catch (error) {
+    console.error('Saved attempts could not be read and were ignored.', error);
+    return [];
+  }
+};
+
+const writeAll = (storage, attempts) => {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(attempts));
+  } catch (error) {
+    // Private browsing or a full quota: the simulation still works, it just can't be resumed
+    console.error('The attempt could not be saved.', error);
+  }
+};
+
+// Attempts that can be resumed with this version of the procedure, most recently used first
+export function listAttempts(procedure, storage = window.localStorage) {
+  return readAll(storage)
+    .filter(attempt => attempt.procedureId === procedure.id && attempt.procedureVersion === procedure.version)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// Practice attempts guide the student through every step; exam attempts give no
+// cues (no highlighting, instructions or feedback), may be timed, and only show
+// the marks once the attempt is over. They can't be restarted or deleted.
+export const MODES = {
+  practice: { label: 'Practice', guidance: true },
+  exam: { label: 'Exam', guidance: false },
+};
+
+// A new, unsaved attempt starting at the procedure's first step.
+// options: { mode: 'practice' | 'exam', timeLimitMinutes: number | null (exam only) }
+export function createAttempt(name, procedure, now = Date.now(), { mode = 'practice', timeLimitMinutes = null } = {}) {
+  return {
+    id: `${now.toString(36)}-${Math.floor(Math.random() * 2 ** 32).toString(36)}`,
+    name,
+    procedureId: procedure.id,
+    procedureVersion: procedure.version,
+    mode: MODES[mode] ? mode : 'practice',
+    timeLimitMinutes: mode === 'exam' && timeLimitMinutes > 0 ? timeLimitMinutes : null,
+    createdAt: now,
+    updatedAt: now,
+    completed: false,
+    snapshot: null, // null until the first save; the simulation then starts fresh
+  };
+}
+
+// Whether the attempt shows guidance cues; attempts saved before modes existed are practice attempts
+export const isGuided = attempt => MODES[attempt.mode ?? 'practice']?.guidance ?? true;
+
+// Milliseconds left on a timed attempt, counted from its attempt_started event;
+// null when the attempt has no time limit or hasn't started yet
+export function timeRemaining(attempt, events, now = Date.now()) {
+  const started = events.find(event => event.type === 'attempt_started');
+  if (!attempt.timeLimitMinutes || !started) return null;
+  return Math.max(0, started.t + attempt.timeLimitMinutes * 60000 - now);
+}
+
+// Attempt options preset by the page address, so an instructor can hand out an
+// exam link, e.g. ?mode=exam&timeLimit=20
+export function attemptOptionsFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const mode = MODES[params.get('mode')] ? params.get('mode') : 'practice';
+  const timeLimitMinutes = Number(params.get('timeLimit')) || null;
+  return { mode, timeLimitMinutes: mode === 'exam' && timeLimitMinutes > 0 ? timeLimitMinutes : null };
+}
+
+// Inserts or replaces the attempt with the same id
+export function saveAttempt(attempt, storage = window.localStorage) {
+  const others = readAll(storage).filter(existing => existing.id !== attempt.id);
+  writeAll(storage, [...others, attempt]);
+}
+
+// Exam attempts are kept, so a failed one can't be thrown away and taken again
+export function deleteAttempt(attemptId, storage = window.localStorage) {
+  writeAll(storage, readAll(storage).filter(attempt => attempt.id !== attemptId || !isGuided(attempt)));
+}
+
+// Picks the persisted fields out of the full simulation state
+export function takeSnapshot(state) {
+  return Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, state[field] ?? null]));
+}
+
+// Default name for the next attempt, e.g. "Attempt 3"
+export function nextAttemptName(attempts) {
+  return `Attempt ${attempts.length + 1}`;
+}
+
+// The student's name, as last given for a report; it is written into their
+// attempt files so class results can be told apart by student
+export const STUDENT_NAME_KEY = 'labsim.studentName';
+
+export function loadStudentName(storage = window.localStorage) {
+  try {
+    return storage.getItem(STUDENT_NAME_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+export function saveStudentName(name, storage = window.localStorage) {
+  try {
+    storage.setItem(STUDENT_NAME_KEY, name.trim());
+  } catch (error) {
+    // Not remembering the name is harmless
+  }
+}
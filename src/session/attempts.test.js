@@ -0,0 +1,69 @@
+import { STORAGE_KEY, listAttempts, createAttempt, saveAttempt, deleteAttempt, takeSnapshot, nextAttemptName, isGuided, timeRemaining, attemptOptionsFromUrl } from './attempts';
+
+const procedure = { id: 'blood_smear', version: '1.0.0' };
+
+const memoryStorage = (initial = {}) => {
+  const items = { ...initial };
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+  };
+};
+
+test('saved attempts are listed for the matching procedure version, most recent first', () => {
+  const storage = memoryStorage();
+  const first = createAttempt('Attempt 1', procedure, 1000);
+  const second = createAttempt('Attempt 2', procedure, 2000);
+  const other = createAttempt('Old', { id: 'blood_smear', version: '0.9.0' }, 3000);
+  [first, second, other].forEach(attempt => saveAttempt(attempt, storage));
+
+  expect(listAttempts(procedure, storage).map(attempt => attempt.name)).toEqual(['Attempt 2', 'Attempt 1']);
+  expect(nextAttemptName(listAttempts(procedure, storage))).toBe('Attempt 3');
+});
+
+test('saving replaces the attempt with the same id and deleting removes it', () => {
+  const storage = memoryStorage();
+  const attempt = createAttempt('Attempt 1', procedure, 1000);
+  saveAttempt(attempt, storage);
+  saveAttempt({ ...attempt, updatedAt: 1500, snapshot: takeSnapshot({ currentStep: 4, events: [] }) }, storage);
+
+  const [saved] = listAttempts(procedure, storage);
+  expect(listAttempts(procedure, storage)).toHaveLength(1);
+  expect(saved.snapshot).toMatchObject({ currentStep: 4, events: [], activeTool: null });
+
+  deleteAttempt(attempt.id, storage);
+  expect(listAttempts(procedure, storage)).toEqual([]);
+});
+
+test('exam attempts cannot be deleted', () => {
+  const storage = memoryStorage();
+  const exam = createAttempt('Exam', procedure, 1000, { mode: 'exam' });
+  saveAttempt(exam, storage);
+  deleteAttempt(exam.id, storage);
+  expect(listAttempts(procedure, storage)).toHaveLength(1);
+});
+
+test('unreadable saved data is ignored rather than breaking the app', () => {
+  const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  expect(listAttempts(procedure, memoryStorage({ [STORAGE_KEY]: '{not json' }))).toEqual([]);
+  spy.mockRestore();
+});
+
+test('exam attempts are unguided and count down from the start of the attempt', () => {
+  const exam = createAttempt('Exam', procedure, 1000, { mode: 'exam', timeLimitMinutes: 10 });
+  const practice = createAttempt('Practice', procedure, 1000, { timeLimitMinutes: 10 });
+  expect(isGuided(exam)).toBe(false);
+  expect(isGuided(practice)).toBe(true);
+  expect(practice.timeLimitMinutes).toBeNull();
+
+  const events = [{ type: 'attempt_started', t: 5000 }];
+  expect(timeRemaining(exam, [], 6000)).toBeNull();
+  expect(timeRemaining(exam, events, 65000)).toBe(540000);
+  expect(timeRemaining(exam, events, 10 ** 7)).toBe(0);
+});
+
+test('an exam link presets the mode and time limit', () => {
+  expect(attemptOptionsFromUrl('?mode=exam&timeLimit=20')).toEqual({ mode: 'exam', timeLimitMinutes: 20 });
+  expect(attemptOptionsFromUrl('?mode=exam')).toEqual({ mode: 'exam', timeLimitMinutes: null });
+  expect(attemptOptionsFromUrl('?mode=cheat&timeLimit=20')).toEqual({ mode: 'practice', timeLimitMinutes: null });
+});
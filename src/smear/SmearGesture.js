@@ -0,0 +1,219 @@
+import React, { useRef, useEffect, useState, useCallback } from 'react';
+import { ANGLE_RANGE, SLIDE_LENGTH_MM, SMEAR_START_MM } from './technique';
+import { useI18n } from '../i18n/I18nProvider';
+
+const CANVAS_WIDTH = 400;
+const CANVAS_HEIGHT = 133; // 75 x 25 mm slide
+const PX_PER_MM = CANVAS_WIDTH / SLIDE_LENGTH_MM;
+const DROP_X = SMEAR_START_MM * PX_PER_MM;
+const GRAB_RADIUS = 30; // px around the drop where the spreader can be placed
+const PUSH_THRESHOLD = 8; // px of forward movement before the hold turns into a push
+const FULL_SPREAD_MS = 2000; // time for the drop to wick along the whole spreader edge
+const KEY_STEP = 8; // px the spreader moves per right-arrow press; at the usual key repeat rate that's a good push speed
+
+// Interactive wedge smear: the student sets the spreader angle, holds the
+// spreader against the drop while it spreads along the edge, then pushes it
+// along the slide. Reports { angle, speed, spread, pushLength } when released.
+// The slide is always pushed left to right, whatever the interface language's direction.
+// Only the finger, pen or mouse that took hold of the spreader moves it, so a
+// second touch on the screen doesn't cut the push short, and a cancelled pointer
+// (the browser taking over for a scroll or a system gesture) discards the stroke.
+// From the keyboard, holding Space on the slide holds the spreader on the drop and
+// the right arrow pushes it; letting go of Space lifts it.
+export default function SmearGesture({ onComplete }) {
+  const { t } = useI18n();
+  const canvasRef = useRef(null);
+  const gesture = useRef({ phase: 'ready', pointerId: null, spread: 0, spreadFrom: 0, holdStart: 0, pushStartX: 0, pushStartTime: 0, x: DROP_X });
+  const [angle, setAngle] = useState(45);
+  const [phase, setPhase] = useState('ready'); // 'ready' | 'spreading' | 'pushing' | 'done'
+  const [spread, setSpread] = useState(0);
+
+  const draw = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const { phase: currentPhase, spread: currentSpread, pushStartX, x } = gesture.current;
+    const bandHeight = CANVAS_HEIGHT * 0.8 * currentSpread;
+
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    ctx.fillStyle = '#f0f0f0';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    ctx.strokeStyle = '#ccc';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    // Film left behind the spreader while pushing
+    if (currentPhase === 'pushing') {
+      ctx.fillStyle = 'rgba(139, 0, 0, 0.45)';
+      ctx.fillRect(pushStartX, (CANVAS_HEIGHT - bandHeight) / 2, x - pushStartX, bandHeight);
+    }
+
+    // Remaining drop shrinks as it spreads along the spreader edge
+    if (currentPhase !== 'pushing') {
+      ctx.beginPath();
+      ctx.arc(DROP_X, CANVAS_HEIGHT / 2, 10 * (1 - currentSpread * 0.6), 0, Math.PI * 2);
+      ctx.fillStyle = 'rgba(139, 0, 0, 0.85)';
+      ctx.fill();
+    }
+
+    // Spreader edge, wetted along the spread length
+    if (currentPhase !== 'ready' || currentSpread > 0) {
+      const edgeX = currentPhase === 'pushing' ? x : DROP_X;
+      ctx.fillStyle = 'rgba(100, 116, 139, 0.6)';
+      ctx.fillRect(edgeX - 2, CANVAS_HEIGHT * 0.05, 4, CANVAS_HEIGHT * 0.9);
+      ctx.fillStyle = 'rgba(139, 0, 0, 0.8)';
+      ctx.fillRect(edgeX - 3, (CANVAS_HEIGHT - bandHeight) / 2, 3, bandHeight);
+    }
+  }, []);
+
+  useEffect(() => {
+    draw();
+  }, [draw]);
+
+  // While the spreader is held against the drop, the blood keeps spreading along its edge
+  useEffect(() => {
+    if (phase !== 'spreading') return undefined;
+    let frame;
+    const tick = () => {
+      const state = gesture.current;
+      state.spread = Math.min(1, state.spreadFrom + (performance.now() - state.holdStart) / FULL_SPREAD_MS);
+      setSpread(state.spread);
+      draw();
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [phase, draw]);
+
+  const toCanvasX = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return ((e.clientX - rect.left) / rect.width) * CANVAS_WIDTH;
+  };
+
+  const holdOnDrop = () => {
+    Object.assign(gesture.current, { phase: 'spreading', holdStart: performance.now(), spreadFrom: gesture.current.spread });
+    setPhase('spreading');
+  };
+
+  const moveSpreader = (toX) => {
+    const state = gesture.current;
+    const x = Math.min(toX, CANVAS_WIDTH - 4);
+    if (state.phase === 'spreading' && x > DROP_X + PUSH_THRESHOLD) {
+      Object.assign(state, { phase: 'pushing', pushStartX: DROP_X, pushStartTime: performance.now(), x });
+      setPhase('pushing');
+    } else if (state.phase === 'pushing') {
+      state.x = Math.max(state.x, x); // The spreader only moves forward
+      draw();
+    }
+  };
+
+  const handlePointerDown = (e) => {
+    if (gesture.current.phase !== 'ready') return;
+    if (Math.abs(toCanvasX(e) - DROP_X) > GRAB_RADIUS) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    gesture.current.pointerId = e.pointerId;
+    holdOnDrop();
+  };
+
+  const handlePointerMove = (e) => {
+    if (e.pointerId === gesture.current.pointerId) moveSpreader(toCanvasX(e));
+  };
+
+  const handlePointerUp = (e) => {
+    if (e.pointerId !== gesture.current.pointerId) return;
+    gesture.current.pointerId = null;
+    release();
+  };
+
+  // Nothing is graded: the spreader goes back to the drop, ready for another try
+  const handlePointerCancel = (e) => {
+    if (e.pointerId !== gesture.current.pointerId) return;
+    const state = gesture.current;
+    state.pointerId = null;
+    if (state.phase !== 'spreading' && state.phase !== 'pushing') return;
+    Object.assign(state, { phase: 'ready', x: DROP_X });
+    setPhase('ready');
+    draw();
+  };
+
+  const release = () => {
+    const state = gesture.current;
+    if (state.phase === 'spreading') {
+      // Lifted without pushing: the drop stays spread, ready for another try
+      state.phase = 'ready';
+      setPhase('ready');
+      draw();
+    } else if (state.phase === 'pushing') {
+      const pushLength = (state.x - state.pushStartX) / PX_PER_MM;
+      const seconds = Math.max((performance.now() - state.pushStartTime) / 1000, 0.05);
+      state.phase = 'done';
+      setPhase('done');
+      onComplete({ angle, speed: pushLength / seconds, spread: state.spread, pushLength });
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    const state = gesture.current;
+    if (e.key === ' ') {
+      e.preventDefault();
+      if (!e.repeat && state.phase === 'ready') holdOnDrop();
+    } else if (e.key === 'ArrowRight' && (state.phase === 'spreading' || state.phase === 'pushing')) {
+      e.preventDefault();
+      moveSpreader((state.phase === 'pushing' ? state.x : DROP_X + PUSH_THRESHOLD) + KEY_STEP);
+    }
+  };
+
+  const handleKeyUp = (e) => {
+    if (e.key === ' ') release();
+  };
+
+  return (
+    <div className="flex flex-col items-center w-full space-y-3">
+      <div className="flex items-center gap-4 w-full max-w-md">
+        <label htmlFor="spreader_angle" className="text-sm font-semibold text-gray-700 whitespace-nowrap">
+          {t('smear.angle', { angle })}
+        </label>
+        <input
+          id="spreader_angle"
+          type="range"
+          min={ANGLE_RANGE.min}
+          max={ANGLE_RANGE.max}
+          value={angle}
+          disabled={phase !== 'ready'}
+          onChange={(e) => setAngle(Number(e.target.value))}
+          dir="ltr"
+          className="flex-1"
+        />
+        {/* Side view of the spreader resting on the slide */}
+        <svg width="48" height="32" viewBox="0 0 48 32" aria-hidden="true">
+          <line x1="2" y1="30" x2="46" y2="30" stroke="#9ca3af" strokeWidth="3" />
+          <line
+            x1="24" y1="30"
+            x2={24 - 26 * Math.cos((angle * Math.PI) / 180)}
+            y2={30 - 26 * Math.sin((angle * Math.PI) / 180)}
+            stroke="#4f46e5" strokeWidth="3"
+          />
+        </svg>
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={CANVAS_WIDTH}
+        height={CANVAS_HEIGHT}
+        className="rounded-md border-2 border-indigo-300 w-full max-w-md touch-none cursor-grab focus:outline-none focus-visible:ring-4 focus-visible:ring-indigo-400"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        tabIndex={0}
+        role="application"
+        aria-label={t('smear.slideLabel')}
+        aria-describedby="smear_hint"
+        onKeyDown={handleKeyDown}
+        onKeyUp={handleKeyUp}
+        onBlur={release}
+      ></canvas>
+      <p id="smear_hint" className="text-sm text-gray-600 text-center" aria-live="polite">{t(`smear.hints.${phase}`)}</p>
+      <p className="text-xs text-gray-500">{t('smear.spread', { percent: Math.round(spread * 100) })}</p>
+    </div>
+  );
+}
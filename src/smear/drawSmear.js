@@ -0,0 +1,133 @@
+import { createRng, hashSeed, randomBetween } from '../utils/random';
+import { SLIDE_LENGTH_MM, SLIDE_WIDTH_MM, SMEAR_START_MM, filmWidthMm } from './technique';
+
+// Draws a smear result from ./technique onto a slide canvas (or just the blank slide if smear is null).
+// dryness (0-1, see ../clock/labTime) leaves a wet sheen on the part of the film still drying.
+export function drawSmear(canvas, smear, dryness = 1) {
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height); // Clear previous smear
+
+  const width = canvas.width;
+  const height = canvas.height;
+  const pxPerMm = width / SLIDE_LENGTH_MM;
+
+  // Draw the base slide
+  ctx.fillStyle = '#f0f0f0';
+  ctx.fillRect(0, 0, width, height);
+  ctx.strokeStyle = '#ccc';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(0, 0, width, height);
+
+  if (!smear) return;
+
+  // Same smear always draws the same texture
+  const rng = createRng(hashSeed(smear.technique, smear.thickness));
+  const startX = SMEAR_START_MM * pxPerMm;
+  const length = smear.smearLengthMm * pxPerMm;
+  const featherStart = startX + length - smear.featheredEdgeMm * pxPerMm;
+  const endX = startX + length;
+  const bandHeight = height * (filmWidthMm(smear) / SLIDE_WIDTH_MM);
+  const top = (height - bandHeight) / 2;
+  const bodyOpacity = Math.min(0.95, Math.max(0.2, 0.3 + 0.3 * smear.thickness));
+
+  // Film body fading out through the feathered edge
+  const gradient = ctx.createLinearGradient(startX, 0, endX, 0);
+  gradient.addColorStop(0, `rgba(139, 0, 0, ${bodyOpacity})`);
+  gradient.addColorStop(Math.max(0, (featherStart - startX) / Math.max(length, 1)), `rgba(139, 0, 0, ${bodyOpacity * 0.85})`);
+  gradient.addColorStop(1, 'rgba(139, 0, 0, 0.05)');
+  ctx.fillStyle = gradient;
+
+  // Body with a rounded "tongue" at the feathered edge
+  const tongue = Math.max(endX - featherStart, 2);
+  const filmPath = () => {
+    ctx.beginPath();
+    ctx.moveTo(startX, top);
+    ctx.lineTo(featherStart, top);
+    ctx.bezierCurveTo(featherStart + tongue, top, endX, top + bandHeight * 0.25, endX, height / 2);
+    ctx.bezierCurveTo(endX, top + bandHeight * 0.75, featherStart + tongue, top + bandHeight, featherStart, top + bandHeight);
+    ctx.lineTo(startX, top + bandHeight);
+    ctx.closePath();
+  };
+  filmPath();
+  ctx.fill();
+
+  // Speckle texture, denser where the film is thicker
+  const speckles = Math.round(40 * smear.thickness);
+  ctx.fillStyle = `rgba(110, 0, 0, ${Math.min(0.8, 0.3 * smear.thickness)})`;
+  for (let i = 0; i < speckles; i++) {
+    const x = randomBetween(rng, startX, featherStart);
+    const y = randomBetween(rng, top, top + bandHeight);
+    ctx.beginPath();
+    ctx.arc(x, y, randomBetween(rng, 0.5, 1.5), 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  if (dryness < 1) {
+    // The thin feathered edge dries first, so the wet, glossy part shrinks back towards the drop
+    const wetEnd = startX + length * (1 - dryness);
+    ctx.save();
+    filmPath();
+    ctx.clip();
+    const sheen = ctx.createLinearGradient(startX, 0, wetEnd, 0);
+    sheen.addColorStop(0, 'rgba(170, 0, 20, 0.45)');
+    sheen.addColorStop(1, 'rgba(170, 0, 20, 0.15)');
+    ctx.fillStyle = sheen;
+    ctx.fillRect(startX, top, wetEnd - startX, bandHeight);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)'; // Light caught on the wet surface
+    ctx.fillRect(startX, top + bandHeight * 0.2, wetEnd - startX, bandHeight * 0.12);
+    ctx.restore();
+  }
+
+  if (smear.quality === 'too_thick') {
+    // Thick ridge where the spreader started or stopped
+    ctx.fillStyle = 'rgba(90, 0, 0, 0.8)';
+    ctx.fillRect(startX - 2, top, 4, bandHeight);
+    ctx.font = '20px Arial';
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.fillText('Too Thick!', width / 2, height / 2);
+  } else if (smear.quality === 'too_thin') {
+    // Sparse, streaky film
+    ctx.strokeStyle = 'rgba(240, 240, 240, 0.9)';
+    ctx.lineWidth = 2;
+    for (let i = 0; i < 6; i++) {
+      const y = randomBetween(rng, top, top + bandHeight);
+      ctx.beginPath();
+      ctx.moveTo(startX, y);
+      ctx.lineTo(endX, y + randomBetween(rng, -3, 3));
+      ctx.stroke();
+    }
+    ctx.font = '20px Arial';
+    ctx.fillStyle = 'black';
+    ctx.textAlign = 'center';
+    ctx.fillText('Too Thin!', width / 2, height / 2);
+  } else if (smear.quality === 'clotted') {
+    // Lumps of clot dragged along by the spreader
+    ctx.fillStyle = 'rgba(80, 0, 0, 0.9)';
+    for (let i = 0; i < 8; i++) {
+      ctx.beginPath();
+      ctx.ellipse(randomBetween(rng, startX, featherStart), randomBetween(rng, top, top + bandHeight), randomBetween(rng, 2, 5), randomBetween(rng, 1.5, 3), 0, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.font = '20px Arial';
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.fillText('Clotted!', width / 2, height / 2);
+  } else if (smear.quality === 'wet') {
+    // Streaks where the wet film was smudged
+    ctx.strokeStyle = 'rgba(100, 0, 0, 0.6)';
+    ctx.lineWidth = 3;
+    for (let i = 0; i < 4; i++) {
+      const x = randomBetween(rng, startX, featherStart);
+      ctx.beginPath();
+      ctx.moveTo(x, top);
+      ctx.lineTo(x + randomBetween(rng, -8, 8), top + bandHeight);
+      ctx.stroke();
+    }
+    ctx.font = '20px Arial';
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.fillText('Not dry!', width / 2, height / 2);
+  }
+}
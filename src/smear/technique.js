@@ -0,0 +1,107 @@
+// Wedge smear technique model.
+// Turns what the student did with the spreader into the physical result:
+// a steeper angle, a faster push and letting the drop spread further along the
+// spreader edge all make a thicker, shorter film with a shorter feathered edge.
+
+export const ANGLE_RANGE = { min: 10, max: 70 };
+export const IDEAL_ANGLE = 35; // degrees; 30-45 is acceptable at the bench
+export const IDEAL_SPEED = 45; // mm/s along the slide
+export const IDEAL_SPREAD = 0.75; // fraction of the spreader edge wetted before pushing
+export const SLIDE_LENGTH_MM = 75;
+export const SLIDE_WIDTH_MM = 25;
+export const SMEAR_START_MM = 12; // where the drop sits, measured from the left end of the slide
+export const MIN_PUSH_MM = 25; // shorter pushes stop before a feathered edge can form
+
+// Thickness index limits; 1 is an ideal film
+const THICK_LIMIT = 1.5;
+const THIN_LIMIT = 0.65;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Relative contribution of each input to film thickness (1 = ideal)
+export function techniqueFactors({ angle, speed, spread }) {
+  return {
+    angle: Math.tan(toRadians(clamp(angle, ANGLE_RANGE.min, ANGLE_RANGE.max))) / Math.tan(toRadians(IDEAL_ANGLE)),
+    speed: Math.sqrt(Math.max(speed, 1) / IDEAL_SPEED),
+    spread: 0.35 + (0.65 * clamp(spread, 0, 1)) / IDEAL_SPREAD,
+  };
+}
+
+// What went wrong with the technique, by factor and direction; short_push is stopping before the feathered edge
+export const SMEAR_ISSUES = {
+  angle_thick: 'The spreader angle was too steep.',
+  angle_thin: 'The spreader angle was too shallow.',
+  speed_thick: 'The spreader was pushed too fast.',
+  speed_thin: 'The spreader was pushed too slowly.',
+  spread_thick: 'The drop spread too far along the spreader edge.',
+  spread_thin: 'The drop was not allowed to spread along the spreader edge.',
+  short_push: 'The spreader was not pushed far enough along the slide.',
+};
+
+// Width of the film across the slide: the further the drop spread along the spreader, the wider the film
+export function filmWidthMm(smear) {
+  return SLIDE_WIDTH_MM * (0.45 + 0.35 * clamp(smear.technique.spread, 0, 1));
+}
+
+// Smear qualities evaluateSmear can return; a faulty sample can also ruin the film (see FILM_DEFECTS in ../microscope/bloodFilm)
+export const SMEAR_QUALITIES = {
+  good: 'Good film',
+  too_thick: 'Too thick',
+  too_thin: 'Too thin',
+};
+
+// technique: { angle (degrees), speed (mm/s), spread (0-1), pushLength (mm) }
+// Returns { quality, thickness, smearLengthMm, featheredEdgeMm, issues, technique }
+export function evaluateSmear(technique) {
+  const factors = techniqueFactors(technique);
+  const thickness = factors.angle * factors.speed * factors.spread;
+  const issues = [];
+
+  let quality = 'good';
+  if (thickness > THICK_LIMIT) quality = 'too_thick';
+  else if (thickness < THIN_LIMIT) quality = 'too_thin';
+
+  if (quality !== 'good') {
+    const direction = quality === 'too_thick' ? 'thick' : 'thin';
+    Object.entries(factors).forEach(([factor, value]) => {
+      if ((direction === 'thick' && value > 1.15) || (direction === 'thin' && value < 0.87)) {
+        issues.push(SMEAR_ISSUES[`${factor}_${direction}`]);
+      }
+    });
+  }
+
+  let smearLengthMm = clamp(38 / thickness, 10, SLIDE_LENGTH_MM - 20);
+  let featheredEdgeMm = smearLengthMm * clamp(0.3 / thickness, 0.05, 0.6);
+
+  // Stopping short leaves a thick block of blood with no feathered edge
+  if (technique.pushLength < MIN_PUSH_MM) {
+    quality = 'too_thick';
+    smearLengthMm = Math.max(technique.pushLength, 5);
+    featheredEdgeMm = 0;
+    issues.push(SMEAR_ISSUES.short_push);
+  }
+
+  return {
+    quality,
+    thickness: round(thickness),
+    smearLengthMm: round(smearLengthMm, 1),
+    featheredEdgeMm: round(featheredEdgeMm, 1),
+    issues,
+    technique: {
+      angle: round(technique.angle, 0),
+      speed: round(technique.speed, 1),
+      spread: round(technique.spread),
+      pushLength: round(technique.pushLength, 1),
+    },
+  };
+}
+
+// Lab time (ms, see ../clock/labTime) an ideal film takes to air dry completely
+export const DRYING_MS = 60000;
+
+// Thicker films hold more plasma and take longer to dry
+export function dryingTimeMs(smear) {
+  return Math.round(DRYING_MS * clamp(smear.thickness, 0.4, 3));
+}
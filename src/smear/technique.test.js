@@ -0,0 +1,34 @@
+import { evaluateSmear } from './technique';
+
+const ideal = { angle: 35, speed: 45, spread: 0.75, pushLength: 45 };
+
+test('ideal technique makes a good smear with a feathered edge', () => {
+  const result = evaluateSmear(ideal);
+  expect(result.quality).toBe('good');
+  expect(result.thickness).toBeCloseTo(1);
+  expect(result.featheredEdgeMm).toBeGreaterThan(5);
+  expect(result.issues).toEqual([]);
+});
+
+test('a steep angle and a fast push make the film too thick', () => {
+  const result = evaluateSmear({ ...ideal, angle: 60, speed: 120 });
+  expect(result.quality).toBe('too_thick');
+  expect(result.issues).toEqual(['The spreader angle was too steep.', 'The spreader was pushed too fast.']);
+  expect(result.smearLengthMm).toBeLessThan(evaluateSmear(ideal).smearLengthMm);
+});
+
+test('a shallow angle without letting the drop spread makes the film too thin', () => {
+  const result = evaluateSmear({ ...ideal, angle: 15, spread: 0.1 });
+  expect(result.quality).toBe('too_thin');
+  expect(result.issues).toEqual([
+    'The spreader angle was too shallow.',
+    'The drop was not allowed to spread along the spreader edge.',
+  ]);
+});
+
+test('stopping the push short leaves no feathered edge', () => {
+  const result = evaluateSmear({ ...ideal, pushLength: 12 });
+  expect(result.quality).toBe('too_thick');
+  expect(result.featheredEdgeMm).toBe(0);
+  expect(result.issues).toContain('The spreader was not pushed far enough along the slide.');
+});
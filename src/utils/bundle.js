@@ -0,0 +1,3 @@
+// A require.context's files keyed by file name. require.context only exists in the
+// bundle, so each registry keeps its call in a bundled.js that tests jest.mock.
+export const byFileName = context => Object.fromEntries(context.keys().map(key => [key.replace(/^\.\//, ''), context(key)]));
@@ -0,0 +1,15 @@
+// CSV (RFC 4180) from a list of rows. columns: [{ key, label }]; a cell is quoted
+// when it holds a comma, quote or line break, with quotes doubled. Text that a
+// spreadsheet would run as a formula (starting =, +, - or @) is prefixed with '.
+const escapeCell = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv(columns, rows) {
+  return [
+    columns.map(column => escapeCell(column.label)).join(','),
+    ...rows.map(row => columns.map(column => escapeCell(row[column.key])).join(',')),
+  ].join('\r\n');
+}
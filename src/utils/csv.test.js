@@ -0,0 +1,14 @@
+import { toCsv } from './csv';
+
+test('cells holding commas, quotes or line breaks are quoted', () => {
+  const columns = [{ key: 'name', label: 'Name' }, { key: 'note', label: 'Note, if any' }];
+  expect(toCsv(columns, [{ name: 'Ada', note: 'said "hi"' }, { name: 'Bo', note: null }, { name: 'Cy', note: 'two\nlines' }])).toBe(
+    'Name,"Note, if any"\r\nAda,"said ""hi"""\r\nBo,\r\nCy,"two\nlines"'
+  );
+});
+
+test('text a spreadsheet would run as a formula is prefixed, numbers are left alone', () => {
+  const columns = [{ key: 'name', label: 'Name' }, { key: 'score', label: 'Score' }];
+  const rows = [{ name: '=HYPERLINK("http://example.com")', score: -7 }, { name: '@SUM(A1)', score: 3 }, { name: '+1', score: 0 }, { name: '-x', score: 1 }];
+  expect(toCsv(columns, rows)).toBe(`Name,Score\r\n"'=HYPERLINK(""http://example.com"")",-7\r\n'@SUM(A1),3\r\n'+1,0\r\n'-x,1`);
+});
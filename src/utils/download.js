@@ -0,0 +1,16 @@
+// Saves text as a file through a temporary download link
+export function downloadText(text, fileName, type = 'text/plain') {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadJson(data, fileName) {
+  downloadText(JSON.stringify(data, null, 2), fileName, 'application/json');
+}
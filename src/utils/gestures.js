@@ -0,0 +1,29 @@
+// Geometry for the pointer-event gestures (mouse, touch and pen alike): telling
+// a press from a drag, finding what a drag was released over, and reading pinches.
+// Points are { x, y } in client pixels.
+
+export const DRAG_THRESHOLD_PX = 6; // movement before a press becomes a drag, so taps still count as clicks
+export const PINCH_IN_RATIO = 1.4; // fingers this much further apart than at the start zoom in one step
+export const PINCH_OUT_RATIO = 0.7; // and this much closer together zoom out one step
+
+export const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+export const movedBeyond = (start, point, threshold = DRAG_THRESHOLD_PX) => distance(start, point) > threshold;
+
+// Id of the first of [{ id, rect }] whose client rect contains the point, or null
+export function hitTarget(point, targets) {
+  const hit = targets.find(({ rect }) => point.x >= rect.left && point.x <= rect.right && point.y >= rect.top && point.y <= rect.bottom);
+  return hit ? hit.id : null;
+}
+
+// 1 to zoom in, -1 to zoom out or 0, from the distance between two fingers now and when the pinch began
+export function pinchStep(startDistance, currentDistance) {
+  if (startDistance <= 0) return 0;
+  const ratio = currentDistance / startDistance;
+  if (ratio >= PINCH_IN_RATIO) return 1;
+  if (ratio <= PINCH_OUT_RATIO) return -1;
+  return 0;
+}
+
+// The whole multiples of quantum in value (towards zero), so a drag can be applied in steps
+export const quantize = (value, quantum) => Math.trunc(value / quantum) * quantum;
@@ -0,0 +1,28 @@
+import { movedBeyond, hitTarget, pinchStep, quantize } from './gestures';
+
+test('a press only becomes a drag once it has moved past the threshold', () => {
+  expect(movedBeyond({ x: 10, y: 10 }, { x: 13, y: 14 })).toBe(false);
+  expect(movedBeyond({ x: 10, y: 10 }, { x: 20, y: 10 })).toBe(true);
+});
+
+test('a drag is released over the target whose rect contains the point', () => {
+  const targets = [
+    { id: 'finger', rect: { left: 0, top: 0, right: 100, bottom: 50 } },
+    { id: 'blood_drop', rect: { left: 0, top: 60, right: 100, bottom: 110 } },
+  ];
+  expect(hitTarget({ x: 50, y: 80 }, targets)).toBe('blood_drop');
+  expect(hitTarget({ x: 50, y: 55 }, targets)).toBeNull();
+});
+
+test('pinching apart zooms in and together zooms out, with a dead zone between', () => {
+  expect(pinchStep(100, 150)).toBe(1);
+  expect(pinchStep(100, 60)).toBe(-1);
+  expect(pinchStep(100, 110)).toBe(0);
+  expect(pinchStep(0, 50)).toBe(0);
+});
+
+test('quantize keeps whole steps towards zero', () => {
+  expect(quantize(0.37, 0.1)).toBeCloseTo(0.3);
+  expect(quantize(-0.37, 0.1)).toBeCloseTo(-0.3);
+  expect(quantize(0.05, 0.1)).toBe(0);
+});
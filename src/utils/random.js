@@ -0,0 +1,30 @@
+// Seeded pseudo-random numbers, so canvases and generated fields can be
+// redrawn identically from the same inputs.
+
+// Returns a generator of floats in [0, 1) (mulberry32)
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Derives a 32-bit seed from any JSON-serializable values (FNV-1a)
+export function hashSeed(...values) {
+  const text = JSON.stringify(values);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Float in [min, max)
+export function randomBetween(rng, min, max) {
+  return min + rng() * (max - min);
+}
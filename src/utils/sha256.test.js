@@ -0,0 +1,9 @@
+import { sha256 } from './sha256';
+
+test('matches the standard SHA-256 test vectors', () => {
+  expect(sha256('')).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  expect(sha256('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  expect(sha256('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq')).toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+  expect(sha256('The quick brown fox jumps over the lazy dog')).toBe('d7a8fbb307d7809469ca9abcb0082e4f8d5651e46d3cdb762d02d0bf37c9e592');
+  expect(sha256('µm ✓')).toBe('ab16a06754066ae7caff4f43d8e3644ed24a6d758a58ef5679d38bb2cb3fb5b6'); // multi-byte UTF-8
+});
@@ -0,0 +1,85 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+import Dialog from '../accessibility/Dialog';
+
+// A checkpoint question asked over the paused video (see ./watch). The answer is
+// reported as soon as it is submitted; with feedback on, the result and
+// explanation are shown until the student continues, otherwise playback resumes at once.
+export default function CheckpointQuestion({ checkpoint, showFeedback, onAnswer, onContinue }) {
+  const { t } = useI18n();
+  const [response, setResponse] = useState(null);
+  const [submitted, setSubmitted] = useState(null); // { correct } once answered
+  const resultRef = useRef(null);
+
+  useEffect(() => {
+    if (submitted) resultRef.current.focus();
+  }, [submitted]);
+
+  const handleSubmit = () => {
+    if (response === null) return;
+    const correct = response === checkpoint.answer;
+    onAnswer(checkpoint, response, correct);
+    if (showFeedback) setSubmitted({ correct });
+    else onContinue();
+  };
+
+  const optionClass = (index) => {
+    if (submitted) {
+      if (index === checkpoint.answer) return 'bg-green-500 border-green-700 text-white';
+      if (index === response) return 'bg-red-500 border-red-700 text-white';
+      return 'bg-white text-gray-500 border-gray-200';
+    }
+    return index === response
+      ? 'bg-indigo-400 text-white border-indigo-600 shadow-md'
+      : 'bg-white text-gray-800 border-gray-300 hover:bg-indigo-50 hover:border-indigo-300';
+  };
+
+  return (
+    <div className="absolute inset-0 z-10 flex items-center justify-center bg-black bg-opacity-70 p-4 overflow-y-auto">
+      <Dialog labelledBy="checkpoint-title" className="bg-white p-6 rounded-xl shadow-2xl max-w-xl w-full text-start border-4 border-indigo-500 animate-scale-in">
+        <h3 id="checkpoint-title" className="text-sm font-bold uppercase tracking-wide text-indigo-700 mb-2">
+          {t('video.checkpoint')}
+        </h3>
+        <p tabIndex={-1} data-autofocus className="text-lg text-gray-800 mb-4 leading-relaxed focus:outline-none">
+          {checkpoint.prompt}
+        </p>
+        <div className="flex flex-col space-y-2 mb-4">
+          {checkpoint.options.map((option, index) => (
+            <button
+              key={option}
+              onClick={() => setResponse(index)}
+              className={`w-full p-3 rounded-lg border-2 text-start font-semibold transition-all duration-200 ${optionClass(index)}`}
+              disabled={submitted !== null}
+              aria-pressed={index === response}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+        {!submitted && (
+          <button
+            onClick={handleSubmit}
+            disabled={response === null}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-full shadow-lg focus:outline-none focus:ring-4 focus:ring-indigo-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t('quiz.submit')}
+          </button>
+        )}
+        {submitted && (
+          <>
+            <div ref={resultRef} tabIndex={-1} className={`p-3 rounded-lg text-white font-bold focus:outline-none ${submitted.correct ? 'bg-green-500' : 'bg-red-500'}`}>
+              {submitted.correct ? t('quiz.correct') : t('quiz.incorrect', { answer: checkpoint.options[checkpoint.answer] })}
+            </div>
+            {checkpoint.explanation && <p className="mt-3 text-gray-700 leading-relaxed">{checkpoint.explanation}</p>}
+            <button
+              onClick={onContinue}
+              className="mt-4 bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-full shadow-lg focus:outline-none focus:ring-4 focus:ring-indigo-300"
+            >
+              {t('video.resume')}
+            </button>
+          </>
+        )}
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { videoSource } from './video';
+import { trackPlayback, watchedPercent, dueCheckpoint, currentChapter, formatTime, nextAction } from './watch';
+import CheckpointQuestion from './CheckpointQuestion';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Demonstration video screen. Plays the step's bundled file, falling back to the
+// YouTube embed if the file can't be played and the browser is online (see ./video).
+// The bundled file is tracked (see ./watch): "Next" waits for video.minWatchedPercent
+// of it to have been played and every checkpoint question to have been answered, and
+// playback pauses at each checkpoint until it is. The embed can't be tracked, and
+// there may be no video at all (offline, without the file), so then "Next" asks the
+// checkpoints left one after another instead and the step is still scored.
+// answeredIds: checkpoints already answered in this attempt.
+export default function VideoPlayer({ video, steps, answeredIds, showFeedback, onCheckpointAnswer, onVideoComplete }) {
+  const { t } = useI18n();
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [fileFailed, setFileFailed] = useState(false);
+  const [ranges, setRanges] = useState([]);
+  const [duration, setDuration] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [ended, setEnded] = useState(false);
+  const [checkpoint, setCheckpoint] = useState(null); // the question the video is paused for
+  const [asking, setAsking] = useState(false); // asking the checkpoints without the video
+  const videoRef = useRef(null);
+  const lastTime = useRef(0);
+  const seeks = useRef(0);
+  const source = videoSource(video, { online, fileFailed });
+  const tracked = source?.kind === 'file';
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // Pauses for the first unanswered checkpoint that playback (or a seek) has reached;
+  // at the end of the video, or when asking them without it, any left over are asked too
+  useEffect(() => {
+    if (!(tracked || asking) || checkpoint) return;
+    const due = dueCheckpoint(video.checkpoints, ended || asking ? Infinity : currentTime, answeredIds);
+    if (!due) return;
+    videoRef.current?.pause();
+    setCheckpoint(due);
+  }, [tracked, asking, checkpoint, video.checkpoints, currentTime, ended, answeredIds]);
+
+  const handleTimeUpdate = (e) => {
+    const now = e.currentTarget.currentTime;
+    setRanges(prev => trackPlayback(prev, lastTime.current, now));
+    lastTime.current = now;
+    setCurrentTime(now);
+  };
+
+  const handleSeeked = (e) => {
+    seeks.current += 1;
+    lastTime.current = e.currentTarget.currentTime;
+    setCurrentTime(e.currentTarget.currentTime);
+    setEnded(false);
+  };
+
+  const resume = () => {
+    setCheckpoint(null);
+    if (tracked && !ended) videoRef.current?.play().catch(() => {}); // The student can press play if the browser refuses
+  };
+
+  const seekTo = (time) => {
+    if (videoRef.current) videoRef.current.currentTime = time;
+  };
+
+  const percent = watchedPercent(ranges, duration);
+  const minPercent = video.minWatchedPercent ?? 0;
+  const checkpointsLeft = (video.checkpoints || []).filter(entry => !answeredIds.has(entry.id)).length;
+  const action = nextAction({ tracked, percent, minPercent, checkpointsLeft });
+  const chapter = currentChapter(video.chapters, currentTime);
+  const stepNumber = stepId => steps.findIndex(step => step.id === stepId);
+
+  const handleNext = () => {
+    if (action === 'ask') {
+      setAsking(true);
+      return;
+    }
+    onVideoComplete({
+      source: source?.kind ?? 'none',
+      watchedPercent: tracked ? percent : null,
+      duration: tracked ? Math.round(duration) : null,
+      seeks: seeks.current,
+    });
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-gradient-to-br from-blue-100 to-indigo-200 p-6 font-inter">
+      <div className="bg-white p-8 rounded-xl shadow-2xl max-w-4xl w-full text-center border-4 border-indigo-500 animate-fade-in">
+        <h2 className="text-3xl md:text-4xl font-extrabold text-indigo-700 mb-6">
+          {t('video.title')}
+        </h2>
+        <p className="text-lg text-gray-700 mb-6">
+          {t('video.intro')}
+        </p>
+        <div className="relative w-full h-0 pb-[56.25%] mb-4 rounded-lg overflow-hidden shadow-lg bg-black">
+          {source?.kind === 'file' && (
+            <video
+              ref={videoRef}
+              className="absolute top-0 left-0 w-full h-full"
+              src={source.url}
+              controls={!checkpoint}
+              preload="metadata"
+              onError={() => setFileFailed(true)}
+              onLoadedMetadata={e => setDuration(e.currentTarget.duration)}
+              onTimeUpdate={handleTimeUpdate}
+              onSeeked={handleSeeked}
+              onPlay={() => setEnded(false)}
+              onEnded={() => setEnded(true)}
+            >
+              {t('video.unsupported')}
+            </video>
+          )}
+          {source?.kind === 'youtube' && (
+            <iframe
+              className="absolute top-0 left-0 w-full h-full"
+              src={source.url}
+              title={t('video.player')}
+              frameBorder="0"
+              allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share"
+              referrerPolicy="strict-origin-when-cross-origin"
+              allowFullScreen
+            ></iframe>
+          )}
+          {!source && (
+            <p className="absolute inset-0 flex items-center justify-center p-6 text-white text-lg">
+              {t('video.unavailable')}
+            </p>
+          )}
+          {checkpoint && (
+            <CheckpointQuestion
+              key={checkpoint.id}
+              checkpoint={checkpoint}
+              showFeedback={showFeedback}
+              onAnswer={onCheckpointAnswer}
+              onContinue={resume}
+            />
+          )}
+        </div>
+
+        {tracked && video.chapters?.length > 0 && (
+          <nav aria-label={t('video.chapters')} className="mb-4 text-start">
+            <h3 className="text-sm font-bold text-gray-600 mb-2">{t('video.chapters')}</h3>
+            <ol className="flex flex-wrap gap-2">
+              {video.chapters.map(entry => (
+                <li key={entry.id}>
+                  <button
+                    onClick={() => seekTo(entry.time)}
+                    disabled={checkpoint !== null}
+                    aria-current={chapter?.id === entry.id ? 'step' : undefined}
+                    className={`px-3 py-1 rounded-full border text-sm transition-colors disabled:opacity-50
+                      ${chapter?.id === entry.id ? 'bg-indigo-600 border-indigo-700 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-indigo-50'}`}
+                  >
+                    <span className="font-mono me-1">{formatTime(entry.time)}</span>
+                    {entry.title}
+                    {entry.step && stepNumber(entry.step) > 0 && (
+                      <span className="ms-1 opacity-75">({t('video.chapterStep', { number: stepNumber(entry.step) })})</span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </nav>
+        )}
+
+        {tracked && (minPercent > 0 || checkpointsLeft > 0) && (
+          <div className="mb-6">
+            <div
+              role="progressbar"
+              aria-label={t('video.watched')}
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={percent}
+              className="w-full h-2 rounded-full bg-gray-200 overflow-hidden"
+            >
+              <div className="h-full bg-indigo-500 transition-all" style={{ width: `${percent}%` }} />
+            </div>
+            <p className="mt-1 text-sm text-gray-600">
+              {t('video.watchedOf', { percent, required: minPercent })}
+              {checkpointsLeft > 0 && ` ${t('video.checkpointsLeft', { count: checkpointsLeft })}`}
+            </p>
+          </div>
+        )}
+
+        {!tracked && checkpointsLeft > 0 && (
+          <p className="mb-6 text-sm text-gray-600">
+            {t('video.checkpointsLeft', { count: checkpointsLeft })}
+          </p>
+        )}
+
+        <button
+          onClick={handleNext}
+          disabled={action === 'wait' || checkpoint !== null}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-transform transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-indigo-300 text-lg md:text-xl disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+        >
+          {t('video.next')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+// Demonstration videos. A watch_video step names a file bundled with the app
+// (video.src, a path under public/, e.g. "videos/blood-smear.mp4") and/or a
+// YouTube video (video.youtubeId). The file is played where it can be, so the
+// step works offline; the YouTube embed is the fallback when there's a connection.
+
+export const youtubeEmbedUrl = (youtubeId) => `https://www.youtube.com/embed/${youtubeId}?rel=0`;
+
+// Where a bundled file is served from; absolute URLs are left alone
+export function videoUrl(src, publicUrl = process.env.PUBLIC_URL) {
+  if (/^(https?:|blob:|data:)/.test(src)) return src;
+  return `${publicUrl}/${src.replace(/^\//, '')}`;
+}
+
+// URLs of the bundled files a procedure's video steps play, for caching ahead of going offline
+export function procedureVideos(procedure) {
+  return procedure.steps
+    .filter(step => step.action === 'watch_video' && step.video?.src)
+    .map(step => videoUrl(step.video.src));
+}
+
+// What to play for a video step: { kind: 'file' | 'youtube', url }, or null when nothing can be
+export function videoSource(video, { online, fileFailed }) {
+  if (video?.src && !fileFailed) return { kind: 'file', url: videoUrl(video.src) };
+  if (video?.youtubeId && online) return { kind: 'youtube', url: youtubeEmbedUrl(video.youtubeId) };
+  return null;
+}
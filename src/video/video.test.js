@@ -0,0 +1,26 @@
+import { videoUrl, procedureVideos, videoSource } from './video';
+
+test('bundled files are served from the public URL, absolute URLs as they are', () => {
+  expect(videoUrl('videos/demo.mp4', '/lab')).toBe('/lab/videos/demo.mp4');
+  expect(videoUrl('/videos/demo.mp4', '')).toBe('/videos/demo.mp4');
+  expect(videoUrl('https://cdn.example.org/demo.mp4', '/lab')).toBe('https://cdn.example.org/demo.mp4');
+});
+
+test('only video steps with a bundled file are listed for caching', () => {
+  const procedure = {
+    steps: [
+      { action: 'watch_video', video: { src: 'videos/a.mp4', youtubeId: 'abc' } },
+      { action: 'watch_video', video: { youtubeId: 'def' } },
+      { action: 'next_step_button' },
+    ],
+  };
+  expect(procedureVideos(procedure)).toEqual(['/videos/a.mp4']);
+});
+
+test('the bundled file plays first, then YouTube when online, then nothing', () => {
+  const video = { src: 'videos/a.mp4', youtubeId: 'abc' };
+  expect(videoSource(video, { online: false, fileFailed: false })).toEqual({ kind: 'file', url: '/videos/a.mp4' });
+  expect(videoSource(video, { online: true, fileFailed: true })).toEqual({ kind: 'youtube', url: 'https://www.youtube.com/embed/abc?rel=0' });
+  expect(videoSource(video, { online: false, fileFailed: true })).toBeNull();
+  expect(videoSource({ youtubeId: 'abc' }, { online: false, fileFailed: false })).toBeNull();
+});
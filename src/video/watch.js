@@ -0,0 +1,56 @@
+// Watch tracking for the native video player: which parts of a video have been
+// played, which chapter is showing, and which checkpoint question is due.
+// Times are in seconds from the start of the video.
+
+export const MAX_PLAYED_STEP_S = 1.5; // a jump of more than this between time updates is a seek, not playback
+
+// Sorted, non-overlapping [from, to] ranges with [from, to] added
+export function addWatchedRange(ranges, from, to) {
+  if (!(to > from)) return ranges;
+  const merged = [];
+  let added = [from, to];
+  ranges.forEach(([start, end]) => {
+    if (end < added[0] || start > added[1]) merged.push([start, end]);
+    else added = [Math.min(start, added[0]), Math.max(end, added[1])];
+  });
+  return [...merged, added].sort((a, b) => a[0] - b[0]);
+}
+
+// The ranges after playback moved from previousTime to currentTime; seeks add nothing
+export function trackPlayback(ranges, previousTime, currentTime) {
+  const step = currentTime - previousTime;
+  return step > 0 && step <= MAX_PLAYED_STEP_S ? addWatchedRange(ranges, previousTime, currentTime) : ranges;
+}
+
+// Percentage (0–100, whole) of a duration the ranges cover
+export function watchedPercent(ranges, duration) {
+  if (!(duration > 0)) return 0;
+  const watched = ranges.reduce((total, [start, end]) => total + Math.min(end, duration) - Math.min(start, duration), 0);
+  return Math.min(100, Math.floor((watched / duration) * 100));
+}
+
+// The first checkpoint not yet answered whose time has been reached, so seeking past one still stops there
+export function dueCheckpoint(checkpoints = [], currentTime, answeredIds) {
+  return [...checkpoints]
+    .sort((a, b) => a.time - b.time)
+    .find(checkpoint => checkpoint.time <= currentTime && !answeredIds.has(checkpoint.id)) || null;
+}
+
+// The chapter playing at a time: the last one starting at or before it
+export function currentChapter(chapters = [], currentTime) {
+  return chapters.reduce((found, chapter) => (chapter.time <= currentTime && (!found || chapter.time >= found.time) ? chapter : found), null);
+}
+
+// m:ss
+export function formatTime(seconds) {
+  const whole = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// What "Next" does: 'wait' while a tracked video still has to be watched, 'ask'
+// for checkpoints left on a video that can't be tracked (the YouTube embed, or no
+// video at all) so they're answered without it, and 'complete' once nothing's left
+export function nextAction({ tracked, percent, minPercent, checkpointsLeft }) {
+  if (tracked) return percent >= minPercent && checkpointsLeft === 0 ? 'complete' : 'wait';
+  return checkpointsLeft > 0 ? 'ask' : 'complete';
+}
@@ -0,0 +1,48 @@
+import { addWatchedRange, trackPlayback, watchedPercent, dueCheckpoint, currentChapter, formatTime, nextAction } from './watch';
+
+test('watched ranges merge where they overlap or touch', () => {
+  let ranges = addWatchedRange([], 0, 10);
+  ranges = addWatchedRange(ranges, 20, 30);
+  expect(ranges).toEqual([[0, 10], [20, 30]]);
+  expect(addWatchedRange(ranges, 8, 20)).toEqual([[0, 30]]);
+  expect(addWatchedRange(ranges, 12, 12)).toBe(ranges);
+});
+
+test('only small forward steps count as watching; seeks do not', () => {
+  let ranges = trackPlayback([], 0, 0.25);
+  ranges = trackPlayback(ranges, 0.25, 0.5);
+  expect(ranges).toEqual([[0, 0.5]]);
+  expect(trackPlayback(ranges, 0.5, 45)).toBe(ranges);
+  expect(trackPlayback(ranges, 45, 3)).toBe(ranges);
+});
+
+test('the watched percentage is of the whole duration, rounded down', () => {
+  expect(watchedPercent([[0, 30], [60, 89.9]], 100)).toBe(59);
+  expect(watchedPercent([[0, 120]], 100)).toBe(100);
+  expect(watchedPercent([[0, 10]], NaN)).toBe(0);
+});
+
+test('the earliest unanswered checkpoint that has been reached is due, even after seeking past it', () => {
+  const checkpoints = [{ id: 'late', time: 90 }, { id: 'early', time: 30 }];
+  expect(dueCheckpoint(checkpoints, 20, new Set())).toBeNull();
+  expect(dueCheckpoint(checkpoints, 120, new Set()).id).toBe('early');
+  expect(dueCheckpoint(checkpoints, 120, new Set(['early'])).id).toBe('late');
+  expect(dueCheckpoint(undefined, 120, new Set())).toBeNull();
+});
+
+test('the current chapter is the last one to have started', () => {
+  const chapters = [{ id: 'a', time: 0 }, { id: 'b', time: 40 }, { id: 'c', time: 80 }];
+  expect(currentChapter(chapters, 39).id).toBe('a');
+  expect(currentChapter(chapters, 40).id).toBe('b');
+  expect(currentChapter([{ id: 'b', time: 40 }], 10)).toBeNull();
+  expect(formatTime(83.7)).toBe('1:23');
+});
+
+test('an untracked or missing video asks its checkpoints on Next instead of blocking the step', () => {
+  const gate = { minPercent: 80, checkpointsLeft: 2 };
+  expect(nextAction({ ...gate, tracked: true, percent: 50 })).toBe('wait');
+  expect(nextAction({ ...gate, tracked: true, percent: 90 })).toBe('wait');
+  expect(nextAction({ ...gate, tracked: true, percent: 90, checkpointsLeft: 0 })).toBe('complete');
+  expect(nextAction({ ...gate, tracked: false, percent: 0 })).toBe('ask');
+  expect(nextAction({ ...gate, tracked: false, percent: 0, checkpointsLeft: 0 })).toBe('complete');
+});
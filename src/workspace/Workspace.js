@@ -0,0 +1,276 @@
+import React, { useRef, useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { drawSmear } from '../smear/drawSmear';
+import { movedBeyond, hitTarget } from '../utils/gestures';
+import { useI18n } from '../i18n/I18nProvider';
+import { translateSmearQuality } from '../i18n/content';
+import { itemKind, isWaste, disposalTargetFor } from '../procedures/items';
+
+const KEYBOARD_HELP_ID = 'workspace-keyboard-help';
+
+// Lab bench: the tools column and the targets of the procedure, drawn for the
+// current step, lab state and held tool. Used by the live simulation and, with
+// readOnly set, by the replay viewer; step-specific controls are passed as children.
+// With guidance off (exam attempts) nothing is highlighted, the smear's quality
+// isn't shown and every tool can be picked up or dragged at any step, so doing
+// things out of order is possible.
+// The grid follows the interface language's direction, so in a right-to-left
+// language the tools column sits on the right.
+// Tools are dragged with pointer events, so mouse, touch and pen all work: a
+// press that moves far enough takes the tool (onSelectTool, which returns whether
+// that was allowed), a preview of it follows the pointer, and releasing it over a
+// target uses it there (onUseOnTarget). Dragging has a click and keyboard
+// equivalent: choosing a tool when the step calls for one to be used puts it in
+// hand, the targets are then buttons that use it, and Escape puts it back down (onReleaseTool).
+// Items (see ../procedures/items) show their states; waste can be taken to its
+// disposal target at any step, and disposed items are gone from the bench.
+
+function ToolButton({ tool, step, activeTool, readOnly, guidance, states, waste, onClick, onSelect, consumeDragClick, dragHandlers }) {
+  const { t } = useI18n();
+  const { id, label, icon } = tool;
+  const isPickUpTarget = step?.action === 'pick_up_tool' && step?.tool === id;
+  const isToolForDragTarget = step?.action === 'use_tool_on_target' && step?.tool === id;
+
+  // Any tool can be picked up or dragged while the step calls for one, so choosing
+  // the wrong tool is possible (and penalised by the rubric)
+  const isClickable = (step?.action === 'pick_up_tool' || !guidance) && !readOnly;
+  const canBeDraggedFromPanel = (step?.action === 'use_tool_on_target' || !guidance || waste) && !readOnly;
+
+  // Visual active state: if it's the currently held tool
+  const isActive = activeTool === id;
+
+  // Visual highlighting: if it's the tool to be picked up OR the tool to be dragged from panel
+  const isHighlighted = guidance && (isPickUpTarget || isToolForDragTarget);
+
+  return (
+    <button
+      id={id}
+      className={`flex flex-col items-center justify-center p-3 md:p-4 rounded-xl shadow-md transition-all duration-200 ease-in-out
+        ${isActive ? 'bg-indigo-400 text-white transform scale-105' : 'bg-white text-gray-800 hover:bg-gray-100'}
+        ${isHighlighted && !isActive ? 'border-2 border-dashed border-purple-500 animate-pulse' : 'border-2 border-transparent'}
+        ${isActive ? 'ring-4 ring-blue-500 ring-opacity-75' : ''}
+        ${(isClickable || canBeDraggedFromPanel) ? 'cursor-pointer' : 'opacity-70 cursor-not-allowed'}
+        ${canBeDraggedFromPanel ? 'touch-none select-none' : ''}
+      `}
+      onClick={() => {
+        if (consumeDragClick()) return; // The click that ends a drag isn't a click on the tool
+        if (isClickable && step?.action === 'pick_up_tool') onClick(id);
+        else if (canBeDraggedFromPanel) onSelect(id);
+      }}
+      aria-pressed={isActive}
+      aria-disabled={!isClickable && !canBeDraggedFromPanel}
+      aria-describedby={readOnly ? undefined : KEYBOARD_HELP_ID}
+      {...(canBeDraggedFromPanel ? dragHandlers(id) : {})}
+    >
+      <span className="text-2xl md:text-4xl mb-1" aria-hidden="true">{icon}</span>
+      <span className="text-xs md:text-sm font-semibold text-center">{label}</span>
+      {states.length > 0 && (
+        <span className="flex flex-wrap justify-center gap-1 mt-1">
+          {states.map(state => (
+            <span key={state} className={`px-2 rounded-full text-xs font-semibold ${waste ? 'bg-orange-100 text-orange-800' : 'bg-sky-100 text-sky-800'}`}>{t(`items.states.${state}`)}</span>
+          ))}
+        </span>
+      )}
+    </button>
+  );
+}
+
+function TargetArea({ target, step, activeTool, readOnly, guidance, binForHeld, accessibleName, isDragOver, onUse, children }) {
+  const { id, label, icon } = target;
+  const isTarget = step?.target === id || (Array.isArray(step?.target) && step?.target.includes(id));
+  const isCurrentlyActiveTarget = guidance && ((isTarget && activeTool === step?.tool) || binForHeld); // Highlight only if the correct tool is active, or the bin for the waste in hand
+  const acceptsDrop = Boolean(activeTool) && (step?.action === 'use_tool_on_target' || !guidance || target.disposal) && !readOnly; // Wrong targets are accepted and marked down
+
+  const handleKeyDown = (e) => {
+    if (!acceptsDrop || (e.key !== 'Enter' && e.key !== ' ')) return;
+    e.preventDefault();
+    onUse(id);
+  };
+
+  return (
+    <div
+      id={id}
+      className={`relative flex flex-col items-center justify-center p-4 md:p-6 rounded-xl border-2 transition-all duration-200 ease-in-out w-full max-w-sm focus:outline-none focus-visible:ring-4 focus-visible:ring-blue-500
+        ${isCurrentlyActiveTarget ? 'border-purple-600 bg-purple-50 animate-pulse' : 'border-gray-300 bg-gray-50'}
+        ${acceptsDrop ? 'cursor-copy' : 'cursor-default'}
+        ${isDragOver ? 'ring-4 ring-blue-500' : ''}
+      `}
+      role={readOnly ? undefined : 'button'}
+      tabIndex={readOnly ? undefined : 0}
+      aria-disabled={readOnly ? undefined : !acceptsDrop}
+      aria-label={accessibleName}
+      data-target
+      onClick={acceptsDrop ? () => onUse(id) : null}
+      onKeyDown={readOnly ? null : handleKeyDown}
+    >
+      <span className="text-3xl md:text-5xl mb-2" aria-hidden="true">{icon}</span>
+      <span className="text-sm md:text-base font-semibold text-gray-700 text-center">{label}</span>
+      {children}
+    </div>
+  );
+}
+
+export default function Workspace({ procedure, step, labState, items = {}, activeTool, smearResult, filmDryness = 1, readOnly = false, guidance = true, onToolClick, onSelectTool, onUseOnTarget, onReleaseTool, children }) {
+  const { t, direction } = useI18n();
+  const smearCanvasRef = useRef(null);
+  const targetsRef = useRef(null);
+  // null, 'good', 'too_thick', 'too_thin'; exam attempts aren't told how the smear turned out
+  const smearQuality = guidance ? smearResult?.quality ?? null : null;
+  const heldTool = procedure.tools.find(tool => tool.id === activeTool);
+  const benchTools = procedure.tools.filter(tool => !items[tool.id]?.disposed);
+  const wasteTools = benchTools.filter(tool => isWaste(procedure, items, tool.id));
+  const heldWasteBin = heldTool && isWaste(procedure, items, heldTool.id) ? disposalTargetFor(procedure, heldTool.id)?.id : null;
+  const itemStateNames = toolId => Object.keys(items[toolId] || {}).filter(state => state !== 'disposed' && items[toolId][state]);
+
+  // With a tool in hand, focus moves on to the targets (once they have re-rendered to say what using it would do)
+  const focusTargets = useRef(false);
+  const handleSelectTool = (toolId) => {
+    if (!onSelectTool(toolId)) return;
+    if (toolId === activeTool) targetsRef.current.querySelector('[data-target]')?.focus();
+    else focusTargets.current = true;
+  };
+
+  useEffect(() => {
+    if (!focusTargets.current) return;
+    focusTargets.current = false;
+    targetsRef.current.querySelector('[data-target]')?.focus();
+  }, [activeTool]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' && activeTool && !readOnly) onReleaseTool();
+  };
+
+  // --- Pointer dragging ---
+  const press = useRef(null); // { toolId, pointerId, start, dragging } from pointerdown on a tool until it is let go
+  const dragEnded = useRef(false); // Set when a drag ends, so the click that follows it is ignored
+  const [drag, setDrag] = useState(null); // { toolId, x, y, over } for the preview while dragging
+
+  const targetAt = (point) => hitTarget(point, [...targetsRef.current.querySelectorAll('[data-target]')].map(element => ({ id: element.id, rect: element.getBoundingClientRect() })));
+
+  const consumeDragClick = () => {
+    const ended = dragEnded.current;
+    dragEnded.current = false;
+    return ended;
+  };
+
+  const dragHandlers = (toolId) => ({
+    onPointerDown: (e) => {
+      if (!e.isPrimary || e.button !== 0) return; // One finger drags; a second touch or another button doesn't
+      dragEnded.current = false;
+      press.current = { toolId, pointerId: e.pointerId, start: { x: e.clientX, y: e.clientY }, dragging: false };
+      e.currentTarget.setPointerCapture(e.pointerId);
+    },
+    onPointerMove: (e) => {
+      const current = press.current;
+      if (!current || current.pointerId !== e.pointerId) return;
+      const point = { x: e.clientX, y: e.clientY };
+      if (!current.dragging) {
+        if (!movedBeyond(current.start, point)) return;
+        dragEnded.current = true;
+        if (!onSelectTool(toolId)) {
+          press.current = null;
+          return;
+        }
+        current.dragging = true;
+      }
+      setDrag({ toolId, ...point, over: targetAt(point) });
+    },
+    onPointerUp: (e) => {
+      if (dragEnded.current) setTimeout(() => { dragEnded.current = false; }, 0); // After any click this pointerup produces
+      const current = press.current;
+      if (!current || current.pointerId !== e.pointerId) return;
+      press.current = null;
+      if (!current.dragging) return; // A tap, handled as a click
+      setDrag(null);
+      const over = targetAt({ x: e.clientX, y: e.clientY });
+      if (over) onUseOnTarget(over); // Let go anywhere else, the tool stays in hand
+    },
+    onPointerCancel: () => {
+      press.current = null;
+      setDrag(null);
+    },
+  });
+
+  const draggedTool = drag && procedure.tools.find(tool => tool.id === drag.toolId);
+
+  // What a screen reader says for a target: what is on it, and what activating it would do
+  const accessibleName = (target) => {
+    const { indicator } = target;
+    let name = target.label;
+    if (indicator && labState[indicator.when]) {
+      let state = indicator.type === 'smear' ? smearQuality && translateSmearQuality(t, smearQuality) : indicator.icon;
+      if (state && indicator.type === 'smear' && filmDryness < 1) state = t('clock.stillWet', { state });
+      if (state) name = t('workspace.targetState', { target: name, state });
+    }
+    const acceptsUse = heldTool && (step?.action === 'use_tool_on_target' || !guidance || target.disposal) && !readOnly;
+    return acceptsUse ? t('workspace.useOn', { tool: heldTool.label, target: name }) : name;
+  };
+
+  // Redraw the slide canvas whenever the smear changes, dries further or the canvas is shown again
+  useEffect(() => {
+    if (smearResult) drawSmear(smearCanvasRef.current, smearResult, filmDryness);
+  }, [smearResult, filmDryness, step, labState]);
+
+  return (
+    <div dir={direction} className="grid grid-cols-1 md:grid-cols-3 gap-6 w-full" onKeyDown={handleKeyDown}>
+      {/* Tools Column */}
+      <div role="group" aria-labelledby="workspace-tools" className="md:col-span-1 bg-white rounded-xl shadow-lg p-4 md:p-6 flex flex-col items-center space-y-4 border-2 border-gray-200">
+        <h3 id="workspace-tools" className="text-xl font-bold text-gray-800 mb-2">{t('workspace.tools')}</h3>
+        {!readOnly && <p id={KEYBOARD_HELP_ID} className="text-xs text-gray-500 text-center">{t('workspace.keyboardHelp')}</p>}
+        {benchTools.map(tool => (
+          <ToolButton key={tool.id} tool={tool} step={step} activeTool={activeTool} readOnly={readOnly} guidance={guidance} states={itemStateNames(tool.id)} waste={wasteTools.includes(tool)} onClick={onToolClick} onSelect={handleSelectTool} consumeDragClick={consumeDragClick} dragHandlers={dragHandlers} />
+        ))}
+        {/* Waste still out, with where it goes */}
+        {guidance && wasteTools.length > 0 && (
+          <ul className="w-full text-sm text-orange-900 bg-orange-50 border border-orange-300 rounded-lg p-2 space-y-1">
+            {wasteTools.map(tool => (
+              <li key={tool.id}>
+                {t('items.onBench', { tool: tool.label, state: t(`items.states.${itemKind(procedure, tool.id).waste}`), bin: disposalTargetFor(procedure, tool.id)?.label })}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Workspace Column */}
+      <div ref={targetsRef} role="group" aria-labelledby="workspace-targets" className="md:col-span-2 bg-white rounded-xl shadow-lg p-4 md:p-6 flex flex-col items-center justify-around space-y-6 border-2 border-gray-200">
+        <h3 id="workspace-targets" className="text-xl font-bold text-gray-800 mb-2">{t('workspace.workspace')}</h3>
+
+        {procedure.targets.map(target => (
+          <TargetArea key={target.id} target={target} step={step} activeTool={activeTool} readOnly={readOnly} guidance={guidance} binForHeld={heldWasteBin === target.id} accessibleName={accessibleName(target)} isDragOver={drag?.over === target.id} onUse={onUseOnTarget}>
+            {/* Indicators (blood drop, smear canvas) appear only while their state flag is set */}
+            {target.indicator?.type === 'icon' && labState[target.indicator.when] && (
+              <span className="absolute text-3xl md:text-5xl top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 text-red-600 animate-pulse">{target.indicator.icon}</span>
+            )}
+            {target.indicator?.type === 'smear' && labState[target.indicator.when] && (
+              <canvas
+                ref={smearCanvasRef}
+                width="200"
+                height="100"
+                className={`absolute rounded-md transition-opacity duration-500
+                  ${smearQuality ? 'border-2' : ''}
+                  ${smearQuality === 'good' ? 'border-green-500' : smearQuality ? 'border-red-500' : ''}
+                `}
+              ></canvas>
+            )}
+          </TargetArea>
+        ))}
+
+        {children}
+      </div>
+
+      {/* Drag preview, following the pointer above everything else */}
+      {draggedTool && createPortal(
+        <div
+          aria-hidden="true"
+          className="fixed z-50 pointer-events-none -translate-x-1/2 -translate-y-1/2 flex flex-col items-center p-2 rounded-xl bg-white bg-opacity-90 shadow-2xl ring-4 ring-indigo-400"
+          style={{ left: drag.x, top: drag.y }}
+        >
+          <span className="text-3xl md:text-4xl">{draggedTool.icon}</span>
+          <span className="text-xs font-semibold text-gray-800">{draggedTool.label}</span>
+        </div>,
+        document.body
+      )}
+    </div>
+  );
+}